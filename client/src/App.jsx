@@ -8,13 +8,20 @@ import Navbar from './components/Navbar';
 import Home from './pages/Home';
 import Login from './pages/Login';
 import Register from './pages/Register';
+import ForgotPassword from './pages/ForgotPassword';
+import ResetPassword from './pages/ResetPassword';
+import VerifyEmail from './pages/VerifyEmail';
 import Dashboard from './pages/Dashboard';
 import PostList from './pages/PostList';
 import PostDetail from './pages/PostDetail';
+import TagPosts from './pages/TagPosts';
+import SearchResults from './pages/SearchResults';
 import CreatePost from './pages/CreatePost';
 import EditPost from './pages/EditPost';
 import MyPosts from './pages/MyPosts';
 import AdminApprovalQueue from './pages/AdminApprovalQueue';
+import AdminOverview from './pages/AdminOverview';
+import AdminRejectionTemplates from './pages/AdminRejectionTemplates';
 import Profile from './pages/Profile';
 import NotFound from './pages/NotFound';
 import ProtectedRoute from './components/ProtectedRoute';
@@ -44,8 +51,14 @@ function App() {
                   <Route path="/" element={<Home />} />
                   <Route path="/login" element={<Login />} />
                   <Route path="/register" element={<Register />} />
+                  <Route path="/forgot-password" element={<ForgotPassword />} />
+                  <Route path="/reset-password" element={<ResetPassword />} />
+                  <Route path="/verify-email" element={<VerifyEmail />} />
                   <Route path="/posts" element={<PostList />} />
                   <Route path="/posts/:id" element={<PostDetail />} />
+                  <Route path="/p/:slug" element={<PostDetail />} />
+                  <Route path="/tags/:tag" element={<TagPosts />} />
+                  <Route path="/search" element={<SearchResults />} />
                   
                   {/* Protected Routes */}
                   <Route
@@ -72,6 +85,22 @@ function App() {
                       </ProtectedRoute>
                     }
                   />
+                  <Route
+                    path="/admin/overview"
+                    element={
+                      <ProtectedRoute>
+                        <AdminOverview />
+                      </ProtectedRoute>
+                    }
+                  />
+                  <Route
+                    path="/admin/rejection-templates"
+                    element={
+                      <ProtectedRoute>
+                        <AdminRejectionTemplates />
+                      </ProtectedRoute>
+                    }
+                  />
                   <Route
                     path="/create-post"
                     element={
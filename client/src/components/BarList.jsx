@@ -0,0 +1,29 @@
+import React from 'react';
+
+// Labelled horizontal bars, scaled to max or to the largest value.
+// items: [{ key, label, value, display, barClassName }] where display
+// replaces the number shown and barClassName the default colour.
+const BarList = ({ items, max, barClassName = 'bg-blue-500' }) => {
+  const scale = max || Math.max(1, ...items.map((item) => item.value));
+
+  return (
+    <ul className="space-y-2">
+      {items.map((item) => (
+        <li key={item.key} className="text-sm">
+          <div className="flex justify-between text-gray-700">
+            <span className="capitalize">{item.label}</span>
+            <span>{item.display ?? item.value}</span>
+          </div>
+          <div className="h-2 bg-gray-100 rounded">
+            <div
+              className={`h-2 rounded ${item.barClassName || barClassName}`}
+              style={{ width: `${(item.value / scale) * 100}%` }}
+            />
+          </div>
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+export default BarList;
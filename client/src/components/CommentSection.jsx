@@ -0,0 +1,249 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import toast from 'react-hot-toast';
+import { useAuth } from '../contexts/AuthContext';
+import { apiUtils, errorHandler } from '../utils/api';
+import Button from './Button';
+
+// Keep in step with Comment MAX_DEPTH on the server
+const MAX_DEPTH = 5;
+
+const CommentForm = ({ initialValue = '', submitLabel, onSubmit, onCancel }) => {
+  const [content, setContent] = useState(initialValue);
+  const [submitting, setSubmitting] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!content.trim()) return;
+    setSubmitting(true);
+    try {
+      await onSubmit(content.trim());
+      setContent('');
+    } catch (err) {
+      // The caller has already reported the error; keep the draft for another try
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-2">
+      <textarea
+        className="w-full border rounded px-3 py-2"
+        value={content}
+        onChange={e => setContent(e.target.value)}
+        rows={3}
+        maxLength={2000}
+        placeholder="Write a comment..."
+        aria-label="Comment"
+      />
+      <div className="flex space-x-2">
+        <Button type="submit" size="sm" disabled={submitting || !content.trim()}>
+          {submitting ? 'Saving...' : submitLabel}
+        </Button>
+        {onCancel && (
+          <Button variant="outline" size="sm" onClick={onCancel}>
+            Cancel
+          </Button>
+        )}
+      </div>
+    </form>
+  );
+};
+
+const CommentItem = ({ comment, postAuthorId, onReply, onEdit, onDelete }) => {
+  const { user, isAdmin } = useAuth();
+  const [mode, setMode] = useState(null);
+
+  const isCommentAuthor = !!user && comment.author?._id === user._id;
+  const isPostAuthor = !!user && postAuthorId === user._id;
+  const canEdit = !comment.isDeleted && (isCommentAuthor || isAdmin());
+  const canDelete = !comment.isDeleted && (isCommentAuthor || isPostAuthor || isAdmin());
+  const canReply = !!user && !comment.isDeleted && comment.depth < MAX_DEPTH;
+
+  return (
+    <li className="mt-4">
+      <div className="bg-gray-50 rounded-lg p-4">
+        <div className="flex items-center justify-between text-sm text-gray-500 mb-2">
+          <span className="font-medium text-gray-900">
+            {comment.isDeleted ? 'Deleted' : comment.author?.username || 'Unknown'}
+          </span>
+          <span>
+            {new Date(comment.createdAt).toLocaleString()}
+            {comment.isEdited && !comment.isDeleted && ' (edited)'}
+          </span>
+        </div>
+
+        {mode === 'edit' ? (
+          <CommentForm
+            initialValue={comment.content}
+            submitLabel="Save"
+            onSubmit={async (content) => {
+              await onEdit(comment._id, content);
+              setMode(null);
+            }}
+            onCancel={() => setMode(null)}
+          />
+        ) : (
+          <p className={comment.isDeleted ? 'italic text-gray-400' : 'text-gray-800 whitespace-pre-line'}>
+            {comment.isDeleted ? 'This comment has been deleted.' : comment.content}
+          </p>
+        )}
+
+        {mode !== 'edit' && (
+          <div className="flex space-x-4 mt-2 text-sm">
+            {canReply && (
+              <button onClick={() => setMode('reply')} className="text-blue-600 hover:underline">Reply</button>
+            )}
+            {canEdit && (
+              <button onClick={() => setMode('edit')} className="text-indigo-600 hover:underline">Edit</button>
+            )}
+            {canDelete && (
+              <button onClick={() => onDelete(comment._id)} className="text-red-600 hover:underline">Delete</button>
+            )}
+          </div>
+        )}
+
+        {mode === 'reply' && (
+          <div className="mt-3">
+            <CommentForm
+              submitLabel="Reply"
+              onSubmit={async (content) => {
+                await onReply(comment._id, content);
+                setMode(null);
+              }}
+              onCancel={() => setMode(null)}
+            />
+          </div>
+        )}
+      </div>
+
+      {comment.replies?.length > 0 && (
+        <ul className="pl-6 border-l border-gray-200">
+          {comment.replies.map((reply) => (
+            <CommentItem
+              key={reply._id}
+              comment={reply}
+              postAuthorId={postAuthorId}
+              onReply={onReply}
+              onEdit={onEdit}
+              onDelete={onDelete}
+            />
+          ))}
+        </ul>
+      )}
+    </li>
+  );
+};
+
+const CommentSection = ({ postId, postAuthorId }) => {
+  const { isAuthenticated } = useAuth();
+  const [comments, setComments] = useState([]);
+  const [commentCount, setCommentCount] = useState(0);
+  const [pagination, setPagination] = useState(null);
+  const [page, setPage] = useState(1);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const fetchComments = useCallback(async () => {
+    setLoading(true);
+    try {
+      const res = await apiUtils.getComments(postId, { page });
+      setComments(res.data.data.comments);
+      setCommentCount(res.data.data.commentCount);
+      setPagination(res.data.data.pagination);
+      setError(null);
+    } catch (err) {
+      setError(errorHandler.getErrorMessage(err));
+    } finally {
+      setLoading(false);
+    }
+  }, [postId, page]);
+
+  useEffect(() => {
+    fetchComments();
+  }, [fetchComments]);
+
+  const handleCreate = async (content, parent = null) => {
+    try {
+      await apiUtils.createComment(postId, { content, parent });
+      toast.success(parent ? 'Reply added!' : 'Comment added!');
+      await fetchComments();
+    } catch (err) {
+      toast.error(errorHandler.getErrorMessage(err));
+      throw err;
+    }
+  };
+
+  const handleEdit = async (commentId, content) => {
+    try {
+      await apiUtils.updateComment(postId, commentId, { content });
+      toast.success('Comment updated!');
+      await fetchComments();
+    } catch (err) {
+      toast.error(errorHandler.getErrorMessage(err));
+      throw err;
+    }
+  };
+
+  const handleDelete = async (commentId) => {
+    if (!window.confirm('Delete this comment?')) return;
+    try {
+      await apiUtils.deleteComment(postId, commentId);
+      toast.success('Comment deleted');
+      await fetchComments();
+    } catch (err) {
+      toast.error(errorHandler.getErrorMessage(err));
+    }
+  };
+
+  return (
+    <section className="bg-white shadow rounded-lg p-6 mt-8">
+      <h2 className="text-2xl font-bold mb-4">Comments ({commentCount})</h2>
+
+      {isAuthenticated ? (
+        <CommentForm submitLabel="Post Comment" onSubmit={(content) => handleCreate(content)} />
+      ) : (
+        <p className="text-gray-600">
+          <Link to="/login" className="text-blue-600 hover:underline">Sign in</Link> to join the discussion.
+        </p>
+      )}
+
+      {loading && comments.length === 0 && <p className="text-gray-600 mt-4">Loading comments...</p>}
+      {error && <p className="text-red-500 mt-4">{error}</p>}
+      {!loading && !error && comments.length === 0 && (
+        <p className="text-gray-600 mt-4">No comments yet.</p>
+      )}
+      {!error && comments.length > 0 && (
+        <ul>
+          {comments.map((comment) => (
+            <CommentItem
+              key={comment._id}
+              comment={comment}
+              postAuthorId={postAuthorId}
+              onReply={(parent, content) => handleCreate(content, parent)}
+              onEdit={handleEdit}
+              onDelete={handleDelete}
+            />
+          ))}
+        </ul>
+      )}
+
+      {pagination && pagination.totalPages > 1 && (
+        <div className="flex justify-between items-center mt-6">
+          <Button variant="outline" size="sm" disabled={!pagination.hasPrevPage} onClick={() => setPage(page - 1)}>
+            Previous
+          </Button>
+          <span className="text-sm text-gray-600">
+            Page {pagination.currentPage} of {pagination.totalPages}
+          </span>
+          <Button variant="outline" size="sm" disabled={!pagination.hasNextPage} onClick={() => setPage(page + 1)}>
+            Next
+          </Button>
+        </div>
+      )}
+    </section>
+  );
+};
+
+export default CommentSection;
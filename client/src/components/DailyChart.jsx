@@ -0,0 +1,29 @@
+import React from 'react';
+
+// Bar chart of one metric from a daily series: [{ date: 'YYYY-MM-DD', [valueKey]: count }]
+const DailyChart = ({ series, valueKey = 'views', label = valueKey, height = 120, barClassName = 'bg-blue-500 hover:bg-blue-600' }) => {
+  const max = Math.max(1, ...series.map((day) => day[valueKey]));
+
+  return (
+    <div>
+      <div className="flex items-end gap-px" style={{ height }} role="img" aria-label={`${label} per day`}>
+        {series.map((day) => (
+          <div
+            key={day.date}
+            className={`flex-1 rounded-t ${barClassName}`}
+            style={{ height: `${(day[valueKey] / max) * 100}%`, minHeight: day[valueKey] > 0 ? 2 : 0 }}
+            title={`${day.date}: ${day[valueKey].toLocaleString()} ${label}`}
+          />
+        ))}
+      </div>
+      {series.length > 0 && (
+        <div className="flex justify-between text-xs text-gray-500 mt-1">
+          <span>{series[0].date}</span>
+          <span>{series[series.length - 1].date}</span>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DailyChart;
@@ -0,0 +1,65 @@
+import React from 'react';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const RANGE_PRESETS = [
+  { days: 7, label: '7 days' },
+  { days: 30, label: '30 days' },
+  { days: 90, label: '90 days' },
+  { days: 365, label: '12 months' },
+];
+
+const toDateInput = (date) => date.toISOString().slice(0, 10);
+
+// The last `days` days up to today, as from/to query values
+export const presetRange = (days) => {
+  const to = new Date();
+  return { from: toDateInput(new Date(to.getTime() - (days - 1) * DAY_MS)), to: toDateInput(to) };
+};
+
+// Preset buttons plus from/to date inputs for the reporting endpoints.
+// value and onChange use { from, to } as 'YYYY-MM-DD' strings.
+const DateRangePicker = ({ value, onChange, children }) => {
+  // Ignore half-typed or backwards ranges; the API would reject them anyway
+  const setRangeDate = (field) => (e) => {
+    const next = { ...value, [field]: e.target.value };
+    if (next.from && next.to && next.from <= next.to) {
+      onChange(next);
+    }
+  };
+
+  return (
+    <div className="flex flex-wrap items-center gap-3 mb-6">
+      <div className="flex rounded-md shadow-sm" role="group" aria-label="Date range">
+        {RANGE_PRESETS.map(({ days, label }) => {
+          const preset = presetRange(days);
+          const active = preset.from === value.from && preset.to === value.to;
+          return (
+            <button
+              key={days}
+              type="button"
+              onClick={() => onChange(preset)}
+              aria-pressed={active}
+              className={`px-3 py-1.5 text-sm border first:rounded-l-md last:rounded-r-md -ml-px first:ml-0 ${
+                active ? 'bg-blue-600 border-blue-600 text-white' : 'bg-white border-gray-300 text-gray-700 hover:bg-gray-50'
+              }`}
+            >
+              {label}
+            </button>
+          );
+        })}
+      </div>
+      <label className="text-sm text-gray-600">
+        From{' '}
+        <input type="date" value={value.from} max={value.to} onChange={setRangeDate('from')} className="border rounded px-2 py-1" />
+      </label>
+      <label className="text-sm text-gray-600">
+        To{' '}
+        <input type="date" value={value.to} min={value.from} onChange={setRangeDate('to')} className="border rounded px-2 py-1" />
+      </label>
+      {children}
+    </div>
+  );
+};
+
+export default DateRangePicker;
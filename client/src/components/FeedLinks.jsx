@@ -0,0 +1,26 @@
+import React from 'react';
+import { apiUtils } from '../utils/api';
+
+const FORMATS = [
+  { format: 'rss', label: 'RSS' },
+  { format: 'atom', label: 'Atom' },
+  { format: 'json', label: 'JSON Feed' },
+];
+
+// Subscribe links for a feed. scope is '' for every post, or a path such as
+// 'tags/react', 'categories/tech' or 'authors/ada'.
+const FeedLinks = ({ scope = '', className = '' }) => (
+  <p className={`text-sm text-gray-500 ${className}`}>
+    Subscribe:{' '}
+    {FORMATS.map(({ format, label }, index) => (
+      <React.Fragment key={format}>
+        {index > 0 && ' · '}
+        <a href={apiUtils.getFeedUrl(scope, format)} className="text-orange-600 hover:underline">
+          {label}
+        </a>
+      </React.Fragment>
+    ))}
+  </p>
+);
+
+export default FeedLinks;
@@ -0,0 +1,95 @@
+import React, { useRef, useState } from 'react';
+import { apiUtils, errorHandler } from '../utils/api';
+
+const ACCEPTED_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
+
+// Matches the server's default UPLOAD_MAX_BYTES; the server has the final say
+const MAX_FILE_SIZE = 5 * 1024 * 1024;
+
+// Picks an image, uploads it and reports the stored URL. `variant` chooses
+// which rendition's URL is reported (e.g. 'medium' for avatars); without it
+// the re-encoded original is used. Unsaved uploads are cleaned up by the server.
+const ImageUpload = ({ value, onChange, purpose = 'post', variant = null, id, previewClassName = 'w-full max-h-64 object-cover rounded' }) => {
+  const inputRef = useRef(null);
+  const [progress, setProgress] = useState(null);
+  const [error, setError] = useState('');
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    setError('');
+    if (!ACCEPTED_TYPES.includes(file.type)) {
+      setError('Please choose a JPEG, PNG, GIF or WebP image');
+      return;
+    }
+    if (file.size > MAX_FILE_SIZE) {
+      setError('Images must be 5 MB or smaller');
+      return;
+    }
+
+    setProgress(0);
+    try {
+      const res = await apiUtils.uploadImage(file, purpose, setProgress);
+      const upload = res.data.data.upload;
+      const rendition = variant && upload.variants.find((v) => v.name === variant);
+      onChange(rendition ? rendition.url : upload.url, upload);
+    } catch (err) {
+      setError(errorHandler.getErrorMessage(err));
+    } finally {
+      setProgress(null);
+    }
+  };
+
+  const uploading = progress !== null;
+
+  return (
+    <div>
+      {value && (
+        <img src={value} alt="Selected upload" className={`${previewClassName} mb-2`} />
+      )}
+      <div className="flex items-center gap-3">
+        <input
+          ref={inputRef}
+          id={id}
+          type="file"
+          accept={ACCEPTED_TYPES.join(',')}
+          onChange={handleFile}
+          disabled={uploading}
+          className="hidden"
+        />
+        <button
+          type="button"
+          onClick={() => inputRef.current.click()}
+          disabled={uploading}
+          className="border border-gray-300 rounded px-3 py-1.5 text-sm hover:bg-gray-50 disabled:opacity-50"
+        >
+          {value ? 'Replace image' : 'Choose image'}
+        </button>
+        {value && !uploading && (
+          <button
+            type="button"
+            onClick={() => onChange('', null)}
+            className="text-sm text-red-600 hover:underline"
+          >
+            Remove
+          </button>
+        )}
+        {uploading && (
+          <div className="flex-1" role="progressbar" aria-valuenow={progress} aria-valuemin={0} aria-valuemax={100}>
+            <div className="h-2 bg-gray-200 rounded">
+              <div className="h-2 bg-blue-600 rounded" style={{ width: `${progress}%` }} />
+            </div>
+            <p className="text-xs text-gray-500 mt-1">
+              {progress < 100 ? `Uploading ${progress}%` : 'Processing...'}
+            </p>
+          </div>
+        )}
+      </div>
+      {error && <p className="text-red-500 text-sm mt-1">{error}</p>}
+    </div>
+  );
+};
+
+export default ImageUpload;
@@ -0,0 +1,73 @@
+import React, { useEffect, useState } from 'react';
+import { apiUtils, errorHandler } from '../utils/api';
+
+// Markdown textarea with a live preview rendered by the API, so the preview
+// matches exactly what readers will see once the post is saved
+const MarkdownEditor = ({ id, value, onChange, rows = 12, required = false }) => {
+  const [html, setHtml] = useState('');
+  const [previewError, setPreviewError] = useState('');
+  const [rendering, setRendering] = useState(false);
+
+  useEffect(() => {
+    if (!value.trim()) {
+      setHtml('');
+      setPreviewError('');
+      return undefined;
+    }
+
+    // Debounce so typing quickly does not send a request per keystroke
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      setRendering(true);
+      try {
+        const res = await apiUtils.previewMarkdown(value);
+        if (!cancelled) {
+          setHtml(res.data.data.html);
+          setPreviewError('');
+        }
+      } catch (err) {
+        if (!cancelled) setPreviewError(errorHandler.getErrorMessage(err));
+      } finally {
+        if (!cancelled) setRendering(false);
+      }
+    }, 400);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [value]);
+
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+      <div>
+        <textarea
+          id={id}
+          className="w-full h-full border rounded px-3 py-2 font-mono text-sm"
+          value={value}
+          onChange={e => onChange(e.target.value)}
+          rows={rows}
+          required={required}
+        />
+        <p className="text-xs text-gray-500 mt-1">
+          Markdown supported: **bold**, *italic*, # headings, - lists, [links](https://example.com), ```code```
+        </p>
+      </div>
+      <div className="border rounded px-3 py-2 bg-gray-50 overflow-auto" aria-live="polite">
+        <div className="flex justify-between text-xs text-gray-500 mb-2">
+          <span>Preview</span>
+          {rendering && <span>Updating...</span>}
+        </div>
+        {previewError && <p className="text-red-500 text-sm">{previewError}</p>}
+        {html ? (
+          // Sanitized by the API before it is returned
+          <div className="markdown-body" dangerouslySetInnerHTML={{ __html: html }} />
+        ) : (
+          <p className="text-gray-400 text-sm">Nothing to preview yet.</p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default MarkdownEditor;
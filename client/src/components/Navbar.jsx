@@ -3,7 +3,7 @@ import { Link, useNavigate, useLocation } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
 
 const Navbar = () => {
-  const { user, isAuthenticated, logout } = useAuth();
+  const { user, isAuthenticated, logout, hasPermission } = useAuth();
   const navigate = useNavigate();
   const location = useLocation();
   const [isMenuOpen, setIsMenuOpen] = useState(false);
@@ -55,6 +55,16 @@ const Navbar = () => {
             >
               Posts
             </Link>
+            <Link
+              to="/search"
+              className={`px-3 py-2 rounded-md text-sm font-medium transition duration-200 ${
+                isActive('/search') 
+                  ? 'text-blue-600 bg-blue-50' 
+                  : 'text-gray-700 hover:text-blue-600 hover:bg-blue-50'
+              }`}
+            >
+              Search
+            </Link>
             
             {isAuthenticated && (
               <>
@@ -78,7 +88,7 @@ const Navbar = () => {
                 >
                   My Posts
                 </Link>
-                {user?.role === 'admin' && (
+                {hasPermission('posts:review') && (
                   <Link
                     to="/admin/approval-queue"
                     className={`px-3 py-2 rounded-md text-sm font-medium transition duration-200 ${
@@ -90,6 +100,18 @@ const Navbar = () => {
                     Approval Queue
                   </Link>
                 )}
+                {hasPermission('stats:view') && (
+                  <Link
+                    to="/admin/overview"
+                    className={`px-3 py-2 rounded-md text-sm font-medium transition duration-200 ${
+                      isActive('/admin/overview') 
+                        ? 'text-blue-600 bg-blue-50' 
+                        : 'text-gray-700 hover:text-blue-600 hover:bg-blue-50'
+                    }`}
+                  >
+                    Overview
+                  </Link>
+                )}
                 <Link
                   to="/create-post"
                   className="px-4 py-2 bg-gradient-to-r from-blue-600 to-indigo-600 text-white text-sm font-medium rounded-lg hover:from-blue-700 hover:to-indigo-700 transition duration-200 shadow-md hover:shadow-lg"
@@ -222,6 +244,17 @@ const Navbar = () => {
             >
               Posts
             </Link>
+            <Link
+              to="/search"
+              className={`block px-3 py-2 rounded-md text-base font-medium transition duration-200 ${
+                isActive('/search') 
+                  ? 'text-blue-600 bg-blue-50' 
+                  : 'text-gray-700 hover:text-blue-600 hover:bg-blue-50'
+              }`}
+              onClick={() => setIsMenuOpen(false)}
+            >
+              Search
+            </Link>
             
             {isAuthenticated && (
               <>
@@ -247,7 +280,7 @@ const Navbar = () => {
                 >
                   My Posts
                 </Link>
-                {user?.role === 'admin' && (
+                {hasPermission('posts:review') && (
                   <Link
                     to="/admin/approval-queue"
                     className={`block px-3 py-2 rounded-md text-base font-medium transition duration-200 ${
@@ -260,6 +293,19 @@ const Navbar = () => {
                     Approval Queue
                   </Link>
                 )}
+                {hasPermission('stats:view') && (
+                  <Link
+                    to="/admin/overview"
+                    className={`block px-3 py-2 rounded-md text-base font-medium transition duration-200 ${
+                      isActive('/admin/overview') 
+                        ? 'text-blue-600 bg-blue-50' 
+                        : 'text-gray-700 hover:text-blue-600 hover:bg-blue-50'
+                    }`}
+                    onClick={() => setIsMenuOpen(false)}
+                  >
+                    Overview
+                  </Link>
+                )}
                 <Link
                   to="/create-post"
                   className="block px-3 py-2 bg-gradient-to-r from-blue-600 to-indigo-600 text-white text-base font-medium rounded-md hover:from-blue-700 hover:to-indigo-700 transition duration-200"
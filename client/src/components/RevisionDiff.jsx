@@ -0,0 +1,89 @@
+import React from 'react';
+
+const FIELD_LABELS = {
+  title: 'Title',
+  content: 'Content',
+  excerpt: 'Excerpt',
+  category: 'Category',
+  tags: 'Tags',
+  featuredImage: 'Featured image',
+  'seo.metaTitle': 'Meta title',
+  'seo.metaDescription': 'Meta description',
+  'seo.keywords': 'Keywords',
+};
+
+const LINE_STYLES = {
+  added: 'bg-green-50 text-green-800',
+  removed: 'bg-red-50 text-red-800 line-through',
+  unchanged: 'text-gray-600',
+};
+
+const LINE_PREFIX = { added: '+ ', removed: '- ', unchanged: '  ' };
+
+const formatValue = (value) => {
+  if (value === null || value === undefined) return '(empty)';
+  if (Array.isArray(value)) return value.length ? value.join(', ') : '(none)';
+  return String(value);
+};
+
+const FieldChange = ({ change }) => {
+  const label = FIELD_LABELS[change.field] || change.field;
+
+  if (change.lines) {
+    return (
+      <div>
+        <div className="font-semibold text-sm mb-1">{label}</div>
+        <pre className="text-sm border rounded overflow-x-auto whitespace-pre-wrap">
+          {change.lines.map((line, index) => (
+            <div key={index} className={`px-2 ${LINE_STYLES[line.type]}`}>
+              {LINE_PREFIX[line.type]}{line.value}
+            </div>
+          ))}
+        </pre>
+      </div>
+    );
+  }
+
+  if (change.added || change.removed) {
+    return (
+      <div>
+        <div className="font-semibold text-sm mb-1">{label}</div>
+        <div className="flex flex-wrap gap-1 text-sm">
+          {change.removed.map(item => (
+            <span key={`-${item}`} className="bg-red-50 text-red-800 line-through px-2 rounded">{item}</span>
+          ))}
+          {change.added.map(item => (
+            <span key={`+${item}`} className="bg-green-50 text-green-800 px-2 rounded">{item}</span>
+          ))}
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <div className="font-semibold text-sm mb-1">{label}</div>
+      <div className="text-sm">
+        <div className="bg-red-50 text-red-800 line-through px-2">{formatValue(change.before)}</div>
+        <div className="bg-green-50 text-green-800 px-2">{formatValue(change.after)}</div>
+      </div>
+    </div>
+  );
+};
+
+// Renders the field-level diff returned by GET /api/posts/:id/revisions/diff
+const RevisionDiff = ({ diff }) => {
+  if (!diff || !diff.changed) {
+    return <p className="text-sm text-gray-500">No changes.</p>;
+  }
+
+  return (
+    <div className="space-y-3">
+      {diff.fields.map(change => (
+        <FieldChange key={change.field} change={change} />
+      ))}
+    </div>
+  );
+};
+
+export default RevisionDiff;
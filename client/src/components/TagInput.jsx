@@ -0,0 +1,128 @@
+import React, { useEffect, useState } from 'react';
+import { apiUtils } from '../utils/api';
+
+const MAX_TAG_LENGTH = 50;
+
+// Tag picker with autocomplete from existing tags. Enter or comma adds the
+// typed tag, Backspace on an empty input removes the last one.
+const TagInput = ({ value = [], onChange, id, placeholder = 'Add a tag' }) => {
+  const [input, setInput] = useState('');
+  const [suggestions, setSuggestions] = useState([]);
+  const [highlighted, setHighlighted] = useState(-1);
+
+  useEffect(() => {
+    const prefix = input.trim();
+    if (!prefix) {
+      setSuggestions([]);
+      return undefined;
+    }
+
+    // Debounce so typing quickly does not send a request per keystroke
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const res = await apiUtils.autocompleteTags(prefix, { limit: 8 });
+        if (!cancelled) {
+          setSuggestions(res.data.data.tags.filter(tag => !value.includes(tag.name)));
+          setHighlighted(-1);
+        }
+      } catch (err) {
+        if (!cancelled) setSuggestions([]);
+      }
+    }, 200);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [input, value]);
+
+  const addTag = (raw) => {
+    const tag = raw.trim().slice(0, MAX_TAG_LENGTH);
+    if (tag && !value.includes(tag)) {
+      onChange([...value, tag]);
+    }
+    setInput('');
+    setSuggestions([]);
+  };
+
+  const removeTag = (tag) => {
+    onChange(value.filter(existing => existing !== tag));
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter' || e.key === ',') {
+      e.preventDefault();
+      if (highlighted >= 0 && suggestions[highlighted]) {
+        addTag(suggestions[highlighted].name);
+      } else if (input.trim()) {
+        addTag(input);
+      }
+    } else if (e.key === 'Backspace' && !input && value.length > 0) {
+      removeTag(value[value.length - 1]);
+    } else if (e.key === 'ArrowDown' && suggestions.length > 0) {
+      e.preventDefault();
+      setHighlighted(prev => (prev + 1) % suggestions.length);
+    } else if (e.key === 'ArrowUp' && suggestions.length > 0) {
+      e.preventDefault();
+      setHighlighted(prev => (prev <= 0 ? suggestions.length - 1 : prev - 1));
+    } else if (e.key === 'Escape') {
+      setSuggestions([]);
+    }
+  };
+
+  return (
+    <div className="relative">
+      <div className="w-full border rounded px-2 py-1 flex flex-wrap gap-1 items-center">
+        {value.map(tag => (
+          <span key={tag} className="inline-flex items-center bg-blue-100 text-blue-800 text-sm rounded px-2 py-0.5">
+            {tag}
+            <button
+              type="button"
+              onClick={() => removeTag(tag)}
+              className="ml-1 text-blue-600 hover:text-blue-900"
+              aria-label={`Remove tag ${tag}`}
+            >
+              &times;
+            </button>
+          </span>
+        ))}
+        <input
+          id={id}
+          type="text"
+          className="flex-1 min-w-[8rem] px-1 py-1 outline-none"
+          value={input}
+          onChange={e => setInput(e.target.value)}
+          onKeyDown={handleKeyDown}
+          onBlur={() => setTimeout(() => setSuggestions([]), 150)}
+          placeholder={value.length === 0 ? placeholder : ''}
+          maxLength={MAX_TAG_LENGTH}
+          role="combobox"
+          aria-expanded={suggestions.length > 0}
+          aria-autocomplete="list"
+        />
+      </div>
+      {suggestions.length > 0 && (
+        <ul className="absolute z-10 mt-1 w-full bg-white border rounded shadow" role="listbox">
+          {suggestions.map((tag, index) => (
+            <li
+              key={tag.name}
+              role="option"
+              aria-selected={index === highlighted}
+              onMouseDown={(e) => {
+                e.preventDefault();
+                addTag(tag.name);
+              }}
+              className={`px-3 py-1 cursor-pointer flex justify-between ${index === highlighted ? 'bg-blue-50' : 'hover:bg-gray-50'}`}
+            >
+              <span>{tag.name}</span>
+              <span className="text-gray-400 text-sm">{tag.count}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default TagInput;
@@ -117,8 +117,9 @@ export const AuthProvider = ({ children }) => {
     (credentials) => api.post('/auth/login', credentials),
     {
       onSuccess: (response) => {
-        const { user, token } = response.data.data;
+        const { user, token, refreshToken } = response.data.data;
         localStorage.setItem('token', token);
+        localStorage.setItem('refreshToken', refreshToken);
         dispatch({ type: AUTH_ACTIONS.SET_TOKEN, payload: token });
         dispatch({ type: AUTH_ACTIONS.SET_USER, payload: user });
         toast.success('Login successful!');
@@ -136,8 +137,9 @@ export const AuthProvider = ({ children }) => {
     (userData) => api.post('/auth/register', userData),
     {
       onSuccess: (response) => {
-        const { user, token } = response.data.data;
+        const { user, token, refreshToken } = response.data.data;
         localStorage.setItem('token', token);
+        localStorage.setItem('refreshToken', refreshToken);
         dispatch({ type: AUTH_ACTIONS.SET_TOKEN, payload: token });
         dispatch({ type: AUTH_ACTIONS.SET_USER, payload: user });
         toast.success('Registration successful!');
@@ -167,14 +169,34 @@ export const AuthProvider = ({ children }) => {
     }
   );
 
-  // Logout function
-  const logout = () => {
+  // Clear local session state
+  const clearSession = () => {
     localStorage.removeItem('token');
+    localStorage.removeItem('refreshToken');
     dispatch({ type: AUTH_ACTIONS.LOGOUT });
     queryClient.clear();
+  };
+
+  // Logout function
+  const logout = () => {
+    const refreshToken = localStorage.getItem('refreshToken');
+    // Revoke the session server-side; local logout does not wait for it
+    api.post('/auth/logout', { refreshToken }).catch(() => {});
+    clearSession();
     toast.success('Logged out successfully');
   };
 
+  // Logout from every device
+  const logoutAll = async () => {
+    try {
+      await api.post('/auth/logout-all');
+      clearSession();
+      toast.success('Logged out from all devices');
+    } catch (error) {
+      toast.error(error.response?.data?.error?.message || 'Failed to log out from all devices');
+    }
+  };
+
   // Login function
   const login = (credentials) => {
     dispatch({ type: AUTH_ACTIONS.SET_LOADING, payload: true });
@@ -215,6 +237,12 @@ export const AuthProvider = ({ children }) => {
   // Check if user is moderator or admin
   const isModerator = () => hasAnyRole(['admin', 'moderator']);
 
+  // Check if user has a permission; the list comes from the server's permission map
+  const hasPermission = (permission) => {
+    if (!state.user || !Array.isArray(state.user.permissions)) return false;
+    return state.user.permissions.includes(permission);
+  };
+
   const value = {
     // State
     user: state.user,
@@ -227,6 +255,7 @@ export const AuthProvider = ({ children }) => {
     login,
     register,
     logout,
+    logoutAll,
     updateProfile,
     clearError,
     
@@ -235,6 +264,7 @@ export const AuthProvider = ({ children }) => {
     hasAnyRole,
     isAdmin,
     isModerator,
+    hasPermission,
     
     // Mutations
     loginMutation,
@@ -0,0 +1,47 @@
+import { useEffect } from 'react';
+
+const DEFAULT_MESSAGE = 'You have unsaved changes. Leave this page and discard them?';
+
+// Warn before leaving a page with unsaved changes. Covers reloads, closing the
+// tab and typed URLs (beforeunload) and in-app links. The app uses a plain
+// BrowserRouter, where react-router cannot block navigation, so link clicks are
+// checked in the capture phase before the router sees them.
+const useUnsavedChangesWarning = (when, message = DEFAULT_MESSAGE) => {
+  useEffect(() => {
+    if (!when) return undefined;
+
+    const handleBeforeUnload = (event) => {
+      event.preventDefault();
+      // Required by some browsers to show the prompt
+      event.returnValue = message;
+      return message;
+    };
+
+    const handleClick = (event) => {
+      if (event.defaultPrevented || event.button !== 0 || event.metaKey || event.ctrlKey || event.shiftKey || event.altKey) {
+        return;
+      }
+      const anchor = event.target.closest && event.target.closest('a[href]');
+      if (!anchor || anchor.target === '_blank' || anchor.origin !== window.location.origin) {
+        return;
+      }
+      // Links within the page, such as heading anchors, don't leave it
+      if (anchor.pathname === window.location.pathname && anchor.search === window.location.search) {
+        return;
+      }
+      if (!window.confirm(message)) {
+        event.preventDefault();
+        event.stopPropagation();
+      }
+    };
+
+    window.addEventListener('beforeunload', handleBeforeUnload);
+    document.addEventListener('click', handleClick, true);
+    return () => {
+      window.removeEventListener('beforeunload', handleBeforeUnload);
+      document.removeEventListener('click', handleClick, true);
+    };
+  }, [when, message]);
+};
+
+export default useUnsavedChangesWarning;
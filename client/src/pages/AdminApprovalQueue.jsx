@@ -1,40 +1,149 @@
 import React, { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
 import toast from 'react-hot-toast';
-import api from '../utils/api';
+import api, { apiUtils, errorHandler } from '../utils/api';
+import RevisionDiff from '../components/RevisionDiff';
+
+// Submission age filters, as hour bounds for the queue API
+const AGE_FILTERS = [
+  { value: '', label: 'Any age' },
+  { value: 'day', label: 'Under 1 day', maxAgeHours: 24 },
+  { value: 'week', label: '1 to 7 days', minAgeHours: 24, maxAgeHours: 168 },
+  { value: 'older', label: 'Over 7 days', minAgeHours: 168 },
+];
+
+const SHORTCUTS = [
+  ['j / k', 'next / previous post'],
+  ['x', 'select post'],
+  ['a', 'approve post'],
+  ['r', 'write rejection reason'],
+  ['c', 'show changes'],
+  ['A', 'approve selected'],
+  ['R', 'reject selected'],
+  ['Esc', 'clear selection'],
+];
+
+// The queue is worked a screenful at a time, so fetch more than the API default
+const QUEUE_PAGE_SIZE = 50;
 
 const AdminApprovalQueue = () => {
-  const { user, token } = useAuth();
+  const { user, token, hasPermission } = useAuth();
+  const canApprove = hasPermission('posts:approve');
+  const canReject = hasPermission('posts:reject');
   const [posts, setPosts] = useState([]);
   const [loading, setLoading] = useState(true);
   const [actionLoading, setActionLoading] = useState(null);
   const [rejectionReasons, setRejectionReasons] = useState({});
+  const [expandedPost, setExpandedPost] = useState(null);
+  const [publishTimes, setPublishTimes] = useState({});
+  const [changes, setChanges] = useState({});
+  const [categories, setCategories] = useState([]);
+  const [authorInput, setAuthorInput] = useState('');
+  const [filters, setFilters] = useState({ author: '', category: '', age: '' });
+  const [selected, setSelected] = useState(() => new Set());
+  const [activeIndex, setActiveIndex] = useState(0);
+  const [sharedReason, setSharedReason] = useState('');
+  const [templates, setTemplates] = useState([]);
+  const [rowTemplates, setRowTemplates] = useState({});
+  const [sharedTemplate, setSharedTemplate] = useState('');
+  const [itemErrors, setItemErrors] = useState({});
+  const [showShortcuts, setShowShortcuts] = useState(false);
+
+  useEffect(() => {
+    api.get('/categories')
+      .then((res) => setCategories(res.data.data.categories))
+      .catch(() => toast.error('Failed to load categories'));
+  }, []);
+
+  useEffect(() => {
+    if (!canReject) return;
+    apiUtils.getRejectionTemplates()
+      .then((res) => setTemplates(res.data.data.templates))
+      .catch(() => toast.error('Failed to load rejection templates'));
+  }, [canReject]);
+
+  // Wait for a pause in typing before filtering by author
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      setFilters((prev) => (prev.author === authorInput.trim() ? prev : { ...prev, author: authorInput.trim() }));
+    }, 400);
+    return () => clearTimeout(timer);
+  }, [authorInput]);
 
   useEffect(() => {
     const fetchPendingPosts = async () => {
       setLoading(true);
       try {
-        const res = await api.get('/posts/pending/approval', {
-          headers: { Authorization: `Bearer ${token}` },
+        const age = AGE_FILTERS.find((option) => option.value === filters.age);
+        const res = await apiUtils.getPendingPosts({
+          limit: QUEUE_PAGE_SIZE,
+          author: filters.author || undefined,
+          category: filters.category || undefined,
+          minAgeHours: age.minAgeHours,
+          maxAgeHours: age.maxAgeHours,
         });
         setPosts(res.data.data.posts);
+        setSelected(new Set());
+        setActiveIndex(0);
+        setItemErrors({});
       } catch (err) {
         toast.error('Failed to fetch pending posts');
       } finally {
         setLoading(false);
       }
     };
-    if (token && user?.role === 'admin') fetchPendingPosts();
-  }, [token, user]);
+    if (token && user?.permissions?.includes('posts:review')) fetchPendingPosts();
+  }, [token, user, filters]);
+
+  // Keep the keyboard cursor on a row as posts leave the queue
+  useEffect(() => {
+    if (posts.length > 0 && activeIndex >= posts.length) {
+      setActiveIndex(posts.length - 1);
+    }
+  }, [posts.length, activeIndex]);
+
+  useEffect(() => {
+    const post = posts[activeIndex];
+    if (post) {
+      document.getElementById(`queue-row-${post._id}`)?.scrollIntoView({ block: 'nearest' });
+    }
+  }, [activeIndex, posts]);
+
+  const removePosts = (postIds) => {
+    setPosts((prev) => prev.filter((p) => !postIds.includes(p._id)));
+    setSelected((prev) => new Set([...prev].filter((id) => !postIds.includes(id))));
+  };
+
+  const toggleSelected = (postId) => {
+    setSelected((prev) => {
+      const next = new Set(prev);
+      if (next.has(postId)) {
+        next.delete(postId);
+      } else {
+        next.add(postId);
+      }
+      return next;
+    });
+  };
+
+  const toggleSelectAll = () => {
+    setSelected((prev) => (prev.size === posts.length ? new Set() : new Set(posts.map((p) => p._id))));
+  };
 
   const handleApprove = async (postId) => {
     setActionLoading(postId + '-approve');
     try {
-      await api.post(`/posts/${postId}/approve`, {}, {
+      // Untouched keeps the author's requested time; a cleared field publishes now
+      const body = {};
+      if (postId in publishTimes) {
+        body.publishAt = publishTimes[postId] ? new Date(publishTimes[postId]).toISOString() : null;
+      }
+      const res = await api.post(`/posts/${postId}/approve`, body, {
         headers: { Authorization: `Bearer ${token}` },
       });
-      toast.success('Post approved!');
-      setPosts((prev) => prev.filter((p) => p._id !== postId));
+      toast.success(res.data.data.post.status === 'scheduled' ? 'Post approved and scheduled!' : 'Post approved!');
+      removePosts([postId]);
     } catch (err) {
       toast.error(err.response?.data?.error?.message || 'Failed to approve post');
     } finally {
@@ -45,12 +154,16 @@ const AdminApprovalQueue = () => {
   const handleReject = async (postId) => {
     setActionLoading(postId + '-reject');
     try {
-      const reason = rejectionReasons[postId] || '';
-      await api.post(`/posts/${postId}/reject`, { reason }, {
+      // With a template picked, the text box holds extra notes for the author
+      const text = (rejectionReasons[postId] || '').trim();
+      const body = rowTemplates[postId]
+        ? { templateId: rowTemplates[postId], ...(text && { notes: text }) }
+        : { reason: text };
+      await api.post(`/posts/${postId}/reject`, body, {
         headers: { Authorization: `Bearer ${token}` },
       });
       toast.success('Post rejected!');
-      setPosts((prev) => prev.filter((p) => p._id !== postId));
+      removePosts([postId]);
     } catch (err) {
       toast.error(err.response?.data?.error?.message || 'Failed to reject post');
     } finally {
@@ -58,67 +171,445 @@ const AdminApprovalQueue = () => {
     }
   };
 
+  // Approve or reject every selected post in one request. A post's own typed
+  // reason wins over the shared reason or template. Bulk requests only carry
+  // typed reasons per post, so rows with their own template are rejected with
+  // their own Reject button instead. Bulk approval keeps each author's
+  // requested time.
+  const handleBulk = async (action) => {
+    const ids = posts.filter((p) => selected.has(p._id)).map((p) => p._id);
+    if (ids.length === 0 || actionLoading) return;
+
+    const data = { action, ids };
+    if (action === 'reject') {
+      const withTemplate = ids.filter((id) => rowTemplates[id]).length;
+      if (withTemplate > 0) {
+        toast.error(`${withTemplate} selected post${withTemplate === 1 ? ' has' : 's have'} its own template. Reject ${withTemplate === 1 ? 'it' : 'them'} from the row or clear the template.`);
+        return;
+      }
+      const reasons = {};
+      ids.forEach((id) => {
+        const reason = (rejectionReasons[id] || '').trim();
+        if (reason) reasons[id] = reason;
+      });
+      const shared = sharedReason.trim();
+      if (!shared && !sharedTemplate && ids.some((id) => !reasons[id])) {
+        toast.error('Pick a template, enter a shared reason or a reason for each selected post');
+        return;
+      }
+      data.reasons = reasons;
+      if (sharedTemplate) {
+        data.templateId = sharedTemplate;
+        if (shared) data.notes = shared;
+      } else if (shared) {
+        data.reason = shared;
+      }
+    }
+
+    const verb = action === 'approve' ? 'Approve' : 'Reject';
+    if (!window.confirm(`${verb} ${ids.length} selected post${ids.length === 1 ? '' : 's'}?`)) return;
+
+    setActionLoading('bulk-' + action);
+    try {
+      const res = await apiUtils.bulkModeratePosts(data);
+      const { results, summary } = res.data.data;
+      const failed = results.filter((result) => !result.success);
+
+      removePosts(results.filter((result) => result.success).map((result) => result.id));
+      setItemErrors((prev) => ({
+        ...prev,
+        ...Object.fromEntries(failed.map((result) => [result.id, result.error.message])),
+      }));
+
+      if (summary.failed === 0) {
+        toast.success(res.data.message);
+        setSharedReason('');
+        setSharedTemplate('');
+      } else {
+        toast.error(`${res.data.message}. ${summary.failed} failed; they are still selected.`);
+      }
+    } catch (err) {
+      toast.error(errorHandler.getErrorMessage(err));
+    } finally {
+      setActionLoading(null);
+    }
+  };
+
+  // Show what changed since the post was last approved or rejected
+  const toggleChanges = async (postId) => {
+    if (expandedPost === postId) {
+      setExpandedPost(null);
+      return;
+    }
+    setExpandedPost(postId);
+    if (changes[postId]) return;
+
+    try {
+      const res = await apiUtils.getRevisionDiff(postId, { from: 'reviewed' });
+      setChanges((prev) => ({ ...prev, [postId]: res.data.data }));
+    } catch (err) {
+      toast.error(errorHandler.getErrorMessage(err));
+      setExpandedPost(null);
+    }
+  };
+
+  // Re-subscribed on every render so the handler always sees current state
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.metaKey || e.ctrlKey || e.altKey) return;
+      if (e.target.closest('input, textarea, select')) {
+        if (e.key === 'Escape') e.target.blur();
+        return;
+      }
+
+      const post = posts[activeIndex];
+      switch (e.key) {
+        case 'j':
+          setActiveIndex((index) => Math.min(index + 1, posts.length - 1));
+          break;
+        case 'k':
+          setActiveIndex((index) => Math.max(index - 1, 0));
+          break;
+        case 'x':
+          if (post) toggleSelected(post._id);
+          break;
+        case 'a':
+          if (post && canApprove && !actionLoading) handleApprove(post._id);
+          break;
+        case 'r':
+          if (post && canReject) document.getElementById(`reason-${post._id}`)?.focus();
+          break;
+        case 'c':
+          if (post) toggleChanges(post._id);
+          break;
+        case 'A':
+          if (canApprove) handleBulk('approve');
+          break;
+        case 'R':
+          if (canReject) handleBulk('reject');
+          break;
+        case 'Escape':
+          setSelected(new Set());
+          break;
+        case '?':
+          setShowShortcuts((prev) => !prev);
+          break;
+        default:
+          return;
+      }
+      e.preventDefault();
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  });
+
+  const renderChanges = (postId) => {
+    const result = changes[postId];
+    if (!result) return <div className="text-sm text-gray-500">Loading changes...</div>;
+    if (!result.diff) {
+      return <div className="text-sm text-gray-500">First submission. There is no earlier reviewed version to compare against.</div>;
+    }
+    return (
+      <div>
+        <div className="text-sm text-gray-600 mb-2">
+          Changes since revision {result.from} was {result.review?.decision}
+          {result.review?.reviewedAt && ` on ${new Date(result.review.reviewedAt).toLocaleDateString()}`}
+        </div>
+        <RevisionDiff diff={result.diff} />
+      </div>
+    );
+  };
+
+  // datetime-local inputs want local time without a timezone suffix
+  const toLocalInput = (date) => {
+    const d = new Date(date);
+    return new Date(d.getTime() - d.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+  };
+
+  const publishTimeValue = (post) => {
+    if (post._id in publishTimes) return publishTimes[post._id];
+    return post.scheduledFor ? toLocalInput(post.scheduledFor) : '';
+  };
+
   const handleReasonChange = (postId, value) => {
     setRejectionReasons((prev) => ({ ...prev, [postId]: value }));
   };
 
+  const handleTemplateChange = (postId, value) => {
+    setRowTemplates((prev) => ({ ...prev, [postId]: value }));
+  };
+
+  const renderTemplateOptions = () => templates.map((template) => (
+    <option key={template._id} value={template._id}>{template.title}</option>
+  ));
+
+  const setFilter = (field) => (e) => {
+    const { value } = e.target;
+    setFilters((prev) => ({ ...prev, [field]: value }));
+  };
+
+  const columnCount = canApprove ? 7 : 6;
+  const isFiltered = filters.author || filters.category || filters.age;
+
   return (
-    <div className="max-w-5xl mx-auto py-10 px-4">
-      <h1 className="text-3xl font-bold mb-6 text-center">Admin Approval Queue</h1>
-      {loading ? (
-        <div className="text-center py-10">Loading...</div>
-      ) : posts.length === 0 ? (
-        <div className="text-center py-10 text-gray-500">No posts are pending approval.</div>
+    <div className="max-w-6xl mx-auto py-10 px-4">
+      <h1 className="text-3xl font-bold mb-6 text-center">Approval Queue</h1>
+      {user && !hasPermission('posts:review') ? (
+        <div className="text-center py-10 text-gray-500">You do not have access to the approval queue.</div>
       ) : (
-        <div className="overflow-x-auto">
-          <table className="min-w-full bg-white shadow rounded-lg">
-            <thead>
-              <tr>
-                <th className="px-4 py-3 text-left">Title</th>
-                <th className="px-4 py-3 text-left">Author</th>
-                <th className="px-4 py-3 text-left">Category</th>
-                <th className="px-4 py-3 text-left">Submitted</th>
-                <th className="px-4 py-3 text-left">Actions</th>
-              </tr>
-            </thead>
-            <tbody>
-              {posts.map((post) => (
-                <tr key={post._id} className="border-b last:border-b-0">
-                  <td className="px-4 py-3 font-medium">{post.title}</td>
-                  <td className="px-4 py-3">{post.author?.username || 'N/A'}</td>
-                  <td className="px-4 py-3">{post.category?.name || 'N/A'}</td>
-                  <td className="px-4 py-3">{post.submittedAt ? new Date(post.submittedAt).toLocaleDateString() : ''}</td>
-                  <td className="px-4 py-3 space-x-2">
-                    <button
-                      onClick={() => handleApprove(post._id)}
-                      disabled={actionLoading === post._id + '-approve'}
-                      className="inline-block bg-green-600 hover:bg-green-700 text-white font-semibold py-1 px-3 rounded-lg shadow transition disabled:opacity-50 disabled:cursor-not-allowed"
-                    >
-                      {actionLoading === post._id + '-approve' ? 'Approving...' : 'Approve'}
-                    </button>
-                    <input
-                      type="text"
-                      placeholder="Rejection reason"
-                      value={rejectionReasons[post._id] || ''}
-                      onChange={e => handleReasonChange(post._id, e.target.value)}
-                      className="inline-block border border-gray-300 rounded px-2 py-1 text-sm w-40 mr-2"
-                    />
-                    <button
-                      onClick={() => handleReject(post._id)}
-                      disabled={actionLoading === post._id + '-reject'}
-                      className="inline-block bg-red-600 hover:bg-red-700 text-white font-semibold py-1 px-3 rounded-lg shadow transition disabled:opacity-50 disabled:cursor-not-allowed"
-                    >
-                      {actionLoading === post._id + '-reject' ? 'Rejecting...' : 'Reject'}
-                    </button>
-                  </td>
-                </tr>
+        <>
+          {/* Filters */}
+          <div className="flex flex-wrap items-center gap-3 mb-4">
+            <input
+              type="text"
+              placeholder="Author username"
+              aria-label="Filter by author"
+              value={authorInput}
+              onChange={(e) => setAuthorInput(e.target.value)}
+              className="border border-gray-300 rounded px-2 py-1 text-sm"
+            />
+            <select
+              aria-label="Filter by category"
+              value={filters.category}
+              onChange={setFilter('category')}
+              className="border border-gray-300 rounded px-2 py-1 text-sm"
+            >
+              <option value="">All categories</option>
+              {categories.map((cat) => (
+                <option key={cat._id} value={cat._id}>{cat.name}</option>
               ))}
-            </tbody>
-          </table>
-        </div>
+            </select>
+            <select
+              aria-label="Filter by submission age"
+              value={filters.age}
+              onChange={setFilter('age')}
+              className="border border-gray-300 rounded px-2 py-1 text-sm"
+            >
+              {AGE_FILTERS.map((option) => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+            {isFiltered && (
+              <button
+                type="button"
+                onClick={() => {
+                  setAuthorInput('');
+                  setFilters({ author: '', category: '', age: '' });
+                }}
+                className="text-sm text-blue-600 hover:underline"
+              >
+                Clear filters
+              </button>
+            )}
+            {canReject && (
+              <Link to="/admin/rejection-templates" className="ml-auto text-sm text-blue-600 hover:underline">
+                Rejection templates
+              </Link>
+            )}
+            <button
+              type="button"
+              onClick={() => setShowShortcuts((prev) => !prev)}
+              className={`${canReject ? '' : 'ml-auto '}text-sm text-gray-500 hover:text-gray-700`}
+            >
+              Keyboard shortcuts (?)
+            </button>
+          </div>
+
+          {showShortcuts && (
+            <dl className="grid grid-cols-2 md:grid-cols-4 gap-2 text-sm bg-gray-50 border rounded-lg p-3 mb-4">
+              {SHORTCUTS.map(([keys, description]) => (
+                <div key={keys}>
+                  <dt className="inline font-mono font-semibold">{keys}</dt>
+                  <dd className="inline text-gray-600"> {description}</dd>
+                </div>
+              ))}
+            </dl>
+          )}
+
+          {/* Bulk actions */}
+          {selected.size > 0 && (
+            <div className="flex flex-wrap items-center gap-3 bg-blue-50 border border-blue-200 rounded-lg p-3 mb-4">
+              <span className="text-sm font-medium">{selected.size} selected</span>
+              {canApprove && (
+                <button
+                  onClick={() => handleBulk('approve')}
+                  disabled={Boolean(actionLoading)}
+                  className="bg-green-600 hover:bg-green-700 text-white font-semibold py-1 px-3 rounded-lg shadow transition disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  {actionLoading === 'bulk-approve' ? 'Approving...' : 'Approve selected'}
+                </button>
+              )}
+              {canReject && (
+                <>
+                  {templates.length > 0 && (
+                    <select
+                      aria-label="Shared rejection template"
+                      value={sharedTemplate}
+                      onChange={(e) => setSharedTemplate(e.target.value)}
+                      className="border border-gray-300 rounded px-2 py-1 text-sm"
+                    >
+                      <option value="">No template</option>
+                      {renderTemplateOptions()}
+                    </select>
+                  )}
+                  <input
+                    type="text"
+                    placeholder={sharedTemplate ? 'Notes added to the template' : 'Shared rejection reason'}
+                    aria-label={sharedTemplate ? 'Shared notes' : 'Shared rejection reason'}
+                    value={sharedReason}
+                    onChange={(e) => setSharedReason(e.target.value)}
+                    className="border border-gray-300 rounded px-2 py-1 text-sm w-64"
+                  />
+                  <button
+                    onClick={() => handleBulk('reject')}
+                    disabled={Boolean(actionLoading)}
+                    className="bg-red-600 hover:bg-red-700 text-white font-semibold py-1 px-3 rounded-lg shadow transition disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    {actionLoading === 'bulk-reject' ? 'Rejecting...' : 'Reject selected'}
+                  </button>
+                </>
+              )}
+              <span className="text-xs text-gray-500">
+                Reasons typed on a row replace the shared reason or template for that post. Posts with their own template are rejected from their row. Bulk approval keeps each author's requested publish time.
+              </span>
+            </div>
+          )}
+
+          {loading ? (
+            <div className="text-center py-10">Loading...</div>
+          ) : posts.length === 0 ? (
+            <div className="text-center py-10 text-gray-500">
+              {isFiltered ? 'No pending posts match these filters.' : 'No posts are pending approval.'}
+            </div>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="min-w-full bg-white shadow rounded-lg">
+                <thead>
+                  <tr>
+                    <th className="px-4 py-3 text-left">
+                      <input
+                        type="checkbox"
+                        aria-label="Select all posts"
+                        checked={selected.size === posts.length}
+                        onChange={toggleSelectAll}
+                      />
+                    </th>
+                    <th className="px-4 py-3 text-left">Title</th>
+                    <th className="px-4 py-3 text-left">Author</th>
+                    <th className="px-4 py-3 text-left">Category</th>
+                    <th className="px-4 py-3 text-left">Submitted</th>
+                    {canApprove && <th className="px-4 py-3 text-left">Publish at</th>}
+                    <th className="px-4 py-3 text-left">Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {posts.map((post, index) => (
+                    <React.Fragment key={post._id}>
+                      <tr
+                        id={`queue-row-${post._id}`}
+                        onClick={() => setActiveIndex(index)}
+                        className={`border-b last:border-b-0 ${index === activeIndex ? 'bg-blue-50' : ''}`}
+                      >
+                        <td className="px-4 py-3">
+                          <input
+                            type="checkbox"
+                            aria-label={`Select ${post.title}`}
+                            checked={selected.has(post._id)}
+                            onChange={() => toggleSelected(post._id)}
+                          />
+                        </td>
+                        <td className="px-4 py-3 font-medium">
+                          {post.title}
+                          {itemErrors[post._id] && (
+                            <div className="text-xs text-red-600 font-normal mt-1">{itemErrors[post._id]}</div>
+                          )}
+                        </td>
+                        <td className="px-4 py-3">{post.author?.username || 'N/A'}</td>
+                        <td className="px-4 py-3">{post.category?.name || 'N/A'}</td>
+                        <td className="px-4 py-3">{post.submittedAt ? new Date(post.submittedAt).toLocaleDateString() : ''}</td>
+                        {canApprove && (
+                          <td className="px-4 py-3">
+                            <input
+                              type="datetime-local"
+                              aria-label="Publish time"
+                              value={publishTimeValue(post)}
+                              onChange={e => setPublishTimes((prev) => ({ ...prev, [post._id]: e.target.value }))}
+                              className="border border-gray-300 rounded px-2 py-1 text-sm"
+                            />
+                            <div className="text-xs text-gray-500 mt-1">
+                              {publishTimeValue(post) ? 'Scheduled on approve' : 'Publishes on approve'}
+                            </div>
+                          </td>
+                        )}
+                        <td className="px-4 py-3 space-x-2">
+                          {canApprove && (
+                            <button
+                              onClick={() => handleApprove(post._id)}
+                              disabled={actionLoading === post._id + '-approve'}
+                              className="inline-block bg-green-600 hover:bg-green-700 text-white font-semibold py-1 px-3 rounded-lg shadow transition disabled:opacity-50 disabled:cursor-not-allowed"
+                            >
+                              {actionLoading === post._id + '-approve' ? 'Approving...' : 'Approve'}
+                            </button>
+                          )}
+                          {canReject && (
+                            <>
+                              {templates.length > 0 && (
+                                <select
+                                  aria-label="Rejection template"
+                                  value={rowTemplates[post._id] || ''}
+                                  onChange={e => handleTemplateChange(post._id, e.target.value)}
+                                  className="inline-block border border-gray-300 rounded px-2 py-1 text-sm w-36 mr-2"
+                                >
+                                  <option value="">Custom reason</option>
+                                  {renderTemplateOptions()}
+                                </select>
+                              )}
+                              <input
+                                id={`reason-${post._id}`}
+                                type="text"
+                                placeholder={rowTemplates[post._id] ? 'Extra notes (optional)' : 'Rejection reason'}
+                                value={rejectionReasons[post._id] || ''}
+                                onChange={e => handleReasonChange(post._id, e.target.value)}
+                                onKeyDown={e => {
+                                  if (e.key === 'Enter') handleReject(post._id);
+                                }}
+                                className="inline-block border border-gray-300 rounded px-2 py-1 text-sm w-40 mr-2"
+                              />
+                              <button
+                                onClick={() => handleReject(post._id)}
+                                disabled={actionLoading === post._id + '-reject'}
+                                className="inline-block bg-red-600 hover:bg-red-700 text-white font-semibold py-1 px-3 rounded-lg shadow transition disabled:opacity-50 disabled:cursor-not-allowed"
+                              >
+                                {actionLoading === post._id + '-reject' ? 'Rejecting...' : 'Reject'}
+                              </button>
+                            </>
+                          )}
+                          <button
+                            onClick={() => toggleChanges(post._id)}
+                            className="inline-block text-blue-600 hover:underline text-sm"
+                          >
+                            {expandedPost === post._id ? 'Hide changes' : 'Changes'}
+                          </button>
+                        </td>
+                      </tr>
+                      {expandedPost === post._id && (
+                        <tr className="border-b bg-gray-50">
+                          <td colSpan={columnCount} className="px-4 py-3">
+                            {renderChanges(post._id)}
+                          </td>
+                        </tr>
+                      )}
+                    </React.Fragment>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </>
       )}
     </div>
   );
 };
 
-export default AdminApprovalQueue; 
\ No newline at end of file
+export default AdminApprovalQueue;
@@ -0,0 +1,218 @@
+import React, { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+import { apiUtils, errorHandler } from '../utils/api';
+import DailyChart from '../components/DailyChart';
+import DateRangePicker, { presetRange } from '../components/DateRangePicker';
+import BarList from '../components/BarList';
+import { POST_STATUS_COLORS, formatHours } from '../utils/stats';
+
+const queueAgeLabel = ({ minHours, maxHours }) => {
+  if (maxHours === null) return `over ${formatHours(minHours)}`;
+  if (minHours === 0) return `under ${formatHours(maxHours)}`;
+  return `${formatHours(minHours)} – ${formatHours(maxHours)}`;
+};
+
+const StatCard = ({ title, value, note }) => (
+  <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
+    <p className="text-sm font-medium text-gray-600">{title}</p>
+    <p className="text-2xl font-bold text-gray-900 mt-1">{value}</p>
+    {note && <p className="text-sm text-gray-500 mt-1">{note}</p>}
+  </div>
+);
+
+const Section = ({ title, className = '', children }) => (
+  <div className={`bg-white rounded-lg shadow-sm border border-gray-200 p-6 ${className}`}>
+    <h2 className="text-xl font-bold text-gray-900 mb-4">{title}</h2>
+    {children}
+  </div>
+);
+
+const AdminOverview = () => {
+  const { hasPermission } = useAuth();
+  const canView = hasPermission('stats:view');
+  const [range, setRange] = useState(() => presetRange(30));
+  const [stats, setStats] = useState(null);
+  const [userStats, setUserStats] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  // User statistics have a fixed window, so they are only fetched once
+  useEffect(() => {
+    if (!canView) return;
+    apiUtils.getUserStats()
+      .then((res) => setUserStats(res.data.data))
+      .catch((err) => setError(errorHandler.getErrorMessage(err)));
+  }, [canView]);
+
+  useEffect(() => {
+    if (!canView) return undefined;
+    let cancelled = false;
+    const fetchStats = async () => {
+      setLoading(true);
+      try {
+        const res = await apiUtils.getAdminStats(range);
+        if (!cancelled) {
+          setStats(res.data.data);
+          setError('');
+        }
+      } catch (err) {
+        if (!cancelled) setError(errorHandler.getErrorMessage(err));
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+    fetchStats();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [range, canView]);
+
+  if (!canView) {
+    return (
+      <div className="max-w-5xl mx-auto py-10 px-4 text-center text-gray-500">
+        You do not have access to site statistics.
+      </div>
+    );
+  }
+
+  const totalPosts = stats ? Object.values(stats.postsByStatus).reduce((sum, count) => sum + count, 0) : 0;
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <div className="bg-white shadow-sm border-b border-gray-200">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-6">
+          <h1 className="text-3xl font-bold text-gray-900">Admin Overview</h1>
+          <p className="text-gray-600 mt-1">Content and user activity across the whole site.</p>
+        </div>
+      </div>
+
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        <DateRangePicker value={range} onChange={setRange}>
+          {loading && stats && <span className="text-sm text-gray-500">Updating...</span>}
+          {stats && (
+            <span className="text-sm text-gray-500">
+              Figures as of {new Date(stats.generatedAt).toLocaleTimeString()}
+            </span>
+          )}
+        </DateRangePicker>
+
+        {error && <p className="text-red-500 mb-6">{error}</p>}
+        {loading && !stats && <p className="text-gray-600 mb-6">Loading statistics...</p>}
+
+        {stats && (
+          <>
+            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6 mb-8">
+              <StatCard
+                title="Total Posts"
+                value={totalPosts.toLocaleString()}
+                note={`${stats.postsByStatus.published.toLocaleString()} published`}
+              />
+              <StatCard
+                title="Approval Queue"
+                value={stats.queue.depth.toLocaleString()}
+                note={stats.queue.depth > 0 ? `oldest waiting ${formatHours(stats.queue.oldestAgeHours)}` : 'nothing waiting'}
+              />
+              <StatCard
+                title="Median Time to Approve"
+                value={formatHours(stats.timeToApprove.medianHours)}
+                note={`${stats.timeToApprove.approved} approved in this range`}
+              />
+              <StatCard
+                title="Published in Range"
+                value={stats.publishVolume.total.toLocaleString()}
+                note={`over ${stats.range.days} days`}
+              />
+            </div>
+
+            <Section title="Daily Publish Volume" className="mb-6">
+              <DailyChart series={stats.publishVolume.series} valueKey="published" height={160} barClassName="bg-green-500 hover:bg-green-600" />
+            </Section>
+
+            <div className="grid grid-cols-1 lg:grid-cols-3 gap-6 mb-8">
+              <Section title="Posts by Status">
+                <BarList
+                  items={Object.entries(stats.postsByStatus).map(([status, count]) => ({
+                    key: status,
+                    label: status,
+                    value: count,
+                    barClassName: POST_STATUS_COLORS[status],
+                  }))}
+                />
+              </Section>
+
+              <Section title="Queue by Age">
+                <BarList
+                  barClassName="bg-yellow-400"
+                  items={stats.queue.byAge.map((group) => ({
+                    key: group.minHours,
+                    label: queueAgeLabel(group),
+                    value: group.count,
+                  }))}
+                />
+                <p className="text-sm text-gray-500 mt-4">
+                  Median wait {formatHours(stats.queue.medianAgeHours)}, average {formatHours(stats.queue.averageAgeHours)}
+                </p>
+              </Section>
+
+              <Section title="Rejection Rate by Category">
+                {stats.rejectionRateByCategory.length === 0 ? (
+                  <p className="text-gray-600 text-sm">No posts were reviewed in this range.</p>
+                ) : (
+                  <BarList
+                    max={1}
+                    barClassName="bg-red-400"
+                    items={stats.rejectionRateByCategory.map((row) => ({
+                      key: row.categoryId || 'none',
+                      label: row.name || 'Deleted category',
+                      value: row.rejectionRate,
+                      display: `${Math.round(row.rejectionRate * 100)}% of ${row.reviewed}`,
+                    }))}
+                  />
+                )}
+                <Link to="/admin/rejection-templates" className="inline-block mt-4 text-sm text-blue-600 hover:underline">
+                  Most used rejection reasons
+                </Link>
+              </Section>
+            </div>
+          </>
+        )}
+
+        {userStats && (
+          <>
+            <h2 className="text-2xl font-bold text-gray-900 mb-6">Users</h2>
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mb-6">
+              <StatCard
+                title="Total Users"
+                value={userStats.totalUsers.toLocaleString()}
+                note={`${userStats.inactiveUsers.toLocaleString()} deactivated`}
+              />
+              <StatCard title="Active Users" value={userStats.activeUsers.toLocaleString()} />
+              <StatCard title="New in the Last 30 Days" value={userStats.newUsers.toLocaleString()} />
+            </div>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+              <Section title="Users by Role">
+                <BarList
+                  items={userStats.usersByRole.map((row) => ({ key: row._id, label: row._id, value: row.count }))}
+                />
+              </Section>
+              <Section title="Top Authors">
+                <ol className="space-y-2 text-sm">
+                  {userStats.topUsers.map((row) => (
+                    <li key={row._id} className="flex justify-between text-gray-700">
+                      <span>{row.username}</span>
+                      <span>{row.postCount} posts</span>
+                    </li>
+                  ))}
+                </ol>
+              </Section>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AdminOverview;
@@ -0,0 +1,232 @@
+import React, { useEffect, useState } from 'react';
+import toast from 'react-hot-toast';
+import { useAuth } from '../contexts/AuthContext';
+import { apiUtils, errorHandler } from '../utils/api';
+import DateRangePicker, { presetRange } from '../components/DateRangePicker';
+import BarList from '../components/BarList';
+
+const EMPTY_FORM = { title: '', body: '', category: 'other' };
+
+const AdminRejectionTemplates = () => {
+  const { hasPermission } = useAuth();
+  const canManage = hasPermission('rejection_templates:manage');
+  const canViewStats = hasPermission('stats:view');
+  const canReject = hasPermission('posts:reject');
+  const [templates, setTemplates] = useState([]);
+  const [categories, setCategories] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [editingId, setEditingId] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [range, setRange] = useState(() => presetRange(30));
+  const [report, setReport] = useState(null);
+
+  useEffect(() => {
+    const fetchTemplates = async () => {
+      try {
+        const res = await apiUtils.getRejectionTemplates();
+        setTemplates(res.data.data.templates);
+        setCategories(res.data.data.categories);
+      } catch (err) {
+        toast.error(errorHandler.getErrorMessage(err));
+      } finally {
+        setLoading(false);
+      }
+    };
+    if (canReject) fetchTemplates();
+  }, [canReject]);
+
+  useEffect(() => {
+    if (!canViewStats) return;
+    apiUtils.getRejectionReasonReport(range)
+      .then((res) => setReport(res.data.data))
+      .catch((err) => toast.error(errorHandler.getErrorMessage(err)));
+  }, [range, canViewStats]);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const startEdit = (template) => {
+    setEditingId(template._id);
+    setForm({ title: template.title, body: template.body, category: template.category });
+  };
+
+  const cancelEdit = () => {
+    setEditingId(null);
+    setForm(EMPTY_FORM);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      if (editingId) {
+        const res = await apiUtils.updateRejectionTemplate(editingId, form);
+        const updated = res.data.data.template;
+        setTemplates((prev) => prev.map((t) => (t._id === editingId ? updated : t)));
+        toast.success('Template updated!');
+      } else {
+        const res = await apiUtils.createRejectionTemplate(form);
+        setTemplates((prev) => [...prev, res.data.data.template]);
+        toast.success('Template created!');
+      }
+      cancelEdit();
+    } catch (err) {
+      toast.error(errorHandler.getErrorMessage(err));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (template) => {
+    if (!window.confirm(`Delete the template "${template.title}"? Past uses stay in the reports.`)) return;
+    try {
+      await apiUtils.deleteRejectionTemplate(template._id);
+      setTemplates((prev) => prev.filter((t) => t._id !== template._id));
+      if (editingId === template._id) cancelEdit();
+      toast.success('Template deleted!');
+    } catch (err) {
+      toast.error(errorHandler.getErrorMessage(err));
+    }
+  };
+
+  if (!canReject) {
+    return <div className="text-center py-10 text-gray-500">You do not have access to rejection templates.</div>;
+  }
+
+  return (
+    <div className="max-w-5xl mx-auto py-10 px-4">
+      <h1 className="text-3xl font-bold mb-6 text-center">Rejection Templates</h1>
+
+      {canManage && (
+        <form onSubmit={handleSubmit} className="bg-white shadow rounded-lg p-6 mb-8 space-y-4">
+          <h2 className="text-xl font-semibold">{editingId ? 'Edit template' : 'New template'}</h2>
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <input
+              name="title"
+              type="text"
+              placeholder="Title"
+              value={form.title}
+              onChange={handleChange}
+              maxLength={100}
+              required
+              className="md:col-span-2 border border-gray-300 rounded px-3 py-2"
+            />
+            <select
+              name="category"
+              value={form.category}
+              onChange={handleChange}
+              aria-label="Category"
+              className="border border-gray-300 rounded px-3 py-2 capitalize"
+            >
+              {categories.map((category) => (
+                <option key={category} value={category}>{category}</option>
+              ))}
+            </select>
+          </div>
+          <textarea
+            name="body"
+            placeholder="Feedback sent to the author"
+            value={form.body}
+            onChange={handleChange}
+            minLength={10}
+            maxLength={500}
+            rows={4}
+            required
+            className="w-full border border-gray-300 rounded px-3 py-2"
+          />
+          <div className="flex items-center space-x-3">
+            <button
+              type="submit"
+              disabled={saving}
+              className="bg-blue-600 hover:bg-blue-700 text-white font-semibold py-2 px-4 rounded-lg shadow transition disabled:opacity-50"
+            >
+              {saving ? 'Saving...' : editingId ? 'Save changes' : 'Create template'}
+            </button>
+            {editingId && (
+              <button type="button" onClick={cancelEdit} className="text-gray-600 hover:underline">
+                Cancel
+              </button>
+            )}
+            <span className="text-sm text-gray-500 ml-auto">{form.body.length}/500</span>
+          </div>
+        </form>
+      )}
+
+      {loading ? (
+        <div className="text-center py-10">Loading...</div>
+      ) : templates.length === 0 ? (
+        <div className="text-center py-10 text-gray-500">No rejection templates yet.</div>
+      ) : (
+        <ul className="space-y-3 mb-10">
+          {templates.map((template) => (
+            <li key={template._id} className="bg-white shadow rounded-lg p-4">
+              <div className="flex items-start justify-between gap-4">
+                <div>
+                  <div className="font-semibold">
+                    {template.title}
+                    <span className="ml-2 text-xs uppercase tracking-wide bg-gray-100 text-gray-600 rounded px-2 py-0.5">
+                      {template.category}
+                    </span>
+                  </div>
+                  <p className="text-gray-700 text-sm mt-1 whitespace-pre-line">{template.body}</p>
+                  <p className="text-xs text-gray-500 mt-2">
+                    Used {template.usageCount} time{template.usageCount === 1 ? '' : 's'}
+                    {template.lastUsedAt && `, last on ${new Date(template.lastUsedAt).toLocaleDateString()}`}
+                  </p>
+                </div>
+                {canManage && (
+                  <div className="flex space-x-3 text-sm shrink-0">
+                    <button onClick={() => startEdit(template)} className="text-blue-600 hover:underline">Edit</button>
+                    <button onClick={() => handleDelete(template)} className="text-red-600 hover:underline">Delete</button>
+                  </div>
+                )}
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {canViewStats && (
+        <div className="bg-white shadow rounded-lg p-6">
+          <h2 className="text-xl font-semibold mb-4">Most Used Reasons</h2>
+          <DateRangePicker value={range} onChange={setRange} />
+          {!report ? (
+            <div className="text-gray-500">Loading...</div>
+          ) : report.total === 0 ? (
+            <div className="text-gray-500">No posts were rejected in this range.</div>
+          ) : (
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-8">
+              <div>
+                <h3 className="font-medium text-gray-700 mb-2">By template</h3>
+                <BarList
+                  barClassName="bg-red-400"
+                  items={report.byTemplate.map((row) => ({
+                    key: row.template || 'custom',
+                    label: row.template ? row.title : 'Typed by hand',
+                    value: row.count,
+                  }))}
+                />
+              </div>
+              <div>
+                <h3 className="font-medium text-gray-700 mb-2">By kind of feedback</h3>
+                <BarList
+                  barClassName="bg-orange-400"
+                  items={report.byCategory.map((row) => ({
+                    key: row.category || 'custom',
+                    label: row.category || 'Typed by hand',
+                    value: row.count,
+                  }))}
+                />
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AdminRejectionTemplates;
@@ -1,12 +1,15 @@
 import React, { useEffect, useState } from 'react';
 import api from '../utils/api';
+import TagInput from '../components/TagInput';
+import ImageUpload from '../components/ImageUpload';
+import MarkdownEditor from '../components/MarkdownEditor';
 
 const CreatePost = () => {
   const [title, setTitle] = useState('');
   const [content, setContent] = useState('');
   const [category, setCategory] = useState('');
   const [categories, setCategories] = useState([]);
-  const [tags, setTags] = useState('');
+  const [tags, setTags] = useState([]);
   const [featuredImage, setFeaturedImage] = useState('');
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
@@ -31,35 +34,19 @@ const CreatePost = () => {
     setSuccess('');
     setLoading(true);
     try {
-      // Prepare tags array
-      const tagsArray = tags.split(',').map(tag => tag.trim()).filter(Boolean);
-      
-      // Generate slug from title with timestamp to ensure uniqueness
-      const baseSlug = title
-        .toLowerCase()
-        .replace(/[^a-z0-9\s-]/g, '') // Remove special characters
-        .replace(/\s+/g, '-') // Replace spaces with hyphens
-        .replace(/-+/g, '-') // Replace multiple hyphens with single
-        .trim('-'); // Remove leading/trailing hyphens
-      
-      // Add timestamp to make slug unique
-      const timestamp = Date.now();
-      const slug = `${baseSlug}-${timestamp}`;
-      
-      // Send post data to backend
+      // The server derives a unique slug from the title
       await api.post('/posts', {
         title,
         content,
         category,
-        slug,
-        tags: tagsArray,
+        tags,
         featuredImage
       });
       setSuccess('Post created successfully!');
       setTitle('');
       setContent('');
       setCategory('');
-      setTags('');
+      setTags([]);
       setFeaturedImage('');
     } catch (err) {
       setError(err.response?.data?.error?.message || 'Failed to create post');
@@ -86,12 +73,11 @@ const CreatePost = () => {
             />
           </div>
           <div>
-            <label className="block font-semibold mb-1">Content</label>
-            <textarea
-              className="w-full border rounded px-3 py-2"
+            <label htmlFor="content" className="block font-semibold mb-1">Content</label>
+            <MarkdownEditor
+              id="content"
               value={content}
-              onChange={e => setContent(e.target.value)}
-              rows={6}
+              onChange={setContent}
               required
             />
           </div>
@@ -110,23 +96,21 @@ const CreatePost = () => {
             </select>
           </div>
           <div>
-            <label className="block font-semibold mb-1">Tags (comma separated)</label>
-            <input
-              type="text"
-              className="w-full border rounded px-3 py-2"
+            <label htmlFor="tags" className="block font-semibold mb-1">Tags</label>
+            <TagInput
+              id="tags"
               value={tags}
-              onChange={e => setTags(e.target.value)}
+              onChange={setTags}
               placeholder="e.g. react, node, mongodb"
             />
           </div>
           <div>
-            <label className="block font-semibold mb-1">Featured Image URL</label>
-            <input
-              type="text"
-              className="w-full border rounded px-3 py-2"
+            <label htmlFor="featuredImage" className="block font-semibold mb-1">Featured Image</label>
+            <ImageUpload
+              id="featuredImage"
+              purpose="post"
               value={featuredImage}
-              onChange={e => setFeaturedImage(e.target.value)}
-              placeholder="https://example.com/image.jpg"
+              onChange={setFeaturedImage}
             />
           </div>
           <button
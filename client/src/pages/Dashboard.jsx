@@ -1,15 +1,47 @@
-import React from 'react';
+import React, { useEffect, useState } from 'react';
 import { Link } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
+import { apiUtils, errorHandler } from '../utils/api';
+import DailyChart from '../components/DailyChart';
+import DateRangePicker, { presetRange } from '../components/DateRangePicker';
+import BarList from '../components/BarList';
+import { POST_STATUS_COLORS, formatHours } from '../utils/stats';
 
 const Dashboard = () => {
   const { user } = useAuth();
+  const [range, setRange] = useState(() => presetRange(30));
+  const [stats, setStats] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
 
-  const stats = [
+  useEffect(() => {
+    let cancelled = false;
+    const fetchStats = async () => {
+      setLoading(true);
+      try {
+        const res = await apiUtils.getMyStats(range);
+        if (!cancelled) {
+          setStats(res.data.data);
+          setError('');
+        }
+      } catch (err) {
+        if (!cancelled) setError(errorHandler.getErrorMessage(err));
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+    fetchStats();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [range]);
+
+  const statCards = stats ? [
     {
       title: 'Total Posts',
-      value: '12',
-      change: '+2 this week',
+      value: stats.totals.posts.toLocaleString(),
+      change: `${stats.period.published} published in this range`,
       icon: (
         <svg className="h-6 w-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
           <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 12h6m-6 4h6m2 5H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z" />
@@ -19,8 +51,8 @@ const Dashboard = () => {
     },
     {
       title: 'Total Views',
-      value: '1,234',
-      change: '+12% this month',
+      value: stats.totals.views.toLocaleString(),
+      change: `+${stats.period.views.toLocaleString()} in this range`,
       icon: (
         <svg className="h-6 w-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
           <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 12a3 3 0 11-6 0 3 3 0 016 0z" />
@@ -31,8 +63,8 @@ const Dashboard = () => {
     },
     {
       title: 'Total Likes',
-      value: '567',
-      change: '+8% this month',
+      value: stats.totals.likes.toLocaleString(),
+      change: `+${stats.period.likes.toLocaleString()} in this range`,
       icon: (
         <svg className="h-6 w-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
           <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4.318 6.318a4.5 4.5 0 000 6.364L12 20.364l7.682-7.682a4.5 4.5 0 00-6.364-6.364L12 7.636l-1.318-1.318a4.5 4.5 0 00-6.364 0z" />
@@ -42,8 +74,8 @@ const Dashboard = () => {
     },
     {
       title: 'Comments',
-      value: '89',
-      change: '+15% this month',
+      value: stats.totals.comments.toLocaleString(),
+      change: `+${stats.period.comments.toLocaleString()} in this range`,
       icon: (
         <svg className="h-6 w-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
           <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8 12h.01M12 12h.01M16 12h.01M21 12c0 4.418-4.03 8-9 8a9.863 9.863 0 01-4.255-.949L3 20l1.395-3.72C3.512 15.042 3 13.574 3 12c0-4.418 4.03-8 9-8s9 3.582 9 8z" />
@@ -51,7 +83,7 @@ const Dashboard = () => {
       ),
       color: 'bg-purple-500'
     }
-  ];
+  ] : [];
 
   const quickActions = [
     {
@@ -62,18 +94,18 @@ const Dashboard = () => {
           <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 4v16m8-8H4" />
         </svg>
       ),
-      link: '/posts/create',
+      link: '/create-post',
       color: 'bg-gradient-to-r from-blue-600 to-indigo-600'
     },
     {
-      title: 'View All Posts',
-      description: 'Manage and edit your existing posts',
+      title: 'My Posts',
+      description: 'Manage, edit and submit your posts',
       icon: (
         <svg className="h-8 w-8" fill="none" stroke="currentColor" viewBox="0 0 24 24">
           <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 12h6m-6 4h6m2 5H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z" />
         </svg>
       ),
-      link: '/posts',
+      link: '/my-posts',
       color: 'bg-gradient-to-r from-green-600 to-emerald-600'
     },
     {
@@ -89,6 +121,14 @@ const Dashboard = () => {
     }
   ];
 
+  const statusItems = stats ? Object.entries(stats.postsByStatus).map(([status, count]) => ({
+    key: status,
+    label: status,
+    value: count,
+    barClassName: POST_STATUS_COLORS[status],
+  })) : [];
+  const turnaround = stats?.approvalTurnaround;
+
   return (
     <div className="min-h-screen bg-gray-50">
       {/* Header */}
@@ -113,23 +153,119 @@ const Dashboard = () => {
       </div>
 
       <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
-        {/* Stats Grid */}
-        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6 mb-8">
-          {stats.map((stat, index) => (
-            <div key={index} className="bg-white rounded-lg shadow-sm border border-gray-200 p-6 hover:shadow-md transition duration-200">
-              <div className="flex items-center justify-between">
-                <div>
-                  <p className="text-sm font-medium text-gray-600">{stat.title}</p>
-                  <p className="text-2xl font-bold text-gray-900 mt-1">{stat.value}</p>
-                  <p className="text-sm text-green-600 mt-1">{stat.change}</p>
+        {/* Date Range */}
+        <DateRangePicker value={range} onChange={setRange}>
+          {loading && stats && <span className="text-sm text-gray-500">Updating...</span>}
+        </DateRangePicker>
+
+        {error && <p className="text-red-500 mb-6">{error}</p>}
+        {loading && !stats && <p className="text-gray-600 mb-6">Loading your statistics...</p>}
+
+        {stats && (
+          <>
+            {/* Stats Grid */}
+            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6 mb-8">
+              {statCards.map((stat) => (
+                <div key={stat.title} className="bg-white rounded-lg shadow-sm border border-gray-200 p-6 hover:shadow-md transition duration-200">
+                  <div className="flex items-center justify-between">
+                    <div>
+                      <p className="text-sm font-medium text-gray-600">{stat.title}</p>
+                      <p className="text-2xl font-bold text-gray-900 mt-1">{stat.value}</p>
+                      <p className="text-sm text-green-600 mt-1">{stat.change}</p>
+                    </div>
+                    <div className={`${stat.color} p-3 rounded-lg text-white`}>
+                      {stat.icon}
+                    </div>
+                  </div>
+                </div>
+              ))}
+            </div>
+
+            {/* Charts */}
+            <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6 mb-6">
+              <h2 className="text-xl font-bold text-gray-900 mb-4">Views</h2>
+              <DailyChart series={stats.series} valueKey="views" height={160} />
+            </div>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mb-8">
+              <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
+                <h2 className="text-xl font-bold text-gray-900 mb-4">Likes</h2>
+                <DailyChart series={stats.series} valueKey="likes" barClassName="bg-red-400 hover:bg-red-500" />
+              </div>
+              <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
+                <h2 className="text-xl font-bold text-gray-900 mb-4">Comments</h2>
+                <DailyChart series={stats.series} valueKey="comments" barClassName="bg-purple-400 hover:bg-purple-500" />
+              </div>
+            </div>
+
+            <div className="grid grid-cols-1 lg:grid-cols-3 gap-6 mb-8">
+              {/* Top Posts */}
+              <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6 lg:col-span-2">
+                <h2 className="text-xl font-bold text-gray-900 mb-4">Top Posts</h2>
+                {stats.topPosts.length === 0 ? (
+                  <p className="text-gray-600">No views in this range yet.</p>
+                ) : (
+                  <table className="w-full text-sm">
+                    <thead>
+                      <tr className="text-left text-gray-500 border-b">
+                        <th className="py-2 font-medium">Post</th>
+                        <th className="py-2 font-medium text-right">Views</th>
+                        <th className="py-2 font-medium text-right">Likes</th>
+                        <th className="py-2 font-medium text-right">Comments</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {stats.topPosts.map((post) => (
+                        <tr key={post._id} className="border-b last:border-0">
+                          <td className="py-2">
+                            <Link to={`/p/${post.slug}`} className="text-blue-600 hover:underline">{post.title}</Link>
+                          </td>
+                          <td className="py-2 text-right">{post.views.toLocaleString()}</td>
+                          <td className="py-2 text-right">{(post.likeCount || 0).toLocaleString()}</td>
+                          <td className="py-2 text-right">{(post.commentCount || 0).toLocaleString()}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                )}
+              </div>
+
+              <div className="space-y-6">
+                {/* Posts by Status */}
+                <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
+                  <h2 className="text-xl font-bold text-gray-900 mb-4">Posts by Status</h2>
+                  <BarList items={statusItems} />
                 </div>
-                <div className={`${stat.color} p-3 rounded-lg text-white`}>
-                  {stat.icon}
+
+                {/* Approval Turnaround */}
+                <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
+                  <h2 className="text-xl font-bold text-gray-900 mb-4">Approval Turnaround</h2>
+                  {turnaround.reviewed === 0 ? (
+                    <p className="text-gray-600 text-sm">None of your posts were reviewed in this range.</p>
+                  ) : (
+                    <dl className="grid grid-cols-2 gap-3 text-sm">
+                      <div>
+                        <dt className="text-gray-500">Median wait</dt>
+                        <dd className="text-lg font-semibold">{formatHours(turnaround.medianHours)}</dd>
+                      </div>
+                      <div>
+                        <dt className="text-gray-500">Average wait</dt>
+                        <dd className="text-lg font-semibold">{formatHours(turnaround.averageHours)}</dd>
+                      </div>
+                      <div>
+                        <dt className="text-gray-500">Slowest</dt>
+                        <dd className="font-semibold">{formatHours(turnaround.slowestHours)}</dd>
+                      </div>
+                      <div>
+                        <dt className="text-gray-500">Approved / rejected</dt>
+                        <dd className="font-semibold">{turnaround.approved} / {turnaround.rejected}</dd>
+                      </div>
+                    </dl>
+                  )}
                 </div>
               </div>
             </div>
-          ))}
-        </div>
+          </>
+        )}
 
         {/* Quick Actions */}
         <div className="mb-8">
@@ -150,56 +286,6 @@ const Dashboard = () => {
             ))}
           </div>
         </div>
-
-        {/* Recent Activity */}
-        <div className="bg-white rounded-lg shadow-sm border border-gray-200">
-          <div className="px-6 py-4 border-b border-gray-200">
-            <h2 className="text-2xl font-bold text-gray-900">Recent Activity</h2>
-          </div>
-          <div className="p-6">
-            <div className="space-y-4">
-              <div className="flex items-center space-x-4 p-4 bg-blue-50 rounded-lg">
-                <div className="bg-blue-500 p-2 rounded-lg text-white">
-                  <svg className="h-5 w-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 4v16m8-8H4" />
-                  </svg>
-                </div>
-                <div className="flex-1">
-                  <p className="text-sm font-medium text-gray-900">New post published</p>
-                  <p className="text-sm text-gray-600">"Getting Started with React" was published 2 hours ago</p>
-                </div>
-                <span className="text-sm text-gray-500">2h ago</span>
-              </div>
-              
-              <div className="flex items-center space-x-4 p-4 bg-green-50 rounded-lg">
-                <div className="bg-green-500 p-2 rounded-lg text-white">
-                  <svg className="h-5 w-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 12a3 3 0 11-6 0 3 3 0 016 0z" />
-                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M2.458 12C3.732 7.943 7.523 5 12 5c4.478 0 8.268 2.943 9.542 7-1.274 4.057-5.064 7-9.542 7-4.477 0-8.268-2.943-9.542-7z" />
-                  </svg>
-                </div>
-                <div className="flex-1">
-                  <p className="text-sm font-medium text-gray-900">Post viewed</p>
-                  <p className="text-sm text-gray-600">"JavaScript Best Practices" received 45 new views</p>
-                </div>
-                <span className="text-sm text-gray-500">5h ago</span>
-              </div>
-              
-              <div className="flex items-center space-x-4 p-4 bg-purple-50 rounded-lg">
-                <div className="bg-purple-500 p-2 rounded-lg text-white">
-                  <svg className="h-5 w-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4.318 6.318a4.5 4.5 0 000 6.364L12 20.364l7.682-7.682a4.5 4.5 0 00-6.364-6.364L12 7.636l-1.318-1.318a4.5 4.5 0 00-6.364 0z" />
-                  </svg>
-                </div>
-                <div className="flex-1">
-                  <p className="text-sm font-medium text-gray-900">New like received</p>
-                  <p className="text-sm text-gray-600">Someone liked your post "CSS Grid Layout"</p>
-                </div>
-                <span className="text-sm text-gray-500">1d ago</span>
-              </div>
-            </div>
-          </div>
-        </div>
       </div>
     </div>
   );
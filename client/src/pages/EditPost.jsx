@@ -1,14 +1,261 @@
-import React from 'react';
+import React, { useEffect, useMemo, useState } from 'react';
+import { Link, useNavigate, useParams } from 'react-router-dom';
+import toast from 'react-hot-toast';
+import { useAuth } from '../contexts/AuthContext';
+import api, { apiUtils, errorHandler } from '../utils/api';
+import MarkdownEditor from '../components/MarkdownEditor';
+import TagInput from '../components/TagInput';
+import ImageUpload from '../components/ImageUpload';
+import useUnsavedChangesWarning from '../hooks/useUnsavedChangesWarning';
+
+// The editable fields of a post, in the shape the form works with
+const toForm = (post) => ({
+  title: post.title || '',
+  content: post.content || '',
+  category: post.category?._id || post.category || '',
+  tags: post.tags || [],
+  featuredImage: post.featuredImage || '',
+  // Generated excerpts are left blank so they keep following the content
+  excerpt: post.excerptSource === 'custom' ? post.excerpt : '',
+  // Likewise for slugs, which otherwise follow the title
+  slug: post.slugSource === 'custom' ? post.slug : '',
+});
 
 const EditPost = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const { user, hasPermission } = useAuth();
+  const [post, setPost] = useState(null);
+  const [form, setForm] = useState(null);
+  const [saved, setSaved] = useState(null);
+  const [categories, setCategories] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const fetchData = async () => {
+      setLoading(true);
+      try {
+        const [postRes, categoriesRes] = await Promise.all([
+          apiUtils.getPost(id),
+          api.get('/categories'),
+        ]);
+        const loaded = postRes.data.data.post;
+        setPost(loaded);
+        setForm(toForm(loaded));
+        setSaved(toForm(loaded));
+        setCategories(categoriesRes.data.data.categories);
+        setError('');
+      } catch (err) {
+        setError(errorHandler.getErrorMessage(err));
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchData();
+  }, [id]);
+
+  const isDirty = useMemo(
+    () => Boolean(form && saved && JSON.stringify(form) !== JSON.stringify(saved)),
+    [form, saved]
+  );
+  useUnsavedChangesWarning(isDirty);
+
+  const setField = (field) => (value) => setForm((prev) => ({ ...prev, [field]: value }));
+
+  const canEdit = post && user && (
+    post.author?._id === user._id || hasPermission('posts:edit_any')
+  );
+  const isAuthor = post && user && post.author?._id === user._id;
+  const canResubmit = isAuthor && post.status === 'rejected';
+
+  const save = async () => {
+    // Only send the slug when it was edited; an empty one asks for a generated slug
+    const { slug, ...fields } = form;
+    const res = await apiUtils.updatePost(id, slug === saved.slug ? fields : form);
+    const updated = res.data.data.post;
+    setPost(updated);
+    setForm(toForm(updated));
+    setSaved(toForm(updated));
+    return updated;
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError('');
+    try {
+      await save();
+      toast.success('Post updated successfully!');
+    } catch (err) {
+      setError(errorHandler.getErrorMessage(err));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // Save the revisions and send the post back to the approval queue in one go
+  const handleResubmit = async () => {
+    setSaving(true);
+    setError('');
+    try {
+      await save();
+      await apiUtils.submitPost(id);
+      toast.success('Post resubmitted for approval!');
+      navigate('/my-posts');
+    } catch (err) {
+      setError(errorHandler.getErrorMessage(err));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) {
+    return <p className="text-gray-600">Loading post...</p>;
+  }
+
+  if (!post) {
+    return <p className="text-red-500">{error || 'Post not found'}</p>;
+  }
+
+  if (!canEdit) {
+    return (
+      <div className="bg-white shadow rounded-lg p-6">
+        <p className="text-red-500 mb-4">You can only edit your own posts.</p>
+        <Link to={`/p/${post.slug}`} className="text-blue-600 hover:underline">Back to the post</Link>
+      </div>
+    );
+  }
+
   return (
     <div>
-      <h1 className="text-3xl font-bold mb-6">Edit Post</h1>
+      <div className="flex items-center justify-between mb-6">
+        <h1 className="text-3xl font-bold">Edit Post</h1>
+        <span className="text-sm text-gray-500">
+          Status: <span className="font-semibold">{post.status}</span>
+          {isDirty && <span className="ml-2 text-yellow-700">· Unsaved changes</span>}
+        </span>
+      </div>
+
+      {post.status === 'rejected' && (
+        <div className="mb-6 p-4 bg-red-50 border border-red-200 rounded-lg text-red-800">
+          <p className="font-semibold">This post was rejected{post.approvedAt && ` on ${new Date(post.approvedAt).toLocaleDateString()}`}.</p>
+          {post.rejectionReason && <p className="mt-1 whitespace-pre-line">{post.rejectionReason}</p>}
+          {isAuthor && <p className="mt-2 text-sm">Revise the post below, then resubmit it for approval.</p>}
+        </div>
+      )}
+
       <div className="bg-white shadow rounded-lg p-6">
-        <p className="text-gray-600">Edit post form will be displayed here.</p>
+        {error && <div className="text-red-500 mb-4">{error}</div>}
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div>
+            <label htmlFor="title" className="block font-semibold mb-1">Title</label>
+            <input
+              id="title"
+              type="text"
+              className="w-full border rounded px-3 py-2"
+              value={form.title}
+              onChange={e => setField('title')(e.target.value)}
+              required
+            />
+          </div>
+          <div>
+            <label htmlFor="content" className="block font-semibold mb-1">Content</label>
+            <MarkdownEditor
+              id="content"
+              value={form.content}
+              onChange={setField('content')}
+              required
+            />
+          </div>
+          <div>
+            <label htmlFor="slug" className="block font-semibold mb-1">URL slug</label>
+            <input
+              id="slug"
+              type="text"
+              className="w-full border rounded px-3 py-2 font-mono text-sm"
+              value={form.slug}
+              onChange={e => setField('slug')(e.target.value.toLowerCase())}
+              pattern="[a-z0-9-]{3,100}"
+              title="3 to 100 lowercase letters, numbers and hyphens"
+              placeholder={post.slug}
+            />
+            <p className="text-xs text-gray-500 mt-1">
+              Leave blank to generate it from the title. Links using an old slug keep working.
+            </p>
+          </div>
+          <div>
+            <label htmlFor="excerpt" className="block font-semibold mb-1">Excerpt</label>
+            <textarea
+              id="excerpt"
+              className="w-full border rounded px-3 py-2"
+              value={form.excerpt}
+              onChange={e => setField('excerpt')(e.target.value)}
+              rows={2}
+              maxLength={300}
+              placeholder="Leave blank to use the start of the post"
+            />
+          </div>
+          <div>
+            <label htmlFor="category" className="block font-semibold mb-1">Category</label>
+            <select
+              id="category"
+              className="w-full border rounded px-3 py-2"
+              value={form.category}
+              onChange={e => setField('category')(e.target.value)}
+              required
+            >
+              <option value="">Select a category</option>
+              {categories.map(cat => (
+                <option key={cat._id} value={cat._id}>{cat.name}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label htmlFor="tags" className="block font-semibold mb-1">Tags</label>
+            <TagInput
+              id="tags"
+              value={form.tags}
+              onChange={setField('tags')}
+              placeholder="e.g. react, node, mongodb"
+            />
+          </div>
+          <div>
+            <label htmlFor="featuredImage" className="block font-semibold mb-1">Featured Image</label>
+            <ImageUpload
+              id="featuredImage"
+              purpose="post"
+              value={form.featuredImage}
+              onChange={setField('featuredImage')}
+            />
+          </div>
+          <div className="flex flex-wrap gap-3">
+            <button
+              type="submit"
+              className="bg-blue-600 text-white px-6 py-2 rounded hover:bg-blue-700 disabled:opacity-50"
+              disabled={saving || !isDirty}
+            >
+              {saving ? 'Saving...' : 'Save Changes'}
+            </button>
+            {canResubmit && (
+              <button
+                type="button"
+                onClick={handleResubmit}
+                className="bg-yellow-500 text-white px-6 py-2 rounded hover:bg-yellow-600 disabled:opacity-50"
+                disabled={saving}
+              >
+                {saving ? 'Saving...' : 'Save and Resubmit'}
+              </button>
+            )}
+            <Link to={`/p/${post.slug}`} className="px-6 py-2 rounded border border-gray-300 text-gray-700 hover:bg-gray-50">
+              Cancel
+            </Link>
+          </div>
+        </form>
       </div>
     </div>
   );
 };
 
-export default EditPost; 
\ No newline at end of file
+export default EditPost;
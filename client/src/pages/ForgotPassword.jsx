@@ -0,0 +1,65 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { apiUtils, errorHandler } from '../utils/api';
+
+const ForgotPassword = () => {
+  const [email, setEmail] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [sent, setSent] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setLoading(true);
+    try {
+      await apiUtils.forgotPassword(email);
+      setSent(true);
+    } catch (err) {
+      setError(errorHandler.getErrorMessage(err));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="max-w-md mx-auto">
+      <h1 className="text-3xl font-bold mb-6">Forgot Password</h1>
+      <div className="bg-white shadow rounded-lg p-6">
+        {sent ? (
+          <p className="text-green-600">
+            If an account exists for {email}, we have sent a link to reset your password. The link expires in one hour.
+          </p>
+        ) : (
+          <form onSubmit={handleSubmit} className="space-y-4">
+            {error && <div className="text-red-500">{error}</div>}
+            <p className="text-gray-600">Enter your email address and we will send you a link to reset your password.</p>
+            <div>
+              <label htmlFor="email" className="block font-semibold mb-1">Email address</label>
+              <input
+                id="email"
+                type="email"
+                className="w-full border rounded px-3 py-2"
+                value={email}
+                onChange={e => setEmail(e.target.value)}
+                required
+              />
+            </div>
+            <button
+              type="submit"
+              className="bg-blue-600 text-white px-6 py-2 rounded hover:bg-blue-700"
+              disabled={loading}
+            >
+              {loading ? 'Sending...' : 'Send reset link'}
+            </button>
+          </form>
+        )}
+        <div className="mt-4 text-sm">
+          <Link to="/login" className="text-blue-600 hover:underline">Back to sign in</Link>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ForgotPassword;
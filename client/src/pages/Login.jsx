@@ -136,9 +136,9 @@ const Login = () => {
               </div>
 
               <div className="text-sm">
-                <a href="#" className="font-medium text-blue-600 hover:text-blue-500 transition duration-200">
+                <Link to="/forgot-password" className="font-medium text-blue-600 hover:text-blue-500 transition duration-200">
                   Forgot your password?
-                </a>
+                </Link>
               </div>
             </div>
 
@@ -1,12 +1,13 @@
 import React, { useEffect, useState } from 'react';
 import { useAuth } from '../contexts/AuthContext';
 import toast from 'react-hot-toast';
-import api from '../utils/api';
+import api, { apiUtils, errorHandler } from '../utils/api';
 import { Link } from 'react-router-dom';
 
 const statusColors = {
   draft: 'bg-gray-200 text-gray-800',
   pending: 'bg-yellow-100 text-yellow-800',
+  scheduled: 'bg-blue-100 text-blue-800',
   published: 'bg-green-100 text-green-800',
   rejected: 'bg-red-100 text-red-800',
   archived: 'bg-gray-400 text-white',
@@ -17,6 +18,7 @@ const MyPosts = () => {
   const [posts, setPosts] = useState([]);
   const [loading, setLoading] = useState(true);
   const [submitting, setSubmitting] = useState(null);
+  const [publishTimes, setPublishTimes] = useState({});
 
   useEffect(() => {
     const fetchPosts = async () => {
@@ -35,14 +37,25 @@ const MyPosts = () => {
     if (token) fetchPosts();
   }, [token]);
 
+  const handleResendVerification = async () => {
+    try {
+      await apiUtils.resendVerification();
+      toast.success('Verification email sent!');
+    } catch (err) {
+      toast.error(errorHandler.getErrorMessage(err));
+    }
+  };
+
   const handleSubmitForApproval = async (postId) => {
     setSubmitting(postId);
     try {
-      await api.post(`/posts/${postId}/submit`, {}, {
+      // Leaving the time empty asks for the post to go live as soon as it is approved
+      const publishAt = publishTimes[postId] ? new Date(publishTimes[postId]).toISOString() : undefined;
+      const res = await api.post(`/posts/${postId}/submit`, { publishAt }, {
         headers: { Authorization: `Bearer ${token}` },
       });
       toast.success('Post submitted for approval!');
-      setPosts((prev) => prev.map((p) => p._id === postId ? { ...p, status: 'pending', submittedForApproval: true } : p));
+      setPosts((prev) => prev.map((p) => p._id === postId ? res.data.data.post : p));
     } catch (err) {
       toast.error(err.response?.data?.error?.message || 'Failed to submit post');
     } finally {
@@ -53,6 +66,14 @@ const MyPosts = () => {
   return (
     <div className="max-w-4xl mx-auto py-10 px-4">
       <h1 className="text-3xl font-bold mb-6 text-center">My Posts</h1>
+      {user && !user.isEmailVerified && (
+        <div className="mb-6 p-4 bg-yellow-50 border border-yellow-200 rounded-lg text-yellow-800">
+          Verify your email address to submit posts for approval.{' '}
+          <button onClick={handleResendVerification} className="font-semibold underline">
+            Resend verification email
+          </button>
+        </div>
+      )}
       <div className="mb-6 text-right">
         <Link to="/create-post" className="inline-block bg-blue-600 hover:bg-blue-700 text-white font-semibold py-2 px-4 rounded-lg shadow transition">+ New Post</Link>
       </div>
@@ -75,14 +96,29 @@ const MyPosts = () => {
               {posts.map((post) => (
                 <tr key={post._id} className="border-b last:border-b-0">
                   <td className="px-4 py-3 font-medium">
-                    <Link to={`/posts/${post._id}`} className="text-blue-600 hover:underline">{post.title}</Link>
+                    <Link to={`/p/${post.slug}`} className="text-blue-600 hover:underline">{post.title}</Link>
                   </td>
                   <td className="px-4 py-3">
                     <span className={`inline-block px-3 py-1 rounded-full text-xs font-semibold ${statusColors[post.status] || 'bg-gray-100 text-gray-800'}`}>{post.status}</span>
+                    {post.scheduledFor && ['pending', 'scheduled'].includes(post.status) && (
+                      <div className="text-xs text-gray-500 mt-1">
+                        {post.status === 'scheduled' ? 'Goes live' : 'Requested'} {new Date(post.scheduledFor).toLocaleString()}
+                      </div>
+                    )}
                   </td>
                   <td className="px-4 py-3">{new Date(post.createdAt).toLocaleDateString()}</td>
                   <td className="px-4 py-3 space-x-2">
-                    <Link to={`/edit-post/${post._id}`} className="inline-block text-indigo-600 hover:underline">Edit</Link>
+                    <Link to={`/posts/${post._id}/edit`} className="inline-block text-indigo-600 hover:underline">Edit</Link>
+                    {post.status === 'draft' && (
+                      <input
+                        type="datetime-local"
+                        aria-label="Publish time (optional)"
+                        title="Publish time (optional)"
+                        value={publishTimes[post._id] || ''}
+                        onChange={e => setPublishTimes((prev) => ({ ...prev, [post._id]: e.target.value }))}
+                        className="inline-block border border-gray-300 rounded px-2 py-1 text-sm"
+                      />
+                    )}
                     {post.status === 'draft' && (
                       <button
                         onClick={() => handleSubmitForApproval(post._id)}
@@ -92,8 +128,14 @@ const MyPosts = () => {
                         {submitting === post._id ? 'Submitting...' : 'Submit for Approval'}
                       </button>
                     )}
-                    {post.status === 'rejected' && post.rejectionReason && (
-                      <span className="inline-block text-red-500 ml-2" title={post.rejectionReason}>Rejected</span>
+                    {post.status === 'rejected' && (
+                      <Link
+                        to={`/posts/${post._id}/edit`}
+                        className="inline-block text-red-500 ml-2 hover:underline"
+                        title={post.rejectionReason || undefined}
+                      >
+                        Revise and resubmit
+                      </Link>
                     )}
                   </td>
                 </tr>
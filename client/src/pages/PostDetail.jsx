@@ -1,14 +1,277 @@
-import React from 'react';
+import React, { useEffect, useRef, useState } from 'react';
+import { Link, useNavigate, useParams } from 'react-router-dom';
+import toast from 'react-hot-toast';
+import { useAuth } from '../contexts/AuthContext';
+import { apiUtils, errorHandler } from '../utils/api';
+import CommentSection from '../components/CommentSection';
+import DailyChart from '../components/DailyChart';
+
+// Nested table of contents linking to the heading anchors in the rendered post
+const TableOfContents = ({ entries, nested = false }) => (
+  <ul className={`space-y-1 ${nested ? 'pl-4 mt-1' : ''}`}>
+    {entries.map((entry) => (
+      <li key={entry.id}>
+        <a href={`#${entry.id}`} className="text-blue-600 hover:underline">{entry.text}</a>
+        {entry.children?.length > 0 && <TableOfContents entries={entry.children} nested />}
+      </li>
+    ))}
+  </ul>
+);
+
+const authorName = (author) => {
+  if (!author) return 'Unknown';
+  const fullName = [author.profile?.firstName, author.profile?.lastName].filter(Boolean).join(' ');
+  return fullName || author.username;
+};
+
+// Posts sharing tags or the category, best matches first
+const RelatedPosts = ({ posts }) => (
+  <section className="bg-white shadow rounded-lg p-6 mt-6">
+    <h2 className="text-xl font-semibold mb-4">Related posts</h2>
+    <ul className="space-y-4">
+      {posts.map(related => (
+        <li key={related._id} className="flex gap-4">
+          {related.featuredImage && (
+            <img src={related.featuredImage} alt="" className="w-24 h-16 object-cover rounded flex-shrink-0" />
+          )}
+          <div>
+            <Link to={`/p/${related.slug}`} className="font-semibold text-blue-600 hover:underline">
+              {related.title}
+            </Link>
+            {related.excerpt && <p className="text-sm text-gray-600">{related.excerpt}</p>}
+            <p className="text-xs text-gray-500 mt-1">
+              {related.readingTime && `${related.readingTime} min read`}
+              {related.sharedTags > 0 && ` · ${related.sharedTags} shared tag${related.sharedTags === 1 ? '' : 's'}`}
+            </p>
+          </div>
+        </li>
+      ))}
+    </ul>
+  </section>
+);
+
+// Views over the last 30 days, shown to the post's author
+const PostViews = ({ postId }) => {
+  const [views, setViews] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    apiUtils.getPostViews(postId)
+      .then(res => {
+        if (!cancelled) setViews(res.data.data);
+      })
+      .catch(() => {});
+
+    return () => {
+      cancelled = true;
+    };
+  }, [postId]);
+
+  if (!views) return null;
 
-const PostDetail = () => {
   return (
-    <div>
-      <h1 className="text-3xl font-bold mb-6">Post Detail</h1>
-      <div className="bg-white shadow rounded-lg p-6">
-        <p className="text-gray-600">Post details will be displayed here.</p>
+    <section className="bg-white shadow rounded-lg p-6 mt-6">
+      <div className="flex items-baseline justify-between mb-4">
+        <h2 className="text-xl font-semibold">Views</h2>
+        <span className="text-sm text-gray-500">
+          {views.total.toLocaleString()} in the last 30 days · {views.post.viewCount.toLocaleString()} all time
+        </span>
       </div>
+      <DailyChart series={views.series} />
+    </section>
+  );
+};
+
+const PostDetail = () => {
+  // Reached through /p/:slug, or the older /posts/:id which also accepts a slug
+  const { id, slug } = useParams();
+  const navigate = useNavigate();
+  const { user, isAuthenticated } = useAuth();
+  const [post, setPost] = useState(null);
+  const [related, setRelated] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [liking, setLiking] = useState(false);
+  const [error, setError] = useState(null);
+  // Slug of the post on screen, so correcting the URL below does not refetch it
+  const shownSlug = useRef(null);
+
+  useEffect(() => {
+    if (slug && slug === shownSlug.current) return;
+
+    const fetchPost = async () => {
+      setLoading(true);
+      setRelated([]);
+      try {
+        const response = slug ? await apiUtils.getPostBySlug(slug) : await apiUtils.getPost(id);
+        const loaded = response.data.data.post;
+        shownSlug.current = loaded.slug;
+        setPost(loaded);
+        setError(null);
+
+        // An old slug was redirected; show the post under its current URL
+        if (slug && loaded.slug !== slug) {
+          navigate(`/p/${loaded.slug}`, { replace: true });
+        }
+      } catch (err) {
+        setError(errorHandler.getErrorMessage(err));
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchPost();
+  }, [id, slug, navigate]);
+
+  // Related posts are secondary, so they load after the post and fail quietly.
+  // They depend only on which post is shown, not on likes or other edits to it.
+  const postId = post?._id;
+  const postStatus = post?.status;
+  useEffect(() => {
+    if (!postId || postStatus !== 'published') return undefined;
+
+    let cancelled = false;
+    apiUtils.getRelatedPosts(postId)
+      .then(res => {
+        if (!cancelled) setRelated(res.data.data.posts);
+      })
+      .catch(() => {});
+
+    return () => {
+      cancelled = true;
+    };
+  }, [postId, postStatus]);
+
+  const handleLike = async () => {
+    if (!isAuthenticated) {
+      toast('Log in to like posts');
+      navigate('/login');
+      return;
+    }
+
+    setLiking(true);
+    try {
+      const res = await apiUtils.toggleLike(post._id);
+      const { likeCount, hasLiked } = res.data.data;
+      setPost(prev => ({ ...prev, likeCount, hasLiked }));
+    } catch (err) {
+      toast.error(errorHandler.getErrorMessage(err));
+    } finally {
+      setLiking(false);
+    }
+  };
+
+  if (loading) {
+    return <p className="text-gray-600">Loading post...</p>;
+  }
+
+  if (error || !post) {
+    return <p className="text-red-500">{error || 'Post not found'}</p>;
+  }
+
+  const isAuthor = user && post.author?._id === user._id;
+
+  return (
+    <div className="max-w-3xl mx-auto">
+      {post.status !== 'published' && (
+        <div className="mb-4 p-3 bg-yellow-50 border border-yellow-200 rounded text-yellow-800 text-sm">
+          This post is {post.status} and only visible to you and reviewers.
+        </div>
+      )}
+
+      <article className="bg-white shadow rounded-lg p-6">
+        {post.featuredImage && (
+          <img src={post.featuredImage} alt="" className="w-full max-h-96 object-cover rounded mb-6" />
+        )}
+        {post.category?.name && (
+          <Link
+            to={`/search?category=${post.category._id}`}
+            className="text-sm font-semibold text-blue-600 uppercase tracking-wide hover:underline"
+          >
+            {post.category.name}
+          </Link>
+        )}
+        <div className="flex items-start justify-between gap-4 mb-2">
+          <h1 className="text-3xl font-bold">{post.title}</h1>
+          {isAuthor && (
+            <Link to={`/posts/${post._id}/edit`} className="text-sm text-blue-600 hover:underline whitespace-nowrap">
+              Edit post
+            </Link>
+          )}
+        </div>
+        <div className="flex items-center gap-3 text-sm text-gray-500 mb-6">
+          {post.author?.profile?.avatar ? (
+            <img src={post.author.profile.avatar} alt="" className="w-8 h-8 rounded-full object-cover" />
+          ) : (
+            <span className="w-8 h-8 rounded-full bg-gray-200 flex items-center justify-center font-semibold text-gray-600">
+              {authorName(post.author).charAt(0).toUpperCase()}
+            </span>
+          )}
+          <p>
+            By {authorName(post.author)}
+            {post.publishedAt && ` on ${new Date(post.publishedAt).toLocaleDateString()}`}
+            {post.readingTime && ` · ${post.readingTime} min read`}
+            {post.wordCount > 0 && ` · ${post.wordCount.toLocaleString()} words`}
+          </p>
+        </div>
+        {post.toc?.length > 0 && (post.toc.length > 1 || post.toc[0].children.length > 0) && (
+          <nav aria-label="Table of contents" className="bg-gray-50 border rounded p-4 mb-6 text-sm">
+            <h2 className="font-semibold text-gray-700 mb-2">Contents</h2>
+            <TableOfContents entries={post.toc} />
+          </nav>
+        )}
+        {post.contentHtml ? (
+          // Rendered and sanitized by the API
+          <div className="markdown-body" dangerouslySetInnerHTML={{ __html: post.contentHtml }} />
+        ) : (
+          <div className="text-gray-800 whitespace-pre-line">{post.content}</div>
+        )}
+        {post.tags?.length > 0 && (
+          <div className="flex flex-wrap gap-2 mt-6">
+            {post.tags.map(tag => (
+              <Link
+                key={tag}
+                to={`/tags/${encodeURIComponent(tag)}`}
+                className="bg-blue-100 text-blue-800 text-sm rounded px-2 py-0.5 hover:bg-blue-200"
+              >
+                #{tag}
+              </Link>
+            ))}
+          </div>
+        )}
+        {post.status === 'published' && (
+          <div className="flex items-center gap-4 mt-6 pt-4 border-t text-sm text-gray-600">
+            <button
+              type="button"
+              onClick={handleLike}
+              disabled={liking}
+              aria-pressed={Boolean(post.hasLiked)}
+              className={`px-3 py-1 rounded border disabled:opacity-50 ${
+                post.hasLiked ? 'bg-red-50 border-red-300 text-red-700' : 'border-gray-300 hover:bg-gray-50'
+              }`}
+            >
+              {post.hasLiked ? '♥ Liked' : '♡ Like'} · {post.likeCount || 0}
+            </button>
+            <span>{(post.viewCount || 0).toLocaleString()} views</span>
+            {post.author?.username && (
+              <a
+                href={apiUtils.getFeedUrl(`authors/${encodeURIComponent(post.author.username)}`)}
+                className="ml-auto text-orange-600 hover:underline"
+              >
+                Follow {authorName(post.author)} (RSS)
+              </a>
+            )}
+          </div>
+        )}
+      </article>
+
+      {isAuthor && post.status === 'published' && <PostViews postId={post._id} />}
+
+      {related.length > 0 && <RelatedPosts posts={related} />}
+
+      {post.status === 'published' && (
+        <CommentSection postId={post._id} postAuthorId={post.author?._id} />
+      )}
     </div>
   );
 };
 
-export default PostDetail; 
\ No newline at end of file
+export default PostDetail;
@@ -1,49 +1,97 @@
-import React, { useEffect, useState } from 'react';
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import { Link } from 'react-router-dom';
 import { apiUtils, errorHandler } from '../utils/api';
+import FeedLinks from '../components/FeedLinks';
+
+const PAGE_SIZE = 10;
 
 const PostList = () => {
   const [posts, setPosts] = useState([]);
-  const [loading, setLoading] = useState(true);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [hasMore, setHasMore] = useState(true);
+  const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
+  const loadingRef = useRef(false);
+  const sentinelRef = useRef(null);
+
+  const loadMore = useCallback(async () => {
+    // The observer can fire again before the previous request has finished
+    if (loadingRef.current || !hasMore) return;
+    loadingRef.current = true;
+    setLoading(true);
+    try {
+      const response = await apiUtils.getPosts({ cursor: nextCursor, limit: PAGE_SIZE });
+      const { posts: page = [], pagination = {} } = response.data?.data || {};
+      setPosts((prev) => [...prev, ...page]);
+      setNextCursor(pagination.nextCursor || null);
+      setHasMore(Boolean(pagination.nextCursor));
+      setError(null);
+    } catch (err) {
+      setError(errorHandler.getErrorMessage(err));
+    } finally {
+      loadingRef.current = false;
+      setLoading(false);
+    }
+  }, [nextCursor, hasMore]);
 
+  // Load the next page whenever the bottom of the list scrolls into view
   useEffect(() => {
-    const fetchPosts = async () => {
-      try {
-        const response = await apiUtils.getPosts();
-        // Correctly extract posts from backend response structure
-        setPosts(response.data?.data?.posts || []);
-      } catch (err) {
-        setError(errorHandler.getErrorMessage(err));
-      } finally {
-        setLoading(false);
-      }
-    };
-    fetchPosts();
-  }, []);
+    const sentinel = sentinelRef.current;
+    if (!sentinel || !hasMore || error) return undefined;
+
+    const observer = new IntersectionObserver((entries) => {
+      if (entries[0].isIntersecting) loadMore();
+    }, { rootMargin: '200px' });
+    observer.observe(sentinel);
+
+    return () => observer.disconnect();
+  }, [loadMore, hasMore, error]);
 
   return (
     <div>
-      <h1 className="text-3xl font-bold mb-6">Posts</h1>
+      <h1 className="text-3xl font-bold mb-2">Posts</h1>
+      <FeedLinks className="mb-6" />
       <div className="bg-white shadow rounded-lg p-6">
-        {loading && <p className="text-gray-600">Loading posts...</p>}
-        {error && <p className="text-red-500">{error}</p>}
-        {!loading && !error && posts.length === 0 && (
+        {!loading && !error && !hasMore && posts.length === 0 && (
           <p className="text-gray-600">No posts found.</p>
         )}
-        {!loading && !error && posts.length > 0 && (
+        {posts.length > 0 && (
           <ul className="space-y-4">
             {posts.map((post) => (
               <li key={post._id} className="border-b pb-2">
-                <h2 className="text-xl font-semibold">{post.title}</h2>
-                <p className="text-gray-700">{post.content}</p>
-                <p className="text-sm text-gray-500">By {post.author?.username || 'Unknown'}</p>
+                <Link to={`/p/${post.slug}`} className="text-xl font-semibold text-blue-600 hover:underline">
+                  {post.title}
+                </Link>
+                <p className="text-gray-700">{post.excerpt || post.content}</p>
+                <p className="text-sm text-gray-500">
+                  By {post.author?.username || 'Unknown'}
+                  {post.readingTime && ` · ${post.readingTime} min read`}
+                </p>
               </li>
             ))}
           </ul>
         )}
+        {loading && <p className="text-gray-600 mt-4">Loading posts...</p>}
+        {error && (
+          <div className="mt-4">
+            <p className="text-red-500">{error}</p>
+            <button onClick={loadMore} className="text-blue-600 hover:underline text-sm">
+              Try again
+            </button>
+          </div>
+        )}
+        {hasMore && !error && (
+          <div ref={sentinelRef} className="mt-4 text-center">
+            {!loading && (
+              <button onClick={loadMore} className="text-blue-600 hover:underline text-sm">
+                Load more
+              </button>
+            )}
+          </div>
+        )}
       </div>
     </div>
   );
 };
 
-export default PostList; 
\ No newline at end of file
+export default PostList;
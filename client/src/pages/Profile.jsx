@@ -1,22 +1,107 @@
-import React from 'react';
+import React, { useEffect, useState } from 'react';
+import toast from 'react-hot-toast';
 import { useAuth } from '../contexts/AuthContext';
+import { apiUtils, errorHandler } from '../utils/api';
+import Button from '../components/Button';
+import ImageUpload from '../components/ImageUpload';
 
 const Profile = () => {
-  const { user } = useAuth();
+  const { user, logoutAll, updateProfile } = useAuth();
+  const [sessions, setSessions] = useState([]);
+  const [sessionsLoading, setSessionsLoading] = useState(true);
+  const [revoking, setRevoking] = useState(null);
+
+  useEffect(() => {
+    const fetchSessions = async () => {
+      try {
+        const res = await apiUtils.getSessions();
+        setSessions(res.data.data.sessions);
+      } catch (err) {
+        toast.error('Failed to load active sessions');
+      } finally {
+        setSessionsLoading(false);
+      }
+    };
+    fetchSessions();
+  }, []);
+
+  const handleRevoke = async (sessionId) => {
+    setRevoking(sessionId);
+    try {
+      await apiUtils.revokeSession(sessionId);
+      setSessions((prev) => prev.filter((s) => s.id !== sessionId));
+      toast.success('Session revoked');
+    } catch (err) {
+      toast.error(errorHandler.getErrorMessage(err));
+    } finally {
+      setRevoking(null);
+    }
+  };
 
   return (
     <div>
       <h1 className="text-3xl font-bold mb-6">Profile</h1>
       <div className="bg-white shadow rounded-lg p-6">
         <h2 className="text-xl font-semibold mb-4">User Profile</h2>
+        <div className="mb-4">
+          <label htmlFor="avatar" className="block font-semibold mb-1">Avatar</label>
+          <ImageUpload
+            id="avatar"
+            purpose="avatar"
+            variant="medium"
+            value={user?.profile?.avatar || ''}
+            onChange={(url) => updateProfile({ profile: { avatar: url || null } })}
+            previewClassName="w-24 h-24 rounded-full object-cover"
+          />
+        </div>
         <div className="space-y-2">
           <p><strong>Username:</strong> {user?.username}</p>
           <p><strong>Email:</strong> {user?.email}</p>
           <p><strong>Role:</strong> {user?.role}</p>
         </div>
       </div>
+
+      <div className="bg-white shadow rounded-lg p-6 mt-6">
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-xl font-semibold">Active Sessions</h2>
+          <Button variant="danger" size="sm" onClick={logoutAll}>
+            Log out all devices
+          </Button>
+        </div>
+        {sessionsLoading ? (
+          <p className="text-gray-600">Loading sessions...</p>
+        ) : sessions.length === 0 ? (
+          <p className="text-gray-600">No active sessions.</p>
+        ) : (
+          <ul className="divide-y">
+            {sessions.map((session) => (
+              <li key={session.id} className="py-3 flex items-center justify-between">
+                <div>
+                  <p className="font-medium">
+                    {session.userAgent || 'Unknown device'}
+                    {session.current && <span className="ml-2 text-xs text-green-600">(this device)</span>}
+                  </p>
+                  <p className="text-sm text-gray-500">
+                    {session.ip || 'Unknown IP'} · Signed in {new Date(session.startedAt).toLocaleString()} · Last active {new Date(session.lastUsedAt).toLocaleString()}
+                  </p>
+                </div>
+                {!session.current && (
+                  <Button
+                    variant="outline"
+                    size="sm"
+                    disabled={revoking === session.id}
+                    onClick={() => handleRevoke(session.id)}
+                  >
+                    {revoking === session.id ? 'Revoking...' : 'Revoke'}
+                  </Button>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
     </div>
   );
 };
 
-export default Profile; 
\ No newline at end of file
+export default Profile;
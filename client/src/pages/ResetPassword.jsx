@@ -0,0 +1,94 @@
+import React, { useState } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import toast from 'react-hot-toast';
+import { apiUtils, errorHandler } from '../utils/api';
+
+const ResetPassword = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const navigate = useNavigate();
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    if (password !== confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+
+    setLoading(true);
+    try {
+      await apiUtils.resetPassword(token, password);
+      toast.success('Password reset! Please sign in.');
+      navigate('/login');
+    } catch (err) {
+      const details = err.response?.data?.error?.details;
+      setError(Array.isArray(details) && typeof details[0] === 'string'
+        ? details.join(' ')
+        : errorHandler.getErrorMessage(err));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (!token) {
+    return (
+      <div className="max-w-md mx-auto">
+        <h1 className="text-3xl font-bold mb-6">Reset Password</h1>
+        <div className="bg-white shadow rounded-lg p-6">
+          <p className="text-red-500">This reset link is missing its token.</p>
+          <Link to="/forgot-password" className="text-blue-600 hover:underline">Request a new link</Link>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="max-w-md mx-auto">
+      <h1 className="text-3xl font-bold mb-6">Reset Password</h1>
+      <div className="bg-white shadow rounded-lg p-6">
+        {error && <div className="text-red-500 mb-4">{error}</div>}
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div>
+            <label htmlFor="password" className="block font-semibold mb-1">New password</label>
+            <input
+              id="password"
+              type="password"
+              autoComplete="new-password"
+              className="w-full border rounded px-3 py-2"
+              value={password}
+              onChange={e => setPassword(e.target.value)}
+              required
+            />
+          </div>
+          <div>
+            <label htmlFor="confirmPassword" className="block font-semibold mb-1">Confirm new password</label>
+            <input
+              id="confirmPassword"
+              type="password"
+              autoComplete="new-password"
+              className="w-full border rounded px-3 py-2"
+              value={confirmPassword}
+              onChange={e => setConfirmPassword(e.target.value)}
+              required
+            />
+          </div>
+          <button
+            type="submit"
+            className="bg-blue-600 text-white px-6 py-2 rounded hover:bg-blue-700"
+            disabled={loading}
+          >
+            {loading ? 'Saving...' : 'Reset password'}
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default ResetPassword;
@@ -0,0 +1,328 @@
+import React, { useEffect, useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { apiUtils, errorHandler } from '../utils/api';
+
+const FILTER_KEYS = ['q', 'category', 'tags', 'author', 'from', 'to', 'minLikes', 'minViews', 'maxReadingTime', 'sortBy', 'page'];
+
+const SORT_OPTIONS = [
+  { value: '', label: 'Best match' },
+  { value: 'publishedAt', label: 'Newest' },
+  { value: 'likeCount', label: 'Most liked' },
+  { value: 'viewCount', label: 'Most viewed' },
+  { value: 'readingTime', label: 'Longest read' },
+];
+
+// Render highlight segments from the API without injecting HTML
+const Highlighted = ({ segments = [] }) => (
+  <>
+    {segments.map((segment, index) => (
+      segment.highlight
+        ? <mark key={index} className="bg-yellow-200 rounded px-0.5">{segment.text}</mark>
+        : <React.Fragment key={index}>{segment.text}</React.Fragment>
+    ))}
+  </>
+);
+
+const FacetList = ({ title, items, onSelect }) => {
+  if (!items || items.length === 0) return null;
+  return (
+    <div className="mb-6">
+      <h3 className="font-semibold text-gray-700 mb-2">{title}</h3>
+      <ul className="space-y-1 text-sm">
+        {items.map((item) => (
+          <li key={item.key}>
+            <button
+              onClick={() => onSelect(item)}
+              className="w-full flex justify-between text-left text-blue-600 hover:underline"
+            >
+              <span>{item.label}</span>
+              <span className="text-gray-400">{item.count}</span>
+            </button>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+const SearchResults = () => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [input, setInput] = useState(searchParams.get('q') || '');
+  const [results, setResults] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  // Names for category IDs in the URL, so chips stay readable after navigation
+  const [categoryNames, setCategoryNames] = useState({});
+
+  useEffect(() => {
+    const fetchResults = async () => {
+      setLoading(true);
+      try {
+        const params = {};
+        FILTER_KEYS.forEach((key) => {
+          const value = searchParams.get(key);
+          if (value) params[key] = value;
+        });
+        const response = await apiUtils.advancedSearch(params);
+        const data = response.data.data;
+        setResults(data);
+        setCategoryNames((prev) => {
+          const next = { ...prev };
+          data.facets.categories.forEach((category) => {
+            if (category.name) next[category._id] = category.name;
+          });
+          return next;
+        });
+        setError(null);
+      } catch (err) {
+        setError(errorHandler.getErrorMessage(err));
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchResults();
+  }, [searchParams]);
+
+  // Any filter change goes back to the first page
+  const updateParams = (changes) => {
+    const next = new URLSearchParams(searchParams);
+    Object.entries(changes).forEach(([key, value]) => {
+      if (value === null || value === undefined || value === '') next.delete(key);
+      else next.set(key, value);
+    });
+    if (!('page' in changes)) next.delete('page');
+    setSearchParams(next);
+  };
+
+  const tags = (searchParams.get('tags') || '').split(',').filter(Boolean);
+
+  const addTag = (tag) => {
+    if (!tags.includes(tag)) updateParams({ tags: [...tags, tag].join(',') });
+  };
+
+  const removeTag = (tag) => {
+    updateParams({ tags: tags.filter((existing) => existing !== tag).join(',') });
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    updateParams({ q: input.trim() });
+  };
+
+  // One chip per active filter; each removes just that filter
+  const chips = [];
+  if (searchParams.get('q')) {
+    chips.push({ key: 'q', label: `"${searchParams.get('q')}"`, onRemove: () => { setInput(''); updateParams({ q: null }); } });
+  }
+  if (searchParams.get('category')) {
+    const id = searchParams.get('category');
+    chips.push({ key: 'category', label: `Category: ${categoryNames[id] || 'selected'}`, onRemove: () => updateParams({ category: null }) });
+  }
+  tags.forEach((tag) => {
+    chips.push({ key: `tag-${tag}`, label: `#${tag}`, onRemove: () => removeTag(tag) });
+  });
+  if (searchParams.get('author')) {
+    chips.push({ key: 'author', label: `Author: ${searchParams.get('author')}`, onRemove: () => updateParams({ author: null }) });
+  }
+  if (searchParams.get('from')) {
+    chips.push({ key: 'from', label: `From ${searchParams.get('from')}`, onRemove: () => updateParams({ from: null }) });
+  }
+  if (searchParams.get('to')) {
+    chips.push({ key: 'to', label: `To ${searchParams.get('to')}`, onRemove: () => updateParams({ to: null }) });
+  }
+  if (searchParams.get('minLikes')) {
+    chips.push({ key: 'minLikes', label: `${searchParams.get('minLikes')}+ likes`, onRemove: () => updateParams({ minLikes: null }) });
+  }
+  if (searchParams.get('minViews')) {
+    chips.push({ key: 'minViews', label: `${searchParams.get('minViews')}+ views`, onRemove: () => updateParams({ minViews: null }) });
+  }
+  if (searchParams.get('maxReadingTime')) {
+    chips.push({ key: 'maxReadingTime', label: `Under ${searchParams.get('maxReadingTime')} min`, onRemove: () => updateParams({ maxReadingTime: null }) });
+  }
+
+  const facets = results?.facets;
+  const pagination = results?.pagination;
+
+  return (
+    <div>
+      <h1 className="text-3xl font-bold mb-6">Search</h1>
+
+      <form onSubmit={handleSubmit} className="flex gap-2 mb-4">
+        <input
+          type="search"
+          value={input}
+          onChange={(e) => setInput(e.target.value)}
+          placeholder="Search posts"
+          aria-label="Search posts"
+          className="flex-1 border rounded px-3 py-2"
+        />
+        <button type="submit" className="bg-blue-600 hover:bg-blue-700 text-white font-semibold px-4 py-2 rounded">
+          Search
+        </button>
+      </form>
+
+      <div className="flex flex-wrap items-center gap-2 mb-4 text-sm">
+        {chips.map((chip) => (
+          <span key={chip.key} className="inline-flex items-center bg-blue-100 text-blue-800 rounded-full px-3 py-1">
+            {chip.label}
+            <button
+              type="button"
+              onClick={chip.onRemove}
+              className="ml-2 text-blue-600 hover:text-blue-900"
+              aria-label={`Remove filter ${chip.label}`}
+            >
+              &times;
+            </button>
+          </span>
+        ))}
+        {chips.length > 1 && (
+          <button onClick={() => { setInput(''); setSearchParams({}); }} className="text-gray-500 hover:underline">
+            Clear all
+          </button>
+        )}
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-4 gap-6">
+        <aside className="bg-white shadow rounded-lg p-4 md:col-span-1">
+          <div className="mb-6 space-y-2 text-sm">
+            <label className="block">
+              <span className="text-gray-700">Sort by</span>
+              <select
+                value={searchParams.get('sortBy') || ''}
+                onChange={(e) => updateParams({ sortBy: e.target.value })}
+                className="mt-1 w-full border rounded px-2 py-1"
+              >
+                {SORT_OPTIONS.map((option) => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+            </label>
+            <label className="block">
+              <span className="text-gray-700">Published from</span>
+              <input
+                type="date"
+                value={searchParams.get('from') || ''}
+                onChange={(e) => updateParams({ from: e.target.value })}
+                className="mt-1 w-full border rounded px-2 py-1"
+              />
+            </label>
+            <label className="block">
+              <span className="text-gray-700">Published to</span>
+              <input
+                type="date"
+                value={searchParams.get('to') || ''}
+                onChange={(e) => updateParams({ to: e.target.value })}
+                className="mt-1 w-full border rounded px-2 py-1"
+              />
+            </label>
+            <label className="block">
+              <span className="text-gray-700">Minimum likes</span>
+              <input
+                type="number"
+                min="0"
+                value={searchParams.get('minLikes') || ''}
+                onChange={(e) => updateParams({ minLikes: e.target.value })}
+                className="mt-1 w-full border rounded px-2 py-1"
+              />
+            </label>
+            <label className="block">
+              <span className="text-gray-700">Minimum views</span>
+              <input
+                type="number"
+                min="0"
+                value={searchParams.get('minViews') || ''}
+                onChange={(e) => updateParams({ minViews: e.target.value })}
+                className="mt-1 w-full border rounded px-2 py-1"
+              />
+            </label>
+            <label className="block">
+              <span className="text-gray-700">Maximum reading time (minutes)</span>
+              <input
+                type="number"
+                min="1"
+                value={searchParams.get('maxReadingTime') || ''}
+                onChange={(e) => updateParams({ maxReadingTime: e.target.value })}
+                className="mt-1 w-full border rounded px-2 py-1"
+              />
+            </label>
+          </div>
+
+          {facets && (
+            <>
+              <FacetList
+                title="Categories"
+                items={facets.categories.map((c) => ({ key: c._id, label: c.name || 'Uncategorized', count: c.count, id: c._id }))}
+                onSelect={(item) => updateParams({ category: item.id })}
+              />
+              <FacetList
+                title="Tags"
+                items={facets.tags.filter((t) => !tags.includes(t.name)).map((t) => ({ key: t.name, label: `#${t.name}`, count: t.count, name: t.name }))}
+                onSelect={(item) => addTag(item.name)}
+              />
+              <FacetList
+                title="Authors"
+                items={facets.authors.map((a) => ({ key: a._id, label: a.username || 'Unknown', count: a.count, username: a.username }))}
+                onSelect={(item) => item.username && updateParams({ author: item.username })}
+              />
+            </>
+          )}
+        </aside>
+
+        <section className="bg-white shadow rounded-lg p-6 md:col-span-3">
+          {loading && <p className="text-gray-600">Searching...</p>}
+          {error && <p className="text-red-500">{error}</p>}
+          {!loading && !error && results && results.posts.length === 0 && (
+            <p className="text-gray-600">No posts match these filters.</p>
+          )}
+          {!loading && !error && results && results.posts.length > 0 && (
+            <>
+              <p className="text-sm text-gray-500 mb-4">
+                {pagination.totalItems} result{pagination.totalItems === 1 ? '' : 's'}
+              </p>
+              <ul className="space-y-4">
+                {results.posts.map((post) => (
+                  <li key={post._id} className="border-b pb-3">
+                    <Link to={`/p/${post.slug}`} className="text-xl font-semibold text-blue-600 hover:underline">
+                      <Highlighted segments={post.highlights?.title} />
+                    </Link>
+                    <p className="text-gray-700 mt-1">
+                      <Highlighted segments={post.highlights?.snippet} />
+                    </p>
+                    <p className="text-sm text-gray-500 mt-1">
+                      By {post.author?.username || 'Unknown'}
+                      {post.category?.name && ` in ${post.category.name}`}
+                      {post.publishedAt && ` · ${new Date(post.publishedAt).toLocaleDateString()}`}
+                      {post.readingTime && ` · ${post.readingTime} min read`}
+                      {` · ${post.likeCount || 0} likes · ${post.viewCount || 0} views`}
+                    </p>
+                  </li>
+                ))}
+              </ul>
+            </>
+          )}
+          {pagination && pagination.totalPages > 1 && (
+            <div className="flex justify-between items-center mt-6 text-sm">
+              <button
+                onClick={() => updateParams({ page: pagination.currentPage - 1 })}
+                disabled={!pagination.hasPrevPage}
+                className="text-blue-600 hover:underline disabled:text-gray-400 disabled:no-underline"
+              >
+                Previous
+              </button>
+              <span className="text-gray-500">Page {pagination.currentPage} of {pagination.totalPages}</span>
+              <button
+                onClick={() => updateParams({ page: pagination.currentPage + 1 })}
+                disabled={!pagination.hasNextPage}
+                className="text-blue-600 hover:underline disabled:text-gray-400 disabled:no-underline"
+              >
+                Next
+              </button>
+            </div>
+          )}
+        </section>
+      </div>
+    </div>
+  );
+};
+
+export default SearchResults;
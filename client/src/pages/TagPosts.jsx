@@ -0,0 +1,83 @@
+import React, { useEffect, useState } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { apiUtils, errorHandler } from '../utils/api';
+import FeedLinks from '../components/FeedLinks';
+
+const TagPosts = () => {
+  const { tag } = useParams();
+  const [posts, setPosts] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [page, setPage] = useState(1);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  // Start from the first page whenever the tag changes
+  useEffect(() => {
+    setPage(1);
+  }, [tag]);
+
+  useEffect(() => {
+    const fetchPosts = async () => {
+      setLoading(true);
+      try {
+        const response = await apiUtils.getPostsByTag(tag, { page, limit: 10 });
+        setPosts(response.data.data.posts);
+        setPagination(response.data.data.pagination);
+        setError(null);
+      } catch (err) {
+        setError(errorHandler.getErrorMessage(err));
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchPosts();
+  }, [tag, page]);
+
+  return (
+    <div>
+      <h1 className="text-3xl font-bold mb-2">Posts tagged &ldquo;{tag}&rdquo;</h1>
+      <FeedLinks scope={`tags/${encodeURIComponent(tag)}`} className="mb-6" />
+      <div className="bg-white shadow rounded-lg p-6">
+        {loading && <p className="text-gray-600">Loading posts...</p>}
+        {error && <p className="text-red-500">{error}</p>}
+        {!loading && !error && posts.length === 0 && (
+          <p className="text-gray-600">No posts found.</p>
+        )}
+        {!loading && !error && posts.length > 0 && (
+          <ul className="space-y-4">
+            {posts.map((post) => (
+              <li key={post._id} className="border-b pb-2">
+                <Link to={`/p/${post.slug}`} className="text-xl font-semibold text-blue-600 hover:underline">
+                  {post.title}
+                </Link>
+                {post.excerpt && <p className="text-gray-700">{post.excerpt}</p>}
+                <p className="text-sm text-gray-500">By {post.author?.username || 'Unknown'}</p>
+              </li>
+            ))}
+          </ul>
+        )}
+        {pagination && pagination.totalPages > 1 && (
+          <div className="flex justify-between items-center mt-6 text-sm">
+            <button
+              onClick={() => setPage(p => p - 1)}
+              disabled={!pagination.hasPrevPage}
+              className="text-blue-600 hover:underline disabled:text-gray-400 disabled:no-underline"
+            >
+              Previous
+            </button>
+            <span className="text-gray-500">Page {pagination.currentPage} of {pagination.totalPages}</span>
+            <button
+              onClick={() => setPage(p => p + 1)}
+              disabled={!pagination.hasNextPage}
+              className="text-blue-600 hover:underline disabled:text-gray-400 disabled:no-underline"
+            >
+              Next
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default TagPosts;
@@ -0,0 +1,51 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { useQueryClient } from 'react-query';
+import { apiUtils, errorHandler } from '../utils/api';
+
+const VerifyEmail = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const queryClient = useQueryClient();
+  const [status, setStatus] = useState(token ? 'verifying' : 'error');
+  const [error, setError] = useState(token ? '' : 'This verification link is missing its token.');
+  // Tokens are single-use, so guard against StrictMode running the effect twice
+  const attempted = useRef(false);
+
+  useEffect(() => {
+    if (!token || attempted.current) return;
+    attempted.current = true;
+
+    const verify = async () => {
+      try {
+        await apiUtils.verifyEmail(token);
+        setStatus('verified');
+        queryClient.invalidateQueries(['user', 'me']);
+      } catch (err) {
+        setStatus('error');
+        setError(errorHandler.getErrorMessage(err));
+      }
+    };
+    verify();
+  }, [token, queryClient]);
+
+  return (
+    <div className="max-w-md mx-auto">
+      <h1 className="text-3xl font-bold mb-6">Verify Email</h1>
+      <div className="bg-white shadow rounded-lg p-6">
+        {status === 'verifying' && <p className="text-gray-600">Verifying your email address...</p>}
+        {status === 'verified' && (
+          <p className="text-green-600">
+            Your email address is verified. You can now submit posts for approval.
+          </p>
+        )}
+        {status === 'error' && <p className="text-red-500">{error}</p>}
+        <div className="mt-4 text-sm">
+          <Link to="/dashboard" className="text-blue-600 hover:underline">Go to dashboard</Link>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default VerifyEmail;
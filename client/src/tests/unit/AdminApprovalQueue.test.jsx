@@ -0,0 +1,172 @@
+import React from 'react';
+import { act, render, screen, fireEvent, waitFor } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import { MemoryRouter } from 'react-router-dom';
+import toast from 'react-hot-toast';
+import AdminApprovalQueue from '../../pages/AdminApprovalQueue';
+import api, { apiUtils } from '../../utils/api';
+
+jest.mock('react-hot-toast', () => ({
+  __esModule: true,
+  default: { success: jest.fn(), error: jest.fn() },
+}));
+
+jest.mock('../../utils/api', () => ({
+  __esModule: true,
+  default: { get: jest.fn(), post: jest.fn() },
+  apiUtils: {
+    getPendingPosts: jest.fn(),
+    getRejectionTemplates: jest.fn(),
+    bulkModeratePosts: jest.fn(),
+    getRevisionDiff: jest.fn(),
+  },
+  errorHandler: { getErrorMessage: (err) => err.message },
+}));
+
+jest.mock('../../contexts/AuthContext', () => ({
+  useAuth: jest.fn(),
+}));
+
+const { useAuth } = require('../../contexts/AuthContext');
+
+const PERMISSIONS = ['posts:review', 'posts:approve', 'posts:reject'];
+
+const POSTS = [
+  { _id: 'p1', title: 'First post', author: { username: 'ada' }, category: { name: 'Tech' } },
+  { _id: 'p2', title: 'Second post', author: { username: 'ada' }, category: { name: 'Tech' } },
+  { _id: 'p3', title: 'Third post', author: { username: 'bob' }, category: { name: 'Web' } },
+];
+
+const TEMPLATES = [{ _id: 't1', title: 'Needs sources' }];
+
+const renderQueue = async () => {
+  render(
+    <MemoryRouter>
+      <AdminApprovalQueue />
+    </MemoryRouter>
+  );
+  await screen.findByText('First post');
+  // The shortcut listener is re-subscribed in an effect after each render,
+  // which React runs after the loaded posts have been painted
+  await act(() => new Promise((resolve) => setTimeout(resolve, 0)));
+};
+
+const press = (key) => fireEvent.keyDown(document.body, { key });
+
+const rowOf = (title) => screen.getByText(title).closest('tr');
+
+describe('AdminApprovalQueue', () => {
+  beforeAll(() => {
+    // jsdom does not lay out, so it has no scrollIntoView
+    Element.prototype.scrollIntoView = jest.fn();
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    useAuth.mockReturnValue({
+      user: { username: 'moderator', permissions: PERMISSIONS },
+      token: 'token',
+      hasPermission: (permission) => PERMISSIONS.includes(permission),
+    });
+    api.get.mockResolvedValue({ data: { data: { categories: [] } } });
+    apiUtils.getPendingPosts.mockResolvedValue({ data: { data: { posts: POSTS } } });
+    apiUtils.getRejectionTemplates.mockResolvedValue({ data: { data: { templates: TEMPLATES } } });
+    apiUtils.bulkModeratePosts.mockImplementation(({ action, ids }) => Promise.resolve({
+      data: {
+        message: `Done with ${ids.length} posts`,
+        data: {
+          results: ids.map((id) => ({ id, success: true, status: action === 'approve' ? 'published' : 'rejected' })),
+          summary: { requested: ids.length, succeeded: ids.length, failed: 0 },
+        },
+      },
+    }));
+    jest.spyOn(window, 'confirm').mockReturnValue(true);
+  });
+
+  afterEach(() => {
+    window.confirm.mockRestore();
+  });
+
+  it('moves the cursor with j and k and selects the current row with x', async () => {
+    await renderQueue();
+
+    expect(rowOf('First post')).toHaveClass('bg-blue-50');
+
+    press('j');
+    press('j');
+    press('j');
+    expect(rowOf('Third post')).toHaveClass('bg-blue-50');
+
+    press('k');
+    expect(rowOf('Second post')).toHaveClass('bg-blue-50');
+    expect(rowOf('Third post')).not.toHaveClass('bg-blue-50');
+
+    press('x');
+    expect(screen.getByLabelText('Select Second post')).toBeChecked();
+    expect(screen.getByText('1 selected')).toBeInTheDocument();
+
+    press('x');
+    expect(screen.getByLabelText('Select Second post')).not.toBeChecked();
+  });
+
+  it('ignores shortcuts typed into a field', async () => {
+    await renderQueue();
+
+    fireEvent.keyDown(screen.getByLabelText('Filter by author'), { key: 'x' });
+
+    expect(screen.getByLabelText('Select First post')).not.toBeChecked();
+  });
+
+  it('approves the selected posts with A', async () => {
+    await renderQueue();
+
+    press('x');
+    press('j');
+    press('x');
+    press('A');
+
+    await waitFor(() => expect(apiUtils.bulkModeratePosts).toHaveBeenCalledWith({ action: 'approve', ids: ['p1', 'p2'] }));
+    await waitFor(() => expect(screen.queryByText('First post')).not.toBeInTheDocument());
+    expect(screen.getByText('Third post')).toBeInTheDocument();
+  });
+
+  it('rejects the selected posts with R, sending each typed reason', async () => {
+    await renderQueue();
+
+    fireEvent.click(screen.getByLabelText('Select all posts'));
+    fireEvent.change(document.getElementById('reason-p2'), { target: { value: 'This duplicates another post.' } });
+    fireEvent.change(screen.getByLabelText('Shared rejection reason'), { target: { value: 'Please add sources.' } });
+    press('R');
+
+    await waitFor(() => expect(apiUtils.bulkModeratePosts).toHaveBeenCalledWith({
+      action: 'reject',
+      ids: ['p1', 'p2', 'p3'],
+      reasons: { p2: 'This duplicates another post.' },
+      reason: 'Please add sources.',
+    }));
+  });
+
+  it('will not bulk reject a post that has its own template', async () => {
+    await renderQueue();
+
+    press('x');
+    press('j');
+    press('x');
+    fireEvent.change(screen.getAllByLabelText('Rejection template')[1], { target: { value: 't1' } });
+    fireEvent.change(screen.getByLabelText('Shared rejection reason'), { target: { value: 'Please add sources.' } });
+    press('R');
+
+    expect(toast.error).toHaveBeenCalledWith(expect.stringContaining('has its own template'));
+    expect(apiUtils.bulkModeratePosts).not.toHaveBeenCalled();
+  });
+
+  it('clears the selection with Escape', async () => {
+    await renderQueue();
+
+    press('x');
+    expect(screen.getByText('1 selected')).toBeInTheDocument();
+
+    press('Escape');
+    expect(screen.queryByText('1 selected')).not.toBeInTheDocument();
+  });
+});
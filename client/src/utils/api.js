@@ -33,6 +33,31 @@ api.interceptors.request.use(
   }
 );
 
+// Requests whose 401 means bad credentials rather than an expired token
+const SESSION_ENDPOINTS = ['/auth/login', '/auth/register', '/auth/refresh', '/auth/logout'];
+
+// Shared in-flight refresh so parallel 401s trigger a single rotation
+let refreshPromise = null;
+
+const refreshSession = () => {
+  if (!refreshPromise) {
+    const refreshToken = localStorage.getItem('refreshToken');
+    refreshPromise = axios
+      .post(`${api.defaults.baseURL}/auth/refresh`, { refreshToken })
+      .then((res) => {
+        const { token, refreshToken: nextRefreshToken } = res.data.data;
+        localStorage.setItem('token', token);
+        localStorage.setItem('refreshToken', nextRefreshToken);
+        api.defaults.headers.common['Authorization'] = `Bearer ${token}`;
+        return token;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+};
+
 // Response interceptor for debugging
 api.interceptors.response.use(
   (response) => {
@@ -69,9 +94,36 @@ api.interceptors.response.use(
     }
 
     // Handle specific error cases
+    const originalRequest = error.config;
+    if (
+      error.response?.status === 401 &&
+      originalRequest &&
+      !originalRequest._retry &&
+      !SESSION_ENDPOINTS.includes(originalRequest.url) &&
+      localStorage.getItem('refreshToken')
+    ) {
+      // Access token expired or session rotated - try once with a fresh token
+      originalRequest._retry = true;
+      return refreshSession()
+        .then((token) => {
+          originalRequest.headers = {
+            ...originalRequest.headers,
+            Authorization: `Bearer ${token}`,
+          };
+          return api(originalRequest);
+        })
+        .catch(() => {
+          localStorage.removeItem('token');
+          localStorage.removeItem('refreshToken');
+          window.location.href = '/login';
+          return Promise.reject(error);
+        });
+    }
+
     if (error.response?.status === 401) {
       // Unauthorized - clear token and redirect to login
       localStorage.removeItem('token');
+      localStorage.removeItem('refreshToken');
       window.location.href = '/login';
     }
 
@@ -91,9 +143,16 @@ api.interceptors.response.use(
 
 // API utility functions
 export const apiUtils = {
-  // Get posts with pagination and filters
+  // Get posts with pagination and filters. Passing cursor switches to cursor
+  // pagination: null for the first page, then the previous response's nextCursor.
   getPosts: (params = {}) => {
-    return api.get('/posts', { params });
+    const { cursor, ...rest } = params;
+    if (cursor === undefined) {
+      return api.get('/posts', { params: rest });
+    }
+    return api.get('/posts', {
+      params: cursor ? { ...rest, cursor } : { ...rest, paginate: 'cursor' },
+    });
   },
 
   // Get single post
@@ -101,6 +160,17 @@ export const apiUtils = {
     return api.get(`/posts/${id}`);
   },
 
+  // Get single post by its public slug. Old slugs are redirected by the
+  // server, so the returned post's slug may differ from the one requested.
+  getPostBySlug: (slug) => {
+    return api.get(`/posts/slug/${encodeURIComponent(slug)}`);
+  },
+
+  // Get published posts that share tags or a category with a post
+  getRelatedPosts: (id, params = {}) => {
+    return api.get(`/posts/${id}/related`, { params });
+  },
+
   // Create post
   createPost: (data) => {
     return api.post('/posts', data);
@@ -111,21 +181,214 @@ export const apiUtils = {
     return api.put(`/posts/${id}`, data);
   },
 
+  // Submit a draft, or resubmit a rejected post, for approval
+  submitPost: (id, data = {}) => {
+    return api.post(`/posts/${id}/submit`, data);
+  },
+
+  // Get the approval queue; params filter by author, category and minAgeHours/maxAgeHours
+  getPendingPosts: (params = {}) => {
+    return api.get('/posts/pending/approval', { params });
+  },
+
+  // Approve or reject many posts: { action, ids, reason, templateId, notes, reasons, publishAt }
+  bulkModeratePosts: (data) => {
+    return api.post('/posts/bulk/moderate', data);
+  },
+
+  // Get rejection templates; params may filter by category
+  getRejectionTemplates: (params = {}) => {
+    return api.get('/rejection-templates', { params });
+  },
+
+  // Create a rejection template (admin only)
+  createRejectionTemplate: (data) => {
+    return api.post('/rejection-templates', data);
+  },
+
+  // Update a rejection template (admin only)
+  updateRejectionTemplate: (id, data) => {
+    return api.put(`/rejection-templates/${id}`, data);
+  },
+
+  // Delete a rejection template (admin only)
+  deleteRejectionTemplate: (id) => {
+    return api.delete(`/rejection-templates/${id}`);
+  },
+
+  // Get how often each rejection reason was used; params are optional from/to dates
+  getRejectionReasonReport: (params = {}) => {
+    return api.get('/rejection-templates/reports/usage', { params });
+  },
+
+  // Render Markdown the way a saved post would be rendered
+  previewMarkdown: (content) => {
+    return api.post('/posts/preview', { content });
+  },
+
   // Delete post
   deletePost: (id) => {
     return api.delete(`/posts/${id}`);
   },
 
+  // Get a post's daily views; params are optional from/to dates
+  getPostViews: (id, params = {}) => {
+    return api.get(`/posts/${id}/views`, { params });
+  },
+
+  // Get the current user's author statistics; params are optional from/to dates
+  getMyStats: (params = {}) => {
+    return api.get('/users/me/stats', { params });
+  },
+
+  // Get daily views across the current user's posts
+  getMyViews: (params = {}) => {
+    return api.get('/users/me/views', { params });
+  },
+
   // Like/unlike post
   toggleLike: (id) => {
     return api.post(`/posts/${id}/like`);
   },
 
+  // Get threaded comments for a post
+  getComments: (postId, params = {}) => {
+    return api.get(`/posts/${postId}/comments`, { params });
+  },
+
+  // Add a comment or reply
+  createComment: (postId, data) => {
+    return api.post(`/posts/${postId}/comments`, data);
+  },
+
+  // Edit a comment
+  updateComment: (postId, commentId, data) => {
+    return api.put(`/posts/${postId}/comments/${commentId}`, data);
+  },
+
+  // Delete a comment
+  deleteComment: (postId, commentId) => {
+    return api.delete(`/posts/${postId}/comments/${commentId}`);
+  },
+
+  // Get a comment's edit history
+  getCommentHistory: (postId, commentId) => {
+    return api.get(`/posts/${postId}/comments/${commentId}/history`);
+  },
+
+  // List a post's revisions
+  getRevisions: (postId) => {
+    return api.get(`/posts/${postId}/revisions`);
+  },
+
+  // Diff two revisions; from may be 'reviewed' for the last approved/rejected version
+  getRevisionDiff: (postId, params = {}) => {
+    return api.get(`/posts/${postId}/revisions/diff`, { params });
+  },
+
+  // Restore a post to an earlier revision
+  restoreRevision: (postId, revision) => {
+    return api.post(`/posts/${postId}/revisions/${revision}/restore`);
+  },
+
+  // Get the most used tags
+  getTopTags: (params = {}) => {
+    return api.get('/tags', { params });
+  },
+
+  // Suggest tags that start with a prefix
+  autocompleteTags: (q, params = {}) => {
+    return api.get('/tags/autocomplete', { params: { q, ...params } });
+  },
+
+  // Absolute URL of a feed, for feed readers rather than for api.get.
+  // scope is '' for the whole blog, or e.g. 'tags/react' or 'authors/ada'.
+  getFeedUrl: (scope = '', format = 'rss') => {
+    return [api.defaults.baseURL, 'feeds', scope, format].filter(Boolean).join('/');
+  },
+
+  // Get published posts with a tag
+  getPostsByTag: (tag, params = {}) => {
+    return api.get(`/tags/${encodeURIComponent(tag)}/posts`, { params });
+  },
+
+  // Rename a tag (admin only)
+  renameTag: (tag, name) => {
+    return api.put(`/tags/${encodeURIComponent(tag)}`, { name });
+  },
+
+  // Merge tags into one (admin only)
+  mergeTags: (sources, target) => {
+    return api.post('/tags/merge', { sources, target });
+  },
+
   // Search posts
   searchPosts: (query, params = {}) => {
     return api.get(`/posts/search/${encodeURIComponent(query)}`, { params });
   },
 
+  // Faceted search with filters (category, tags, author, from, to, minLikes, minViews)
+  advancedSearch: (params = {}) => {
+    return api.get('/posts/search', { params });
+  },
+
+  // Upload an image (purpose: post or avatar); onProgress receives 0-100
+  uploadImage: (file, purpose, onProgress) => {
+    const data = new FormData();
+    data.append('purpose', purpose);
+    data.append('file', file);
+    return api.post('/uploads', data, {
+      headers: { 'Content-Type': 'multipart/form-data' },
+      // Large images take longer than the default timeout
+      timeout: 60000,
+      onUploadProgress: (event) => {
+        if (onProgress && event.total) {
+          onProgress(Math.round((event.loaded / event.total) * 100));
+        }
+      }
+    });
+  },
+
+  // Delete an unused upload
+  deleteUpload: (id) => {
+    return api.delete(`/uploads/${id}`);
+  },
+
+  // Request a password reset email
+  forgotPassword: (email) => {
+    return api.post('/auth/forgot-password', { email });
+  },
+
+  // Set a new password with a reset token
+  resetPassword: (token, password) => {
+    return api.post('/auth/reset-password', { token, password });
+  },
+
+  // Confirm an email address
+  verifyEmail: (token) => {
+    return api.post('/auth/verify-email', { token });
+  },
+
+  // Send a new verification email
+  resendVerification: () => {
+    return api.post('/auth/resend-verification');
+  },
+
+  // List active sessions for the current user
+  getSessions: () => {
+    return api.get('/auth/sessions');
+  },
+
+  // Revoke one session
+  revokeSession: (sessionId) => {
+    return api.delete(`/auth/sessions/${sessionId}`);
+  },
+
+  // Log out from every device
+  logoutAll: () => {
+    return api.post('/auth/logout-all');
+  },
+
   // Get user profile
   getUserProfile: (id) => {
     return api.get(`/users/${id}`);
@@ -151,6 +414,11 @@ export const apiUtils = {
     return api.get('/users/stats/overview');
   },
 
+  // Get content statistics (admin only); params are optional from/to dates
+  getAdminStats: (params = {}) => {
+    return api.get('/admin/stats', { params });
+  },
+
   // Deactivate user (admin only)
   deactivateUser: (id) => {
     return api.post(`/users/${id}/deactivate`);
@@ -0,0 +1,17 @@
+// Shared formatting for the statistics pages
+
+// Bar colour for each post status
+export const POST_STATUS_COLORS = {
+  draft: 'bg-gray-400',
+  pending: 'bg-yellow-400',
+  scheduled: 'bg-indigo-400',
+  published: 'bg-green-500',
+  rejected: 'bg-red-500',
+  archived: 'bg-gray-300',
+};
+
+// Durations come from the API in hours; long ones read better in days
+export const formatHours = (hours) => {
+  if (hours === null || hours === undefined) return '—';
+  return hours >= 48 ? `${Math.round((hours / 24) * 10) / 10} days` : `${hours} h`;
+};
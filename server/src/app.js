@@ -12,11 +12,24 @@ const authRoutes = require('./routes/auth');
 const postRoutes = require('./routes/posts');
 const userRoutes = require('./routes/users');
 const categoryRoutes = require('./routes/categories');
+const tagRoutes = require('./routes/tags');
+const auditRoutes = require('./routes/audit');
+const uploadRoutes = require('./routes/uploads');
+const feedRoutes = require('./routes/feeds');
+const adminRoutes = require('./routes/admin');
+const rejectionTemplateRoutes = require('./routes/rejectionTemplates');
 const testRoutes = require('./routes/test');
 
+// Import models
+const Post = require('./models/Post');
+const User = require('./models/User');
+
 // Import middleware
 const { errorHandler } = require('./middleware/errorHandler');
 const logger = require('./utils/logger');
+const { getScheduler } = require('./utils/scheduler');
+const { getStorage } = require('./utils/storage');
+const { getUploadCleaner } = require('./utils/uploads');
 
 const app = express();
 
@@ -75,11 +88,30 @@ app.get('/health', (req, res) => {
   });
 });
 
+// Uploaded images, when they are stored on local disk. Helmet's default
+// Cross-Origin-Resource-Policy would stop the client's origin embedding them.
+if (getStorage().name === 'local') {
+  app.use('/uploads', express.static(getStorage().directory, {
+    maxAge: '30d',
+    immutable: true,
+    setHeaders: (res) => {
+      res.set('Cross-Origin-Resource-Policy', 'cross-origin');
+      res.set('X-Content-Type-Options', 'nosniff');
+    }
+  }));
+}
+
 // API routes
 app.use('/api/auth', authRoutes);
 app.use('/api/posts', postRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/categories', categoryRoutes);
+app.use('/api/tags', tagRoutes);
+app.use('/api/audit-logs', auditRoutes);
+app.use('/api/uploads', uploadRoutes);
+app.use('/api/feeds', feedRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/rejection-templates', rejectionTemplateRoutes);
 app.use('/api/test', testRoutes);
 
 // 404 handler
@@ -108,6 +140,8 @@ const connectDB = async () => {
 // Graceful shutdown
 process.on('SIGTERM', () => {
   logger.info('SIGTERM received, shutting down gracefully');
+  getScheduler().stop();
+  getUploadCleaner().stop();
   mongoose.connection.close(() => {
     logger.info('MongoDB connection closed');
     process.exit(0);
@@ -116,6 +150,8 @@ process.on('SIGTERM', () => {
 
 process.on('SIGINT', () => {
   logger.info('SIGINT received, shutting down gracefully');
+  getScheduler().stop();
+  getUploadCleaner().stop();
   mongoose.connection.close(() => {
     logger.info('MongoDB connection closed');
     process.exit(0);
@@ -139,6 +175,15 @@ const PORT = process.env.PORT || 5000;
 // Start server
 const startServer = async () => {
   await connectDB();
+  // Before listening, so existing accounts are never refused as unverified
+  await User.verifyLegacyAccounts()
+    .then(count => count > 0 && logger.info(`Marked ${count} accounts from before email verification as verified`))
+    .catch(error => logger.error('Verifying existing accounts failed', { error: error.message }));
+  Post.renderStale()
+    .then(count => count > 0 && logger.info(`Rendered ${count} posts saved by an older renderer`))
+    .catch(error => logger.error('Rendering stale posts failed', { error: error.message }));
+  getScheduler().start();
+  getUploadCleaner().start();
   app.listen(PORT, () => {
     logger.info(`Server running on port ${PORT}`);
     logger.info(`Environment: ${process.env.NODE_ENV || 'development'}`);
@@ -0,0 +1,63 @@
+// Permission map shared by the API and (via the user profile) the client.
+// Routes check permissions rather than roles so a role can be widened or
+// narrowed here without touching every route.
+
+const PERMISSIONS = {
+  POSTS_REVIEW: 'posts:review',
+  POSTS_APPROVE: 'posts:approve',
+  POSTS_REJECT: 'posts:reject',
+  POSTS_EDIT_ANY: 'posts:edit_any',
+  POSTS_DELETE_ANY: 'posts:delete_any',
+  COMMENTS_MODERATE: 'comments:moderate',
+  COMMENTS_EDIT_ANY: 'comments:edit_any',
+  USERS_VIEW: 'users:view',
+  USERS_DEACTIVATE: 'users:deactivate',
+  USERS_MANAGE: 'users:manage',
+  CATEGORIES_MANAGE: 'categories:manage',
+  TAGS_MANAGE: 'tags:manage',
+  STATS_VIEW: 'stats:view',
+  AUDIT_VIEW: 'audit:view',
+  UPLOADS_MANAGE: 'uploads:manage',
+  REJECTION_TEMPLATES_MANAGE: 'rejection_templates:manage'
+};
+
+const ROLE_PERMISSIONS = {
+  user: [],
+  // Moderators work the approval queue and keep comments civil
+  moderator: [
+    PERMISSIONS.POSTS_REVIEW,
+    PERMISSIONS.POSTS_APPROVE,
+    PERMISSIONS.POSTS_REJECT,
+    PERMISSIONS.COMMENTS_MODERATE
+  ],
+  admin: Object.values(PERMISSIONS)
+};
+
+/**
+ * Get the permissions granted to a role
+ * @param {String} role - User role
+ * @returns {Array} Permission strings
+ */
+const getPermissions = (role) => {
+  return ROLE_PERMISSIONS[role] ? [...ROLE_PERMISSIONS[role]] : [];
+};
+
+/**
+ * Check if a user has a permission
+ * @param {Object} user - User object with a role
+ * @param {String} permission - Permission to check
+ * @returns {Boolean} True if the user's role grants the permission
+ */
+const hasPermission = (user, permission) => {
+  if (!user || !user.role) {
+    return false;
+  }
+  return (ROLE_PERMISSIONS[user.role] || []).includes(permission);
+};
+
+module.exports = {
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  getPermissions,
+  hasPermission
+};
@@ -1,6 +1,8 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
 const logger = require('../utils/logger');
+const { hasPermission } = require('../config/permissions');
 
 // JWT Secret from environment variable
 const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key';
@@ -55,6 +57,12 @@ const getCurrentUser = async (token) => {
     if (!user || !user.isActive) {
       return null;
     }
+
+    // Access tokens tied to a session die with it
+    if (decoded.sid && !(await RefreshToken.isSessionActive(decoded.sid))) {
+      logger.debug(`Session revoked for user: ${user.username}`);
+      return null;
+    }
     
     logger.debug(`Current user retrieved: ${user.username}`);
     return user;
@@ -112,6 +120,29 @@ const authenticate = async (req, res, next) => {
     }
 
     req.user = user;
+    req.sessionId = jwt.decode(token).sid || null;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Optional authentication middleware
+ * Attaches req.user when a valid token is sent, but never rejects the request
+ */
+const optionalAuthenticate = async (req, res, next) => {
+  try {
+    const token = extractTokenFromHeader(req);
+
+    if (token) {
+      const user = await getCurrentUser(token);
+      if (user) {
+        req.user = user;
+        req.sessionId = jwt.decode(token).sid || null;
+      }
+    }
+
     next();
   } catch (error) {
     next(error);
@@ -151,9 +182,48 @@ const authorize = (...roles) => {
   };
 };
 
+/**
+ * Permission middleware; the user's role must grant every listed permission
+ * @param {...String} permissions - Permissions from config/permissions
+ * @returns {Function} Express middleware
+ */
+const requirePermission = (...permissions) => {
+  return (req, res, next) => {
+    try {
+      if (!req.user) {
+        return res.status(401).json({
+          success: false,
+          error: {
+            message: 'Access denied. User not authenticated.',
+            statusCode: 401
+          }
+        });
+      }
+
+      const missing = permissions.filter(permission => !hasPermission(req.user, permission));
+      if (missing.length > 0) {
+        logger.debug(`Permission check failed for user ${req.user.username}: missing ${missing.join(', ')}`);
+        return res.status(403).json({
+          success: false,
+          error: {
+            message: 'Access denied. Insufficient permissions.',
+            statusCode: 403
+          }
+        });
+      }
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
 module.exports = {
   authenticate,
+  optionalAuthenticate,
   authorize,
+  requirePermission,
   extractTokenFromHeader,
   getCurrentUser,
   hasRole,
@@ -0,0 +1,63 @@
+const { query, validationResult } = require('express-validator');
+const { DAY_MS, startOfDay } = require('../utils/analytics');
+
+/**
+ * Validate the from/to query parameters of reporting routes. Both are ISO
+ * dates and optional; the range defaults to the last defaultDays days up to
+ * today. Days are UTC and to is inclusive.
+ *
+ * The parsed range is stored on req.dateRange: { from, to, days } where from
+ * and to are midnight UTC.
+ *
+ * @param {Object} options
+ * @param {Number} [options.defaultDays] - Days covered when no range is given
+ * @param {Number} [options.maxDays] - Longest range a caller may ask for
+ * @returns {Array} Middleware chain
+ */
+const parseDateRange = ({ defaultDays = 30, maxDays = 366 } = {}) => [
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('From must be a valid date'),
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('To must be a valid date'),
+  (req, res, next) => {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Validation failed',
+          details: errors.array(),
+          statusCode: 400
+        }
+      });
+    }
+
+    const to = startOfDay(req.query.to ? new Date(req.query.to) : new Date());
+    const from = req.query.from
+      ? startOfDay(new Date(req.query.from))
+      : new Date(to.getTime() - (defaultDays - 1) * DAY_MS);
+    const days = Math.round((to - from) / DAY_MS) + 1;
+
+    if (days < 1 || days > maxDays) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: `Date range must run forwards and cover at most ${maxDays} days`,
+          statusCode: 400
+        }
+      });
+    }
+
+    req.dateRange = { from, to, days };
+    next();
+  }
+];
+
+module.exports = {
+  parseDateRange
+};
@@ -0,0 +1,203 @@
+const { query, validationResult } = require('express-validator');
+const { PERMISSIONS, hasPermission } = require('../config/permissions');
+const { decodeCursor } = require('../utils/pagination');
+
+const POST_STATUSES = ['draft', 'pending', 'scheduled', 'published', 'rejected', 'archived'];
+
+// Statuses a reviewer needs to see while working the queue
+const REVIEW_STATUSES = ['pending', 'scheduled', 'published', 'rejected'];
+
+// Fields list routes may sort by. Anything else is rejected instead of being
+// handed to MongoDB, where it could sort on unindexed or private fields.
+const POST_SORT_FIELDS = ['createdAt', 'updatedAt', 'publishedAt', 'title', 'viewCount', 'likeCount', 'commentCount', 'wordCount', 'readingTime'];
+const USER_SORT_FIELDS = ['createdAt', 'updatedAt', 'username', 'email', 'role', 'lastLogin'];
+
+/**
+ * Get the post statuses a caller may list
+ * @param {Object} user - Authenticated user, if any
+ * @param {Object} options - { isOwner: true when every listed post belongs to the caller }
+ * @returns {Array} Visible statuses
+ */
+const getVisibleStatuses = (user, { isOwner = false } = {}) => {
+  if (isOwner || hasPermission(user, PERMISSIONS.POSTS_EDIT_ANY)) {
+    return [...POST_STATUSES];
+  }
+  if (hasPermission(user, PERMISSIONS.POSTS_REVIEW)) {
+    return [...REVIEW_STATUSES];
+  }
+  return ['published'];
+};
+
+/**
+ * Check whether the caller may see a post in its current status. Only the
+ * author and reviewers see posts that are not published.
+ * @param {Object} user - Authenticated user, if any
+ * @param {Object} post - Post with an author ID or populated author
+ * @returns {Boolean} True if the post is visible
+ */
+const canViewPost = (user, post) => {
+  const authorId = post.author && post.author._id ? post.author._id : post.author;
+  const isOwner = Boolean(user && authorId && authorId.toString() === user._id.toString());
+  return getVisibleStatuses(user, { isOwner }).includes(post.status);
+};
+
+/**
+ * Clamp an integer into a range
+ */
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+/**
+ * Validate and normalise the query parameters shared by list routes. Malformed
+ * values get a 400 with the usual validation details; out-of-range page and
+ * limit values are clamped instead. Route-specific validators placed before
+ * this middleware are reported in the same response.
+ *
+ * The parsed values are stored on req.listQuery:
+ * { page, limit, sortBy, sortOrder, cursor, paginate, statuses }
+ * where statuses is the list to filter on, or null for no status filter.
+ *
+ * @param {Object} options
+ * @param {Array} [options.sortFields] - Whitelisted sort fields; omit for routes with a fixed order
+ * @param {String} [options.defaultSort] - Sort field when none is requested
+ * @param {Number} [options.defaultLimit] - Page size when none is requested
+ * @param {Number} [options.maxLimit] - Largest page size a caller may ask for
+ * @param {Boolean} [options.cursor] - Whether cursor pagination is supported
+ * @param {Object} [options.status] - { defaultStatus, isOwner(req) }; omit when the route has no status filter.
+ *                                    A null defaultStatus lists every status the caller may see.
+ * @returns {Array} Middleware chain
+ */
+const parseListQuery = ({
+  sortFields = null,
+  defaultSort = 'createdAt',
+  defaultLimit = 10,
+  maxLimit = 50,
+  cursor = false,
+  status = null
+} = {}) => {
+  const chain = [
+    query('page')
+      .optional()
+      .isInt()
+      .withMessage('Page must be an integer'),
+    query('limit')
+      .optional()
+      .isInt()
+      .withMessage('Limit must be an integer')
+  ];
+
+  if (sortFields) {
+    chain.push(
+      query('sortBy')
+        .optional()
+        .isIn(sortFields)
+        .withMessage(`Sort must be one of: ${sortFields.join(', ')}`),
+      query('sortOrder')
+        .optional()
+        .isIn(['asc', 'desc'])
+        .withMessage('Sort order must be asc or desc')
+    );
+  }
+
+  if (cursor) {
+    // A cursor carries its own sort, so its field has to pass the same whitelist
+    const cursorSortFields = sortFields || [defaultSort];
+    chain.push(
+      query('cursor')
+        .optional()
+        .custom(value => {
+          const decoded = decodeCursor(value);
+          return decoded !== null && cursorSortFields.includes(decoded.sort.field);
+        })
+        .withMessage('Invalid cursor'),
+      query('paginate')
+        .optional()
+        .isIn(['cursor', 'page'])
+        .withMessage('Paginate must be cursor or page')
+    );
+  }
+
+  if (status) {
+    chain.push(
+      query('status')
+        .optional()
+        .custom((value, { req }) => {
+          const requested = String(value).split(',').filter(Boolean);
+          const unknown = requested.filter(item => !POST_STATUSES.includes(item));
+          if (unknown.length > 0) {
+            throw new Error(`Status must be one of: ${POST_STATUSES.join(', ')}`);
+          }
+
+          const visible = getVisibleStatuses(req.user, { isOwner: status.isOwner ? status.isOwner(req) : false });
+          const hidden = requested.filter(item => !visible.includes(item));
+          if (hidden.length > 0) {
+            throw new Error(`You are not allowed to list ${hidden.join(', ')} posts`);
+          }
+          return true;
+        })
+    );
+  }
+
+  chain.push((req, res, next) => {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Validation failed',
+          details: errors.array(),
+          statusCode: 400
+        }
+      });
+    }
+
+    const listQuery = {
+      page: clamp(parseInt(req.query.page) || 1, 1, Number.MAX_SAFE_INTEGER),
+      limit: clamp(parseInt(req.query.limit) || defaultLimit, 1, maxLimit),
+      sortBy: req.query.sortBy || defaultSort,
+      sortOrder: req.query.sortOrder || 'desc',
+      cursor: req.query.cursor,
+      paginate: req.query.paginate,
+      statuses: null
+    };
+
+    if (status) {
+      const requested = req.query.status ? String(req.query.status).split(',').filter(Boolean) : [];
+      if (requested.length > 0) {
+        listQuery.statuses = requested;
+      } else if (status.defaultStatus) {
+        listQuery.statuses = [status.defaultStatus];
+      } else {
+        const visible = getVisibleStatuses(req.user, { isOwner: status.isOwner ? status.isOwner(req) : false });
+        listQuery.statuses = visible.length === POST_STATUSES.length ? null : visible;
+      }
+    }
+
+    req.listQuery = listQuery;
+    next();
+  });
+
+  return chain;
+};
+
+/**
+ * Turn parsed statuses into a query condition
+ * @param {Array|null} statuses - req.listQuery.statuses
+ * @returns {String|Object|undefined} Value for the status field, or undefined for no filter
+ */
+const statusCondition = (statuses) => {
+  if (!statuses) {
+    return undefined;
+  }
+  return statuses.length === 1 ? statuses[0] : { $in: statuses };
+};
+
+module.exports = {
+  POST_STATUSES,
+  POST_SORT_FIELDS,
+  USER_SORT_FIELDS,
+  canViewPost,
+  getVisibleStatuses,
+  parseListQuery,
+  statusCondition
+};
@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const accountTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  purpose: {
+    type: String,
+    enum: ['password_reset', 'email_verification'],
+    required: [true, 'Token purpose is required']
+  },
+  // Only a SHA-256 hash of the token is stored
+  tokenHash: {
+    type: String,
+    required: [true, 'Token hash is required'],
+    unique: true
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry date is required']
+  },
+  usedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+accountTokenSchema.index({ user: 1, purpose: 1, usedAt: 1 });
+// Let MongoDB remove tokens once they expire
+accountTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to hash a raw token
+accountTokenSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Static method to issue a new token, retiring any unused one for the same purpose
+accountTokenSchema.statics.issue = async function(userId, purpose, ttlMs) {
+  await this.updateMany(
+    { user: userId, purpose, usedAt: null },
+    { usedAt: new Date() }
+  );
+
+  const token = crypto.randomBytes(32).toString('hex');
+  await this.create({
+    user: userId,
+    purpose,
+    tokenHash: this.hashToken(token),
+    expiresAt: new Date(Date.now() + ttlMs)
+  });
+
+  return token;
+};
+
+// Static method to redeem a token exactly once.
+// Returns the token record, or null if it is unknown, used or expired.
+accountTokenSchema.statics.consume = function(token, purpose) {
+  return this.findOneAndUpdate(
+    {
+      tokenHash: this.hashToken(token),
+      purpose,
+      usedAt: null,
+      expiresAt: { $gt: new Date() }
+    },
+    { usedAt: new Date() },
+    { new: true }
+  );
+};
+
+module.exports = mongoose.model('AccountToken', accountTokenSchema);
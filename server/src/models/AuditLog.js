@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+
+const AUDIT_ACTIONS = [
+  'post.approve',
+  'post.reject',
+  'post.delete',
+  'user.activate',
+  'user.deactivate',
+  'user.role_change',
+  'user.delete'
+];
+
+const auditLogSchema = new mongoose.Schema({
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Actor is required']
+  },
+  // Copied at write time so the entry still reads correctly after the actor is renamed or deleted
+  actorUsername: {
+    type: String,
+    required: true
+  },
+  actorRole: {
+    type: String
+  },
+  action: {
+    type: String,
+    enum: AUDIT_ACTIONS,
+    required: [true, 'Action is required']
+  },
+  targetType: {
+    type: String,
+    enum: ['Post', 'User'],
+    required: [true, 'Target type is required']
+  },
+  targetId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: [true, 'Target is required']
+  },
+  targetLabel: {
+    type: String
+  },
+  before: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  after: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  ip: {
+    type: String
+  },
+  userAgent: {
+    type: String
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Index for better query performance
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ targetId: 1, createdAt: -1 });
+
+// Audit entries are append-only: block every path Mongoose offers for changing
+// or removing them, so no route can do it by accident
+const rejectChange = function(next) {
+  next(new Error('Audit log entries cannot be modified or deleted'));
+};
+
+auditLogSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return rejectChange(next);
+  }
+  next();
+});
+
+[
+  'updateOne',
+  'updateMany',
+  'findOneAndUpdate',
+  'findOneAndReplace',
+  'replaceOne',
+  'deleteOne',
+  'deleteMany',
+  'findOneAndDelete'
+].forEach(operation => {
+  auditLogSchema.pre(operation, { document: false, query: true }, rejectChange);
+});
+auditLogSchema.pre('deleteOne', { document: true, query: false }, rejectChange);
+
+// Static method to list the recorded action names
+auditLogSchema.statics.getActions = function() {
+  return [...AUDIT_ACTIONS];
+};
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
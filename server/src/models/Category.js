@@ -48,8 +48,11 @@ categorySchema.index({ name: 1 });
 categorySchema.index({ slug: 1 });
 categorySchema.index({ isActive: 1 });
 
-// Pre-save middleware to generate slug if not provided
-categorySchema.pre('save', function(next) {
+categorySchema.index({ parent: 1 });
+
+// Pre-validate middleware to generate slug if not provided
+// (runs before validation so the required slug check sees it)
+categorySchema.pre('validate', function(next) {
   if (!this.slug && this.name) {
     this.slug = this.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/(^-|-$)/g, '');
   }
@@ -66,4 +69,98 @@ categorySchema.statics.findBySlug = function(slug) {
   return this.findOne({ slug: slug.toLowerCase() });
 };
 
+// Static method to check whether giving a category this parent would create a cycle,
+// i.e. whether the category is the proposed parent or one of its ancestors
+categorySchema.statics.wouldCreateCycle = async function(categoryId, parentId) {
+  const visited = new Set();
+  let currentId = parentId;
+
+  while (currentId) {
+    const key = currentId.toString();
+    if (key === categoryId.toString()) {
+      return true;
+    }
+    // An existing cycle in the data should not hang the request
+    if (visited.has(key)) {
+      return true;
+    }
+    visited.add(key);
+
+    const current = await this.findById(currentId).select('parent');
+    currentId = current ? current.parent : null;
+  }
+
+  return false;
+};
+
+// Static method to get the ids of every descendant of a category
+categorySchema.statics.findDescendantIds = async function(categoryId) {
+  const descendants = [];
+  const seen = new Set([categoryId.toString()]);
+  let frontier = [categoryId];
+
+  while (frontier.length > 0) {
+    const children = await this.find({ parent: { $in: frontier } }).select('_id');
+    frontier = children
+      .map(child => child._id)
+      .filter(id => !seen.has(id.toString()));
+    frontier.forEach(id => seen.add(id.toString()));
+    descendants.push(...frontier);
+  }
+
+  return descendants;
+};
+
+// Static method to nest a flat list of categories under their parents.
+// postCounts maps category id to its own post count; each node also gets
+// totalPostsCount including every descendant. With activeOnly, inactive
+// categories are dropped together with everything beneath them.
+categorySchema.statics.buildTree = function(categories, postCounts = {}, { activeOnly = false } = {}) {
+  const nodes = new Map();
+  categories.forEach(category => {
+    const plain = typeof category.toObject === 'function' ? category.toObject() : category;
+    nodes.set(plain._id.toString(), {
+      _id: plain._id,
+      name: plain.name,
+      slug: plain.slug,
+      description: plain.description,
+      isActive: plain.isActive,
+      parent: plain.parent || null,
+      postsCount: postCounts[plain._id.toString()] || 0,
+      children: []
+    });
+  });
+
+  // Categories whose parent is missing from the list are shown at the top level
+  let roots = [];
+  nodes.forEach(node => {
+    const parent = node.parent && nodes.get(node.parent.toString());
+    if (parent) {
+      parent.children.push(node);
+    } else {
+      roots.push(node);
+    }
+  });
+
+  const prune = (list) => list
+    .filter(node => node.isActive)
+    .map(node => {
+      node.children = prune(node.children);
+      return node;
+    });
+  if (activeOnly) {
+    roots = prune(roots);
+  }
+
+  const finish = (node) => {
+    node.children.sort((a, b) => a.name.localeCompare(b.name));
+    node.totalPostsCount = node.children.reduce((sum, child) => sum + finish(child), node.postsCount);
+    return node.totalPostsCount;
+  };
+  roots.sort((a, b) => a.name.localeCompare(b.name));
+  roots.forEach(finish);
+
+  return roots;
+};
+
 module.exports = mongoose.model('Category', categorySchema); 
\ No newline at end of file
@@ -0,0 +1,147 @@
+const mongoose = require('mongoose');
+
+// Replies deeper than this are rejected so threads stay readable
+const MAX_DEPTH = 5;
+
+const commentSchema = new mongoose.Schema({
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: [true, 'Post is required']
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Author is required']
+  },
+  content: {
+    type: String,
+    required: [true, 'Content is required'],
+    trim: true,
+    minlength: [1, 'Comment cannot be empty'],
+    maxlength: [2000, 'Comment cannot exceed 2000 characters']
+  },
+  // Direct parent for replies, null for top-level comments
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment',
+    default: null
+  },
+  // Top-level comment of the thread, null for top-level comments
+  root: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment',
+    default: null
+  },
+  depth: {
+    type: Number,
+    default: 0,
+    max: [MAX_DEPTH, `Replies cannot be nested more than ${MAX_DEPTH} levels deep`]
+  },
+  editHistory: [{
+    content: {
+      type: String,
+      required: true
+    },
+    editedAt: {
+      type: Date,
+      default: Date.now
+    },
+    editedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  }],
+  isEdited: {
+    type: Boolean,
+    default: false
+  },
+  isDeleted: {
+    type: Boolean,
+    default: false
+  },
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Index for better query performance
+commentSchema.index({ post: 1, parent: 1, createdAt: -1 });
+commentSchema.index({ root: 1, createdAt: 1 });
+commentSchema.index({ author: 1, createdAt: -1 });
+
+// Instance method to edit content, keeping the previous version
+commentSchema.methods.edit = function(content, editorId) {
+  this.editHistory.push({
+    content: this.content,
+    editedAt: new Date(),
+    editedBy: editorId
+  });
+  this.content = content;
+  this.isEdited = true;
+  return this.save();
+};
+
+// Instance method to soft delete the comment
+commentSchema.methods.softDelete = function(userId) {
+  this.isDeleted = true;
+  this.deletedAt = new Date();
+  this.deletedBy = userId;
+  return this.save();
+};
+
+// Instance method to get the public view of a comment.
+// Deleted comments keep their place in the thread but lose their content.
+commentSchema.methods.getPublicView = function() {
+  const commentObject = this.toObject();
+  delete commentObject.editHistory;
+  delete commentObject.__v;
+
+  if (commentObject.isDeleted) {
+    commentObject.content = null;
+    commentObject.author = null;
+  }
+
+  return commentObject;
+};
+
+// Static method to find top-level comments for a post
+commentSchema.statics.findTopLevel = function(postId) {
+  return this.find({ post: postId, parent: null });
+};
+
+// Static method to nest replies under their roots.
+// Expects the roots and every reply that belongs to them.
+commentSchema.statics.buildTree = function(roots, replies) {
+  const nodes = new Map();
+
+  const toNode = (comment) => {
+    const node = { ...comment.getPublicView(), replies: [] };
+    nodes.set(comment._id.toString(), node);
+    return node;
+  };
+
+  const tree = roots.map(toNode);
+  const replyNodes = replies.map(toNode);
+
+  replyNodes.forEach((node) => {
+    const parent = nodes.get(node.parent.toString());
+    if (parent) {
+      parent.replies.push(node);
+    }
+  });
+
+  return tree;
+};
+
+module.exports = mongoose.model('Comment', commentSchema);
@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+// The one document this collection holds
+const FEED_STATE_ID = 'posts';
+
+// When a published post last left the feeds, by being unpublished or deleted.
+// The posts still listed can't show that, so it is kept here for the feeds'
+// Last-Modified header.
+const feedStateSchema = new mongoose.Schema({
+  _id: {
+    type: String
+  },
+  removedAt: {
+    type: Date,
+    required: [true, 'Removal time is required']
+  }
+}, {
+  versionKey: false
+});
+
+// Static method to record that a published post left the feeds. $max keeps
+// the time from moving backwards when removals race.
+feedStateSchema.statics.recordRemoval = function(now = new Date()) {
+  return this.updateOne(
+    { _id: FEED_STATE_ID },
+    { $max: { removedAt: now } },
+    { upsert: true }
+  );
+};
+
+// Static method to get the time of the last removal, or null if there was none
+feedStateSchema.statics.getLastRemoval = async function() {
+  const state = await this.findById(FEED_STATE_ID).lean();
+  return state ? state.removedAt : null;
+};
+
+module.exports = mongoose.model('FeedState', feedStateSchema);
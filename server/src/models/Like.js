@@ -0,0 +1,95 @@
+const mongoose = require('mongoose');
+
+const likeSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: [true, 'Post is required']
+  }
+}, {
+  timestamps: true
+});
+
+// A user can like a given post at most once
+likeSchema.index({ user: 1, post: 1 }, { unique: true });
+likeSchema.index({ post: 1, createdAt: -1 });
+
+// Static method to toggle a like and keep Post.likeCount in step.
+// The unique index decides which of several concurrent requests wins,
+// and likeCount is only ever moved with $inc for a like that was
+// actually inserted or removed, so the counter cannot drift.
+likeSchema.statics.toggle = async function(userId, postId) {
+  const Post = mongoose.model('Post');
+
+  const removed = await this.findOneAndDelete({ user: userId, post: postId });
+  if (removed) {
+    const post = await Post.findByIdAndUpdate(
+      postId,
+      { $inc: { likeCount: -1 } },
+      { new: true }
+    ).select('likeCount');
+
+    return { hasLiked: false, likeCount: post ? post.likeCount : 0 };
+  }
+
+  try {
+    await this.create({ user: userId, post: postId });
+  } catch (error) {
+    // Another request from the same user inserted the like first
+    if (error.code !== 11000) {
+      throw error;
+    }
+    const post = await Post.findById(postId).select('likeCount');
+    return { hasLiked: true, likeCount: post ? post.likeCount : 0 };
+  }
+
+  const post = await Post.findByIdAndUpdate(
+    postId,
+    { $inc: { likeCount: 1 } },
+    { new: true }
+  ).select('likeCount');
+
+  return { hasLiked: true, likeCount: post ? post.likeCount : 0 };
+};
+
+// Static method to check whether a user has liked a post
+likeSchema.statics.hasLiked = async function(userId, postId) {
+  if (!userId) {
+    return false;
+  }
+  const like = await this.exists({ user: userId, post: postId });
+  return !!like;
+};
+
+// Static method to find which of the given posts a user has liked
+likeSchema.statics.findLikedPostIds = async function(userId, postIds) {
+  if (!userId || !postIds.length) {
+    return new Set();
+  }
+  const likes = await this.find({ user: userId, post: { $in: postIds } }).select('post');
+  return new Set(likes.map(like => like.post.toString()));
+};
+
+// Static method to attach hasLiked to a list of post documents
+likeSchema.statics.withLikeStatus = async function(userId, posts) {
+  const likedIds = await this.findLikedPostIds(userId, posts.map(post => post._id));
+  return posts.map(post => ({
+    ...post.toObject(),
+    hasLiked: likedIds.has(post._id.toString())
+  }));
+};
+
+// Static method to recount likes for a post from the collection
+likeSchema.statics.syncLikeCount = async function(postId) {
+  const Post = mongoose.model('Post');
+  const likeCount = await this.countDocuments({ post: postId });
+  await Post.updateOne({ _id: postId }, { likeCount });
+  return likeCount;
+};
+
+module.exports = mongoose.model('Like', likeSchema);
@@ -1,4 +1,15 @@
 const mongoose = require('mongoose');
+const { RENDER_VERSION, renderMarkdown, buildExcerpt } = require('../utils/markdown');
+const { analyzeTokens } = require('../utils/contentAnalysis');
+const { slugify, nextFreeSlug } = require('../utils/slug');
+const SlugRedirect = require('./SlugRedirect');
+const FeedState = require('./FeedState');
+
+// Fields derived from the content by renderContent()
+const RENDERED_FIELDS = ['contentHtml', 'renderVersion', 'wordCount', 'characterCount', 'readingTime', 'outline', 'links', 'images'];
+
+// Fields readers see in listings and feeds; changing any of them moves contentUpdatedAt
+const READER_FIELDS = ['title', 'content', 'excerpt', 'featuredImage', 'tags', 'category', 'slug'];
 
 const postSchema = new mongoose.Schema({
   title: {
@@ -31,10 +42,61 @@ const postSchema = new mongoose.Schema({
     lowercase: true,
     trim: true
   },
+  // 'auto' slugs follow the title; 'custom' slugs were chosen by the author and are left alone
+  slugSource: {
+    type: String,
+    enum: ['auto', 'custom'],
+    default: 'auto'
+  },
+  // Sanitized HTML rendered from the Markdown content, refreshed on save
+  contentHtml: {
+    type: String,
+    default: null
+  },
+  renderVersion: {
+    type: Number,
+    default: null
+  },
+  // Content statistics, computed from the rendered text whenever contentHtml is rendered
+  wordCount: {
+    type: Number,
+    default: 0
+  },
+  characterCount: {
+    type: Number,
+    default: 0
+  },
+  // Minutes, at 200 words per minute
+  readingTime: {
+    type: Number,
+    default: 1
+  },
+  outline: [{
+    _id: false,
+    level: Number,
+    text: String,
+    id: String
+  }],
+  links: [{
+    _id: false,
+    href: String,
+    text: String
+  }],
+  images: [{
+    _id: false,
+    src: String,
+    alt: String
+  }],
   excerpt: {
     type: String,
     maxlength: [300, 'Excerpt cannot exceed 300 characters']
   },
+  // 'auto' excerpts are rebuilt whenever the content changes; 'custom' ones were written by the author
+  excerptSource: {
+    type: String,
+    enum: ['auto', 'custom'],
+    default: 'auto'
+  },
   featuredImage: {
     type: String,
     default: null
@@ -46,7 +108,7 @@ const postSchema = new mongoose.Schema({
   }],
   status: {
     type: String,
-    enum: ['draft', 'pending', 'published', 'rejected', 'archived'],
+    enum: ['draft', 'pending', 'scheduled', 'published', 'rejected', 'archived'],
     default: 'draft'
   },
   isPublished: {
@@ -57,6 +119,12 @@ const postSchema = new mongoose.Schema({
     type: Date,
     default: null
   },
+  // Last change readers can see: an edit to a reader field, or the post going
+  // live. Unlike updatedAt it ignores moderation fields.
+  contentUpdatedAt: {
+    type: Date,
+    default: null
+  },
   // Admin approval fields
   isApproved: {
     type: Boolean,
@@ -84,6 +152,11 @@ const postSchema = new mongoose.Schema({
     type: Date,
     default: null
   },
+  // Publish time requested by the author or set by the approving admin
+  scheduledFor: {
+    type: Date,
+    default: null
+  },
   viewCount: {
     type: Number,
     default: 0
@@ -116,12 +189,6 @@ const postSchema = new mongoose.Schema({
   toObject: { virtuals: true }
 });
 
-// Virtual for reading time (assuming 200 words per minute)
-postSchema.virtual('readingTime').get(function() {
-  const wordCount = this.content.split(' ').length;
-  return Math.ceil(wordCount / 200);
-});
-
 // Virtual for formatted date
 postSchema.virtual('formattedDate').get(function() {
   return this.createdAt.toLocaleDateString('en-US', {
@@ -140,11 +207,70 @@ postSchema.index({ slug: 1 });
 postSchema.index({ tags: 1 });
 postSchema.index({ isApproved: 1, status: 1 });
 postSchema.index({ submittedForApproval: 1, submittedAt: -1 });
+postSchema.index({ status: 1, scheduledFor: 1 });
+postSchema.index({ status: 1, wordCount: 1 });
+postSchema.index({ status: 1, readingTime: 1 });
+
+// Remember the slug and status the document was loaded with, so a change can
+// leave a redirect behind or be noted as the post leaving the feeds
+postSchema.post('init', function() {
+  this.$locals.loadedSlug = this.slug;
+  this.$locals.loadedStatus = this.status;
+});
+
+// Pre-validate middleware to generate the slug. A slug set explicitly is kept
+// as the author's choice; otherwise one is derived from the title, and follows
+// the title when it changes. Clearing the slug switches back to generated ones.
+postSchema.pre('validate', async function() {
+  if (this.isModified('slug') && this.slug) {
+    this.slugSource = 'custom';
+    return;
+  }
+
+  const titleChanged = !this.isNew && this.isModified('title') && this.slugSource !== 'custom';
+  if (!this.slug || titleChanged) {
+    this.slug = await this.constructor.generateSlug(this.title, this._id);
+    this.slugSource = 'auto';
+  }
+});
+
+// Attempts at a generated slug before a clash is reported
+const SLUG_SAVE_ATTEMPTS = 5;
 
-// Pre-save middleware to generate excerpt if not provided
+const isSlugConflict = (error) => Boolean(error && error.code === 11000 && error.keyPattern && error.keyPattern.slug);
+
+// Post-save middleware to keep the old slug working after it changes
+postSchema.post('save', async function() {
+  const previous = this.$locals.loadedSlug;
+  if (previous && previous !== this.slug) {
+    await SlugRedirect.record(previous, this._id);
+    await SlugRedirect.release(this.slug, this._id);
+  }
+  this.$locals.loadedSlug = this.slug;
+});
+
+// Post-save middleware to note a published post leaving the feeds, which the
+// posts still in them can't show
+postSchema.post('save', async function() {
+  if (this.$locals.loadedStatus === 'published' && this.status !== 'published') {
+    await FeedState.recordRemoval();
+  }
+  this.$locals.loadedStatus = this.status;
+});
+
+// Pre-save middleware to render the content and generate the excerpt if not provided
 postSchema.pre('save', function(next) {
-  if (!this.excerpt && this.content) {
-    this.excerpt = this.content.substring(0, 150) + '...';
+  if (this.isModified('content') || this.isModified('excerpt') || this.needsRendering()) {
+    const { text } = this.renderContent();
+    const generated = buildExcerpt(text);
+
+    // An excerpt that differs from the generated one was written by the author
+    if (this.isModified('excerpt') && this.excerpt && this.excerpt !== generated) {
+      this.excerptSource = 'custom';
+    } else if (this.isModified('excerpt') || this.excerptSource !== 'custom' || !this.excerpt) {
+      this.excerpt = generated;
+      this.excerptSource = 'auto';
+    }
   }
   
   if (this.status === 'published' && !this.publishedAt) {
@@ -161,14 +287,64 @@ postSchema.pre('save', function(next) {
   if (this.status === 'published' && !this.isApproved) {
     this.isApproved = true;
   }
+
+  const wentLive = this.isModified('status') && this.status === 'published';
+  if (this.isNew || wentLive || READER_FIELDS.some(field => this.isModified(field))) {
+    this.contentUpdatedAt = new Date();
+  }
   
   next();
 });
 
-// Instance method to increment view count
-postSchema.methods.incrementViewCount = function() {
+// Instance method to check whether the cached HTML is missing or from an older renderer
+postSchema.methods.needsRendering = function() {
+  return this.contentHtml === null || this.contentHtml === undefined || this.renderVersion !== RENDER_VERSION;
+};
+
+// Instance method to render the Markdown content into contentHtml and refresh the content statistics
+postSchema.methods.renderContent = function() {
+  const rendered = renderMarkdown(this.content || '');
+  this.set({
+    contentHtml: rendered.html,
+    renderVersion: RENDER_VERSION,
+    ...analyzeTokens(rendered.tokens, rendered.text)
+  });
+  return rendered;
+};
+
+// Instance method to get the fields renderContent() sets
+postSchema.methods.getRenderedFields = function() {
+  return RENDERED_FIELDS.reduce((fields, field) => {
+    fields[field] = this.get(field);
+    return fields;
+  }, {});
+};
+
+// Instance method to refresh stale cached HTML on read, without touching updatedAt
+postSchema.methods.ensureRendered = async function() {
+  if (!this.needsRendering()) {
+    return this;
+  }
+  this.renderContent();
+  await this.constructor.updateOne(
+    { _id: this._id },
+    { $set: this.getRenderedFields() },
+    { timestamps: false }
+  );
+  return this;
+};
+
+// Instance method to increment view count. An atomic $inc, so concurrent
+// views are not lost, and without touching updatedAt, which tracks edits.
+postSchema.methods.incrementViewCount = async function() {
+  await this.constructor.updateOne(
+    { _id: this._id },
+    { $inc: { viewCount: 1 } },
+    { timestamps: false }
+  );
   this.viewCount += 1;
-  return this.save();
+  this.unmarkModified('viewCount');
+  return this;
 };
 
 // Instance method to increment like count
@@ -185,37 +361,59 @@ postSchema.methods.decrementLikeCount = function() {
   return this.save();
 };
 
-// Instance method to increment comment count
-postSchema.methods.incrementCommentCount = function() {
+// Instance method to increment comment count. An atomic $inc like the view
+// count, so concurrent comments are not lost.
+postSchema.methods.incrementCommentCount = async function() {
+  await this.constructor.updateOne(
+    { _id: this._id },
+    { $inc: { commentCount: 1 } },
+    { timestamps: false }
+  );
   this.commentCount += 1;
-  return this.save();
+  this.unmarkModified('commentCount');
+  return this;
 };
 
-// Instance method to decrement comment count
-postSchema.methods.decrementCommentCount = function() {
-  if (this.commentCount > 0) {
-    this.commentCount -= 1;
-  }
-  return this.save();
+// Instance method to decrement comment count, never below zero
+postSchema.methods.decrementCommentCount = async function() {
+  await this.constructor.updateOne(
+    { _id: this._id, commentCount: { $gt: 0 } },
+    { $inc: { commentCount: -1 } },
+    { timestamps: false }
+  );
+  this.commentCount = Math.max(this.commentCount - 1, 0);
+  this.unmarkModified('commentCount');
+  return this;
 };
 
-// Instance method to submit for approval
-postSchema.methods.submitForApproval = function() {
+// Instance method to submit for approval, optionally requesting a publish time
+postSchema.methods.submitForApproval = function(publishAt = null) {
   this.status = 'pending';
   this.submittedForApproval = true;
   this.submittedAt = new Date();
+  this.scheduledFor = publishAt;
   return this.save();
 };
 
-// Instance method to approve post
-postSchema.methods.approve = function(adminId) {
-  this.status = 'published';
+// Instance method to approve post. A future publishAt schedules the post
+// instead of publishing it; the scheduler flips it live when the time comes.
+postSchema.methods.approve = function(adminId, publishAt = null, now = new Date()) {
   this.isApproved = true;
   this.approvedBy = adminId;
-  this.approvedAt = new Date();
-  this.publishedAt = new Date();
-  this.isPublished = true;
+  this.approvedAt = now;
   this.rejectionReason = null;
+
+  if (publishAt && publishAt > now) {
+    this.status = 'scheduled';
+    this.scheduledFor = publishAt;
+    this.publishedAt = publishAt;
+    this.isPublished = false;
+  } else {
+    this.status = 'published';
+    this.scheduledFor = null;
+    this.publishedAt = now;
+    this.isPublished = true;
+  }
   return this.save();
 };
 
@@ -229,6 +427,24 @@ postSchema.methods.reject = function(adminId, reason) {
   return this.save();
 };
 
+// Static method to save a post, picking the next free slug if a generated one
+// was taken between the lookup in generateSlug and the write, e.g. by a post
+// with the same title created at the same moment. Custom slugs still fail, as
+// the author chose them.
+postSchema.statics.saveWithFreeSlug = async function(post, options) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await post.save(options);
+    } catch (error) {
+      if (!isSlugConflict(error) || post.slugSource !== 'auto' || attempt >= SLUG_SAVE_ATTEMPTS) {
+        throw error;
+      }
+      // Cleared so pre-validate generates a fresh one
+      post.slug = null;
+    }
+  }
+};
+
 // Static method to find published posts
 postSchema.statics.findPublished = function() {
   return this.find({ 
@@ -239,6 +455,127 @@ postSchema.statics.findPublished = function() {
   });
 };
 
+// Static method to publish every scheduled post whose time has come.
+// The status filter makes this idempotent, so overlapping runs (or several
+// server instances) cannot publish a post twice.
+postSchema.statics.publishDue = async function(now = new Date()) {
+  const due = await this.find({
+    status: 'scheduled',
+    scheduledFor: { $lte: now }
+  }).select('_id');
+
+  const published = [];
+  for (const { _id } of due) {
+    const post = await this.findOneAndUpdate(
+      { _id, status: 'scheduled' },
+      { $set: { status: 'published', isPublished: true, scheduledFor: null, contentUpdatedAt: now } },
+      { new: true }
+    );
+    if (post) {
+      published.push(post);
+    }
+  }
+  return published;
+};
+
+// Static method to render posts saved before rendering existed or by an older
+// renderer, so listings can sort and filter on their content statistics
+postSchema.statics.renderStale = async function(batchSize = 100) {
+  let rendered = 0;
+  for (;;) {
+    const stale = await this.find({ renderVersion: { $ne: RENDER_VERSION } }).limit(batchSize);
+    if (stale.length === 0) {
+      return rendered;
+    }
+    for (const post of stale) {
+      await post.ensureRendered();
+      rendered += 1;
+    }
+  }
+};
+
+// Static method to find the next scheduled publish time
+postSchema.statics.findNextScheduledTime = async function() {
+  const next = await this.findOne({ status: 'scheduled' })
+    .sort({ scheduledFor: 1 })
+    .select('scheduledFor');
+  return next ? next.scheduledFor : null;
+};
+
+// Static method to replace one or more tags with a single tag on every post
+// that has them. Runs as one pipeline update per post, keeping tag order and
+// dropping the duplicate when a post already had the target tag.
+postSchema.statics.replaceTags = async function(sources, target) {
+  const result = await this.updateMany(
+    { tags: { $in: sources } },
+    [{
+      $set: {
+        tags: {
+          $reduce: {
+            input: {
+              $map: {
+                input: '$tags',
+                as: 'tag',
+                // $literal keeps tags that start with '$' from being read as field paths
+                in: { $cond: [{ $in: ['$$tag', { $literal: sources }] }, { $literal: target }, '$$tag'] }
+              }
+            },
+            initialValue: [],
+            in: {
+              $cond: [
+                { $in: ['$$this', '$$value'] },
+                '$$value',
+                { $concatArrays: ['$$value', ['$$this']] }
+              ]
+            }
+          }
+        },
+        contentUpdatedAt: '$$NOW'
+      }
+    }]
+  );
+  return result.modifiedCount;
+};
+
+// The body of a related post isn't needed to list it
+const RELATED_PROJECTION = { content: 0, contentHtml: 0, outline: 0, links: 0, images: 0 };
+
+// Static method to find published posts related to a post. Each shared tag
+// counts twice as much as being in the same category; ties go to the newest.
+postSchema.statics.findRelated = async function(post, limit = 5) {
+  const tags = post.tags || [];
+  const category = post.category && post.category._id ? post.category._id : post.category;
+
+  const related = await this.aggregate([
+    {
+      $match: {
+        _id: { $ne: post._id },
+        status: 'published',
+        isPublished: true,
+        isApproved: true,
+        publishedAt: { $lte: new Date() },
+        $or: [{ tags: { $in: tags } }, { category }]
+      }
+    },
+    {
+      $addFields: {
+        sharedTags: { $size: { $setIntersection: [{ $ifNull: ['$tags', []] }, { $literal: tags }] } },
+        sameCategory: { $cond: [{ $eq: ['$category', category] }, 1, 0] }
+      }
+    },
+    { $addFields: { relevance: { $add: [{ $multiply: ['$sharedTags', 2] }, '$sameCategory'] } } },
+    { $sort: { relevance: -1, publishedAt: -1, _id: -1 } },
+    { $limit: limit },
+    { $project: RELATED_PROJECTION }
+  ]);
+
+  return related.map(doc => ({
+    post: this.hydrate(doc, RELATED_PROJECTION),
+    sharedTags: doc.sharedTags,
+    sameCategory: doc.sameCategory === 1
+  }));
+};
+
 // Static method to find pending posts for approval
 postSchema.statics.findPendingApproval = function() {
   return this.find({ 
@@ -252,6 +589,32 @@ postSchema.statics.findBySlug = function(slug) {
   return this.findOne({ slug: slug.toLowerCase() });
 };
 
+// Static method to check that no other post uses a slug, now or as a redirect
+postSchema.statics.isSlugAvailable = async function(slug, postId = null) {
+  const normalized = slug.toLowerCase();
+  const [post, redirect] = await Promise.all([
+    this.exists({ slug: normalized, _id: { $ne: postId } }),
+    SlugRedirect.exists({ slug: normalized, post: { $ne: postId } })
+  ]);
+  return !post && !redirect;
+};
+
+// Static method to derive a free slug from a title, adding -2, -3... on
+// collisions. Slugs the post itself used before may be reused.
+postSchema.statics.generateSlug = async function(title, postId = null) {
+  const base = slugify(title);
+  // base is limited to [a-z0-9-], so it is safe inside a RegExp
+  const pattern = new RegExp(`^${base}(-\\d+)?$`);
+
+  const [posts, redirects] = await Promise.all([
+    this.find({ slug: pattern, _id: { $ne: postId } }).select('slug').lean(),
+    SlugRedirect.find({ slug: pattern, post: { $ne: postId } }).select('slug').lean()
+  ]);
+
+  const taken = new Set([...posts, ...redirects].map(doc => doc.slug));
+  return nextFreeSlug(base, taken);
+};
+
 // Static method to search posts
 postSchema.statics.search = function(query) {
   return this.find({
@@ -264,4 +627,61 @@ postSchema.statics.search = function(query) {
   }).sort({ score: { $meta: 'textScore' } });
 };
 
+// Static method for faceted search: a single aggregation returns one page of
+// hydrated results, the total, and counts per category, tag and author for
+// everything matching the filter
+postSchema.statics.facetedSearch = async function(filter, { text, sort, skip, limit, facetLimit = 10 }) {
+  const categories = mongoose.model('Category').collection.name;
+  const users = mongoose.model('User').collection.name;
+
+  const pipeline = [
+    { $match: text ? { $text: { $search: text }, ...filter } : filter }
+  ];
+  if (text) {
+    pipeline.push({ $addFields: { score: { $meta: 'textScore' } } });
+  }
+
+  pipeline.push({
+    $facet: {
+      results: [{ $sort: sort }, { $skip: skip }, { $limit: limit }],
+      total: [{ $count: 'count' }],
+      categories: [
+        { $group: { _id: '$category', count: { $sum: 1 } } },
+        { $sort: { count: -1, _id: 1 } },
+        { $limit: facetLimit },
+        { $lookup: { from: categories, localField: '_id', foreignField: '_id', as: 'category' } },
+        { $unwind: { path: '$category', preserveNullAndEmptyArrays: true } },
+        { $project: { count: 1, name: '$category.name', slug: '$category.slug' } }
+      ],
+      tags: [
+        { $unwind: '$tags' },
+        { $group: { _id: '$tags', count: { $sum: 1 } } },
+        { $sort: { count: -1, _id: 1 } },
+        { $limit: facetLimit },
+        { $project: { _id: 0, name: '$_id', count: 1 } }
+      ],
+      authors: [
+        { $group: { _id: '$author', count: { $sum: 1 } } },
+        { $sort: { count: -1, _id: 1 } },
+        { $limit: facetLimit },
+        { $lookup: { from: users, localField: '_id', foreignField: '_id', as: 'author' } },
+        { $unwind: { path: '$author', preserveNullAndEmptyArrays: true } },
+        { $project: { count: 1, username: '$author.username' } }
+      ]
+    }
+  });
+
+  const [result] = await this.aggregate(pipeline);
+
+  return {
+    posts: result.results.map(doc => this.hydrate(doc)),
+    total: result.total.length > 0 ? result.total[0].count : 0,
+    facets: {
+      categories: result.categories,
+      tags: result.tags,
+      authors: result.authors
+    }
+  };
+};
+
 module.exports = mongoose.model('Post', postSchema); 
\ No newline at end of file
@@ -0,0 +1,114 @@
+const mongoose = require('mongoose');
+const RejectionTemplate = require('./RejectionTemplate');
+
+// One entry per rejection. Post.rejectionReason only keeps the latest one, so
+// reports on which reasons are used read from here instead.
+const postRejectionSchema = new mongoose.Schema({
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: [true, 'Post is required']
+  },
+  postCategory: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    default: null
+  },
+  reviewer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Reviewer is required']
+  },
+  // Null for reasons typed by hand
+  template: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RejectionTemplate',
+    default: null
+  },
+  // Copied at rejection time so reports still read correctly after the
+  // template is renamed or deleted
+  templateTitle: {
+    type: String,
+    default: null
+  },
+  reasonCategory: {
+    type: String,
+    default: null
+  },
+  reason: {
+    type: String,
+    required: [true, 'Reason is required']
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Index for better query performance
+postRejectionSchema.index({ createdAt: -1 });
+postRejectionSchema.index({ template: 1, createdAt: -1 });
+postRejectionSchema.index({ post: 1 });
+
+// Static method to record a rejection and count the template's use
+postRejectionSchema.statics.record = async function(post, reviewerId, reason, template = null) {
+  const rejection = await this.create({
+    post: post._id,
+    postCategory: post.category?._id || post.category || null,
+    reviewer: reviewerId,
+    template: template ? template._id : null,
+    templateTitle: template ? template.title : null,
+    reasonCategory: template ? template.category : null,
+    reason
+  });
+
+  if (template) {
+    await RejectionTemplate.recordUse(template._id, rejection.createdAt);
+  }
+  return rejection;
+};
+
+/**
+ * Static method to report how often each reason was used in a range.
+ * Hand-typed reasons are grouped together as one row with a null template.
+ * @param {Date} from - Range start
+ * @param {Date} end - Range end, exclusive
+ * @returns {Promise<Object>} { total, byTemplate, byCategory } where byTemplate
+ *   is [{ template, title, category, count, lastUsedAt }] most used first and
+ *   byCategory is [{ category, count }] with null for hand-typed reasons
+ */
+postRejectionSchema.statics.usageReport = async function(from, end) {
+  const [result] = await this.aggregate([
+    { $match: { createdAt: { $gte: from, $lt: end } } },
+    {
+      $facet: {
+        byTemplate: [
+          { $sort: { createdAt: 1 } },
+          {
+            $group: {
+              _id: '$template',
+              // The newest title wins if the template was renamed during the range
+              title: { $last: '$templateTitle' },
+              category: { $last: '$reasonCategory' },
+              count: { $sum: 1 },
+              lastUsedAt: { $max: '$createdAt' }
+            }
+          },
+          { $sort: { count: -1, lastUsedAt: -1 } },
+          { $project: { _id: 0, template: '$_id', title: 1, category: 1, count: 1, lastUsedAt: 1 } }
+        ],
+        byCategory: [
+          { $group: { _id: '$reasonCategory', count: { $sum: 1 } } },
+          { $sort: { count: -1 } },
+          { $project: { _id: 0, category: '$_id', count: 1 } }
+        ]
+      }
+    }
+  ]);
+
+  return {
+    total: result.byCategory.reduce((sum, row) => sum + row.count, 0),
+    byTemplate: result.byTemplate,
+    byCategory: result.byCategory
+  };
+};
+
+module.exports = mongoose.model('PostRejection', postRejectionSchema);
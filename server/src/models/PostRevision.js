@@ -0,0 +1,179 @@
+const mongoose = require('mongoose');
+const { diffFields } = require('../utils/diff');
+
+// Post fields captured in every revision, in display order
+const TRACKED_FIELDS = [
+  'title',
+  'content',
+  'excerpt',
+  'category',
+  'tags',
+  'featuredImage',
+  'seo.metaTitle',
+  'seo.metaDescription',
+  'seo.keywords'
+];
+
+const postRevisionSchema = new mongoose.Schema({
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: [true, 'Post is required']
+  },
+  revision: {
+    type: Number,
+    required: [true, 'Revision number is required'],
+    min: 1
+  },
+  title: String,
+  content: String,
+  excerpt: String,
+  category: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category'
+  },
+  tags: [String],
+  featuredImage: String,
+  seo: {
+    metaTitle: String,
+    metaDescription: String,
+    keywords: [String]
+  },
+  // Post status at the time the snapshot was taken
+  status: {
+    type: String
+  },
+  editedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Editor is required']
+  },
+  reason: {
+    type: String,
+    enum: ['create', 'update', 'restore'],
+    default: 'update'
+  },
+  restoredFrom: {
+    type: Number,
+    default: null
+  },
+  // Set when an admin approves or rejects the post while this is its latest revision
+  review: {
+    decision: {
+      type: String,
+      enum: ['approved', 'rejected', null],
+      default: null
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    reviewedAt: {
+      type: Date,
+      default: null
+    }
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+postRevisionSchema.index({ post: 1, revision: -1 }, { unique: true });
+postRevisionSchema.index({ post: 1, 'review.reviewedAt': -1 });
+
+// Build the snapshot fields from a post (populated or not)
+const snapshotOf = (post) => {
+  const category = post.category && post.category._id ? post.category._id : post.category;
+  const seo = post.seo || {};
+
+  return {
+    title: post.title,
+    content: post.content,
+    excerpt: post.excerpt,
+    category,
+    tags: post.tags ? [...post.tags] : [],
+    featuredImage: post.featuredImage,
+    seo: {
+      metaTitle: seo.metaTitle,
+      metaDescription: seo.metaDescription,
+      keywords: seo.keywords ? [...seo.keywords] : []
+    }
+  };
+};
+
+// Static method to record the current state of a post as its next revision.
+// Revision numbers come from the unique (post, revision) index, so two
+// concurrent saves retry rather than both claiming the same number.
+postRevisionSchema.statics.record = async function(post, editorId, reason = 'update', restoredFrom = null) {
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const latest = await this.findOne({ post: post._id }).sort({ revision: -1 }).select('revision');
+
+    try {
+      return await this.create({
+        ...snapshotOf(post),
+        post: post._id,
+        revision: latest ? latest.revision + 1 : 1,
+        status: post.status,
+        editedBy: editorId,
+        reason,
+        restoredFrom
+      });
+    } catch (error) {
+      if (error.code !== 11000) {
+        throw error;
+      }
+    }
+  }
+
+  throw new Error('Could not record post revision');
+};
+
+// Static method to get the latest revision, recording one for posts that predate revisions
+postRevisionSchema.statics.ensureLatest = async function(post, editorId) {
+  const latest = await this.findOne({ post: post._id }).sort({ revision: -1 });
+  if (latest) {
+    return latest;
+  }
+  return this.record(post, editorId || post.author, 'create');
+};
+
+// Static method to stamp the post's current revision with a review decision
+postRevisionSchema.statics.markReviewed = async function(post, adminId, decision) {
+  const latest = await this.ensureLatest(post, adminId);
+  latest.review = {
+    decision,
+    reviewedBy: adminId,
+    reviewedAt: new Date()
+  };
+  return latest.save();
+};
+
+// Static method to find the most recently approved or rejected revision
+postRevisionSchema.statics.findLastReviewed = function(postId) {
+  return this.findOne({
+    post: postId,
+    'review.decision': { $in: ['approved', 'rejected'] }
+  }).sort({ 'review.reviewedAt': -1, revision: -1 });
+};
+
+// Static method to compare two revisions field by field
+postRevisionSchema.statics.compare = function(from, to) {
+  return diffFields(from.toObject(), to.toObject(), TRACKED_FIELDS);
+};
+
+// Instance method to get the fields that a restore writes back to the post
+postRevisionSchema.methods.getRestorableFields = function() {
+  const { title, content, excerpt, category, tags, featuredImage, seo } = this.toObject();
+  return {
+    title,
+    content,
+    excerpt,
+    category,
+    tags,
+    featuredImage: featuredImage || null,
+    seo
+  };
+};
+
+module.exports = mongoose.model('PostRevision', postRevisionSchema);
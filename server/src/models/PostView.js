@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+const PostViewDaily = require('./PostViewDaily');
+const { startOfWindow, startOfDay } = require('../utils/analytics');
+
+// Raw view events are only needed for de-duplication and short-term
+// investigation; the daily rollups keep the history
+const VIEW_EVENT_TTL_SECONDS = 90 * 24 * 60 * 60;
+
+const postViewSchema = new mongoose.Schema({
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: [true, 'Post is required']
+  },
+  // user:<id> for signed-in visitors, anon:<hash> for everyone else
+  visitor: {
+    type: String,
+    required: [true, 'Visitor is required']
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Start of the de-duplication window the view fell in
+  windowStart: {
+    type: Date,
+    required: [true, 'Window start is required']
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    expires: VIEW_EVENT_TTL_SECONDS
+  }
+});
+
+// A visitor's views of a post count once per window; the unique index decides
+// which of several concurrent requests is the one that counts
+postViewSchema.index({ post: 1, visitor: 1, windowStart: 1 }, { unique: true });
+
+// Static method to record a view and, if it is the visitor's first in the
+// current window, count it on the post and in the day's rollup
+postViewSchema.statics.record = async function(post, visitor, now = new Date()) {
+  try {
+    await this.create({
+      post: post._id,
+      visitor: visitor.id,
+      user: visitor.userId,
+      windowStart: startOfWindow(now),
+      createdAt: now
+    });
+  } catch (error) {
+    // Already counted this window
+    if (error.code === 11000) {
+      return false;
+    }
+    throw error;
+  }
+
+  const increments = [
+    () => post.incrementViewCount(),
+    () => PostViewDaily.increment(post, startOfDay(now))
+  ];
+  const results = await Promise.allSettled(increments.map(increment => increment()));
+
+  // Retry only the counters that failed. The event stays, so a counter that
+  // did move never counts the view twice; if a retry fails too, that counter
+  // misses this one view.
+  for (const [index, result] of results.entries()) {
+    if (result.status === 'rejected') {
+      await increments[index]();
+    }
+  }
+  return true;
+};
+
+module.exports = mongoose.model('PostView', postViewSchema);
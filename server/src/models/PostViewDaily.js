@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+
+// Views of one post on one UTC day. Kept after the raw view events expire,
+// so views-over-time reports cover a post's whole history.
+const postViewDailySchema = new mongoose.Schema({
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: [true, 'Post is required']
+  },
+  // Copied from the post so an author's totals need no join
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Author is required']
+  },
+  date: {
+    type: Date,
+    required: [true, 'Date is required']
+  },
+  views: {
+    type: Number,
+    default: 0
+  }
+});
+
+// One rollup per post per day
+postViewDailySchema.index({ post: 1, date: 1 }, { unique: true });
+
+// Index for better query performance
+postViewDailySchema.index({ author: 1, date: 1 });
+
+// Static method to add a view to a post's rollup for the day
+postViewDailySchema.statics.increment = function(post, day) {
+  return this.updateOne(
+    { post: post._id, date: day },
+    { $inc: { views: 1 }, $setOnInsert: { author: post.author._id || post.author } },
+    { upsert: true }
+  );
+};
+
+// Static method to total views per day for the rollups matching a filter
+postViewDailySchema.statics.sumByDay = function(match, from, to) {
+  return this.aggregate([
+    { $match: { ...match, date: { $gte: from, $lte: to } } },
+    { $group: { _id: '$date', views: { $sum: '$views' } } },
+    { $sort: { _id: 1 } },
+    { $project: { _id: 0, date: '$_id', views: 1 } }
+  ]);
+};
+
+// Static method to total views per post over a range, most viewed first
+postViewDailySchema.statics.sumByPost = function(match, from, to, limit = 10) {
+  return this.aggregate([
+    { $match: { ...match, date: { $gte: from, $lte: to } } },
+    { $group: { _id: '$post', views: { $sum: '$views' } } },
+    { $sort: { views: -1, _id: 1 } },
+    { $limit: limit },
+    {
+      $lookup: {
+        from: 'posts',
+        localField: '_id',
+        foreignField: '_id',
+        as: 'post'
+      }
+    },
+    { $unwind: '$post' },
+    {
+      $project: {
+        _id: '$post._id',
+        title: '$post.title',
+        slug: '$post.slug',
+        views: 1,
+        viewCount: '$post.viewCount',
+        likeCount: '$post.likeCount',
+        commentCount: '$post.commentCount'
+      }
+    }
+  ]);
+};
+
+module.exports = mongoose.model('PostViewDaily', postViewDailySchema);
@@ -0,0 +1,133 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const refreshTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  // Only a SHA-256 hash of the token is stored
+  tokenHash: {
+    type: String,
+    required: [true, 'Token hash is required'],
+    unique: true
+  },
+  // Every token issued from one login shares a family; the family is the session
+  family: {
+    type: String,
+    required: [true, 'Token family is required']
+  },
+  sessionStartedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry date is required']
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    enum: ['rotated', 'logout', 'logout_all', 'reuse_detected', 'session_revoked', 'password_reset', null],
+    default: null
+  },
+  replacedByHash: {
+    type: String,
+    default: null
+  },
+  createdByIp: {
+    type: String,
+    default: null
+  },
+  userAgent: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual for whether the token can still be exchanged
+refreshTokenSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// Index for better query performance
+refreshTokenSchema.index({ family: 1 });
+refreshTokenSchema.index({ user: 1, revokedAt: 1 });
+// Let MongoDB remove tokens once they expire
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to hash a raw token
+refreshTokenSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Static method to find the record for a raw token
+refreshTokenSchema.statics.findByToken = function(token) {
+  return this.findOne({ tokenHash: this.hashToken(token) });
+};
+
+// Static method to atomically claim an unused token for rotation.
+// Only one caller can claim a given token, so concurrent refreshes
+// with the same token cannot both succeed.
+refreshTokenSchema.statics.claimForRotation = function(token, replacedByHash) {
+  return this.findOneAndUpdate(
+    {
+      tokenHash: this.hashToken(token),
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    },
+    {
+      revokedAt: new Date(),
+      revokedReason: 'rotated',
+      replacedByHash
+    },
+    { new: true }
+  );
+};
+
+// Static method to revoke every token in a family
+refreshTokenSchema.statics.revokeFamily = function(family, reason) {
+  return this.updateMany(
+    { family, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+};
+
+// Static method to revoke every token a user holds
+refreshTokenSchema.statics.revokeAllForUser = function(userId, reason) {
+  return this.updateMany(
+    { user: userId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+};
+
+// Static method to check whether a session still has a usable token
+refreshTokenSchema.statics.isSessionActive = async function(family) {
+  const token = await this.exists({
+    family,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  });
+  return !!token;
+};
+
+// Static method to list a user's active sessions, one entry per family
+refreshTokenSchema.statics.findActiveSessions = function(userId) {
+  return this.find({
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  })
+    .select('family sessionStartedAt createdAt expiresAt createdByIp userAgent')
+    .sort({ createdAt: -1 });
+};
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+// Kinds of feedback a template gives, for grouping in the picker and in reports
+const REJECTION_CATEGORIES = ['quality', 'formatting', 'sources', 'duplicate', 'policy', 'off-topic', 'other'];
+
+// Post.rejectionReason holds the template body plus any notes, so the two share its limit
+const MAX_REASON_LENGTH = 500;
+
+const rejectionTemplateSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Template title is required'],
+    unique: true,
+    trim: true,
+    maxlength: [100, 'Template title cannot exceed 100 characters']
+  },
+  body: {
+    type: String,
+    required: [true, 'Template body is required'],
+    trim: true,
+    minlength: [10, 'Template body must be at least 10 characters long'],
+    maxlength: [MAX_REASON_LENGTH, `Template body cannot exceed ${MAX_REASON_LENGTH} characters`]
+  },
+  category: {
+    type: String,
+    enum: REJECTION_CATEGORIES,
+    default: 'other'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  usageCount: {
+    type: Number,
+    default: 0
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+rejectionTemplateSchema.index({ category: 1, title: 1 });
+
+// Static method to list the template categories
+rejectionTemplateSchema.statics.getCategories = function() {
+  return [...REJECTION_CATEGORIES];
+};
+
+// Static method to count a use of a template without touching updatedAt
+rejectionTemplateSchema.statics.recordUse = function(templateId, now = new Date()) {
+  return this.updateOne(
+    { _id: templateId },
+    { $inc: { usageCount: 1 }, $set: { lastUsedAt: now } },
+    { timestamps: false }
+  );
+};
+
+// Instance method to build the reason sent to the author: the body, then any notes
+rejectionTemplateSchema.methods.compose = function(notes = '') {
+  const extra = (notes || '').trim();
+  return extra ? `${this.body}\n\n${extra}` : this.body;
+};
+
+module.exports = mongoose.model('RejectionTemplate', rejectionTemplateSchema);
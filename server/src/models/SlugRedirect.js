@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+// A slug a post used to have. Old links keep resolving to the post, and the
+// slug stays reserved so no other post can take it over.
+const slugRedirectSchema = new mongoose.Schema({
+  slug: {
+    type: String,
+    required: [true, 'Slug is required'],
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: [true, 'Post is required']
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+slugRedirectSchema.index({ post: 1 });
+
+// Static method to remember a slug a post has moved away from. If the slug
+// was already recorded it is pointed at this post again.
+slugRedirectSchema.statics.record = function(slug, postId) {
+  return this.updateOne(
+    { slug: slug.toLowerCase() },
+    { $set: { post: postId } },
+    { upsert: true }
+  );
+};
+
+// Static method to drop the redirect for a slug a post has taken back
+slugRedirectSchema.statics.release = function(slug, postId) {
+  return this.deleteOne({ slug: slug.toLowerCase(), post: postId });
+};
+
+// Static method to find the redirect for an old slug
+slugRedirectSchema.statics.findBySlug = function(slug) {
+  return this.findOne({ slug: slug.toLowerCase() });
+};
+
+module.exports = mongoose.model('SlugRedirect', slugRedirectSchema);
@@ -0,0 +1,148 @@
+const mongoose = require('mongoose');
+
+const variantSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true
+  },
+  key: {
+    type: String,
+    required: true
+  },
+  url: {
+    type: String,
+    required: true
+  },
+  width: Number,
+  height: Number,
+  size: Number,
+  mimeType: String
+}, { _id: false });
+
+const uploadSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Owner is required']
+  },
+  purpose: {
+    type: String,
+    enum: ['post', 'avatar'],
+    required: [true, 'Purpose is required']
+  },
+  originalName: {
+    type: String,
+    maxlength: [255, 'File name cannot exceed 255 characters']
+  },
+  mimeType: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: Number,
+    required: true
+  },
+  width: Number,
+  height: Number,
+  // Backend the files were written to, so they can be removed from the right place
+  storage: {
+    type: String,
+    required: true
+  },
+  key: {
+    type: String,
+    required: true
+  },
+  url: {
+    type: String,
+    required: true
+  },
+  variants: [variantSchema]
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Index for better query performance
+uploadSchema.index({ owner: 1, createdAt: -1 });
+uploadSchema.index({ createdAt: 1, _id: 1 });
+uploadSchema.index({ url: 1 });
+
+// Virtual for the smallest rendition, falling back to the original
+uploadSchema.virtual('thumbnailUrl').get(function() {
+  const thumbnail = (this.variants || []).find(variant => variant.name === 'thumbnail');
+  return thumbnail ? thumbnail.url : this.url;
+});
+
+// Method to list every URL this upload can be referenced by
+uploadSchema.methods.getUrls = function() {
+  return [this.url, ...(this.variants || []).map(variant => variant.url)];
+};
+
+// Method to list every storage key written for this upload
+uploadSchema.methods.getKeys = function() {
+  return [this.key, ...(this.variants || []).map(variant => variant.key)];
+};
+
+// Static method to collect the URLs, out of the given ones, that a post or profile still points at.
+// Posts count their featured image and the images and links in their Markdown.
+uploadSchema.statics.findReferencedUrls = async function(urls) {
+  const Post = mongoose.model('Post');
+  const User = mongoose.model('User');
+
+  const [featured, embedded, linked, avatars] = await Promise.all([
+    Post.distinct('featuredImage', { featuredImage: { $in: urls } }),
+    Post.distinct('images.src', { 'images.src': { $in: urls } }),
+    Post.distinct('links.href', { 'links.href': { $in: urls } }),
+    User.distinct('profile.avatar', { 'profile.avatar': { $in: urls } })
+  ]);
+
+  // distinct returns every value in a matching post's array, not just the requested ones
+  const requested = new Set(urls);
+  return new Set([...featured, ...embedded, ...linked, ...avatars].filter(url => requested.has(url)));
+};
+
+// Method to check whether a post or profile still uses this upload
+uploadSchema.methods.isReferenced = async function() {
+  const referenced = await this.constructor.findReferencedUrls(this.getUrls());
+  return referenced.size > 0;
+};
+
+// Static method to find up to limit uploads created before the cutoff that nothing references.
+// The cutoff gives authors time to save the post or profile an image was uploaded for.
+// Candidates are read oldest first a batch at a time, so uploads still in use
+// never stop the search from reaching newer orphans.
+uploadSchema.statics.findOrphans = async function(cutoff, limit = 500) {
+  const orphans = [];
+  let last = null;
+
+  while (orphans.length < limit) {
+    const filter = { createdAt: { $lt: cutoff } };
+    if (last) {
+      filter.$or = [
+        { createdAt: { $gt: last.createdAt } },
+        { createdAt: last.createdAt, _id: { $gt: last._id } }
+      ];
+    }
+
+    const batch = await this.find(filter)
+      .sort({ createdAt: 1, _id: 1 })
+      .limit(limit);
+    if (batch.length === 0) {
+      break;
+    }
+
+    const referenced = await this.findReferencedUrls(batch.flatMap(upload => upload.getUrls()));
+    orphans.push(...batch.filter(upload => !upload.getUrls().some(url => referenced.has(url))));
+
+    if (batch.length < limit) {
+      break;
+    }
+    last = batch[batch.length - 1];
+  }
+
+  return orphans.slice(0, limit);
+};
+
+module.exports = mongoose.model('Upload', uploadSchema);
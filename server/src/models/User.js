@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { getPermissions } = require('../config/permissions');
 
 const userSchema = new mongoose.Schema({
   username: {
@@ -32,6 +33,14 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  isEmailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: {
+    type: Date,
+    default: null
+  },
   profile: {
     firstName: {
       type: String,
@@ -108,6 +117,7 @@ userSchema.methods.getPublicProfile = function() {
   const userObject = this.toObject();
   delete userObject.password;
   delete userObject.__v;
+  userObject.permissions = getPermissions(this.role);
   return userObject;
 };
 
@@ -121,4 +131,16 @@ userSchema.statics.findByUsername = function(username) {
   return this.findOne({ username: username.toLowerCase() });
 };
 
+// Static method to mark accounts created before email verification existed
+// as verified, so they aren't locked out of submitting posts. New accounts
+// always store the field, so running this again changes nothing.
+userSchema.statics.verifyLegacyAccounts = async function(now = new Date()) {
+  const result = await this.updateMany(
+    { isEmailVerified: { $exists: false } },
+    { $set: { isEmailVerified: true, emailVerifiedAt: now } },
+    { timestamps: false }
+  );
+  return result.modifiedCount;
+};
+
 module.exports = mongoose.model('User', userSchema); 
\ No newline at end of file
@@ -0,0 +1,250 @@
+const express = require('express');
+const Post = require('../models/Post');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/permissions');
+const { POST_STATUSES } = require('../middleware/listQuery');
+const { parseDateRange } = require('../middleware/dateRange');
+const { DAY_MS, HOUR_MS, buildDailySeries, countByDay, median } = require('../utils/analytics');
+const { createTtlCache } = require('../utils/cache');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// The report scans every post, so repeated loads of the overview page within
+// this many seconds share one result
+const STATS_CACHE_SECONDS = parseInt(process.env.ADMIN_STATS_CACHE_SECONDS || '60', 10);
+
+const statsCache = createTtlCache({ ttlMs: STATS_CACHE_SECONDS * 1000 });
+
+// Lower bounds, in hours, of the queue age groups
+const QUEUE_AGE_BOUNDARIES = [0, 24, 72, 168];
+
+const round = value => (value === null ? null : Math.round(value * 10) / 10);
+
+/**
+ * Count posts in each status, including statuses with none
+ * @returns {Promise<Object>} { [status]: count }
+ */
+const getPostsByStatus = async () => {
+  const rows = await Post.aggregate([
+    { $group: { _id: '$status', count: { $sum: 1 } } }
+  ]);
+
+  return POST_STATUSES.reduce((counts, status) => {
+    const found = rows.find(row => row._id === status);
+    counts[status] = found ? found.count : 0;
+    return counts;
+  }, {});
+};
+
+/**
+ * Measure the approval queue as it stands now
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} { depth, averageAgeHours, medianAgeHours, oldestAgeHours, byAge }
+ *   where byAge is [{ minHours, maxHours, count }] and the last group has no maxHours
+ */
+const getQueueStats = async (now) => {
+  const [result] = await Post.aggregate([
+    { $match: { status: 'pending' } },
+    {
+      $project: {
+        // Posts from before submittedAt was recorded fall back to their creation time
+        ageHours: {
+          $max: [0, { $divide: [{ $subtract: [now, { $ifNull: ['$submittedAt', '$createdAt'] }] }, HOUR_MS] }]
+        }
+      }
+    },
+    {
+      $facet: {
+        summary: [
+          {
+            $group: {
+              _id: null,
+              depth: { $sum: 1 },
+              averageAgeHours: { $avg: '$ageHours' },
+              oldestAgeHours: { $max: '$ageHours' },
+              ages: { $push: '$ageHours' }
+            }
+          }
+        ],
+        byAge: [
+          {
+            $bucket: {
+              groupBy: '$ageHours',
+              boundaries: QUEUE_AGE_BOUNDARIES,
+              default: QUEUE_AGE_BOUNDARIES[QUEUE_AGE_BOUNDARIES.length - 1],
+              output: { count: { $sum: 1 } }
+            }
+          }
+        ]
+      }
+    }
+  ]);
+
+  const summary = result.summary[0];
+
+  return {
+    depth: summary ? summary.depth : 0,
+    averageAgeHours: summary ? round(summary.averageAgeHours) : null,
+    medianAgeHours: summary ? round(median(summary.ages)) : null,
+    oldestAgeHours: summary ? round(summary.oldestAgeHours) : null,
+    byAge: QUEUE_AGE_BOUNDARIES.map((minHours, index) => {
+      const found = result.byAge.find(row => row._id === minHours);
+      return {
+        minHours,
+        maxHours: QUEUE_AGE_BOUNDARIES[index + 1] || null,
+        count: found ? found.count : 0
+      };
+    })
+  };
+};
+
+/**
+ * Summarise review decisions made in a range: time from submission to
+ * approval, and the share of decisions in each category that were rejections.
+ * Only a post's latest decision is stored, so a post rejected and later
+ * approved counts once, as approved.
+ * @param {Date} from - Range start
+ * @param {Date} end - Range end, exclusive
+ * @returns {Promise<Object>} { timeToApprove, rejectionRateByCategory }
+ */
+const getReviewStats = async (from, end) => {
+  const [result] = await Post.aggregate([
+    { $match: { approvedAt: { $gte: from, $lt: end } } },
+    {
+      $project: {
+        category: 1,
+        isApproved: 1,
+        hours: {
+          $cond: [
+            { $ifNull: ['$submittedAt', false] },
+            { $divide: [{ $subtract: ['$approvedAt', '$submittedAt'] }, HOUR_MS] },
+            null
+          ]
+        }
+      }
+    },
+    {
+      $facet: {
+        approvals: [
+          // A resubmitted post's submittedAt is newer than its last decision
+          { $match: { isApproved: true, hours: { $gte: 0 } } },
+          {
+            $group: {
+              _id: null,
+              averageHours: { $avg: '$hours' },
+              hours: { $push: '$hours' }
+            }
+          }
+        ],
+        byCategory: [
+          {
+            $group: {
+              _id: '$category',
+              approved: { $sum: { $cond: ['$isApproved', 1, 0] } },
+              rejected: { $sum: { $cond: ['$isApproved', 0, 1] } }
+            }
+          },
+          {
+            $lookup: {
+              from: 'categories',
+              localField: '_id',
+              foreignField: '_id',
+              as: 'category'
+            }
+          },
+          {
+            $project: {
+              _id: 0,
+              categoryId: '$_id',
+              name: { $ifNull: [{ $first: '$category.name' }, null] },
+              slug: { $ifNull: [{ $first: '$category.slug' }, null] },
+              approved: 1,
+              rejected: 1
+            }
+          }
+        ]
+      }
+    }
+  ]);
+
+  const approvals = result.approvals[0];
+
+  const rejectionRateByCategory = result.byCategory
+    .map(row => ({
+      ...row,
+      reviewed: row.approved + row.rejected,
+      rejectionRate: Math.round((row.rejected / (row.approved + row.rejected)) * 1000) / 1000
+    }))
+    .sort((a, b) => b.rejectionRate - a.rejectionRate || b.reviewed - a.reviewed);
+
+  return {
+    timeToApprove: {
+      approved: approvals ? approvals.hours.length : 0,
+      averageHours: approvals ? round(approvals.averageHours) : null,
+      medianHours: approvals ? round(median(approvals.hours)) : null
+    },
+    rejectionRateByCategory
+  };
+};
+
+/**
+ * Build the content statistics report for a date range
+ * @param {Object} range - req.dateRange
+ * @returns {Promise<Object>} Report
+ */
+const buildContentStats = async ({ from, to, days }) => {
+  const now = new Date();
+  const end = new Date(to.getTime() + DAY_MS);
+
+  const [postsByStatus, queue, review, published] = await Promise.all([
+    getPostsByStatus(),
+    getQueueStats(now),
+    getReviewStats(from, end),
+    countByDay(Post, { status: 'published', publishedAt: { $gte: from, $lt: end } }, 'publishedAt')
+  ]);
+
+  const publishSeries = buildDailySeries(from, to, { published });
+
+  return {
+    range: { from, to, days },
+    generatedAt: now,
+    postsByStatus,
+    queue,
+    timeToApprove: review.timeToApprove,
+    rejectionRateByCategory: review.rejectionRateByCategory,
+    publishVolume: {
+      total: publishSeries.reduce((sum, day) => sum + day.published, 0),
+      series: publishSeries
+    }
+  };
+};
+
+/**
+ * @route   GET /api/admin/stats
+ * @desc    Get content statistics: posts per status, approval queue depth and
+ *          age, time to approve, rejection rate per category and daily publish
+ *          volume over a date range (from/to, default the last 30 days).
+ *          Results are cached for a short time; generatedAt says when.
+ * @access  Private (stats:view)
+ */
+router.get('/stats', [
+  authenticate,
+  requirePermission(PERMISSIONS.STATS_VIEW),
+  ...parseDateRange()
+], asyncHandler(async (req, res) => {
+  const { from, to } = req.dateRange;
+  const key = `${from.toISOString()}|${to.toISOString()}`;
+
+  const stats = await statsCache.wrap(key, () => buildContentStats(req.dateRange));
+
+  logger.info(`Content statistics accessed by admin: ${req.user.username}`);
+
+  res.json({
+    success: true,
+    data: stats
+  });
+}));
+
+module.exports = router;
@@ -0,0 +1,178 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { query, validationResult } = require('express-validator');
+const AuditLog = require('../models/AuditLog');
+const User = require('../models/User');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/permissions');
+const { parseListQuery } = require('../middleware/listQuery');
+const { toCsv } = require('../utils/csv');
+const logger = require('../utils/logger');
+
+// Read-only by design: entries are written by the routes that perform the
+// audited actions, and there are deliberately no update or delete endpoints.
+const router = express.Router();
+
+// Upper bound on rows in a single CSV export
+const MAX_EXPORT_ROWS = 10000;
+
+const filterValidators = [
+  query('actor')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Actor must be a user ID or username'),
+  query('action')
+    .optional()
+    .custom(value => value.split(',').every(action => AuditLog.getActions().includes(action)))
+    .withMessage(`Action must be one or more of: ${AuditLog.getActions().join(', ')}`),
+  query('targetId')
+    .optional()
+    .isMongoId()
+    .withMessage('Target must be a valid ID'),
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('From must be a valid date'),
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('To must be a valid date')
+];
+
+/**
+ * Build the audit log query from the request's filters
+ * @param {Object} params - Validated query string
+ * @returns {Promise<Object>} Mongo filter
+ */
+const buildFilter = async ({ actor, action, targetId, from, to }) => {
+  const filter = {};
+
+  if (actor) {
+    if (mongoose.Types.ObjectId.isValid(actor)) {
+      filter.actor = actor;
+    } else {
+      // Match the username at the time of the action as well as the current one
+      const user = await User.findByUsername(actor);
+      filter.$or = [{ actorUsername: actor }];
+      if (user) {
+        filter.$or.push({ actor: user._id });
+      }
+    }
+  }
+
+  if (action) {
+    filter.action = { $in: action.split(',') };
+  }
+
+  if (targetId) {
+    filter.targetId = targetId;
+  }
+
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = new Date(from);
+    if (to) filter.createdAt.$lte = new Date(to);
+  }
+
+  return filter;
+};
+
+/**
+ * @route   GET /api/audit-logs
+ * @desc    List audit log entries, newest first, filtered by actor, action, target and date range
+ * @access  Private (audit:view)
+ */
+router.get('/', [
+  authenticate,
+  requirePermission(PERMISSIONS.AUDIT_VIEW),
+  ...filterValidators,
+  ...parseListQuery({ defaultLimit: 50, maxLimit: 200 })
+], asyncHandler(async (req, res) => {
+  const { page, limit: limitNum } = req.listQuery;
+  const filter = await buildFilter(req.query);
+
+  const skip = (page - 1) * limitNum;
+
+  const entries = await AuditLog.find(filter)
+    .sort({ createdAt: -1, _id: -1 })
+    .skip(skip)
+    .limit(limitNum)
+    .select('-__v');
+
+  const total = await AuditLog.countDocuments(filter);
+  const totalPages = Math.ceil(total / limitNum);
+  const hasNextPage = page < totalPages;
+  const hasPrevPage = page > 1;
+
+  res.json({
+    success: true,
+    data: {
+      entries,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalItems: total,
+        itemsPerPage: limitNum,
+        hasNextPage,
+        hasPrevPage
+      }
+    }
+  });
+}));
+
+/**
+ * @route   GET /api/audit-logs/export
+ * @desc    Download the filtered audit log as CSV
+ * @access  Private (audit:view)
+ */
+router.get('/export', [
+  authenticate,
+  requirePermission(PERMISSIONS.AUDIT_VIEW),
+  ...filterValidators
+], asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        message: 'Validation failed',
+        details: errors.array(),
+        statusCode: 400
+      }
+    });
+  }
+
+  const filter = await buildFilter(req.query);
+
+  const entries = await AuditLog.find(filter)
+    .sort({ createdAt: -1, _id: -1 })
+    .limit(MAX_EXPORT_ROWS)
+    .lean();
+
+  const csv = toCsv(entries, [
+    { header: 'timestamp', value: entry => entry.createdAt },
+    { header: 'actor_id', value: entry => entry.actor },
+    { header: 'actor', value: entry => entry.actorUsername },
+    { header: 'actor_role', value: entry => entry.actorRole },
+    { header: 'action', value: entry => entry.action },
+    { header: 'target_type', value: entry => entry.targetType },
+    { header: 'target_id', value: entry => entry.targetId },
+    { header: 'target', value: entry => entry.targetLabel },
+    { header: 'before', value: entry => entry.before },
+    { header: 'after', value: entry => entry.after },
+    { header: 'ip', value: entry => entry.ip },
+    { header: 'user_agent', value: entry => entry.userAgent }
+  ]);
+
+  logger.info(`Audit log exported by: ${req.user.username}`, { rows: entries.length });
+
+  const date = new Date().toISOString().slice(0, 10);
+  res.set('Content-Type', 'text/csv; charset=utf-8');
+  res.set('Content-Disposition', `attachment; filename="audit-log-${date}.csv"`);
+  res.send(csv);
+}));
+
+module.exports = router;
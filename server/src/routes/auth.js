@@ -1,17 +1,51 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const AccountToken = require('../models/AccountToken');
 const { 
   generateToken, 
   comparePassword, 
-  validatePasswordStrength 
+  validatePasswordStrength,
+  createSession,
+  rotateRefreshToken
 } = require('../utils/auth');
 const { asyncHandler, ApiError } = require('../middleware/errorHandler');
-const { authenticate, authorize } = require('../middleware/auth');
+const { authenticate, optionalAuthenticate } = require('../middleware/auth');
+const { sendPasswordResetEmail, sendVerificationEmail } = require('../utils/mailer');
 const logger = require('../utils/logger');
 
 const router = express.Router();
 
+const PASSWORD_RESET_TTL = 60 * 60 * 1000; // 1 hour
+const EMAIL_VERIFICATION_TTL = 24 * 60 * 60 * 1000; // 24 hours
+
+/**
+ * Issue a verification token and email it; failures are logged, not thrown
+ * @param {Object} user - User object
+ */
+const sendVerification = async (user) => {
+  try {
+    const token = await AccountToken.issue(user._id, 'email_verification', EMAIL_VERIFICATION_TTL);
+    await sendVerificationEmail(user, token);
+  } catch (error) {
+    logger.error(`Failed to send verification email to user: ${user.username}`, error);
+  }
+};
+
+/**
+ * Issue a password reset token and email it; failures are logged, not thrown
+ * @param {Object} user - User object
+ */
+const sendPasswordReset = async (user) => {
+  try {
+    const token = await AccountToken.issue(user._id, 'password_reset', PASSWORD_RESET_TTL);
+    await sendPasswordResetEmail(user, token);
+  } catch (error) {
+    logger.error(`Failed to send password reset email to user: ${user.username}`, error);
+  }
+};
+
 /**
  * @route   POST /api/auth/register
  * @desc    Register a new user
@@ -102,8 +136,10 @@ router.post('/register', [
 
   await user.save();
 
-  // Generate token
-  const token = generateToken(user);
+  // Start a session
+  const { token, refreshToken } = await createSession(user, req);
+
+  await sendVerification(user);
 
   logger.info(`New user registered: ${user.username}`);
 
@@ -112,7 +148,8 @@ router.post('/register', [
     message: 'User registered successfully',
     data: {
       user: user.getPublicProfile(),
-      token
+      token,
+      refreshToken
     }
   });
 }));
@@ -187,8 +224,8 @@ router.post('/login', [
   user.lastLogin = new Date();
   await user.save();
 
-  // Generate token
-  const token = generateToken(user);
+  // Start a session
+  const { token, refreshToken } = await createSession(user, req);
 
   logger.info(`User logged in: ${user.username}`);
 
@@ -197,15 +234,16 @@ router.post('/login', [
     message: 'Login successful',
     data: {
       user: user.getPublicProfile(),
-      token
+      token,
+      refreshToken
     }
   });
 }));
 
 /**
  * @route   POST /api/auth/refresh
- * @desc    Refresh access token
- * @access  Private
+ * @desc    Exchange a refresh token for a new access and refresh token pair
+ * @access  Public (requires a valid refresh token)
  */
 router.post('/refresh', asyncHandler(async (req, res) => {
   const { refreshToken } = req.body;
@@ -221,25 +259,19 @@ router.post('/refresh', asyncHandler(async (req, res) => {
   }
 
   try {
-    const { verifyToken } = require('../utils/auth');
-    const decoded = verifyToken(refreshToken);
-    
-    if (decoded.type !== 'refresh') {
-      throw new Error('Invalid token type');
-    }
-
-    const user = await User.findById(decoded.id).select('-password');
-    if (!user || !user.isActive) {
-      throw new Error('User not found or inactive');
-    }
+    const rotated = await rotateRefreshToken(refreshToken, {
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    });
 
-    const newToken = generateToken(user);
+    const newToken = generateToken(rotated.user, rotated.sessionId);
 
     res.json({
       success: true,
       message: 'Token refreshed successfully',
       data: {
-        token: newToken
+        token: newToken,
+        refreshToken: rotated.refreshToken
       }
     });
   } catch (error) {
@@ -253,6 +285,217 @@ router.post('/refresh', asyncHandler(async (req, res) => {
   }
 }));
 
+/**
+ * @route   POST /api/auth/forgot-password
+ * @desc    Email a password reset link
+ * @access  Public
+ */
+router.post('/forgot-password', [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email address')
+], asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        message: 'Validation failed',
+        details: errors.array(),
+        statusCode: 400
+      }
+    });
+  }
+
+  const user = await User.findByEmail(req.body.email);
+
+  // Respond the same way whether or not the account exists. The email goes out
+  // after the response, so neither mail errors nor SMTP latency give it away.
+  if (user && user.isActive) {
+    setImmediate(() => sendPasswordReset(user));
+    logger.info(`Password reset requested for user: ${user.username}`);
+  } else {
+    logger.logSecurity('Password reset requested for unknown or inactive account', { email: req.body.email });
+  }
+
+  res.json({
+    success: true,
+    message: 'If an account exists for that email, a reset link has been sent'
+  });
+}));
+
+/**
+ * @route   POST /api/auth/reset-password
+ * @desc    Set a new password using a reset token
+ * @access  Public (requires a valid reset token)
+ */
+router.post('/reset-password', [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Reset token is required'),
+
+  body('password')
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters long')
+], asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        message: 'Validation failed',
+        details: errors.array(),
+        statusCode: 400
+      }
+    });
+  }
+
+  const { token, password } = req.body;
+
+  // Validate password strength
+  const passwordValidation = validatePasswordStrength(password);
+  if (!passwordValidation.isValid) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        message: 'Password does not meet strength requirements',
+        details: passwordValidation.errors,
+        statusCode: 400
+      }
+    });
+  }
+
+  const record = await AccountToken.consume(token, 'password_reset');
+  if (!record) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        message: 'Reset link is invalid or has expired',
+        statusCode: 400
+      }
+    });
+  }
+
+  const user = await User.findById(record.user);
+  if (!user || !user.isActive) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        message: 'Reset link is invalid or has expired',
+        statusCode: 400
+      }
+    });
+  }
+
+  user.password = password;
+  // Receiving the reset email proves the address works
+  if (!user.isEmailVerified) {
+    user.isEmailVerified = true;
+    user.emailVerifiedAt = new Date();
+  }
+  await user.save();
+
+  // Anyone holding an old session must sign in again
+  await RefreshToken.revokeAllForUser(user._id, 'password_reset');
+
+  logger.info(`Password reset completed for user: ${user.username}`);
+
+  res.json({
+    success: true,
+    message: 'Password reset successfully. Please sign in with your new password.'
+  });
+}));
+
+/**
+ * @route   POST /api/auth/verify-email
+ * @desc    Confirm an email address using a verification token
+ * @access  Public (requires a valid verification token)
+ */
+router.post('/verify-email', [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Verification token is required')
+], asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        message: 'Validation failed',
+        details: errors.array(),
+        statusCode: 400
+      }
+    });
+  }
+
+  const record = await AccountToken.consume(req.body.token, 'email_verification');
+  if (!record) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        message: 'Verification link is invalid or has expired',
+        statusCode: 400
+      }
+    });
+  }
+
+  const user = await User.findByIdAndUpdate(
+    record.user,
+    { isEmailVerified: true, emailVerifiedAt: new Date() },
+    { new: true }
+  ).select('-password');
+
+  if (!user) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        message: 'Verification link is invalid or has expired',
+        statusCode: 400
+      }
+    });
+  }
+
+  logger.info(`Email verified for user: ${user.username}`);
+
+  res.json({
+    success: true,
+    message: 'Email verified successfully',
+    data: {
+      user: user.getPublicProfile()
+    }
+  });
+}));
+
+/**
+ * @route   POST /api/auth/resend-verification
+ * @desc    Send a new email verification link
+ * @access  Private
+ */
+router.post('/resend-verification', authenticate, asyncHandler(async (req, res) => {
+  if (req.user.isEmailVerified) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        message: 'Email is already verified',
+        statusCode: 400
+      }
+    });
+  }
+
+  await sendVerification(req.user);
+
+  res.json({
+    success: true,
+    message: 'Verification email sent'
+  });
+}));
+
 /**
  * @route   GET /api/auth/me
  * @desc    Get current user profile
@@ -310,7 +553,13 @@ router.put('/profile', [
   body('profile.bio')
     .optional()
     .isLength({ max: 500 })
-    .withMessage('Bio cannot exceed 500 characters')
+    .withMessage('Bio cannot exceed 500 characters'),
+
+  body('profile.avatar')
+    .optional({ nullable: true })
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage('Avatar must be an image URL')
 ], asyncHandler(async (req, res) => {
   const { extractTokenFromHeader, getCurrentUser } = require('../utils/auth');
   
@@ -370,13 +619,23 @@ router.put('/profile', [
 
 /**
  * @route   POST /api/auth/logout
- * @desc    Logout user (client-side token removal)
- * @access  Private
+ * @desc    Logout user by revoking the current session
+ * @access  Public (send the access token or the refresh token)
  */
-router.post('/logout', asyncHandler(async (req, res) => {
-  // In a stateless JWT setup, logout is handled client-side
-  // This endpoint can be used for logging purposes
-  logger.info('User logout requested');
+router.post('/logout', optionalAuthenticate, asyncHandler(async (req, res) => {
+  const { refreshToken } = req.body;
+
+  let family = req.sessionId;
+  if (!family && refreshToken) {
+    const stored = await RefreshToken.findByToken(refreshToken);
+    family = stored ? stored.family : null;
+  }
+
+  if (family) {
+    await RefreshToken.revokeFamily(family, 'logout');
+  }
+
+  logger.info(`User logout requested${req.user ? `: ${req.user.username}` : ''}`);
   
   res.json({
     success: true,
@@ -384,4 +643,78 @@ router.post('/logout', asyncHandler(async (req, res) => {
   });
 }));
 
+/**
+ * @route   POST /api/auth/logout-all
+ * @desc    Logout user from every device by revoking all sessions
+ * @access  Private
+ */
+router.post('/logout-all', authenticate, asyncHandler(async (req, res) => {
+  const result = await RefreshToken.revokeAllForUser(req.user._id, 'logout_all');
+
+  logger.info(`All sessions revoked for user: ${req.user.username}`);
+
+  res.json({
+    success: true,
+    message: 'Logged out from all devices',
+    data: {
+      revokedSessions: result.modifiedCount
+    }
+  });
+}));
+
+/**
+ * @route   GET /api/auth/sessions
+ * @desc    List the current user's active sessions
+ * @access  Private
+ */
+router.get('/sessions', authenticate, asyncHandler(async (req, res) => {
+  const tokens = await RefreshToken.findActiveSessions(req.user._id);
+
+  const sessions = tokens.map(token => ({
+    id: token.family,
+    startedAt: token.sessionStartedAt,
+    lastUsedAt: token.createdAt,
+    expiresAt: token.expiresAt,
+    ip: token.createdByIp,
+    userAgent: token.userAgent,
+    current: token.family === req.sessionId
+  }));
+
+  res.json({
+    success: true,
+    data: {
+      sessions
+    }
+  });
+}));
+
+/**
+ * @route   DELETE /api/auth/sessions/:sessionId
+ * @desc    Revoke one of the current user's sessions
+ * @access  Private
+ */
+router.delete('/sessions/:sessionId', authenticate, asyncHandler(async (req, res) => {
+  const { sessionId } = req.params;
+
+  const session = await RefreshToken.exists({ family: sessionId, user: req.user._id });
+  if (!session) {
+    return res.status(404).json({
+      success: false,
+      error: {
+        message: 'Session not found',
+        statusCode: 404
+      }
+    });
+  }
+
+  await RefreshToken.revokeFamily(sessionId, 'session_revoked');
+
+  logger.info(`Session revoked by user: ${req.user.username}`, { sessionId });
+
+  res.json({
+    success: true,
+    message: 'Session revoked successfully'
+  });
+}));
+
 module.exports = router; 
\ No newline at end of file
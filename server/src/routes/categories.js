@@ -1,13 +1,376 @@
 const express = require('express');
+const { body, query, validationResult } = require('express-validator');
 const Category = require('../models/Category');
+const Post = require('../models/Post');
 const { asyncHandler } = require('../middleware/errorHandler');
+const { authenticate, optionalAuthenticate, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS, hasPermission } = require('../config/permissions');
+const logger = require('../utils/logger');
 
 const router = express.Router();
 
+/**
+ * Load the category from the :id param or send a 404
+ */
+const loadCategory = async (req, res) => {
+  const category = await Category.findById(req.params.id);
+  if (!category) {
+    res.status(404).json({
+      success: false,
+      error: {
+        message: 'Category not found',
+        statusCode: 404
+      }
+    });
+    return null;
+  }
+  return category;
+};
+
+/**
+ * Check a proposed parent exists and would not create a cycle, sending a 400 otherwise
+ * @returns {Boolean} True when the parent is acceptable
+ */
+const checkParent = async (res, categoryId, parentId) => {
+  if (!parentId) {
+    return true;
+  }
+
+  const parent = await Category.findById(parentId).select('_id');
+  if (!parent) {
+    res.status(400).json({
+      success: false,
+      error: {
+        message: 'Parent category not found',
+        statusCode: 400
+      }
+    });
+    return false;
+  }
+
+  if (categoryId && await Category.wouldCreateCycle(categoryId, parentId)) {
+    res.status(400).json({
+      success: false,
+      error: {
+        message: 'A category cannot be its own ancestor',
+        statusCode: 400
+      }
+    });
+    return false;
+  }
+
+  return true;
+};
+
+const categoryValidators = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 50 })
+    .withMessage('Category name must be between 2 and 50 characters'),
+
+  body('slug')
+    .optional()
+    .isLength({ min: 2, max: 60 })
+    .withMessage('Slug must be between 2 and 60 characters')
+    .matches(/^[a-z0-9-]+$/)
+    .withMessage('Slug can only contain lowercase letters, numbers, and hyphens'),
+
+  body('description')
+    .optional()
+    .isLength({ max: 200 })
+    .withMessage('Description cannot exceed 200 characters'),
+
+  body('parent')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('Parent must be a valid category ID')
+];
+
 // GET /api/categories - Get all active categories
 router.get('/', asyncHandler(async (req, res) => {
-  const categories = await Category.find({ isActive: true }).select('name slug description');
+  const categories = await Category.find({ isActive: true }).select('name slug description parent');
   res.json({ success: true, data: { categories } });
 }));
 
-module.exports = router; 
\ No newline at end of file
+/**
+ * @route   GET /api/categories/tree
+ * @desc    Get categories nested under their parents with published post counts.
+ *          Admins may pass includeInactive=true to see deactivated categories.
+ * @access  Public
+ */
+router.get('/tree', optionalAuthenticate, asyncHandler(async (req, res) => {
+  const includeInactive = req.query.includeInactive === 'true' && hasPermission(req.user, PERMISSIONS.CATEGORIES_MANAGE);
+
+  const categories = await Category.find().select('name slug description isActive parent');
+
+  const counts = await Post.aggregate([
+    { $match: { status: 'published', isPublished: true, isApproved: true } },
+    { $group: { _id: '$category', count: { $sum: 1 } } }
+  ]);
+  const postCounts = {};
+  counts.forEach(({ _id, count }) => {
+    if (_id) postCounts[_id.toString()] = count;
+  });
+
+  const tree = Category.buildTree(categories, postCounts, { activeOnly: !includeInactive });
+
+  res.json({
+    success: true,
+    data: {
+      categories: tree
+    }
+  });
+}));
+
+/**
+ * @route   GET /api/categories/:id
+ * @desc    Get a single category with its post count
+ * @access  Public
+ */
+router.get('/:id', asyncHandler(async (req, res) => {
+  const category = await Category.findById(req.params.id)
+    .populate('parent', 'name slug')
+    .populate('postsCount')
+    .select('-__v');
+
+  if (!category) {
+    return res.status(404).json({
+      success: false,
+      error: {
+        message: 'Category not found',
+        statusCode: 404
+      }
+    });
+  }
+
+  res.json({
+    success: true,
+    data: {
+      category
+    }
+  });
+}));
+
+/**
+ * @route   POST /api/categories
+ * @desc    Create a category (Admin only)
+ * @access  Private (Admin)
+ */
+router.post('/', [
+  authenticate,
+  requirePermission(PERMISSIONS.CATEGORIES_MANAGE),
+  body('name')
+    .exists({ values: 'falsy' })
+    .withMessage('Category name is required'),
+  ...categoryValidators
+], asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        message: 'Validation failed',
+        details: errors.array(),
+        statusCode: 400
+      }
+    });
+  }
+
+  const { name, slug, description, parent = null } = req.body;
+
+  if (!await checkParent(res, null, parent)) return;
+
+  const category = await Category.create({ name, slug, description, parent });
+
+  logger.info(`Category created by admin: ${req.user.username}`, { categoryId: category._id });
+
+  res.status(201).json({
+    success: true,
+    message: 'Category created successfully',
+    data: {
+      category
+    }
+  });
+}));
+
+/**
+ * @route   PUT /api/categories/:id
+ * @desc    Update a category's name, slug, description or parent (Admin only)
+ * @access  Private (Admin)
+ */
+router.put('/:id', [
+  authenticate,
+  requirePermission(PERMISSIONS.CATEGORIES_MANAGE),
+  ...categoryValidators
+], asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        message: 'Validation failed',
+        details: errors.array(),
+        statusCode: 400
+      }
+    });
+  }
+
+  const category = await loadCategory(req, res);
+  if (!category) return;
+
+  const { name, slug, description, parent } = req.body;
+
+  if (parent !== undefined && !await checkParent(res, category._id, parent)) return;
+
+  if (name !== undefined) category.name = name;
+  if (slug !== undefined) category.slug = slug;
+  if (description !== undefined) category.description = description;
+  if (parent !== undefined) category.parent = parent || null;
+
+  await category.save();
+
+  logger.info(`Category updated by admin: ${req.user.username}`, { categoryId: category._id });
+
+  res.json({
+    success: true,
+    message: 'Category updated successfully',
+    data: {
+      category
+    }
+  });
+}));
+
+/**
+ * @route   POST /api/categories/:id/deactivate
+ * @desc    Deactivate a category, hiding it and its subcategories from public listings (Admin only)
+ * @access  Private (Admin)
+ */
+router.post('/:id/deactivate', authenticate, requirePermission(PERMISSIONS.CATEGORIES_MANAGE), asyncHandler(async (req, res) => {
+  const category = await loadCategory(req, res);
+  if (!category) return;
+
+  category.isActive = false;
+  await category.save();
+
+  logger.info(`Category deactivated: ${category.name} by admin: ${req.user.username}`);
+
+  res.json({
+    success: true,
+    message: 'Category deactivated successfully',
+    data: {
+      category
+    }
+  });
+}));
+
+/**
+ * @route   POST /api/categories/:id/activate
+ * @desc    Reactivate a category (Admin only)
+ * @access  Private (Admin)
+ */
+router.post('/:id/activate', authenticate, requirePermission(PERMISSIONS.CATEGORIES_MANAGE), asyncHandler(async (req, res) => {
+  const category = await loadCategory(req, res);
+  if (!category) return;
+
+  category.isActive = true;
+  await category.save();
+
+  logger.info(`Category activated: ${category.name} by admin: ${req.user.username}`);
+
+  res.json({
+    success: true,
+    message: 'Category activated successfully',
+    data: {
+      category
+    }
+  });
+}));
+
+/**
+ * @route   DELETE /api/categories/:id?reassignTo=:categoryId
+ * @desc    Delete a category (Admin only). Its posts move to reassignTo, which is
+ *          required when the category has posts; subcategories move up to its parent.
+ * @access  Private (Admin)
+ */
+router.delete('/:id', [
+  authenticate,
+  requirePermission(PERMISSIONS.CATEGORIES_MANAGE),
+  query('reassignTo')
+    .optional()
+    .isMongoId()
+    .withMessage('reassignTo must be a valid category ID')
+], asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        message: 'Validation failed',
+        details: errors.array(),
+        statusCode: 400
+      }
+    });
+  }
+
+  const category = await loadCategory(req, res);
+  if (!category) return;
+
+  const { reassignTo } = req.query;
+  const postCount = await Post.countDocuments({ category: category._id });
+
+  if (reassignTo) {
+    const target = reassignTo === category._id.toString()
+      ? null
+      : await Category.findById(reassignTo).select('_id');
+    if (!target) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'reassignTo must be a different, existing category',
+          statusCode: 400
+        }
+      });
+    }
+  } else if (postCount > 0) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        message: `Category has ${postCount} post(s). Pass reassignTo to move them before deleting.`,
+        statusCode: 400
+      }
+    });
+  }
+
+  const { modifiedCount: postsReassigned } = reassignTo
+    ? await Post.updateMany({ category: category._id }, { $set: { category: reassignTo, contentUpdatedAt: new Date() } })
+    : { modifiedCount: 0 };
+
+  // Children keep their place in the hierarchy by moving up one level
+  const { modifiedCount: childrenMoved } = await Category.updateMany(
+    { parent: category._id },
+    { $set: { parent: category.parent } }
+  );
+
+  await Category.findByIdAndDelete(category._id);
+
+  logger.info(`Category deleted: ${category.name} by admin: ${req.user.username}`, {
+    reassignTo,
+    postsReassigned,
+    childrenMoved
+  });
+
+  res.json({
+    success: true,
+    message: 'Category deleted successfully',
+    data: {
+      postsReassigned,
+      childrenMoved
+    }
+  });
+}));
+
+module.exports = router;
@@ -0,0 +1,342 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { authenticate, optionalAuthenticate } = require('../middleware/auth');
+const { PERMISSIONS, hasPermission } = require('../config/permissions');
+const { canViewPost, parseListQuery } = require('../middleware/listQuery');
+const logger = require('../utils/logger');
+
+// Mounted under /api/posts/:id/comments
+const router = express.Router({ mergeParams: true });
+
+const commentAuthorFields = 'username profile.firstName profile.lastName profile.avatar';
+
+/**
+ * Load the post from the :id param or send a 404
+ * @param {Object} options - { visibleOnly } to also 404 posts the caller may
+ *   not see, as GET /api/posts/:id does, so their comments can't be read by ID
+ */
+const loadPost = async (req, res, { visibleOnly = false } = {}) => {
+  const post = await Post.findById(req.params.id);
+  if (!post || (visibleOnly && !canViewPost(req.user, post))) {
+    res.status(404).json({
+      success: false,
+      error: {
+        message: 'Post not found',
+        statusCode: 404
+      }
+    });
+    return null;
+  }
+  return post;
+};
+
+/**
+ * Load the comment from the :commentId param, scoped to the post, or send a 404
+ */
+const loadComment = async (req, res) => {
+  const comment = await Comment.findOne({ _id: req.params.commentId, post: req.params.id });
+  if (!comment) {
+    res.status(404).json({
+      success: false,
+      error: {
+        message: 'Comment not found',
+        statusCode: 404
+      }
+    });
+    return null;
+  }
+  return comment;
+};
+
+/**
+ * @route   GET /api/posts/:id/comments
+ * @desc    Get threaded comments for a post, paginated by top-level comment
+ * @access  Public
+ */
+router.get('/', optionalAuthenticate, parseListQuery({ defaultLimit: 20, maxLimit: 100 }), asyncHandler(async (req, res) => {
+  const { page, limit: limitNum } = req.listQuery;
+
+  const post = await loadPost(req, res, { visibleOnly: true });
+  if (!post) return;
+
+  const skip = (page - 1) * limitNum;
+
+  const roots = await Comment.findTopLevel(post._id)
+    .populate('author', commentAuthorFields)
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(limitNum);
+
+  const replies = await Comment.find({ root: { $in: roots.map(comment => comment._id) } })
+    .populate('author', commentAuthorFields)
+    .sort({ createdAt: 1 });
+
+  const total = await Comment.countDocuments({ post: post._id, parent: null });
+  const totalPages = Math.ceil(total / limitNum);
+  const hasNextPage = page < totalPages;
+  const hasPrevPage = page > 1;
+
+  logger.logDatabase('find', 'comments', post._id);
+
+  res.json({
+    success: true,
+    data: {
+      comments: Comment.buildTree(roots, replies),
+      commentCount: post.commentCount,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalItems: total,
+        itemsPerPage: limitNum,
+        hasNextPage,
+        hasPrevPage
+      }
+    }
+  });
+}));
+
+/**
+ * @route   POST /api/posts/:id/comments
+ * @desc    Add a comment or a reply to a post
+ * @access  Private
+ */
+router.post('/', [
+  authenticate,
+  body('content')
+    .trim()
+    .isLength({ min: 1, max: 2000 })
+    .withMessage('Comment must be between 1 and 2000 characters'),
+
+  body('parent')
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage('Valid parent comment ID is required')
+], asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        message: 'Validation failed',
+        details: errors.array(),
+        statusCode: 400
+      }
+    });
+  }
+
+  const post = await loadPost(req, res);
+  if (!post) return;
+
+  if (post.status !== 'published') {
+    return res.status(400).json({
+      success: false,
+      error: {
+        message: 'Comments can only be added to published posts',
+        statusCode: 400
+      }
+    });
+  }
+
+  const { content, parent: parentId } = req.body;
+
+  const comment = new Comment({
+    post: post._id,
+    author: req.user._id,
+    content
+  });
+
+  if (parentId) {
+    const parent = await Comment.findOne({ _id: parentId, post: post._id });
+    if (!parent) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Parent comment not found',
+          statusCode: 404
+        }
+      });
+    }
+
+    if (parent.isDeleted) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Cannot reply to a deleted comment',
+          statusCode: 400
+        }
+      });
+    }
+
+    comment.parent = parent._id;
+    comment.root = parent.root || parent._id;
+    comment.depth = parent.depth + 1;
+  }
+
+  await comment.save();
+  await post.incrementCommentCount();
+
+  await comment.populate('author', commentAuthorFields);
+
+  logger.info(`Comment added by user: ${req.user.username}`, { postId: post._id, commentId: comment._id });
+
+  res.status(201).json({
+    success: true,
+    message: 'Comment added successfully',
+    data: {
+      comment: { ...comment.getPublicView(), replies: [] }
+    }
+  });
+}));
+
+/**
+ * @route   PUT /api/posts/:id/comments/:commentId
+ * @desc    Edit a comment, keeping the previous version in its history
+ * @access  Private (Comment author or Admin)
+ */
+router.put('/:commentId', [
+  authenticate,
+  body('content')
+    .trim()
+    .isLength({ min: 1, max: 2000 })
+    .withMessage('Comment must be between 1 and 2000 characters')
+], asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        message: 'Validation failed',
+        details: errors.array(),
+        statusCode: 400
+      }
+    });
+  }
+
+  const comment = await loadComment(req, res);
+  if (!comment) return;
+
+  // Check if user is comment author or admin
+  const isAuthor = comment.author.toString() === req.user._id.toString();
+  const isAdmin = hasPermission(req.user, PERMISSIONS.COMMENTS_EDIT_ANY);
+
+  if (!isAuthor && !isAdmin) {
+    return res.status(403).json({
+      success: false,
+      error: {
+        message: 'Access denied. You can only edit your own comments.',
+        statusCode: 403
+      }
+    });
+  }
+
+  if (comment.isDeleted) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        message: 'Deleted comments cannot be edited',
+        statusCode: 400
+      }
+    });
+  }
+
+  await comment.edit(req.body.content, req.user._id);
+  await comment.populate('author', commentAuthorFields);
+
+  logger.info(`Comment edited by user: ${req.user.username}`, { commentId: comment._id });
+
+  res.json({
+    success: true,
+    message: 'Comment updated successfully',
+    data: {
+      comment: comment.getPublicView()
+    }
+  });
+}));
+
+/**
+ * @route   GET /api/posts/:id/comments/:commentId/history
+ * @desc    Get the edit history of a comment
+ * @access  Public
+ */
+router.get('/:commentId/history', optionalAuthenticate, asyncHandler(async (req, res) => {
+  const post = await loadPost(req, res, { visibleOnly: true });
+  if (!post) return;
+
+  const comment = await loadComment(req, res);
+  if (!comment) return;
+
+  if (comment.isDeleted) {
+    return res.status(404).json({
+      success: false,
+      error: {
+        message: 'Comment not found',
+        statusCode: 404
+      }
+    });
+  }
+
+  await comment.populate('editHistory.editedBy', 'username');
+
+  res.json({
+    success: true,
+    data: {
+      current: comment.content,
+      history: comment.editHistory
+    }
+  });
+}));
+
+/**
+ * @route   DELETE /api/posts/:id/comments/:commentId
+ * @desc    Soft delete a comment; replies stay in the thread
+ * @access  Private (Comment author, Post author or Admin)
+ */
+router.delete('/:commentId', authenticate, asyncHandler(async (req, res) => {
+  const post = await loadPost(req, res);
+  if (!post) return;
+
+  const comment = await loadComment(req, res);
+  if (!comment) return;
+
+  // Comment authors remove their own comments; post authors and moderators moderate
+  const isCommentAuthor = comment.author.toString() === req.user._id.toString();
+  const isPostAuthor = post.author.toString() === req.user._id.toString();
+  const isModerator = hasPermission(req.user, PERMISSIONS.COMMENTS_MODERATE);
+
+  if (!isCommentAuthor && !isPostAuthor && !isModerator) {
+    return res.status(403).json({
+      success: false,
+      error: {
+        message: 'Access denied. You cannot delete this comment.',
+        statusCode: 403
+      }
+    });
+  }
+
+  if (comment.isDeleted) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        message: 'Comment is already deleted',
+        statusCode: 400
+      }
+    });
+  }
+
+  await comment.softDelete(req.user._id);
+  await post.decrementCommentCount();
+
+  logger.info(`Comment deleted by user: ${req.user.username}`, { postId: post._id, commentId: comment._id });
+
+  res.json({
+    success: true,
+    message: 'Comment deleted successfully'
+  });
+}));
+
+module.exports = router;
@@ -0,0 +1,187 @@
+const express = require('express');
+const Post = require('../models/Post');
+const User = require('../models/User');
+const Category = require('../models/Category');
+const FeedState = require('../models/FeedState');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { FEED_FORMATS, getFeedValidators } = require('../utils/feeds');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+const CLIENT_URL = process.env.CLIENT_URL || 'http://localhost:3000';
+const SITE_TITLE = process.env.SITE_TITLE || 'BlogHub';
+
+// Number of most recent posts in each feed
+const FEED_SIZE = 20;
+
+// Feed readers poll; let them and any proxy reuse a response for a few minutes
+const FEED_CACHE_CONTROL = 'public, max-age=300';
+
+// Only the rendered HTML goes into feeds
+const FEED_PROJECTION = '-content -outline -links -images -__v';
+
+const FORMAT_PATTERN = `:format(${Object.keys(FEED_FORMATS).join('|')})`;
+
+/**
+ * Absolute URL of an uploaded image, which is stored relative to the API
+ */
+const absoluteUrl = (req, url) => {
+  if (!url || /^https?:\/\//i.test(url)) return url;
+  return `${req.protocol}://${req.get('host')}${url.startsWith('/') ? '' : '/'}${url}`;
+};
+
+/**
+ * Map a published post to a feed item. The ID uses the post's ID rather than
+ * its slug so renaming a post doesn't make readers show it again as new.
+ */
+const toFeedItem = (req, post) => {
+  const author = post.author || {};
+  const fullName = [author.profile?.firstName, author.profile?.lastName].filter(Boolean).join(' ');
+
+  return {
+    id: `${CLIENT_URL}/posts/${post._id}`,
+    url: `${CLIENT_URL}/p/${post.slug}`,
+    title: post.title,
+    summary: post.excerpt,
+    contentHtml: post.contentHtml || '',
+    published: post.publishedAt,
+    // updatedAt also moves with view and like counts, so it isn't used here.
+    // Posts not edited since contentUpdatedAt was added have none.
+    updated: post.contentUpdatedAt > post.publishedAt ? post.contentUpdatedAt : post.publishedAt,
+    author: fullName || author.username || '',
+    categories: [post.category && post.category.name, ...(post.tags || [])].filter(Boolean),
+    image: absoluteUrl(req, post.featuredImage)
+  };
+};
+
+/**
+ * Build and send a feed of the newest published posts matching filter, in the
+ * format named by the route. Answers 304 when the caller's copy is current.
+ * @param {Object} options - { key, title, description, siteUrl, filter }
+ */
+const sendFeed = async (req, res, { key, title, description, siteUrl, filter = {} }) => {
+  const { format } = req.params;
+
+  const posts = await Post.findPublished()
+    .where(filter)
+    .populate('author', 'username profile.firstName profile.lastName')
+    .populate('category', 'name')
+    .sort({ publishedAt: -1 })
+    .limit(FEED_SIZE)
+    .select(FEED_PROJECTION);
+
+  const items = posts.map(post => toFeedItem(req, post));
+  const lastRemoval = await FeedState.getLastRemoval();
+  const { etag, lastModified } = getFeedValidators(`${format}:${key}`, items, lastRemoval);
+
+  res.set('ETag', etag);
+  res.set('Cache-Control', FEED_CACHE_CONTROL);
+  if (lastModified) {
+    res.set('Last-Modified', lastModified.toUTCString());
+  }
+
+  // Checks If-None-Match and If-Modified-Since against the headers set above
+  if (req.fresh) {
+    return res.status(304).end();
+  }
+
+  const feedUrl = `${req.protocol}://${req.get('host')}${req.baseUrl}${req.path}`;
+  const body = FEED_FORMATS[format].build({
+    id: feedUrl,
+    title,
+    description,
+    siteUrl,
+    feedUrl,
+    updated: lastModified || new Date(),
+    items
+  });
+
+  logger.debug(`Feed built: ${key} as ${format} with ${items.length} posts`);
+
+  res.set('Content-Type', FEED_FORMATS[format].contentType);
+  res.send(body);
+};
+
+const sendNotFound = (res, message) => res.status(404).json({
+  success: false,
+  error: {
+    message,
+    statusCode: 404
+  }
+});
+
+/**
+ * @route   GET /api/feeds/:format
+ * @desc    Feed of the newest published posts. format is rss, atom or json.
+ * @access  Public
+ */
+router.get(`/${FORMAT_PATTERN}`, asyncHandler(async (req, res) => {
+  await sendFeed(req, res, {
+    key: 'all',
+    title: SITE_TITLE,
+    description: `The latest posts on ${SITE_TITLE}`,
+    siteUrl: CLIENT_URL
+  });
+}));
+
+/**
+ * @route   GET /api/feeds/categories/:slug/:format
+ * @desc    Feed of published posts in a category and its subcategories
+ * @access  Public
+ */
+router.get(`/categories/:slug/${FORMAT_PATTERN}`, asyncHandler(async (req, res) => {
+  const category = await Category.findBySlug(req.params.slug);
+  if (!category) {
+    return sendNotFound(res, 'Category not found');
+  }
+
+  const descendants = await Category.findDescendantIds(category._id);
+
+  await sendFeed(req, res, {
+    key: `category:${category._id}`,
+    title: `${SITE_TITLE}: ${category.name}`,
+    description: category.description || `The latest ${category.name} posts on ${SITE_TITLE}`,
+    siteUrl: `${CLIENT_URL}/search?category=${category._id}`,
+    filter: { category: { $in: [category._id, ...descendants] } }
+  });
+}));
+
+/**
+ * @route   GET /api/feeds/tags/:tag/:format
+ * @desc    Feed of published posts with a tag
+ * @access  Public
+ */
+router.get(`/tags/:tag/${FORMAT_PATTERN}`, asyncHandler(async (req, res) => {
+  const { tag } = req.params;
+
+  await sendFeed(req, res, {
+    key: `tag:${tag}`,
+    title: `${SITE_TITLE}: #${tag}`,
+    description: `The latest posts tagged ${tag} on ${SITE_TITLE}`,
+    siteUrl: `${CLIENT_URL}/tags/${encodeURIComponent(tag)}`,
+    filter: { tags: tag }
+  });
+}));
+
+/**
+ * @route   GET /api/feeds/authors/:username/:format
+ * @desc    Feed of an author's published posts
+ * @access  Public
+ */
+router.get(`/authors/:username/${FORMAT_PATTERN}`, asyncHandler(async (req, res) => {
+  const author = await User.findByUsername(req.params.username);
+  if (!author) {
+    return sendNotFound(res, 'Author not found');
+  }
+
+  await sendFeed(req, res, {
+    key: `author:${author._id}`,
+    title: `${SITE_TITLE}: ${author.username}`,
+    description: `The latest posts by ${author.username} on ${SITE_TITLE}`,
+    siteUrl: `${CLIENT_URL}/search?author=${author._id}`,
+    filter: { author: author._id }
+  });
+}));
+
+module.exports = router;
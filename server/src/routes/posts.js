@@ -1,35 +1,109 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const mongoose = require('mongoose');
+const { body, query: queryParam, validationResult } = require('express-validator');
 const Post = require('../models/Post');
 const User = require('../models/User');
+const Category = require('../models/Category');
+const Like = require('../models/Like');
+const Comment = require('../models/Comment');
+const PostRevision = require('../models/PostRevision');
+const SlugRedirect = require('../models/SlugRedirect');
+const PostView = require('../models/PostView');
+const PostViewDaily = require('../models/PostViewDaily');
+const PostRejection = require('../models/PostRejection');
+const FeedState = require('../models/FeedState');
+const RejectionTemplate = require('../models/RejectionTemplate');
 const { asyncHandler } = require('../middleware/errorHandler');
-const { authenticate, authorize } = require('../middleware/auth');
+const { authenticate, optionalAuthenticate, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS, hasPermission } = require('../config/permissions');
+const { POST_SORT_FIELDS, canViewPost, parseListQuery, statusCondition } = require('../middleware/listQuery');
 const logger = require('../utils/logger');
+const { getScheduler } = require('../utils/scheduler');
+const { recordAudit } = require('../utils/audit');
+const { paginateQuery } = require('../utils/pagination');
+const { highlightPost } = require('../utils/highlight');
+const { renderMarkdown, buildExcerpt } = require('../utils/markdown');
+const { buildTableOfContents } = require('../utils/contentAnalysis');
+const { SLUG_PATTERN } = require('../utils/slug');
+const { HOUR_MS, getVisitor, fillDailySeries } = require('../utils/analytics');
+const { parseDateRange } = require('../middleware/dateRange');
+const commentRoutes = require('./comments');
+const revisionRoutes = require('./revisions');
 
 const router = express.Router();
 
+// Threaded comments live under /api/posts/:id/comments
+router.use('/:id/comments', commentRoutes);
+
+// Revision history lives under /api/posts/:id/revisions
+router.use('/:id/revisions', revisionRoutes);
+
+// Content statistic filters shared by the listing and search routes
+const STATS_FILTERS = {
+  minWords: ['wordCount', '$gte'],
+  maxWords: ['wordCount', '$lte'],
+  minReadingTime: ['readingTime', '$gte'],
+  maxReadingTime: ['readingTime', '$lte']
+};
+
+const statsFilterValidators = [
+  queryParam(Object.keys(STATS_FILTERS))
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Word count and reading time filters must be non-negative integers')
+];
+
+/**
+ * Add the requested content statistic ranges to a post filter
+ * @param {Object} filter - Mongo filter to extend
+ * @param {Object} params - Validated query string
+ * @returns {Object} The same filter
+ */
+const applyStatsFilters = (filter, params) => {
+  Object.entries(STATS_FILTERS).forEach(([param, [field, operator]]) => {
+    if (params[param] !== undefined) {
+      filter[field] = { ...filter[field], [operator]: parseInt(params[param]) };
+    }
+  });
+  return filter;
+};
+
 /**
  * @route   GET /api/posts
- * @desc    Get all posts with pagination and filtering
+ * @desc    Get all posts with filtering, including word count and reading time ranges
+ *          (minWords, maxWords, minReadingTime, maxReadingTime). Paginates by page number,
+ *          or by cursor when cursor or paginate=cursor is passed.
  * @access  Public
  */
-router.get('/', asyncHandler(async (req, res) => {
-  const {
-    page = 1,
-    limit = 10,
-    category,
-    author,
-    status = 'published',
-    search,
-    sortBy = 'createdAt',
-    sortOrder = 'desc'
-  } = req.query;
+router.get('/', [
+  optionalAuthenticate,
+  queryParam('category')
+    .optional()
+    .isMongoId()
+    .withMessage('Category must be a valid ID'),
+  queryParam('author')
+    .optional()
+    .isMongoId()
+    .withMessage('Author must be a valid user ID'),
+  ...statsFilterValidators,
+  ...parseListQuery({
+    sortFields: POST_SORT_FIELDS,
+    cursor: true,
+    // Authors listing their own posts may ask for any status
+    status: {
+      defaultStatus: 'published',
+      isOwner: req => Boolean(req.user && req.query.author === req.user._id.toString())
+    }
+  })
+], asyncHandler(async (req, res) => {
+  const { category, author, search } = req.query;
+  const { page, limit, sortBy, sortOrder, cursor, paginate, statuses } = req.listQuery;
 
   // Build query
   const query = {};
   
-  if (status) {
-    query.status = status;
+  if (statuses) {
+    query.status = statusCondition(statuses);
   }
   
   if (category) {
@@ -44,95 +118,154 @@ router.get('/', asyncHandler(async (req, res) => {
     query.$text = { $search: search };
   }
 
-  // Build sort object
-  const sort = {};
-  sort[sortBy] = sortOrder === 'desc' ? -1 : 1;
-
-  // Calculate pagination
-  const skip = (parseInt(page) - 1) * parseInt(limit);
-  const limitNum = parseInt(limit);
+  applyStatsFilters(query, req.query);
 
   // Execute query
-  const posts = await Post.find(query)
-    .populate('author', 'username profile.firstName profile.lastName')
-    .populate('category', 'name')
-    .sort(sort)
-    .skip(skip)
-    .limit(limitNum)
-    .select('-__v');
-
-  // Get total count for pagination
-  const total = await Post.countDocuments(query);
-
-  // Calculate pagination info
-  const totalPages = Math.ceil(total / limitNum);
-  const hasNextPage = page < totalPages;
-  const hasPrevPage = page > 1;
+  const { items: posts, pagination } = await paginateQuery(
+    Post.find(query)
+      .populate('author', 'username profile.firstName profile.lastName')
+      .populate('category', 'name')
+      .select('-__v'),
+    { sortBy, sortOrder, page, limit, cursor, paginate }
+  );
 
   logger.logDatabase('find', 'posts', null, Date.now());
 
   res.json({
     success: true,
     data: {
-      posts,
-      pagination: {
-        currentPage: parseInt(page),
-        totalPages,
-        totalItems: total,
-        itemsPerPage: limitNum,
-        hasNextPage,
-        hasPrevPage
-      }
+      posts: await Like.withLikeStatus(req.user && req.user._id, posts),
+      pagination
     }
   });
 }));
 
 /**
  * @route   GET /api/posts/my-posts
- * @desc    Get current user's posts
+ * @desc    Get current user's posts, by page number or by cursor
  * @access  Private
  */
-router.get('/my-posts', authenticate, asyncHandler(async (req, res) => {
-  const {
-    page = 1,
-    limit = 10,
-    status,
-    sortBy = 'createdAt',
-    sortOrder = 'desc'
-  } = req.query;
+router.get('/my-posts', [
+  authenticate,
+  ...parseListQuery({
+    sortFields: POST_SORT_FIELDS,
+    cursor: true,
+    status: { defaultStatus: null, isOwner: () => true }
+  })
+], asyncHandler(async (req, res) => {
+  const { page, limit, sortBy, sortOrder, cursor, paginate, statuses } = req.listQuery;
 
   const query = { author: req.user._id };
   
-  if (status) {
-    query.status = status;
+  if (statuses) {
+    query.status = statusCondition(statuses);
   }
 
+  const { items: posts, pagination } = await paginateQuery(
+    Post.find(query)
+      .populate('category', 'name')
+      .select('-__v'),
+    { sortBy, sortOrder, page, limit, cursor, paginate }
+  );
+
+  logger.info(`User posts retrieved: ${req.user.username}`);
+
+  res.json({
+    success: true,
+    data: {
+      posts: await Like.withLikeStatus(req.user._id, posts),
+      pagination
+    }
+  });
+}));
+
+// The queue is worked oldest or newest submission first
+const PENDING_SORT_FIELDS = ['submittedAt', 'createdAt', 'updatedAt', 'title'];
+
+/**
+ * @route   GET /api/posts/pending/approval
+ * @desc    Get all posts pending approval. Filters: author (ID or username),
+ *          category (includes subcategories) and minAgeHours/maxAgeHours on
+ *          the time since submission.
+ * @access  Private (posts:review)
+ */
+router.get('/pending/approval', [
+  authenticate,
+  requirePermission(PERMISSIONS.POSTS_REVIEW),
+  queryParam('author')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Author must be a user ID or username'),
+  queryParam('category')
+    .optional()
+    .isMongoId()
+    .withMessage('Category must be a valid ID'),
+  queryParam(['minAgeHours', 'maxAgeHours'])
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Ages must be non-negative numbers of hours'),
+  ...parseListQuery({ sortFields: PENDING_SORT_FIELDS, defaultSort: 'submittedAt' })
+], asyncHandler(async (req, res) => {
+  const { author, category, minAgeHours, maxAgeHours } = req.query;
+  const { page, limit: limitNum, sortBy, sortOrder } = req.listQuery;
+
+  const filter = {};
+
+  if (author) {
+    if (mongoose.Types.ObjectId.isValid(author)) {
+      filter.author = author;
+    } else {
+      // An unknown username matches nothing rather than being ignored
+      const user = await User.findByUsername(author);
+      filter.author = user ? user._id : null;
+    }
+  }
+
+  if (category) {
+    const descendants = await Category.findDescendantIds(category);
+    filter.category = { $in: [category, ...descendants] };
+  }
+
+  if (minAgeHours !== undefined || maxAgeHours !== undefined) {
+    const now = Date.now();
+    filter.submittedAt = {};
+    if (minAgeHours !== undefined) filter.submittedAt.$lte = new Date(now - parseFloat(minAgeHours) * HOUR_MS);
+    if (maxAgeHours !== undefined) filter.submittedAt.$gte = new Date(now - parseFloat(maxAgeHours) * HOUR_MS);
+  }
+
+  const skip = (page - 1) * limitNum;
+
   const sort = {};
   sort[sortBy] = sortOrder === 'desc' ? -1 : 1;
 
-  const skip = (parseInt(page) - 1) * parseInt(limit);
-  const limitNum = parseInt(limit);
-
-  const posts = await Post.find(query)
+  const posts = await Post.findPendingApproval()
+    .where(filter)
+    .populate('author', 'username profile.firstName profile.lastName email')
     .populate('category', 'name')
     .sort(sort)
     .skip(skip)
     .limit(limitNum)
     .select('-__v');
 
-  const total = await Post.countDocuments(query);
+  const total = await Post.countDocuments({
+    status: 'pending',
+    submittedForApproval: true,
+    ...filter
+  });
+
   const totalPages = Math.ceil(total / limitNum);
   const hasNextPage = page < totalPages;
   const hasPrevPage = page > 1;
 
-  logger.info(`User posts retrieved: ${req.user.username}`);
+  logger.info(`Pending posts retrieved by admin: ${req.user.username}`);
 
   res.json({
     success: true,
     data: {
       posts,
       pagination: {
-        currentPage: parseInt(page),
+        currentPage: page,
         totalPages,
         totalItems: total,
         itemsPerPage: limitNum,
@@ -143,96 +276,263 @@ router.get('/my-posts', authenticate, asyncHandler(async (req, res) => {
   });
 }));
 
+const SEARCH_SORT_FIELDS = ['relevance', 'publishedAt', 'likeCount', 'viewCount', 'commentCount', 'wordCount', 'readingTime'];
+
 /**
- * @route   GET /api/posts/pending/approval
- * @desc    Get all posts pending approval (Admin only)
- * @access  Private (Admin only)
+ * @route   GET /api/posts/search
+ * @desc    Faceted search over published posts. Filters: q, category (includes
+ *          subcategories), tags (comma separated, all must match), author (ID or
+ *          username), from/to on the publish date, minLikes, minViews and the
+ *          word count and reading time ranges. Returns
+ *          facet counts per category, tag and author and highlighted snippets.
+ * @access  Public
  */
-router.get('/pending/approval', [authenticate, authorize('admin')], asyncHandler(async (req, res) => {
+router.get('/search', [
+  optionalAuthenticate,
+  queryParam('q')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Search query cannot exceed 200 characters'),
+  queryParam('category')
+    .optional()
+    .isMongoId()
+    .withMessage('Category must be a valid ID'),
+  queryParam('tags')
+    .optional()
+    .isString()
+    .withMessage('Tags must be a comma separated list'),
+  queryParam('author')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Author must be a user ID or username'),
+  queryParam('from')
+    .optional()
+    .isISO8601()
+    .withMessage('From must be a valid date'),
+  queryParam('to')
+    .optional()
+    .isISO8601()
+    .withMessage('To must be a valid date'),
+  queryParam(['minLikes', 'minViews'])
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Minimum counts must be non-negative integers'),
+  ...statsFilterValidators,
+  ...parseListQuery({ sortFields: SEARCH_SORT_FIELDS, defaultSort: 'relevance' })
+], asyncHandler(async (req, res) => {
   const {
-    page = 1,
-    limit = 10,
-    sortBy = 'submittedAt',
-    sortOrder = 'desc'
+    q = '',
+    category,
+    tags,
+    author,
+    from,
+    to,
+    minLikes,
+    minViews
   } = req.query;
+  const { page: pageNum, limit: limitNum, sortOrder } = req.listQuery;
+  const sortBy = req.query.sortBy || (q ? 'relevance' : 'publishedAt');
 
-  const skip = (parseInt(page) - 1) * parseInt(limit);
-  const limitNum = parseInt(limit);
+  // Aggregation does not cast, so IDs are converted here
+  const filter = {
+    status: 'published',
+    isPublished: true,
+    isApproved: true
+  };
 
-  const sort = {};
-  sort[sortBy] = sortOrder === 'desc' ? -1 : 1;
+  if (category) {
+    const descendants = await Category.findDescendantIds(category);
+    filter.category = { $in: [new mongoose.Types.ObjectId(category), ...descendants] };
+  }
 
-  const posts = await Post.findPendingApproval()
-    .populate('author', 'username profile.firstName profile.lastName email')
-    .populate('category', 'name')
-    .sort(sort)
-    .skip(skip)
-    .limit(limitNum)
-    .select('-__v');
+  const tagList = tags ? tags.split(',').map(tag => tag.trim()).filter(Boolean) : [];
+  if (tagList.length > 0) {
+    filter.tags = { $all: tagList };
+  }
 
-  const total = await Post.countDocuments({
-    status: 'pending',
-    submittedForApproval: true
+  if (author) {
+    if (mongoose.Types.ObjectId.isValid(author)) {
+      filter.author = new mongoose.Types.ObjectId(author);
+    } else {
+      // An unknown username matches nothing rather than being ignored
+      const user = await User.findByUsername(author);
+      filter.author = user ? user._id : null;
+    }
+  }
+
+  if (from || to) {
+    filter.publishedAt = {};
+    if (from) filter.publishedAt.$gte = new Date(from);
+    if (to) filter.publishedAt.$lte = new Date(to);
+  }
+
+  if (minLikes !== undefined) {
+    filter.likeCount = { $gte: parseInt(minLikes) };
+  }
+  if (minViews !== undefined) {
+    filter.viewCount = { $gte: parseInt(minViews) };
+  }
+  applyStatsFilters(filter, req.query);
+
+  // Relevance only exists with a text query; fall back to newest first without one
+  const direction = sortOrder === 'desc' ? -1 : 1;
+  const sort = sortBy === 'relevance' && q
+    ? { score: -1, publishedAt: -1, _id: -1 }
+    : { [sortBy === 'relevance' ? 'publishedAt' : sortBy]: direction, _id: direction };
+
+  const { posts, total, facets } = await Post.facetedSearch(filter, {
+    text: q || null,
+    sort,
+    skip: (pageNum - 1) * limitNum,
+    limit: limitNum
   });
 
+  await Post.populate(posts, [
+    { path: 'author', select: 'username profile.firstName profile.lastName' },
+    { path: 'category', select: 'name slug' }
+  ]);
+
+  const results = (await Like.withLikeStatus(req.user && req.user._id, posts)).map(post => ({
+    ...post,
+    highlights: highlightPost(post, q)
+  }));
+
   const totalPages = Math.ceil(total / limitNum);
-  const hasNextPage = page < totalPages;
-  const hasPrevPage = page > 1;
 
-  logger.info(`Pending posts retrieved by admin: ${req.user.username}`);
+  logger.info(`Faceted search performed: ${q}`, { filters: { category, tags: tagList, author, from, to, minLikes, minViews } });
 
   res.json({
     success: true,
     data: {
-      posts,
+      posts: results,
+      facets,
+      query: q,
       pagination: {
-        currentPage: parseInt(page),
+        currentPage: pageNum,
         totalPages,
         totalItems: total,
         itemsPerPage: limitNum,
-        hasNextPage,
-        hasPrevPage
+        hasNextPage: pageNum < totalPages,
+        hasPrevPage: pageNum > 1
       }
     }
   });
 }));
 
+const OBJECT_ID_PATTERN = /^[a-f0-9]{24}$/i;
+
 /**
- * @route   GET /api/posts/:id
- * @desc    Get single post by ID
- * @access  Public
+ * Load a post by ID or slug, sending a 404 when it is missing or hidden from the caller
+ * @param {Object} options - { bySlug } to skip the ID lookup for values that look like one
+ * @returns {Promise<Object|null>} The post, or null once a response has been sent
  */
-router.get('/:id', asyncHandler(async (req, res) => {
-  const { id } = req.params;
-
-  const post = await Post.findById(id)
-    .populate('author', 'username profile.firstName profile.lastName')
-    .populate('category', 'name')
+const loadVisiblePost = async (req, res, idOrSlug, { bySlug = false } = {}) => {
+  const lookup = !bySlug && OBJECT_ID_PATTERN.test(idOrSlug)
+    ? Post.findById(idOrSlug)
+    : Post.findBySlug(idOrSlug);
+
+  const post = await lookup
+    .populate('author', 'username profile.firstName profile.lastName profile.avatar')
+    .populate('category', 'name slug')
     .select('-__v');
 
-  if (!post) {
-    return res.status(404).json({
+  // Hidden posts get the same 404 as missing ones so drafts can't be probed for
+  if (!post || !canViewPost(req.user, post)) {
+    res.status(404).json({
       success: false,
       error: {
         message: 'Post not found',
         statusCode: 404
       }
     });
+    return null;
   }
 
-  // Increment view count for published posts
-  if (post.status === 'published') {
-    await post.incrementViewCount();
+  return post;
+};
+
+/**
+ * Send a post with its table of contents, counting the view for published posts
+ */
+const sendPostDetail = async (req, res, post) => {
+  // Posts saved before Markdown rendering, or by an older renderer
+  await post.ensureRendered();
+
+  // Count published posts' views once per visitor per window. Bots and
+  // authors reading their own posts are not counted. A failed count is
+  // logged rather than keeping the reader from the post.
+  const visitor = getVisitor(req);
+  const isAuthor = Boolean(req.user && post.author._id.toString() === req.user._id.toString());
+  if (post.status === 'published' && visitor && !isAuthor) {
+    try {
+      await PostView.record(post, visitor);
+    } catch (error) {
+      logger.error(`Failed to record a view of post ${post._id}:`, error);
+    }
   }
 
-  logger.logDatabase('findById', 'posts', id);
+  const hasLiked = await Like.hasLiked(req.user && req.user._id, post._id);
+
+  logger.logDatabase('findById', 'posts', post._id);
 
   res.json({
     success: true,
     data: {
-      post
+      post: {
+        ...post.toObject(),
+        toc: buildTableOfContents(post.outline),
+        hasLiked
+      }
     }
   });
+};
+
+/**
+ * @route   GET /api/posts/slug/:slug
+ * @desc    Get single post by its public slug. Slugs a post used before answer
+ *          with a 301 pointing at its current slug.
+ * @access  Public
+ */
+router.get('/slug/:slug', optionalAuthenticate, asyncHandler(async (req, res) => {
+  const slug = req.params.slug.toLowerCase();
+
+  if (!(await Post.exists({ slug }))) {
+    const redirect = await SlugRedirect.findBySlug(slug).populate('post', 'slug status author');
+
+    // Redirects to hidden posts 404 below like any other unknown slug
+    if (redirect && redirect.post && canViewPost(req.user, redirect.post)) {
+      return res
+        .status(301)
+        .location(`${req.baseUrl}/slug/${redirect.post.slug}`)
+        .json({
+          success: true,
+          message: 'Post has moved',
+          data: {
+            slug: redirect.post.slug
+          }
+        });
+    }
+  }
+
+  const post = await loadVisiblePost(req, res, slug, { bySlug: true });
+  if (!post) return;
+
+  await sendPostDetail(req, res, post);
+}));
+
+/**
+ * @route   GET /api/posts/:id
+ * @desc    Get single post by ID or slug. Unpublished posts are only returned to
+ *          their author and to reviewers.
+ * @access  Public
+ */
+router.get('/:id', optionalAuthenticate, asyncHandler(async (req, res) => {
+  const post = await loadVisiblePost(req, res, req.params.id);
+  if (!post) return;
+
+  await sendPostDetail(req, res, post);
 }));
 
 /**
@@ -256,9 +556,10 @@ router.post('/', [
     .withMessage('Valid category ID is required'),
   
   body('slug')
+    .optional({ values: 'falsy' })
     .isLength({ min: 3, max: 100 })
     .withMessage('Slug must be between 3 and 100 characters')
-    .matches(/^[a-z0-9-]+$/)
+    .matches(SLUG_PATTERN)
     .withMessage('Slug can only contain lowercase letters, numbers, and hyphens'),
   
   body('excerpt')
@@ -316,9 +617,8 @@ router.post('/', [
     seo
   } = req.body;
 
-  // Check if slug already exists
-  const existingPost = await Post.findBySlug(slug);
-  if (existingPost) {
+  // Check if slug already exists. Without one, the model generates a free slug from the title
+  if (slug && !(await Post.isSlugAvailable(slug))) {
     return res.status(400).json({
       success: false,
       error: {
@@ -334,7 +634,7 @@ router.post('/', [
     content,
     author: req.user._id,
     category,
-    slug,
+    slug: slug || undefined,
     excerpt,
     featuredImage,
     tags,
@@ -342,7 +642,8 @@ router.post('/', [
     seo
   });
 
-  await post.save();
+  await Post.saveWithFreeSlug(post);
+  await PostRevision.record(post, req.user._id, 'create');
 
   // Populate author and category for response
   await post.populate('author', 'username profile.firstName profile.lastName');
@@ -359,6 +660,46 @@ router.post('/', [
   });
 }));
 
+// Fields an author may change through PUT; status changes other than these go
+// through the submit, approve and reject routes
+const EDITABLE_FIELDS = ['title', 'content', 'category', 'slug', 'excerpt', 'featuredImage', 'tags', 'status', 'seo'];
+
+/**
+ * @route   POST /api/posts/preview
+ * @desc    Render Markdown the same way a saved post is rendered, for the editor's live preview
+ * @access  Private
+ */
+router.post('/preview', [
+  authenticate,
+  body('content')
+    .isString()
+    .isLength({ max: 10000 })
+    .withMessage('Content cannot exceed 10000 characters')
+], asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        message: 'Validation failed',
+        details: errors.array(),
+        statusCode: 400
+      }
+    });
+  }
+
+  const { html, text } = renderMarkdown(req.body.content);
+
+  res.json({
+    success: true,
+    data: {
+      html,
+      excerpt: buildExcerpt(text)
+    }
+  });
+}));
+
 /**
  * @route   PUT /api/posts/:id
  * @desc    Update a post
@@ -382,6 +723,14 @@ router.put('/:id', [
     .isMongoId()
     .withMessage('Valid category ID is required'),
   
+  // An empty slug switches the post back to one generated from the title
+  body('slug')
+    .optional({ values: 'falsy' })
+    .isLength({ min: 3, max: 100 })
+    .withMessage('Slug must be between 3 and 100 characters')
+    .matches(SLUG_PATTERN)
+    .withMessage('Slug can only contain lowercase letters, numbers, and hyphens'),
+  
   body('excerpt')
     .optional()
     .isLength({ max: 300 })
@@ -441,7 +790,7 @@ router.put('/:id', [
 
   // Check if user is author or admin
   const isAuthor = post.author.toString() === req.user._id.toString();
-  const isAdmin = req.user.role === 'admin';
+  const isAdmin = hasPermission(req.user, PERMISSIONS.POSTS_EDIT_ANY);
   
   if (!isAuthor && !isAdmin) {
     return res.status(403).json({
@@ -453,16 +802,34 @@ router.put('/:id', [
     });
   }
 
-  // Update post
-  const updatedPost = await Post.findByIdAndUpdate(
-    id,
-    req.body,
-    { new: true, runValidators: true }
-  )
+  if (req.body.slug && !(await Post.isSlugAvailable(req.body.slug, post._id))) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        message: 'Slug already exists',
+        statusCode: 400
+      }
+    });
+  }
+
+  // Keep the pre-update state for posts created before revisions were tracked
+  await PostRevision.ensureLatest(post);
+
+  // Update post through save() so the content is re-rendered and the excerpt refreshed
+  EDITABLE_FIELDS.forEach(field => {
+    if (req.body[field] !== undefined) {
+      post.set(field, req.body[field]);
+    }
+  });
+  await Post.saveWithFreeSlug(post);
+
+  const updatedPost = await Post.findById(id)
     .populate('author', 'username profile.firstName profile.lastName')
     .populate('category', 'name')
     .select('-__v');
 
+  await PostRevision.record(updatedPost, req.user._id, 'update');
+
   logger.info(`Post updated by user: ${req.user.username}`, { postId: id });
 
   res.json({
@@ -496,7 +863,7 @@ router.delete('/:id', authenticate, asyncHandler(async (req, res) => {
 
   // Check if user is author or admin
   const isAuthor = post.author.toString() === req.user._id.toString();
-  const isAdmin = req.user.role === 'admin';
+  const isAdmin = hasPermission(req.user, PERMISSIONS.POSTS_DELETE_ANY);
   
   if (!isAuthor && !isAdmin) {
     return res.status(403).json({
@@ -508,8 +875,26 @@ router.delete('/:id', authenticate, asyncHandler(async (req, res) => {
     });
   }
 
-  // Delete post
+  // Delete post with its likes and comments
   await Post.findByIdAndDelete(id);
+  await Like.deleteMany({ post: id });
+  await Comment.deleteMany({ post: id });
+  await PostRevision.deleteMany({ post: id });
+  await SlugRedirect.deleteMany({ post: id });
+  await PostView.deleteMany({ post: id });
+  await PostViewDaily.deleteMany({ post: id });
+  await PostRejection.deleteMany({ post: id });
+  if (post.status === 'published') {
+    await FeedState.recordRemoval();
+  }
+
+  await recordAudit(req, {
+    action: 'post.delete',
+    targetType: 'Post',
+    targetId: post._id,
+    targetLabel: post.title,
+    before: { title: post.title, status: post.status, author: post.author }
+  });
 
   logger.info(`Post deleted by user: ${req.user.username}`, { postId: id });
 
@@ -528,7 +913,7 @@ router.post('/:id/like', authenticate, asyncHandler(async (req, res) => {
   const { id } = req.params;
 
   const post = await Post.findById(id);
-  if (!post) {
+  if (!post || !canViewPost(req.user, post)) {
     return res.status(404).json({
       success: false,
       error: {
@@ -538,78 +923,185 @@ router.post('/:id/like', authenticate, asyncHandler(async (req, res) => {
     });
   }
 
-  // Check if user already liked the post
-  // Note: This is a simplified implementation. In a real app, you'd have a separate likes collection
-  const hasLiked = false; // This would be determined by checking a likes collection
+  const { hasLiked, likeCount } = await Like.toggle(req.user._id, post._id);
 
   if (hasLiked) {
-    await post.decrementLikeCount();
-    logger.info(`Post unliked by user: ${req.user.username}`, { postId: id });
-  } else {
-    await post.incrementLikeCount();
     logger.info(`Post liked by user: ${req.user.username}`, { postId: id });
+  } else {
+    logger.info(`Post unliked by user: ${req.user.username}`, { postId: id });
   }
 
   res.json({
     success: true,
-    message: hasLiked ? 'Post unliked' : 'Post liked',
+    message: hasLiked ? 'Post liked' : 'Post unliked',
     data: {
-      likeCount: post.likeCount,
-      hasLiked: !hasLiked
+      likeCount,
+      hasLiked
     }
   });
 }));
 
 /**
  * @route   GET /api/posts/search/:query
- * @desc    Search posts
+ * @desc    Search posts. Page mode ranks by relevance; text scores cannot be used
+ *          as a cursor, so cursor mode lists matches newest first instead.
  * @access  Public
  */
-router.get('/search/:query', asyncHandler(async (req, res) => {
+router.get('/search/:query', [
+  optionalAuthenticate,
+  ...parseListQuery({ defaultSort: 'publishedAt', cursor: true })
+], asyncHandler(async (req, res) => {
   const { query } = req.params;
-  const { page = 1, limit = 10 } = req.query;
+  const { page, limit, cursor, paginate } = req.listQuery;
 
-  const skip = (parseInt(page) - 1) * parseInt(limit);
-  const limitNum = parseInt(limit);
+  const { items: posts, pagination } = await paginateQuery(
+    Post.search(query)
+      .populate('author', 'username profile.firstName profile.lastName')
+      .populate('category', 'name')
+      .select('-__v'),
+    { sortBy: 'publishedAt', sortOrder: 'desc', page, limit, cursor, paginate }
+  );
 
-  const posts = await Post.search(query)
-    .populate('author', 'username profile.firstName profile.lastName')
-    .populate('category', 'name')
-    .skip(skip)
-    .limit(limitNum)
-    .select('-__v');
+  logger.info(`Post search performed: ${query}`);
 
-  const total = await Post.countDocuments({
-    $text: { $search: query },
-    status: 'published',
-    isPublished: true
+  res.json({
+    success: true,
+    data: {
+      posts: await Like.withLikeStatus(req.user && req.user._id, posts),
+      query,
+      pagination
+    }
   });
+}));
 
-  const totalPages = Math.ceil(total / limitNum);
+/**
+ * @route   GET /api/posts/:id/views
+ * @desc    Get a post's daily views over a date range (from/to, default the last 30 days)
+ * @access  Private (Author or stats viewers)
+ */
+router.get('/:id/views', [authenticate, ...parseDateRange()], asyncHandler(async (req, res) => {
+  const post = await Post.findById(req.params.id).select('title slug author status viewCount');
+  if (!post) {
+    return res.status(404).json({
+      success: false,
+      error: {
+        message: 'Post not found',
+        statusCode: 404
+      }
+    });
+  }
 
-  logger.info(`Post search performed: ${query}`);
+  const isAuthor = post.author.toString() === req.user._id.toString();
+  if (!isAuthor && !hasPermission(req.user, PERMISSIONS.STATS_VIEW)) {
+    return res.status(403).json({
+      success: false,
+      error: {
+        message: 'Access denied. You can only view analytics for your own posts.',
+        statusCode: 403
+      }
+    });
+  }
+
+  const { from, to } = req.dateRange;
+  const rows = await PostViewDaily.sumByDay({ post: post._id }, from, to);
+  const series = fillDailySeries(rows, from, to);
 
   res.json({
     success: true,
     data: {
-      posts,
-      query,
-      pagination: {
-        currentPage: parseInt(page),
-        totalPages,
-        totalItems: total,
-        itemsPerPage: limitNum
+      post: {
+        _id: post._id,
+        title: post.title,
+        slug: post.slug,
+        viewCount: post.viewCount
+      },
+      range: req.dateRange,
+      total: series.reduce((sum, day) => sum + day.views, 0),
+      series
+    }
+  });
+}));
+
+/**
+ * Validate an optional publishAt body field; it must be an ISO 8601 date in the future
+ */
+const publishAtValidator = () => body('publishAt')
+  .optional({ values: 'null' })
+  .isISO8601()
+  .withMessage('Publish time must be a valid date')
+  .bail()
+  .custom(value => new Date(value) > new Date())
+  .withMessage('Publish time must be in the future');
+
+/**
+ * @route   GET /api/posts/:id/related
+ * @desc    Get published posts related to a post, ranked by shared tags and then category
+ * @access  Public
+ */
+router.get('/:id/related', [
+  optionalAuthenticate,
+  queryParam('limit')
+    .optional()
+    .isInt({ min: 1, max: 20 })
+    .withMessage('Limit must be between 1 and 20')
+], asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        message: 'Validation failed',
+        details: errors.array(),
+        statusCode: 400
       }
+    });
+  }
+
+  const post = await loadVisiblePost(req, res, req.params.id);
+  if (!post) return;
+
+  const related = await Post.findRelated(post, parseInt(req.query.limit) || 5);
+  const posts = related.map(({ post: relatedPost }) => relatedPost);
+  await Post.populate(posts, [
+    { path: 'author', select: 'username profile.firstName profile.lastName' },
+    { path: 'category', select: 'name slug' }
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      posts: related.map(({ post: relatedPost, sharedTags, sameCategory }) => ({
+        ...relatedPost.toObject(),
+        sharedTags,
+        sameCategory
+      }))
     }
   });
 }));
 
 /**
  * @route   POST /api/posts/:id/submit
- * @desc    Submit post for approval
+ * @desc    Submit a draft, or resubmit a rejected post, for approval, optionally requesting a future publish time
  * @access  Private (Author only)
  */
-router.post('/:id/submit', authenticate, asyncHandler(async (req, res) => {
+router.post('/:id/submit', [
+  authenticate,
+  publishAtValidator()
+], asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        message: 'Validation failed',
+        details: errors.array(),
+        statusCode: 400
+      }
+    });
+  }
+
   const { id } = req.params;
 
   const post = await Post.findById(id);
@@ -634,25 +1126,37 @@ router.post('/:id/submit', authenticate, asyncHandler(async (req, res) => {
     });
   }
 
-  // Check if post is in draft status
-  if (post.status !== 'draft') {
+  // Only verified accounts can send posts to the approval queue
+  if (!req.user.isEmailVerified) {
+    return res.status(403).json({
+      success: false,
+      error: {
+        message: 'Please verify your email address before submitting posts for approval.',
+        statusCode: 403
+      }
+    });
+  }
+
+  // Drafts are submitted for the first time; rejected posts are resubmitted after the author revises them
+  if (!['draft', 'rejected'].includes(post.status)) {
     return res.status(400).json({
       success: false,
       error: {
-        message: 'Only draft posts can be submitted for approval',
+        message: 'Only draft or rejected posts can be submitted for approval',
         statusCode: 400
       }
     });
   }
 
   // Submit for approval
-  await post.submitForApproval();
+  const wasRejected = post.status === 'rejected';
+  await post.submitForApproval(req.body.publishAt ? new Date(req.body.publishAt) : null);
 
   // Populate author and category for response
   await post.populate('author', 'username profile.firstName profile.lastName');
   await post.populate('category', 'name');
 
-  logger.info(`Post submitted for approval by user: ${req.user.username}`, { postId: id });
+  logger.info(`Post ${wasRejected ? 'resubmitted' : 'submitted'} for approval by user: ${req.user.username}`, { postId: id });
 
   res.json({
     success: true,
@@ -663,12 +1167,334 @@ router.post('/:id/submit', authenticate, asyncHandler(async (req, res) => {
   });
 }));
 
+// Length limits shared by the single and bulk reject routes
+const REJECTION_REASON_LENGTH = { min: 10, max: 500 };
+const REJECTION_REASON_MESSAGE = 'Rejection reason must be between 10 and 500 characters';
+
+// Most posts a single bulk moderation request may act on
+const MAX_BULK_POSTS = 100;
+
+// A reject request gives its reason either as text or as a template plus notes
+const rejectionTemplateValidators = () => [
+  body('templateId')
+    .optional()
+    .isMongoId()
+    .withMessage('Template must be a valid ID')
+    .bail()
+    .custom((templateId, { req }) => !req.body.reason)
+    .withMessage('Give either a reason or a template, not both'),
+  body('notes')
+    .optional()
+    .custom((notes, { req }) => Boolean(req.body.templateId))
+    .withMessage('Notes can only be added to a template')
+    .bail()
+    .trim()
+    .isLength({ max: REJECTION_REASON_LENGTH.max })
+    .withMessage(`Notes cannot exceed ${REJECTION_REASON_LENGTH.max} characters`)
+];
+
+/**
+ * Resolve the template of a reject request into the reason sent to authors:
+ * the template body followed by any notes. Sends a 400 when the template does
+ * not exist or the combined text is too long.
+ * @returns {Promise<Object|null>} { reason, template }, or null when a response was sent
+ */
+const resolveRejectionTemplate = async (req, res) => {
+  const { templateId, notes } = req.body;
+
+  const template = await RejectionTemplate.findById(templateId);
+  if (!template) {
+    res.status(400).json({
+      success: false,
+      error: {
+        message: 'Rejection template not found',
+        statusCode: 400
+      }
+    });
+    return null;
+  }
+
+  const reason = template.compose(notes);
+  if (reason.length > REJECTION_REASON_LENGTH.max) {
+    res.status(400).json({
+      success: false,
+      error: {
+        message: `The template and notes together cannot exceed ${REJECTION_REASON_LENGTH.max} characters`,
+        statusCode: 400
+      }
+    });
+    return null;
+  }
+
+  return { reason, template };
+};
+
+/**
+ * Record the review of a post that was just approved and audit it
+ * @param {Object} req - Express request of the approving user
+ * @param {Object} post - Approved post
+ * @param {String} previousStatus - Status before the approval
+ */
+const recordApproval = async (req, post, previousStatus) => {
+  await PostRevision.markReviewed(post, req.user._id, 'approved');
+
+  await recordAudit(req, {
+    action: 'post.approve',
+    targetType: 'Post',
+    targetId: post._id,
+    targetLabel: post.title,
+    before: { status: previousStatus },
+    after: { status: post.status, scheduledFor: post.scheduledFor }
+  });
+
+  logger.info(`Post approved by: ${req.user.username}`, { postId: post._id, scheduledFor: post.scheduledFor });
+};
+
+/**
+ * Approve a pending post, record the review and audit it. The caller checks
+ * the post is pending and reschedules the scheduler if it was scheduled.
+ * @param {Object} req - Express request of the approving user
+ * @param {Object} post - Pending post
+ * @param {Date|null} publishAt - Publish time, or null to publish now
+ */
+const approvePendingPost = async (req, post, publishAt) => {
+  const previousStatus = post.status;
+  await post.approve(req.user._id, publishAt);
+  await recordApproval(req, post, previousStatus);
+};
+
+/**
+ * Record the review of a post that was just rejected, with its reason, and
+ * audit it
+ * @param {Object} req - Express request of the rejecting user
+ * @param {Object} post - Rejected post
+ * @param {String} previousStatus - Status before the rejection
+ * @param {String} reason - Rejection reason shown to the author
+ * @param {Object} [template] - Template the reason was built from, if any
+ */
+const recordRejection = async (req, post, previousStatus, reason, template = null) => {
+  await PostRevision.markReviewed(post, req.user._id, 'rejected');
+  await PostRejection.record(post, req.user._id, reason, template);
+
+  await recordAudit(req, {
+    action: 'post.reject',
+    targetType: 'Post',
+    targetId: post._id,
+    targetLabel: post.title,
+    before: { status: previousStatus },
+    after: { status: post.status, rejectionReason: reason, rejectionTemplate: template ? template._id : null }
+  });
+
+  logger.info(`Post rejected by: ${req.user.username}`, { postId: post._id, reason });
+};
+
+/**
+ * Reject a pending post, record the review and audit it. The caller checks
+ * the post is pending.
+ * @param {Object} req - Express request of the rejecting user
+ * @param {Object} post - Pending post
+ * @param {String} reason - Rejection reason shown to the author
+ * @param {Object} [template] - Template the reason was built from, if any
+ */
+const rejectPendingPost = async (req, post, reason, template = null) => {
+  const previousStatus = post.status;
+  await post.reject(req.user._id, reason);
+  await recordRejection(req, post, previousStatus, reason, template);
+};
+
+/**
+ * @route   POST /api/posts/bulk/moderate
+ * @desc    Approve or reject many pending posts in one request. Body:
+ *          { action: 'approve' | 'reject', ids, reason, templateId, notes, reasons, publishAt }
+ *          where reasons maps post IDs to their own rejection reason and the
+ *          rest get reason, or the template's body plus notes. publishAt applies
+ *          to every approved post, as on the single approve route. Each post is
+ *          handled on its own and the response reports success or failure per ID,
+ *          with a warning when a post changed status but its review could not
+ *          be recorded.
+ * @access  Private (posts:approve for approve, posts:reject for reject)
+ */
+router.post('/bulk/moderate', [
+  authenticate,
+  requirePermission(PERMISSIONS.POSTS_REVIEW),
+  body('action')
+    .isIn(['approve', 'reject'])
+    .withMessage('Action must be approve or reject'),
+  body('ids')
+    .isArray({ min: 1, max: MAX_BULK_POSTS })
+    .withMessage(`IDs must be a list of 1 to ${MAX_BULK_POSTS} posts`),
+  body('ids.*')
+    .isMongoId()
+    .withMessage('Each ID must be a valid post ID'),
+  body('reason')
+    .optional()
+    .trim()
+    .isLength(REJECTION_REASON_LENGTH)
+    .withMessage(REJECTION_REASON_MESSAGE),
+  body('reasons')
+    .optional()
+    .isObject()
+    .withMessage('Reasons must map post IDs to rejection reasons')
+    .bail()
+    .custom((reasons, { req }) => Object.keys(reasons).every(id => (req.body.ids || []).includes(id)))
+    .withMessage('Reasons can only be given for posts in the list'),
+  body('reasons.*')
+    .isString()
+    .withMessage(REJECTION_REASON_MESSAGE)
+    .bail()
+    .trim()
+    .isLength(REJECTION_REASON_LENGTH)
+    .withMessage(REJECTION_REASON_MESSAGE),
+  body('reason')
+    .custom((reason, { req }) => {
+      const { action, ids, reasons = {} } = req.body;
+      return action !== 'reject' || !Array.isArray(ids) || ids.every(id => reason || req.body.templateId || reasons[id]);
+    })
+    .withMessage('Every rejected post needs a reason, either its own or the shared one'),
+  ...rejectionTemplateValidators(),
+  publishAtValidator()
+], asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        message: 'Validation failed',
+        details: errors.array(),
+        statusCode: 400
+      }
+    });
+  }
+
+  const { action, reason: sharedReason, reasons = {} } = req.body;
+  const isApprove = action === 'approve';
+
+  if (!hasPermission(req.user, isApprove ? PERMISSIONS.POSTS_APPROVE : PERMISSIONS.POSTS_REJECT)) {
+    return res.status(403).json({
+      success: false,
+      error: {
+        message: 'Access denied. Insufficient permissions.',
+        statusCode: 403
+      }
+    });
+  }
+
+  // A shared template stands in for the shared reason
+  let sharedTemplate = null;
+  let sharedText = sharedReason;
+  if (!isApprove && req.body.templateId) {
+    const resolved = await resolveRejectionTemplate(req, res);
+    if (!resolved) return;
+    sharedTemplate = resolved.template;
+    sharedText = resolved.reason;
+  }
+
+  const ids = [...new Set(req.body.ids)];
+  const posts = await Post.find({ _id: { $in: ids } });
+  const postsById = new Map(posts.map(post => [post._id.toString(), post]));
+
+  // One post at a time, so each gets its own audit entry and a failure
+  // leaves the rest of the batch unaffected
+  const results = [];
+  for (const id of ids) {
+    const post = postsById.get(id);
+    if (!post) {
+      results.push({ id, success: false, error: { message: 'Post not found', statusCode: 404 } });
+      continue;
+    }
+
+    if (post.status !== 'pending') {
+      results.push({
+        id,
+        success: false,
+        error: { message: `Only pending posts can be ${isApprove ? 'approved' : 'rejected'}`, statusCode: 400 }
+      });
+      continue;
+    }
+
+    // Only the status change decides success. Once it is saved, a failure
+    // recording the review is reported alongside it rather than as a failure.
+    const previousStatus = post.status;
+    const reason = reasons[id] || sharedText;
+    const template = reasons[id] ? null : sharedTemplate;
+    try {
+      if (isApprove) {
+        // An explicit publishAt (or null) overrides the time each author asked for
+        let publishAt = post.scheduledFor;
+        if (req.body.publishAt !== undefined) {
+          publishAt = req.body.publishAt ? new Date(req.body.publishAt) : null;
+        }
+        await post.approve(req.user._id, publishAt);
+      } else {
+        await post.reject(req.user._id, reason);
+      }
+    } catch (error) {
+      logger.error(`Bulk ${action} failed for post ${id}:`, error);
+      results.push({ id, success: false, error: { message: `Could not ${action} post`, statusCode: 500 } });
+      continue;
+    }
+
+    const result = { id, success: true, status: post.status, scheduledFor: post.scheduledFor };
+    try {
+      if (isApprove) {
+        await recordApproval(req, post, previousStatus);
+      } else {
+        await recordRejection(req, post, previousStatus, reason, template);
+      }
+    } catch (error) {
+      logger.error(`Bulk ${action} of post ${id} was saved but recording the review failed:`, error);
+      result.warning = 'The review history or audit entry could not be saved';
+    }
+    results.push(result);
+  }
+
+  const succeeded = results.filter(result => result.success);
+  if (succeeded.some(result => result.status === 'scheduled')) {
+    await getScheduler().reschedule();
+  }
+
+  logger.info(`Bulk ${action} by: ${req.user.username}`, { requested: ids.length, succeeded: succeeded.length });
+
+  res.json({
+    success: true,
+    message: `${isApprove ? 'Approved' : 'Rejected'} ${succeeded.length} of ${ids.length} posts`,
+    data: {
+      action,
+      results,
+      summary: {
+        requested: ids.length,
+        succeeded: succeeded.length,
+        failed: ids.length - succeeded.length
+      }
+    }
+  });
+}));
+
 /**
  * @route   POST /api/posts/:id/approve
- * @desc    Approve a post (Admin only)
- * @access  Private (Admin only)
+ * @desc    Approve a post. Keeps the author's requested publish time
+ *          unless publishAt overrides it; publishAt: null publishes immediately.
+ * @access  Private (posts:approve)
  */
-router.post('/:id/approve', [authenticate, authorize('admin')], asyncHandler(async (req, res) => {
+router.post('/:id/approve', [
+  authenticate,
+  requirePermission(PERMISSIONS.POSTS_APPROVE),
+  publishAtValidator()
+], asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        message: 'Validation failed',
+        details: errors.array(),
+        statusCode: 400
+      }
+    });
+  }
+
   const { id } = req.params;
 
   const post = await Post.findById(id);
@@ -693,18 +1519,28 @@ router.post('/:id/approve', [authenticate, authorize('admin')], asyncHandler(asy
     });
   }
 
+  // An explicit publishAt (or null) overrides the time the author asked for
+  let publishAt = post.scheduledFor;
+  if (req.body.publishAt !== undefined) {
+    publishAt = req.body.publishAt ? new Date(req.body.publishAt) : null;
+  }
+
   // Approve the post
-  await post.approve(req.user._id);
+  await approvePendingPost(req, post, publishAt);
 
   // Populate author and category for response
   await post.populate('author', 'username profile.firstName profile.lastName');
   await post.populate('category', 'name');
 
-  logger.info(`Post approved by admin: ${req.user.username}`, { postId: id });
+  if (post.status === 'scheduled') {
+    await getScheduler().reschedule();
+  }
 
   res.json({
     success: true,
-    message: 'Post approved successfully',
+    message: post.status === 'scheduled'
+      ? `Post approved and scheduled for ${post.scheduledFor.toISOString()}`
+      : 'Post approved successfully',
     data: {
       post
     }
@@ -713,16 +1549,19 @@ router.post('/:id/approve', [authenticate, authorize('admin')], asyncHandler(asy
 
 /**
  * @route   POST /api/posts/:id/reject
- * @desc    Reject a post (Admin only)
- * @access  Private (Admin only)
+ * @desc    Reject a post, with a reason or with templateId and optional notes
+ *          added after the template's text
+ * @access  Private (posts:reject)
  */
 router.post('/:id/reject', [
-  authenticate, 
-  authorize('admin'),
+  authenticate,
+  requirePermission(PERMISSIONS.POSTS_REJECT),
   body('reason')
-    .isLength({ min: 10, max: 500 })
-    .withMessage('Rejection reason must be between 10 and 500 characters')
-    .trim()
+    .if((value, { req }) => !req.body.templateId)
+    .isLength(REJECTION_REASON_LENGTH)
+    .withMessage(REJECTION_REASON_MESSAGE)
+    .trim(),
+  ...rejectionTemplateValidators()
 ], asyncHandler(async (req, res) => {
   // Check for validation errors
   const errors = validationResult(req);
@@ -738,7 +1577,8 @@ router.post('/:id/reject', [
   }
 
   const { id } = req.params;
-  const { reason } = req.body;
+  let { reason } = req.body;
+  let template = null;
 
   const post = await Post.findById(id);
   if (!post) {
@@ -762,15 +1602,19 @@ router.post('/:id/reject', [
     });
   }
 
+  if (req.body.templateId) {
+    const resolved = await resolveRejectionTemplate(req, res);
+    if (!resolved) return;
+    ({ reason, template } = resolved);
+  }
+
   // Reject the post
-  await post.reject(req.user._id, reason);
+  await rejectPendingPost(req, post, reason, template);
 
   // Populate author and category for response
   await post.populate('author', 'username profile.firstName profile.lastName');
   await post.populate('category', 'name');
 
-  logger.info(`Post rejected by admin: ${req.user.username}`, { postId: id, reason });
-
   res.json({
     success: true,
     message: 'Post rejected successfully',
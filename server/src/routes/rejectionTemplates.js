@@ -0,0 +1,246 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const RejectionTemplate = require('../models/RejectionTemplate');
+const PostRejection = require('../models/PostRejection');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/permissions');
+const { parseDateRange } = require('../middleware/dateRange');
+const { DAY_MS } = require('../utils/analytics');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+/**
+ * Load the template from the :id param or send a 404
+ */
+const loadTemplate = async (req, res) => {
+  const template = await RejectionTemplate.findById(req.params.id);
+  if (!template) {
+    res.status(404).json({
+      success: false,
+      error: {
+        message: 'Rejection template not found',
+        statusCode: 404
+      }
+    });
+    return null;
+  }
+  return template;
+};
+
+const templateValidators = [
+  body('title')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Template title must be between 1 and 100 characters'),
+
+  body('body')
+    .optional()
+    .trim()
+    .isLength({ min: 10, max: 500 })
+    .withMessage('Template body must be between 10 and 500 characters'),
+
+  body('category')
+    .optional()
+    .isIn(RejectionTemplate.getCategories())
+    .withMessage(`Category must be one of: ${RejectionTemplate.getCategories().join(', ')}`)
+];
+
+/**
+ * @route   GET /api/rejection-templates
+ * @desc    List rejection templates by category and title, optionally for one category
+ * @access  Private (posts:reject)
+ */
+router.get('/', [
+  authenticate,
+  requirePermission(PERMISSIONS.POSTS_REJECT),
+  query('category')
+    .optional()
+    .isIn(RejectionTemplate.getCategories())
+    .withMessage(`Category must be one of: ${RejectionTemplate.getCategories().join(', ')}`)
+], asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        message: 'Validation failed',
+        details: errors.array(),
+        statusCode: 400
+      }
+    });
+  }
+
+  const filter = req.query.category ? { category: req.query.category } : {};
+  const templates = await RejectionTemplate.find(filter)
+    .sort({ category: 1, title: 1 })
+    .select('-__v');
+
+  res.json({
+    success: true,
+    data: {
+      templates,
+      categories: RejectionTemplate.getCategories()
+    }
+  });
+}));
+
+/**
+ * @route   GET /api/rejection-templates/reports/usage
+ * @desc    Report how often each template, and hand-typed reasons, were used
+ *          to reject posts over a date range (from/to, default the last 30 days)
+ * @access  Private (stats:view)
+ */
+router.get('/reports/usage', [
+  authenticate,
+  requirePermission(PERMISSIONS.STATS_VIEW),
+  ...parseDateRange()
+], asyncHandler(async (req, res) => {
+  const { from, to } = req.dateRange;
+  const report = await PostRejection.usageReport(from, new Date(to.getTime() + DAY_MS));
+
+  res.json({
+    success: true,
+    data: {
+      range: req.dateRange,
+      ...report
+    }
+  });
+}));
+
+/**
+ * @route   GET /api/rejection-templates/:id
+ * @desc    Get a rejection template
+ * @access  Private (posts:reject)
+ */
+router.get('/:id', authenticate, requirePermission(PERMISSIONS.POSTS_REJECT), asyncHandler(async (req, res) => {
+  const template = await loadTemplate(req, res);
+  if (!template) return;
+
+  res.json({
+    success: true,
+    data: {
+      template
+    }
+  });
+}));
+
+/**
+ * @route   POST /api/rejection-templates
+ * @desc    Create a rejection template
+ * @access  Private (rejection_templates:manage)
+ */
+router.post('/', [
+  authenticate,
+  requirePermission(PERMISSIONS.REJECTION_TEMPLATES_MANAGE),
+  body('title')
+    .exists({ values: 'falsy' })
+    .withMessage('Template title is required'),
+  body('body')
+    .exists({ values: 'falsy' })
+    .withMessage('Template body is required'),
+  ...templateValidators
+], asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        message: 'Validation failed',
+        details: errors.array(),
+        statusCode: 400
+      }
+    });
+  }
+
+  const { title, body: templateBody, category } = req.body;
+
+  const template = await RejectionTemplate.create({
+    title,
+    body: templateBody,
+    category,
+    createdBy: req.user._id
+  });
+
+  logger.info(`Rejection template created by admin: ${req.user.username}`, { templateId: template._id });
+
+  res.status(201).json({
+    success: true,
+    message: 'Rejection template created successfully',
+    data: {
+      template
+    }
+  });
+}));
+
+/**
+ * @route   PUT /api/rejection-templates/:id
+ * @desc    Update a rejection template's title, body or category. Posts already
+ *          rejected with it keep the reason they were sent.
+ * @access  Private (rejection_templates:manage)
+ */
+router.put('/:id', [
+  authenticate,
+  requirePermission(PERMISSIONS.REJECTION_TEMPLATES_MANAGE),
+  ...templateValidators
+], asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        message: 'Validation failed',
+        details: errors.array(),
+        statusCode: 400
+      }
+    });
+  }
+
+  const template = await loadTemplate(req, res);
+  if (!template) return;
+
+  const { title, body: templateBody, category } = req.body;
+
+  if (title !== undefined) template.title = title;
+  if (templateBody !== undefined) template.body = templateBody;
+  if (category !== undefined) template.category = category;
+
+  await template.save();
+
+  logger.info(`Rejection template updated by admin: ${req.user.username}`, { templateId: template._id });
+
+  res.json({
+    success: true,
+    message: 'Rejection template updated successfully',
+    data: {
+      template
+    }
+  });
+}));
+
+/**
+ * @route   DELETE /api/rejection-templates/:id
+ * @desc    Delete a rejection template. Usage reports keep its past uses under
+ *          the title it had at the time.
+ * @access  Private (rejection_templates:manage)
+ */
+router.delete('/:id', authenticate, requirePermission(PERMISSIONS.REJECTION_TEMPLATES_MANAGE), asyncHandler(async (req, res) => {
+  const template = await loadTemplate(req, res);
+  if (!template) return;
+
+  await template.deleteOne();
+
+  logger.info(`Rejection template deleted: ${template.title} by admin: ${req.user.username}`);
+
+  res.json({
+    success: true,
+    message: 'Rejection template deleted successfully'
+  });
+}));
+
+module.exports = router;
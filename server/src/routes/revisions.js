@@ -0,0 +1,222 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const Post = require('../models/Post');
+const PostRevision = require('../models/PostRevision');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { authenticate } = require('../middleware/auth');
+const { PERMISSIONS, hasPermission } = require('../config/permissions');
+const logger = require('../utils/logger');
+
+// Mounted under /api/posts/:id/revisions
+const router = express.Router({ mergeParams: true });
+
+const editorFields = 'username profile.firstName profile.lastName';
+
+/**
+ * Load the post from the :id param and check the caller is its author or holds
+ * the given permission, sending a 404 or 403 otherwise
+ */
+const loadOwnedPost = async (req, res, permission = PERMISSIONS.POSTS_REVIEW) => {
+  const post = await Post.findById(req.params.id);
+  if (!post) {
+    res.status(404).json({
+      success: false,
+      error: {
+        message: 'Post not found',
+        statusCode: 404
+      }
+    });
+    return null;
+  }
+
+  const isAuthor = post.author.toString() === req.user._id.toString();
+  const isReviewer = hasPermission(req.user, permission);
+
+  if (!isAuthor && !isReviewer) {
+    res.status(403).json({
+      success: false,
+      error: {
+        message: 'Access denied. You can only access revisions of your own posts.',
+        statusCode: 403
+      }
+    });
+    return null;
+  }
+
+  return post;
+};
+
+/**
+ * Send a 404 for a revision number that does not exist on the post
+ */
+const revisionNotFound = (res, revision) => {
+  return res.status(404).json({
+    success: false,
+    error: {
+      message: `Revision ${revision} not found`,
+      statusCode: 404
+    }
+  });
+};
+
+/**
+ * @route   GET /api/posts/:id/revisions
+ * @desc    List revisions of a post, newest first
+ * @access  Private (Author or Moderator/Admin)
+ */
+router.get('/', authenticate, asyncHandler(async (req, res) => {
+  const post = await loadOwnedPost(req, res);
+  if (!post) return;
+
+  await PostRevision.ensureLatest(post);
+
+  const revisions = await PostRevision.find({ post: post._id })
+    .populate('editedBy', editorFields)
+    .populate('review.reviewedBy', 'username')
+    .select('-content -__v')
+    .sort({ revision: -1 });
+
+  res.json({
+    success: true,
+    data: {
+      revisions
+    }
+  });
+}));
+
+/**
+ * @route   GET /api/posts/:id/revisions/diff
+ * @desc    Field-level diff between two revisions. `from` may be a revision number
+ *          or "reviewed" for the last approved/rejected revision; `to` defaults to the latest.
+ * @access  Private (Author or Moderator/Admin)
+ */
+router.get('/diff', [
+  authenticate,
+  query('from')
+    .optional()
+    .custom(value => value === 'reviewed' || /^[1-9]\d*$/.test(value))
+    .withMessage('from must be a revision number or "reviewed"'),
+  query('to')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('to must be a revision number')
+], asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        message: 'Validation failed',
+        details: errors.array(),
+        statusCode: 400
+      }
+    });
+  }
+
+  const post = await loadOwnedPost(req, res);
+  if (!post) return;
+
+  const latest = await PostRevision.ensureLatest(post);
+
+  let to = latest;
+  if (req.query.to) {
+    to = await PostRevision.findOne({ post: post._id, revision: parseInt(req.query.to) });
+    if (!to) return revisionNotFound(res, req.query.to);
+  }
+
+  let from;
+  if (req.query.from === 'reviewed') {
+    from = await PostRevision.findLastReviewed(post._id);
+
+    // Nothing has been reviewed yet, so the whole post is new to the reviewer
+    if (!from) {
+      return res.json({
+        success: true,
+        data: {
+          from: null,
+          to: to.revision,
+          diff: null
+        }
+      });
+    }
+  } else if (req.query.from) {
+    from = await PostRevision.findOne({ post: post._id, revision: parseInt(req.query.from) });
+    if (!from) return revisionNotFound(res, req.query.from);
+  } else {
+    from = await PostRevision.findOne({ post: post._id, revision: { $lt: to.revision } })
+      .sort({ revision: -1 });
+    from = from || to;
+  }
+
+  res.json({
+    success: true,
+    data: {
+      from: from.revision,
+      to: to.revision,
+      review: req.query.from === 'reviewed' ? from.review : undefined,
+      diff: PostRevision.compare(from, to)
+    }
+  });
+}));
+
+/**
+ * @route   GET /api/posts/:id/revisions/:revision
+ * @desc    Get a single revision snapshot
+ * @access  Private (Author or Moderator/Admin)
+ */
+router.get('/:revision', authenticate, asyncHandler(async (req, res) => {
+  const post = await loadOwnedPost(req, res);
+  if (!post) return;
+
+  const revision = await PostRevision.findOne({ post: post._id, revision: parseInt(req.params.revision) || 0 })
+    .populate('editedBy', editorFields)
+    .populate('category', 'name')
+    .select('-__v');
+
+  if (!revision) return revisionNotFound(res, req.params.revision);
+
+  res.json({
+    success: true,
+    data: {
+      revision
+    }
+  });
+}));
+
+/**
+ * @route   POST /api/posts/:id/revisions/:revision/restore
+ * @desc    Restore a post to an earlier revision; the restore is itself recorded as a new revision
+ * @access  Private (Author or Admin)
+ */
+router.post('/:revision/restore', authenticate, asyncHandler(async (req, res) => {
+  const post = await loadOwnedPost(req, res, PERMISSIONS.POSTS_EDIT_ANY);
+  if (!post) return;
+
+  const revision = await PostRevision.findOne({ post: post._id, revision: parseInt(req.params.revision) || 0 });
+  if (!revision) return revisionNotFound(res, req.params.revision);
+
+  // Make sure the pre-restore state is kept before overwriting it
+  await PostRevision.ensureLatest(post);
+
+  post.set(revision.getRestorableFields());
+  await Post.saveWithFreeSlug(post);
+
+  const recorded = await PostRevision.record(post, req.user._id, 'restore', revision.revision);
+
+  await post.populate('author', 'username profile.firstName profile.lastName');
+  await post.populate('category', 'name');
+
+  logger.info(`Post restored to revision ${revision.revision} by user: ${req.user.username}`, { postId: post._id });
+
+  res.json({
+    success: true,
+    message: `Post restored to revision ${revision.revision}`,
+    data: {
+      post,
+      revision: recorded.revision
+    }
+  });
+}));
+
+module.exports = router;
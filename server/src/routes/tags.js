@@ -0,0 +1,251 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const Post = require('../models/Post');
+const Like = require('../models/Like');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { authenticate, optionalAuthenticate, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/permissions');
+const { parseListQuery } = require('../middleware/listQuery');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Only tags on publicly visible posts are listed
+const publishedMatch = { status: 'published', isPublished: true, isApproved: true };
+
+/**
+ * Escape a string for use inside a regular expression
+ * @param {String} value - Raw string
+ * @returns {String} Escaped string
+ */
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Count tag usage across published posts
+ * @param {RegExp|null} pattern - Optional pattern tags must match
+ * @param {Number} limit - Maximum number of tags
+ * @returns {Promise<Array>} [{ name, count }] sorted by count then name
+ */
+const countTags = (pattern, limit) => {
+  const pipeline = [
+    { $match: pattern ? { ...publishedMatch, tags: pattern } : publishedMatch },
+    { $unwind: '$tags' }
+  ];
+  if (pattern) {
+    pipeline.push({ $match: { tags: pattern } });
+  }
+  pipeline.push(
+    { $group: { _id: '$tags', count: { $sum: 1 } } },
+    { $sort: { count: -1, _id: 1 } },
+    { $limit: limit },
+    { $project: { _id: 0, name: '$_id', count: 1 } }
+  );
+  return Post.aggregate(pipeline);
+};
+
+const tagNameValidator = (field) => field
+  .trim()
+  .isLength({ min: 1, max: 50 })
+  .withMessage('Tag must be between 1 and 50 characters');
+
+/**
+ * @route   GET /api/tags
+ * @desc    Get the most used tags with their post counts
+ * @access  Public
+ */
+router.get('/', [
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+], asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        message: 'Validation failed',
+        details: errors.array(),
+        statusCode: 400
+      }
+    });
+  }
+
+  const tags = await countTags(null, parseInt(req.query.limit) || 20);
+
+  res.json({
+    success: true,
+    data: {
+      tags
+    }
+  });
+}));
+
+/**
+ * @route   GET /api/tags/autocomplete?q=:prefix
+ * @desc    Suggest tags starting with a prefix (case-insensitive), most used first
+ * @access  Public
+ */
+router.get('/autocomplete', [
+  query('q')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Query must be between 1 and 50 characters'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Limit must be between 1 and 50')
+], asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        message: 'Validation failed',
+        details: errors.array(),
+        statusCode: 400
+      }
+    });
+  }
+
+  const pattern = new RegExp(`^${escapeRegex(req.query.q)}`, 'i');
+  const tags = await countTags(pattern, parseInt(req.query.limit) || 10);
+
+  res.json({
+    success: true,
+    data: {
+      tags
+    }
+  });
+}));
+
+/**
+ * @route   GET /api/tags/:tag/posts
+ * @desc    Get published posts with a tag
+ * @access  Public
+ */
+router.get('/:tag/posts', [optionalAuthenticate, ...parseListQuery()], asyncHandler(async (req, res) => {
+  const { tag } = req.params;
+  const { page, limit: limitNum } = req.listQuery;
+
+  const skip = (page - 1) * limitNum;
+
+  const query = { ...publishedMatch, tags: tag };
+
+  const posts = await Post.find(query)
+    .populate('author', 'username profile.firstName profile.lastName')
+    .populate('category', 'name')
+    .sort({ publishedAt: -1 })
+    .skip(skip)
+    .limit(limitNum)
+    .select('-__v');
+
+  const total = await Post.countDocuments(query);
+  const totalPages = Math.ceil(total / limitNum);
+  const hasNextPage = page < totalPages;
+  const hasPrevPage = page > 1;
+
+  res.json({
+    success: true,
+    data: {
+      tag,
+      posts: await Like.withLikeStatus(req.user && req.user._id, posts),
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalItems: total,
+        itemsPerPage: limitNum,
+        hasNextPage,
+        hasPrevPage
+      }
+    }
+  });
+}));
+
+/**
+ * @route   PUT /api/tags/:tag
+ * @desc    Rename a tag on every post that uses it (Admin only)
+ * @access  Private (Admin)
+ */
+router.put('/:tag', [
+  authenticate,
+  requirePermission(PERMISSIONS.TAGS_MANAGE),
+  tagNameValidator(param('tag')),
+  tagNameValidator(body('name'))
+], asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        message: 'Validation failed',
+        details: errors.array(),
+        statusCode: 400
+      }
+    });
+  }
+
+  const { tag } = req.params;
+  const { name } = req.body;
+
+  const postsUpdated = await Post.replaceTags([tag], name);
+
+  logger.info(`Tag renamed by admin: ${req.user.username}`, { from: tag, to: name, postsUpdated });
+
+  res.json({
+    success: true,
+    message: `Tag renamed to "${name}"`,
+    data: {
+      tag: name,
+      postsUpdated
+    }
+  });
+}));
+
+/**
+ * @route   POST /api/tags/merge
+ * @desc    Merge several tags into one on every post that uses them (Admin only)
+ * @access  Private (Admin)
+ */
+router.post('/merge', [
+  authenticate,
+  requirePermission(PERMISSIONS.TAGS_MANAGE),
+  body('sources')
+    .isArray({ min: 1 })
+    .withMessage('Sources must be a non-empty array of tags'),
+  tagNameValidator(body('sources.*')),
+  tagNameValidator(body('target'))
+], asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        message: 'Validation failed',
+        details: errors.array(),
+        statusCode: 400
+      }
+    });
+  }
+
+  const { sources, target } = req.body;
+
+  const postsUpdated = await Post.replaceTags(sources, target);
+
+  logger.info(`Tags merged by admin: ${req.user.username}`, { sources, target, postsUpdated });
+
+  res.json({
+    success: true,
+    message: `Merged ${sources.length} tag(s) into "${target}"`,
+    data: {
+      tag: target,
+      postsUpdated
+    }
+  });
+}));
+
+module.exports = router;
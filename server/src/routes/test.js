@@ -3,6 +3,18 @@ const express = require('express');
 const router = express.Router();
 const User = require('../models/User');
 const Post = require('../models/Post');
+const Like = require('../models/Like');
+const Comment = require('../models/Comment');
+const PostRevision = require('../models/PostRevision');
+const SlugRedirect = require('../models/SlugRedirect');
+const PostView = require('../models/PostView');
+const PostViewDaily = require('../models/PostViewDaily');
+const PostRejection = require('../models/PostRejection');
+const FeedState = require('../models/FeedState');
+const RejectionTemplate = require('../models/RejectionTemplate');
+const RefreshToken = require('../models/RefreshToken');
+const AccountToken = require('../models/AccountToken');
+const AuditLog = require('../models/AuditLog');
 const bcrypt = require('bcryptjs');
 
 // Only allow test routes in test environment
@@ -16,6 +28,19 @@ router.post('/clear-db', async (req, res) => {
   try {
     await User.deleteMany({});
     await Post.deleteMany({});
+    await Like.deleteMany({});
+    await Comment.deleteMany({});
+    await PostRevision.deleteMany({});
+    await SlugRedirect.deleteMany({});
+    await PostView.deleteMany({});
+    await PostViewDaily.deleteMany({});
+    await PostRejection.deleteMany({});
+    await FeedState.deleteMany({});
+    await RejectionTemplate.deleteMany({});
+    await RefreshToken.deleteMany({});
+    await AccountToken.deleteMany({});
+    // The model refuses deletes, so go to the collection directly
+    await AuditLog.collection.deleteMany({});
     res.json({ message: 'Database cleared successfully' });
   } catch (error) {
     res.status(500).json({ message: 'Failed to clear database', error: error.message });
@@ -31,13 +56,15 @@ router.post('/seed-data', async (req, res) => {
         username: 'testuser',
         email: 'test@example.com',
         password: await bcrypt.hash('Test123!', 10),
-        role: 'user'
+        role: 'user',
+        isEmailVerified: true
       },
       {
         username: 'adminuser',
         email: 'admin@example.com',
         password: await bcrypt.hash('Admin123!', 10),
-        role: 'admin'
+        role: 'admin',
+        isEmailVerified: true
       }
     ];
 
@@ -0,0 +1,205 @@
+const express = require('express');
+const multer = require('multer');
+const { body, query: queryParam, validationResult } = require('express-validator');
+const Upload = require('../models/Upload');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS, hasPermission } = require('../config/permissions');
+const { parseListQuery } = require('../middleware/listQuery');
+const { paginateQuery } = require('../utils/pagination');
+const { IMAGE_TYPES, sniffImageType } = require('../utils/images');
+const { saveImage, deleteUpload, cleanupOrphanedUploads } = require('../utils/uploads');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+const MAX_UPLOAD_BYTES = parseInt(process.env.UPLOAD_MAX_BYTES, 10) || 5 * 1024 * 1024;
+
+// Files are kept in memory only long enough to be validated and re-encoded
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_UPLOAD_BYTES, files: 1 }
+});
+
+/**
+ * @route   POST /api/uploads
+ * @desc    Upload an image for a post or avatar and generate its thumbnails
+ * @access  Private
+ */
+router.post('/', [
+  authenticate,
+  upload.single('file'),
+  body('purpose')
+    .isIn(['post', 'avatar'])
+    .withMessage('Purpose must be post or avatar')
+], asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        message: 'Validation failed',
+        details: errors.array(),
+        statusCode: 400
+      }
+    });
+  }
+
+  if (!req.file) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        message: 'No file uploaded',
+        statusCode: 400
+      }
+    });
+  }
+
+  // Trust the file's contents, not the extension or Content-Type the client sent
+  if (!sniffImageType(req.file.buffer)) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        message: `Unsupported file type. Allowed types: ${Object.keys(IMAGE_TYPES).join(', ')}`,
+        statusCode: 400
+      }
+    });
+  }
+
+  let saved;
+  try {
+    saved = await saveImage({
+      buffer: req.file.buffer,
+      purpose: req.body.purpose,
+      owner: req.user._id,
+      originalName: req.file.originalname
+    });
+  } catch (error) {
+    // Truncated, corrupt and oversized images
+    if (error.code === 'INVALID_IMAGE') {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'The file could not be read as an image',
+          statusCode: 400
+        }
+      });
+    }
+    throw error;
+  }
+
+  logger.info(`Image uploaded by: ${req.user.username}`, { uploadId: saved._id, purpose: saved.purpose, size: saved.size });
+
+  res.status(201).json({
+    success: true,
+    message: 'Image uploaded successfully',
+    data: {
+      upload: saved
+    }
+  });
+}));
+
+/**
+ * @route   GET /api/uploads
+ * @desc    List the current user's uploads, newest first
+ * @access  Private
+ */
+router.get('/', [
+  authenticate,
+  queryParam('purpose')
+    .optional()
+    .isIn(['post', 'avatar'])
+    .withMessage('Purpose must be post or avatar'),
+  ...parseListQuery({ defaultLimit: 20, maxLimit: 100, cursor: true })
+], asyncHandler(async (req, res) => {
+  const { page, limit, cursor, paginate } = req.listQuery;
+
+  const filter = { owner: req.user._id };
+  if (req.query.purpose) {
+    filter.purpose = req.query.purpose;
+  }
+
+  const { items: uploads, pagination } = await paginateQuery(
+    Upload.find(filter).select('-__v'),
+    { sortBy: 'createdAt', sortOrder: 'desc', page, limit, cursor, paginate }
+  );
+
+  res.json({
+    success: true,
+    data: {
+      uploads,
+      pagination
+    }
+  });
+}));
+
+/**
+ * @route   POST /api/uploads/cleanup
+ * @desc    Remove orphaned uploads now instead of waiting for the periodic cleanup
+ * @access  Private (uploads:manage)
+ */
+router.post('/cleanup', authenticate, requirePermission(PERMISSIONS.UPLOADS_MANAGE), asyncHandler(async (req, res) => {
+  const removed = await cleanupOrphanedUploads();
+
+  logger.info(`Upload cleanup run by: ${req.user.username}`, { removed });
+
+  res.json({
+    success: true,
+    message: `${removed} orphaned upload${removed === 1 ? '' : 's'} removed`,
+    data: {
+      removed
+    }
+  });
+}));
+
+/**
+ * @route   DELETE /api/uploads/:id
+ * @desc    Delete an upload that is no longer used
+ * @access  Private (owner or uploads:manage)
+ */
+router.delete('/:id', authenticate, asyncHandler(async (req, res) => {
+  const existing = await Upload.findById(req.params.id);
+
+  if (!existing) {
+    return res.status(404).json({
+      success: false,
+      error: {
+        message: 'Upload not found',
+        statusCode: 404
+      }
+    });
+  }
+
+  if (existing.owner.toString() !== req.user._id.toString() &&
+      !hasPermission(req.user, PERMISSIONS.UPLOADS_MANAGE)) {
+    return res.status(403).json({
+      success: false,
+      error: {
+        message: 'Not authorized to delete this upload',
+        statusCode: 403
+      }
+    });
+  }
+
+  if (await existing.isReferenced()) {
+    return res.status(409).json({
+      success: false,
+      error: {
+        message: 'Upload is still used by a post or profile',
+        statusCode: 409
+      }
+    });
+  }
+
+  await deleteUpload(existing);
+
+  logger.info(`Upload deleted by: ${req.user.username}`, { uploadId: existing._id });
+
+  res.json({
+    success: true,
+    message: 'Upload deleted successfully'
+  });
+}));
+
+module.exports = router;
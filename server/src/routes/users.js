@@ -1,10 +1,25 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, query: queryParam, validationResult } = require('express-validator');
 const User = require('../models/User');
 const Post = require('../models/Post');
+const Like = require('../models/Like');
+const Comment = require('../models/Comment');
+const PostRevision = require('../models/PostRevision');
+const SlugRedirect = require('../models/SlugRedirect');
+const PostView = require('../models/PostView');
+const PostViewDaily = require('../models/PostViewDaily');
+const PostRejection = require('../models/PostRejection');
+const FeedState = require('../models/FeedState');
+const RefreshToken = require('../models/RefreshToken');
 const { asyncHandler } = require('../middleware/errorHandler');
-const { authenticate, authorize } = require('../middleware/auth');
+const { authenticate, optionalAuthenticate, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS, hasPermission } = require('../config/permissions');
+const { POST_STATUSES, POST_SORT_FIELDS, USER_SORT_FIELDS, parseListQuery, statusCondition } = require('../middleware/listQuery');
 const logger = require('../utils/logger');
+const { recordAudit } = require('../utils/audit');
+const { paginateQuery } = require('../utils/pagination');
+const { DAY_MS, HOUR_MS, buildDailySeries, countByDay, fillDailySeries, median } = require('../utils/analytics');
+const { parseDateRange } = require('../middleware/dateRange');
 
 const router = express.Router();
 
@@ -13,16 +28,26 @@ const router = express.Router();
  * @desc    Get all users (Admin only)
  * @access  Private (Admin)
  */
-router.get('/', authenticate, authorize('admin'), asyncHandler(async (req, res) => {
-  const {
-    page = 1,
-    limit = 10,
-    role,
-    isActive,
-    search,
-    sortBy = 'createdAt',
-    sortOrder = 'desc'
-  } = req.query;
+router.get('/', [
+  authenticate,
+  requirePermission(PERMISSIONS.USERS_VIEW),
+  queryParam('role')
+    .optional()
+    .isIn(['user', 'moderator', 'admin'])
+    .withMessage('Role must be user, moderator, or admin'),
+  queryParam('isActive')
+    .optional()
+    .isIn(['true', 'false'])
+    .withMessage('isActive must be true or false'),
+  queryParam('search')
+    .optional()
+    .isString()
+    .isLength({ max: 100 })
+    .withMessage('Search cannot exceed 100 characters'),
+  ...parseListQuery({ sortFields: USER_SORT_FIELDS })
+], asyncHandler(async (req, res) => {
+  const { role, isActive, search } = req.query;
+  const { page, limit, sortBy, sortOrder } = req.listQuery;
 
   // Build query
   const query = {};
@@ -36,11 +61,13 @@ router.get('/', authenticate, authorize('admin'), asyncHandler(async (req, res)
   }
   
   if (search) {
+    // Search text is matched literally, not as a pattern
+    const pattern = search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
     query.$or = [
-      { username: { $regex: search, $options: 'i' } },
-      { email: { $regex: search, $options: 'i' } },
-      { 'profile.firstName': { $regex: search, $options: 'i' } },
-      { 'profile.lastName': { $regex: search, $options: 'i' } }
+      { username: { $regex: pattern, $options: 'i' } },
+      { email: { $regex: pattern, $options: 'i' } },
+      { 'profile.firstName': { $regex: pattern, $options: 'i' } },
+      { 'profile.lastName': { $regex: pattern, $options: 'i' } }
     ];
   }
 
@@ -49,8 +76,8 @@ router.get('/', authenticate, authorize('admin'), asyncHandler(async (req, res)
   sort[sortBy] = sortOrder === 'desc' ? -1 : 1;
 
   // Calculate pagination
-  const skip = (parseInt(page) - 1) * parseInt(limit);
-  const limitNum = parseInt(limit);
+  const skip = (page - 1) * limit;
+  const limitNum = limit;
 
   // Execute query
   const users = await User.find(query)
@@ -74,7 +101,7 @@ router.get('/', authenticate, authorize('admin'), asyncHandler(async (req, res)
     data: {
       users,
       pagination: {
-        currentPage: parseInt(page),
+        currentPage: page,
         totalPages,
         totalItems: total,
         itemsPerPage: limitNum,
@@ -95,7 +122,7 @@ router.get('/:id', authenticate, asyncHandler(async (req, res) => {
 
   // Check if user is viewing their own profile or is admin
   const isOwnProfile = req.user._id.toString() === id;
-  const isAdmin = req.user.role === 'admin';
+  const isAdmin = hasPermission(req.user, PERMISSIONS.USERS_VIEW);
 
   if (!isOwnProfile && !isAdmin) {
     return res.status(403).json({
@@ -184,7 +211,7 @@ router.put('/:id', [
 
   // Check if user is updating their own profile or is admin
   const isOwnProfile = req.user._id.toString() === id;
-  const isAdmin = req.user.role === 'admin';
+  const isAdmin = hasPermission(req.user, PERMISSIONS.USERS_MANAGE);
 
   if (!isOwnProfile && !isAdmin) {
     return res.status(403).json({
@@ -237,6 +264,32 @@ router.put('/:id', [
     { new: true, runValidators: true }
   ).select('-password');
 
+  // Deactivated users are signed out everywhere
+  if (updateData.isActive === false) {
+    await RefreshToken.revokeAllForUser(id, 'session_revoked');
+  }
+
+  if (updateData.role !== undefined && updateData.role !== user.role) {
+    await recordAudit(req, {
+      action: 'user.role_change',
+      targetType: 'User',
+      targetId: user._id,
+      targetLabel: user.username,
+      before: { role: user.role },
+      after: { role: updatedUser.role }
+    });
+  }
+  if (updateData.isActive !== undefined && updateData.isActive !== user.isActive) {
+    await recordAudit(req, {
+      action: updatedUser.isActive ? 'user.activate' : 'user.deactivate',
+      targetType: 'User',
+      targetId: user._id,
+      targetLabel: user.username,
+      before: { isActive: user.isActive },
+      after: { isActive: updatedUser.isActive }
+    });
+  }
+
   logger.info(`User updated: ${updatedUser.username} by ${req.user.username}`);
 
   res.json({
@@ -253,7 +306,7 @@ router.put('/:id', [
  * @desc    Delete user (Admin only)
  * @access  Private (Admin)
  */
-router.delete('/:id', authenticate, authorize('admin'), asyncHandler(async (req, res) => {
+router.delete('/:id', authenticate, requirePermission(PERMISSIONS.USERS_MANAGE), asyncHandler(async (req, res) => {
   const { id } = req.params;
 
   // Prevent admin from deleting themselves
@@ -278,11 +331,53 @@ router.delete('/:id', authenticate, authorize('admin'), asyncHandler(async (req,
     });
   }
 
-  // Delete user's posts
+  // Withdraw the user's likes from other posts
+  const likedPostIds = await Like.find({ user: id }).distinct('post');
+  await Post.updateMany({ _id: { $in: likedPostIds } }, { $inc: { likeCount: -1 } });
+  await Like.deleteMany({ user: id });
+
+  // Delete user's posts and the likes and comments on them
+  const postIds = await Post.find({ author: id }).distinct('_id');
+  const hadPublished = await Post.exists({ author: id, status: 'published' });
+
+  // Soft delete the user's comments on other posts, as deleting them one by
+  // one would, so replies keep their place and comment counts stay right
+  const commentCounts = await Comment.aggregate([
+    { $match: { author: user._id, isDeleted: false, post: { $nin: postIds } } },
+    { $group: { _id: '$post', count: { $sum: 1 } } }
+  ]);
+  if (commentCounts.length > 0) {
+    await Post.bulkWrite(commentCounts.map(({ _id, count }) => ({
+      updateOne: { filter: { _id }, update: { $inc: { commentCount: -count } }, timestamps: false }
+    })));
+  }
+  await Comment.updateMany(
+    { author: user._id, isDeleted: false, post: { $nin: postIds } },
+    { isDeleted: true, deletedAt: new Date(), deletedBy: req.user._id }
+  );
+  await Like.deleteMany({ post: { $in: postIds } });
+  await Comment.deleteMany({ post: { $in: postIds } });
+  await PostRevision.deleteMany({ post: { $in: postIds } });
+  await SlugRedirect.deleteMany({ post: { $in: postIds } });
+  await PostView.deleteMany({ post: { $in: postIds } });
+  await PostViewDaily.deleteMany({ post: { $in: postIds } });
+  await PostRejection.deleteMany({ post: { $in: postIds } });
   await Post.deleteMany({ author: id });
+  if (hadPublished) {
+    await FeedState.recordRemoval();
+  }
 
-  // Delete user
+  // Delete user and their sessions
   await User.findByIdAndDelete(id);
+  await RefreshToken.deleteMany({ user: id });
+
+  await recordAudit(req, {
+    action: 'user.delete',
+    targetType: 'User',
+    targetId: user._id,
+    targetLabel: user.username,
+    before: { username: user.username, email: user.email, role: user.role, postsDeleted: postIds.length }
+  });
 
   logger.info(`User deleted: ${user.username} by admin: ${req.user.username}`);
 
@@ -292,20 +387,159 @@ router.delete('/:id', authenticate, authorize('admin'), asyncHandler(async (req,
   });
 }));
 
+/**
+ * Summarise how long an author's posts waited for review, for decisions made in a range
+ * @param {ObjectId} authorId - Author
+ * @param {Date} from - Range start
+ * @param {Date} end - Range end, exclusive
+ * @returns {Promise<Object>} { reviewed, approved, rejected, averageHours, medianHours, slowestHours }
+ */
+const getApprovalTurnaround = async (authorId, from, end) => {
+  const reviewed = await Post.find({
+    author: authorId,
+    submittedAt: { $ne: null },
+    approvedAt: { $gte: from, $lt: end }
+  }).select('submittedAt approvedAt isApproved').lean();
+
+  // approvedAt records rejections too; a resubmitted post only has its latest round
+  const hours = reviewed
+    .filter(post => post.approvedAt >= post.submittedAt)
+    .map(post => (post.approvedAt - post.submittedAt) / HOUR_MS);
+  const round = value => (value === null ? null : Math.round(value * 10) / 10);
+
+  return {
+    reviewed: reviewed.length,
+    approved: reviewed.filter(post => post.isApproved).length,
+    rejected: reviewed.filter(post => !post.isApproved).length,
+    averageHours: round(hours.length ? hours.reduce((sum, value) => sum + value, 0) / hours.length : null),
+    medianHours: round(median(hours)),
+    slowestHours: round(hours.length ? Math.max(...hours) : null)
+  };
+};
+
+/**
+ * @route   GET /api/users/me/stats
+ * @desc    Get the current user's author statistics: all-time post counts by
+ *          status and totals, plus daily views, likes, comments and publications,
+ *          top posts and approval turnaround over a date range (from/to,
+ *          default the last 30 days)
+ * @access  Private
+ */
+router.get('/me/stats', [authenticate, ...parseDateRange()], asyncHandler(async (req, res) => {
+  const { from, to } = req.dateRange;
+  const end = new Date(to.getTime() + DAY_MS);
+  const authorId = req.user._id;
+
+  const postIds = await Post.find({ author: authorId }).distinct('_id');
+  const inRange = { $gte: from, $lt: end };
+
+  const [statusCounts, [totals], views, likes, comments, published, topPosts, turnaround] = await Promise.all([
+    Post.aggregate([
+      { $match: { author: authorId } },
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]),
+    Post.aggregate([
+      { $match: { author: authorId } },
+      {
+        $group: {
+          _id: null,
+          views: { $sum: '$viewCount' },
+          likes: { $sum: '$likeCount' },
+          comments: { $sum: '$commentCount' }
+        }
+      }
+    ]),
+    PostViewDaily.sumByDay({ author: authorId }, from, to),
+    countByDay(Like, { post: { $in: postIds }, createdAt: inRange }, 'createdAt'),
+    countByDay(Comment, { post: { $in: postIds }, isDeleted: { $ne: true }, createdAt: inRange }, 'createdAt'),
+    countByDay(Post, { author: authorId, status: 'published', publishedAt: inRange }, 'publishedAt'),
+    PostViewDaily.sumByPost({ author: authorId }, from, to, 5),
+    getApprovalTurnaround(authorId, from, end)
+  ]);
+
+  const postsByStatus = POST_STATUSES.reduce((counts, status) => {
+    const found = statusCounts.find(row => row._id === status);
+    counts[status] = found ? found.count : 0;
+    return counts;
+  }, {});
+
+  const series = buildDailySeries(from, to, {
+    views: views.map(row => ({ date: row.date, count: row.views })),
+    likes,
+    comments,
+    published
+  });
+  const sum = field => series.reduce((total, day) => total + day[field], 0);
+
+  res.json({
+    success: true,
+    data: {
+      range: req.dateRange,
+      postsByStatus,
+      totals: {
+        posts: postIds.length,
+        views: totals ? totals.views : 0,
+        likes: totals ? totals.likes : 0,
+        comments: totals ? totals.comments : 0
+      },
+      period: {
+        views: sum('views'),
+        likes: sum('likes'),
+        comments: sum('comments'),
+        published: sum('published')
+      },
+      series,
+      topPosts,
+      approvalTurnaround: turnaround
+    }
+  });
+}));
+
+/**
+ * @route   GET /api/users/me/views
+ * @desc    Get daily views across the current user's posts over a date range
+ *          (from/to, default the last 30 days), with the most viewed posts
+ * @access  Private
+ */
+router.get('/me/views', [authenticate, ...parseDateRange()], asyncHandler(async (req, res) => {
+  const { from, to } = req.dateRange;
+  const match = { author: req.user._id };
+
+  const [rows, topPosts] = await Promise.all([
+    PostViewDaily.sumByDay(match, from, to),
+    PostViewDaily.sumByPost(match, from, to)
+  ]);
+  const series = fillDailySeries(rows, from, to);
+
+  res.json({
+    success: true,
+    data: {
+      range: req.dateRange,
+      total: series.reduce((sum, day) => sum + day.views, 0),
+      series,
+      topPosts
+    }
+  });
+}));
+
 /**
  * @route   GET /api/users/:id/posts
- * @desc    Get user's posts
+ * @desc    Get user's posts, by page number or by cursor
  * @access  Public
  */
-router.get('/:id/posts', asyncHandler(async (req, res) => {
+router.get('/:id/posts', [
+  optionalAuthenticate,
+  ...parseListQuery({
+    sortFields: POST_SORT_FIELDS,
+    cursor: true,
+    status: {
+      defaultStatus: 'published',
+      isOwner: req => Boolean(req.user && req.user._id.toString() === req.params.id)
+    }
+  })
+], asyncHandler(async (req, res) => {
   const { id } = req.params;
-  const {
-    page = 1,
-    limit = 10,
-    status = 'published',
-    sortBy = 'createdAt',
-    sortOrder = 'desc'
-  } = req.query;
+  const { page, limit, sortBy, sortOrder, cursor, paginate, statuses } = req.listQuery;
 
   // Verify user exists
   const user = await User.findById(id).select('username');
@@ -321,52 +555,29 @@ router.get('/:id/posts', asyncHandler(async (req, res) => {
 
   // Build query
   const query = { author: id };
-  if (status) {
-    query.status = status;
+  if (statuses) {
+    query.status = statusCondition(statuses);
   }
 
-  // Build sort object
-  const sort = {};
-  sort[sortBy] = sortOrder === 'desc' ? -1 : 1;
-
-  // Calculate pagination
-  const skip = (parseInt(page) - 1) * parseInt(limit);
-  const limitNum = parseInt(limit);
-
   // Execute query
-  const posts = await Post.find(query)
-    .populate('category', 'name')
-    .sort(sort)
-    .skip(skip)
-    .limit(limitNum)
-    .select('-__v');
-
-  // Get total count for pagination
-  const total = await Post.countDocuments(query);
-
-  // Calculate pagination info
-  const totalPages = Math.ceil(total / limitNum);
-  const hasNextPage = page < totalPages;
-  const hasPrevPage = page > 1;
+  const { items: posts, pagination } = await paginateQuery(
+    Post.find(query)
+      .populate('category', 'name')
+      .select('-__v'),
+    { sortBy, sortOrder, page, limit, cursor, paginate }
+  );
 
   logger.info(`User posts accessed: ${user.username}`);
 
   res.json({
     success: true,
     data: {
-      posts,
+      posts: await Like.withLikeStatus(req.user && req.user._id, posts),
       author: {
         id: user._id,
         username: user.username
       },
-      pagination: {
-        currentPage: parseInt(page),
-        totalPages,
-        totalItems: total,
-        itemsPerPage: limitNum,
-        hasNextPage,
-        hasPrevPage
-      }
+      pagination
     }
   });
 }));
@@ -376,7 +587,7 @@ router.get('/:id/posts', asyncHandler(async (req, res) => {
  * @desc    Get user statistics (Admin only)
  * @access  Private (Admin)
  */
-router.get('/stats/overview', authenticate, authorize('admin'), asyncHandler(async (req, res) => {
+router.get('/stats/overview', authenticate, requirePermission(PERMISSIONS.STATS_VIEW), asyncHandler(async (req, res) => {
   // Get total users count
   const totalUsers = await User.countDocuments();
   
@@ -450,10 +661,10 @@ router.get('/stats/overview', authenticate, authorize('admin'), asyncHandler(asy
 
 /**
  * @route   POST /api/users/:id/deactivate
- * @desc    Deactivate user (Admin only)
- * @access  Private (Admin)
+ * @desc    Deactivate user
+ * @access  Private (users:deactivate)
  */
-router.post('/:id/deactivate', authenticate, authorize('admin'), asyncHandler(async (req, res) => {
+router.post('/:id/deactivate', authenticate, requirePermission(PERMISSIONS.USERS_DEACTIVATE), asyncHandler(async (req, res) => {
   const { id } = req.params;
 
   // Prevent admin from deactivating themselves
@@ -467,7 +678,8 @@ router.post('/:id/deactivate', authenticate, authorize('admin'), asyncHandler(as
     });
   }
 
-  const user = await User.findByIdAndUpdate(
+  const previous = await User.findById(id).select('isActive');
+  const user = previous && await User.findByIdAndUpdate(
     id,
     { isActive: false },
     { new: true }
@@ -483,6 +695,18 @@ router.post('/:id/deactivate', authenticate, authorize('admin'), asyncHandler(as
     });
   }
 
+  // Sign the user out everywhere
+  await RefreshToken.revokeAllForUser(user._id, 'session_revoked');
+
+  await recordAudit(req, {
+    action: 'user.deactivate',
+    targetType: 'User',
+    targetId: user._id,
+    targetLabel: user.username,
+    before: { isActive: previous.isActive },
+    after: { isActive: false }
+  });
+
   logger.info(`User deactivated: ${user.username} by admin: ${req.user.username}`);
 
   res.json({
@@ -496,13 +720,14 @@ router.post('/:id/deactivate', authenticate, authorize('admin'), asyncHandler(as
 
 /**
  * @route   POST /api/users/:id/activate
- * @desc    Activate user (Admin only)
- * @access  Private (Admin)
+ * @desc    Activate user
+ * @access  Private (users:deactivate)
  */
-router.post('/:id/activate', authenticate, authorize('admin'), asyncHandler(async (req, res) => {
+router.post('/:id/activate', authenticate, requirePermission(PERMISSIONS.USERS_DEACTIVATE), asyncHandler(async (req, res) => {
   const { id } = req.params;
 
-  const user = await User.findByIdAndUpdate(
+  const previous = await User.findById(id).select('isActive');
+  const user = previous && await User.findByIdAndUpdate(
     id,
     { isActive: true },
     { new: true }
@@ -518,6 +743,15 @@ router.post('/:id/activate', authenticate, authorize('admin'), asyncHandler(asyn
     });
   }
 
+  await recordAudit(req, {
+    action: 'user.activate',
+    targetType: 'User',
+    targetId: user._id,
+    targetLabel: user.username,
+    before: { isActive: previous.isActive },
+    after: { isActive: true }
+  });
+
   logger.info(`User activated: ${user.username} by admin: ${req.user.username}`);
 
   res.json({
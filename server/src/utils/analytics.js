@@ -0,0 +1,151 @@
+const crypto = require('crypto');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// A visitor's repeat views of a post within one window count once
+const VIEW_WINDOW_MS = parseInt(process.env.VIEW_WINDOW_MINUTES || '30', 10) * 60 * 1000;
+
+// Salt for hashing anonymous visitors, so stored IDs can't be reversed to IP addresses
+const VISITOR_SALT = process.env.VISITOR_SALT || process.env.JWT_SECRET || 'view-analytics';
+
+// Crawlers, link previewers and scripted clients. Not exhaustive; it only has
+// to catch the well-behaved ones that identify themselves.
+const BOT_PATTERN = /bot|crawl|spider|slurp|preview|facebookexternalhit|embedly|headless|lighthouse|curl|wget|python-requests|httpclient|feed(fetcher|parser|reader)/i;
+
+/**
+ * Check whether a user agent looks automated. Requests without one are treated as bots.
+ * @param {String} userAgent - User-Agent header
+ * @returns {Boolean} True for bots
+ */
+const isBot = (userAgent) => !userAgent || BOT_PATTERN.test(userAgent);
+
+/**
+ * Identify the visitor behind a request for view de-duplication. Signed-in
+ * users are identified by account; anyone else by a salted hash of their IP
+ * address and user agent.
+ * @param {Object} req - Express request
+ * @returns {Object|null} { id, userId }, or null for bots
+ */
+const getVisitor = (req) => {
+  const userAgent = req.get('user-agent');
+  if (isBot(userAgent)) {
+    return null;
+  }
+
+  if (req.user) {
+    return { id: `user:${req.user._id}`, userId: req.user._id };
+  }
+
+  const hash = crypto.createHash('sha256')
+    .update(`${VISITOR_SALT}|${req.ip}|${userAgent}`)
+    .digest('hex');
+  return { id: `anon:${hash}`, userId: null };
+};
+
+/**
+ * Start of the de-duplication window a moment falls in
+ * @param {Date} date - Moment
+ * @param {Number} windowMs - Window length
+ * @returns {Date} Window start
+ */
+const startOfWindow = (date, windowMs = VIEW_WINDOW_MS) => {
+  return new Date(Math.floor(date.getTime() / windowMs) * windowMs);
+};
+
+/**
+ * Midnight UTC of the day a moment falls in
+ * @param {Date} date - Moment
+ * @returns {Date} Day start
+ */
+const startOfDay = (date) => startOfWindow(date, DAY_MS);
+
+/**
+ * Format a date as its UTC day, e.g. 2024-03-01
+ * @param {Date} date - Date
+ * @returns {String} Day key
+ */
+const toDayKey = (date) => date.toISOString().slice(0, 10);
+
+/**
+ * Merge sparse per-day counts for several metrics into one entry per day of a
+ * range, zero-filled
+ * @param {Date} from - First day
+ * @param {Date} to - Last day, inclusive
+ * @param {Object} metrics - { name: [{ date, count }] } with date a Date at
+ *   midnight UTC or a 'YYYY-MM-DD' key
+ * @returns {Array} [{ date: 'YYYY-MM-DD', [name]: count }]
+ */
+const buildDailySeries = (from, to, metrics) => {
+  const lookups = Object.entries(metrics).map(([name, rows]) => [
+    name,
+    new Map(rows.map(row => [typeof row.date === 'string' ? row.date : toDayKey(row.date), row.count]))
+  ]);
+
+  const series = [];
+  for (let day = startOfDay(from).getTime(); day <= to.getTime(); day += DAY_MS) {
+    const date = toDayKey(new Date(day));
+    const entry = { date };
+    lookups.forEach(([name, counts]) => {
+      entry[name] = counts.get(date) || 0;
+    });
+    series.push(entry);
+  }
+  return series;
+};
+
+/**
+ * Turn sparse per-day view counts into one entry per day of a range, zero-filled
+ * @param {Array} rows - [{ date, views }] with date at midnight UTC
+ * @param {Date} from - First day
+ * @param {Date} to - Last day, inclusive
+ * @returns {Array} [{ date: 'YYYY-MM-DD', views }]
+ */
+const fillDailySeries = (rows, from, to) => buildDailySeries(from, to, {
+  views: rows.map(row => ({ date: row.date, count: row.views }))
+});
+
+/**
+ * Median of a list of numbers
+ * @param {Array<Number>} values - Numbers, in any order
+ * @returns {Number|null} Median, or null for an empty list
+ */
+const median = (values) => {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+/**
+ * Count documents per UTC day
+ * @param {Object} Model - Mongoose model
+ * @param {Object} match - Filter, including the date range
+ * @param {String} dateField - Field to bucket by
+ * @returns {Promise<Array>} [{ date: 'YYYY-MM-DD', count }]
+ */
+const countByDay = (Model, match, dateField) => Model.aggregate([
+  { $match: match },
+  {
+    $group: {
+      _id: { $dateToString: { format: '%Y-%m-%d', date: `$${dateField}`, timezone: 'UTC' } },
+      count: { $sum: 1 }
+    }
+  },
+  { $project: { _id: 0, date: '$_id', count: 1 } }
+]);
+
+module.exports = {
+  HOUR_MS,
+  DAY_MS,
+  VIEW_WINDOW_MS,
+  isBot,
+  getVisitor,
+  startOfWindow,
+  startOfDay,
+  toDayKey,
+  buildDailySeries,
+  fillDailySeries,
+  countByDay,
+  median
+};
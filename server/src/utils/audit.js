@@ -0,0 +1,41 @@
+const AuditLog = require('../models/AuditLog');
+const logger = require('./logger');
+
+/**
+ * Record a privileged action in the audit log.
+ * Failures are logged rather than thrown: the action itself has already
+ * happened, and the caller should still get its response.
+ * @param {Object} req - Express request (supplies actor, IP and user agent)
+ * @param {Object} entry - Audit details
+ * @param {String} entry.action - One of AuditLog.getActions()
+ * @param {String} entry.targetType - 'Post' or 'User'
+ * @param {Object|String} entry.targetId - Id of the affected document
+ * @param {String} entry.targetLabel - Human readable target (title, username)
+ * @param {Object} entry.before - Relevant values before the change
+ * @param {Object} entry.after - Relevant values after the change
+ * @returns {Promise<Object|null>} Created entry or null on failure
+ */
+const recordAudit = async (req, { action, targetType, targetId, targetLabel, before = null, after = null }) => {
+  try {
+    return await AuditLog.create({
+      actor: req.user._id,
+      actorUsername: req.user.username,
+      actorRole: req.user.role,
+      action,
+      targetType,
+      targetId,
+      targetLabel,
+      before,
+      after,
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+  } catch (error) {
+    logger.error('Failed to write audit log entry', { action, targetId: String(targetId), error: error.message });
+    return null;
+  }
+};
+
+module.exports = {
+  recordAudit
+};
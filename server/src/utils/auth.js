@@ -1,18 +1,22 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
 const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
 const logger = require('./logger');
 
 // JWT Secret from environment variable
 const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key';
 const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '7d';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '30', 10);
 
 /**
  * Generate JWT token for user
  * @param {Object} user - User object
+ * @param {String} [sessionId] - Refresh token family the access token belongs to
  * @returns {String} JWT token
  */
-const generateToken = (user) => {
+const generateToken = (user, sessionId = null) => {
   try {
     const payload = {
       id: user._id,
@@ -21,6 +25,10 @@ const generateToken = (user) => {
       role: user.role
     };
 
+    if (sessionId) {
+      payload.sid = sessionId;
+    }
+
     const token = jwt.sign(payload, JWT_SECRET, {
       expiresIn: JWT_EXPIRES_IN,
       issuer: 'mern-testing-app',
@@ -119,6 +127,12 @@ const getCurrentUser = async (token) => {
     if (!user || !user.isActive) {
       return null;
     }
+
+    // Access tokens tied to a session die with it
+    if (decoded.sid && !(await RefreshToken.isSessionActive(decoded.sid))) {
+      logger.debug(`Session revoked for user: ${user.username}`);
+      return null;
+    }
     
     logger.debug(`Current user retrieved: ${user.username}`);
     return user;
@@ -147,31 +161,104 @@ const hasRole = (user, requiredRoles) => {
 };
 
 /**
- * Generate refresh token
+ * Generate a refresh token and store its hash server-side
  * @param {Object} user - User object
- * @returns {String} Refresh token
+ * @param {Object} [context] - Session details
+ * @param {String} [context.family] - Existing session to continue; a new one is started if omitted
+ * @param {Date} [context.sessionStartedAt] - When the session was first created
+ * @param {String} [context.ip] - Client IP address
+ * @param {String} [context.userAgent] - Client user agent
+ * @returns {Object} Raw refresh token and its session id
  */
-const generateRefreshToken = (user) => {
+const generateRefreshToken = async (user, context = {}) => {
   try {
-    const payload = {
-      id: user._id,
-      type: 'refresh'
-    };
+    const refreshToken = crypto.randomBytes(48).toString('hex');
+    const family = context.family || crypto.randomUUID();
+    const expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
 
-    const refreshToken = jwt.sign(payload, JWT_SECRET, {
-      expiresIn: '30d',
-      issuer: 'mern-testing-app',
-      audience: 'mern-testing-users'
+    await RefreshToken.create({
+      user: user._id,
+      tokenHash: RefreshToken.hashToken(refreshToken),
+      family,
+      sessionStartedAt: context.sessionStartedAt || new Date(),
+      expiresAt,
+      createdByIp: context.ip || null,
+      userAgent: context.userAgent || null
     });
 
     logger.debug(`Refresh token generated for user: ${user.username}`);
-    return refreshToken;
+    return { refreshToken, sessionId: family };
   } catch (error) {
     logger.error('Error generating refresh token:', error);
     throw new Error('Failed to generate refresh token');
   }
 };
 
+/**
+ * Exchange a refresh token for a new one in the same session.
+ * Presenting a token that was already exchanged or revoked is treated as
+ * theft, and the whole session is revoked.
+ * @param {String} refreshToken - Raw refresh token
+ * @param {Object} [context] - Client IP and user agent
+ * @returns {Object} User, new refresh token and session id
+ */
+const rotateRefreshToken = async (refreshToken, context = {}) => {
+  const replacement = crypto.randomBytes(48).toString('hex');
+  const replacementHash = RefreshToken.hashToken(replacement);
+
+  const claimed = await RefreshToken.claimForRotation(refreshToken, replacementHash);
+
+  if (!claimed) {
+    const existing = await RefreshToken.findByToken(refreshToken);
+    if (existing && existing.revokedAt && existing.expiresAt > new Date()) {
+      await RefreshToken.revokeFamily(existing.family, 'reuse_detected');
+      logger.logSecurity('Refresh token reuse detected', {
+        userId: existing.user.toString(),
+        family: existing.family
+      });
+    }
+    throw new Error('Invalid refresh token');
+  }
+
+  const user = await User.findById(claimed.user).select('-password');
+  if (!user || !user.isActive) {
+    await RefreshToken.revokeFamily(claimed.family, 'session_revoked');
+    throw new Error('User not found or inactive');
+  }
+
+  await RefreshToken.create({
+    user: user._id,
+    tokenHash: replacementHash,
+    family: claimed.family,
+    sessionStartedAt: claimed.sessionStartedAt,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+    createdByIp: context.ip || null,
+    userAgent: context.userAgent || null
+  });
+
+  logger.debug(`Refresh token rotated for user: ${user.username}`);
+  return { user, refreshToken: replacement, sessionId: claimed.family };
+};
+
+/**
+ * Start a session: issue a refresh token and an access token bound to it
+ * @param {Object} user - User object
+ * @param {Object} req - Express request object
+ * @returns {Object} Access token, refresh token and session id
+ */
+const createSession = async (user, req) => {
+  const { refreshToken, sessionId } = await generateRefreshToken(user, {
+    ip: req.ip,
+    userAgent: req.get('User-Agent')
+  });
+
+  return {
+    token: generateToken(user, sessionId),
+    refreshToken,
+    sessionId
+  };
+};
+
 /**
  * Validate password strength
  * @param {String} password - Password to validate
@@ -219,5 +306,7 @@ module.exports = {
   getCurrentUser,
   hasRole,
   generateRefreshToken,
+  rotateRefreshToken,
+  createSession,
   validatePasswordStrength
 }; 
\ No newline at end of file
@@ -0,0 +1,66 @@
+/**
+ * A small in-process cache whose entries expire a fixed time after they are
+ * stored. Meant for expensive reports where a short delay before new data
+ * shows up is acceptable. Each server process keeps its own entries.
+ * @param {Object} options
+ * @param {Number} options.ttlMs - How long an entry stays fresh
+ * @param {Number} [options.maxEntries] - Oldest entries are dropped beyond this
+ * @returns {Object} { get, set, wrap, clear }
+ */
+const createTtlCache = ({ ttlMs, maxEntries = 100 }) => {
+  const entries = new Map();
+
+  const get = (key, now = Date.now()) => {
+    const entry = entries.get(key);
+    if (!entry) {
+      return undefined;
+    }
+    if (entry.expiresAt <= now) {
+      entries.delete(key);
+      return undefined;
+    }
+    return entry.value;
+  };
+
+  const set = (key, value, now = Date.now()) => {
+    // Re-inserting moves the key to the end, so the first key is always the oldest
+    entries.delete(key);
+    entries.set(key, { value, expiresAt: now + ttlMs });
+    while (entries.size > maxEntries) {
+      entries.delete(entries.keys().next().value);
+    }
+    return value;
+  };
+
+  /**
+   * Return the cached value for key, or compute and store it. Callers that
+   * arrive while it is being computed share the same promise, and a failed
+   * computation is not cached.
+   * @param {String} key - Cache key
+   * @param {Function} compute - Async function producing the value
+   * @returns {Promise<*>} Value
+   */
+  const wrap = (key, compute) => {
+    const cached = get(key);
+    if (cached !== undefined) {
+      return cached;
+    }
+
+    const pending = Promise.resolve().then(compute);
+    set(key, pending);
+    pending.catch(() => {
+      if (entries.get(key)?.value === pending) {
+        entries.delete(key);
+      }
+    });
+    return pending;
+  };
+
+  const clear = () => entries.clear();
+
+  return { get, set, wrap, clear };
+};
+
+module.exports = {
+  createTtlCache
+};
@@ -0,0 +1,133 @@
+const { parseMarkdown, tokensToText } = require('./markdown');
+
+const WORDS_PER_MINUTE = 200;
+
+// Cap on the links and images kept per post, so a link dump cannot bloat the document
+const MAX_REFERENCES = 100;
+
+// A word is any run of non-space characters containing a letter or digit, so
+// Markdown punctuation and stray symbols such as "-" or "|" are not counted
+const WORD_PATTERN = /[\p{L}\p{N}]/u;
+
+/**
+ * Count words in plain text
+ * @param {String} text - Plain text
+ * @returns {Number} Word count
+ */
+const countWords = (text) => {
+  return text.split(/\s+/).filter(word => WORD_PATTERN.test(word)).length;
+};
+
+/**
+ * Estimate reading time
+ * @param {Number} wordCount - Number of words
+ * @returns {Number} Minutes, at least 1
+ */
+const estimateReadingTime = (wordCount) => {
+  return Math.max(1, Math.ceil(wordCount / WORDS_PER_MINUTE));
+};
+
+/**
+ * Collect the plain text of an inline token's children
+ * @param {Array} children - Inline child tokens
+ * @returns {String} Text
+ */
+const inlineText = (children) => {
+  return children
+    .filter(child => child.type === 'text' || child.type === 'code_inline')
+    .map(child => child.content)
+    .join('')
+    .trim();
+};
+
+/**
+ * Analyse parsed Markdown
+ * @param {Array} tokens - Tokens from parseMarkdown
+ * @param {String} text - Rendered text from tokensToText
+ * @returns {Object} { wordCount, characterCount, readingTime, outline, links, images }
+ */
+const analyzeTokens = (tokens, text) => {
+  const outline = [];
+  const links = [];
+  const images = [];
+
+  tokens.forEach((token, index) => {
+    if (token.type === 'heading_open') {
+      outline.push({
+        level: Number(token.tag.slice(1)),
+        text: inlineText(tokens[index + 1].children),
+        id: token.attrGet('id')
+      });
+      return;
+    }
+
+    if (token.type !== 'inline') return;
+
+    token.children.forEach((child, childIndex) => {
+      if (child.type === 'link_open' && links.length < MAX_REFERENCES) {
+        const closeIndex = token.children.findIndex((next, i) => i > childIndex && next.type === 'link_close');
+        links.push({
+          href: child.attrGet('href'),
+          text: inlineText(token.children.slice(childIndex + 1, closeIndex))
+        });
+      } else if (child.type === 'image' && images.length < MAX_REFERENCES) {
+        images.push({
+          src: child.attrGet('src'),
+          alt: child.content
+        });
+      }
+    });
+  });
+
+  const wordCount = countWords(text);
+
+  return {
+    wordCount,
+    characterCount: text.replace(/\s+/g, ' ').trim().length,
+    readingTime: estimateReadingTime(wordCount),
+    outline,
+    links,
+    images
+  };
+};
+
+/**
+ * Analyse Markdown content
+ * @param {String} source - Markdown source
+ * @returns {Object} { wordCount, characterCount, readingTime, outline, links, images }
+ */
+const analyzeContent = (source = '') => {
+  const tokens = parseMarkdown(source);
+  return analyzeTokens(tokens, tokensToText(tokens));
+};
+
+/**
+ * Nest a flat heading outline into a table of contents. Each entry gets the
+ * headings below it, up to the next heading of the same or a higher level.
+ * @param {Array} outline - [{ level, text, id }]
+ * @returns {Array} [{ level, text, id, children }]
+ */
+const buildTableOfContents = (outline = []) => {
+  const root = { level: 0, children: [] };
+  const stack = [root];
+
+  outline.forEach(({ level, text, id }) => {
+    const entry = { level, text, id, children: [] };
+    while (stack.length > 1 && stack[stack.length - 1].level >= level) {
+      stack.pop();
+    }
+    stack[stack.length - 1].children.push(entry);
+    stack.push(entry);
+  });
+
+  return root.children;
+};
+
+module.exports = {
+  WORDS_PER_MINUTE,
+  countWords,
+  estimateReadingTime,
+  analyzeTokens,
+  analyzeContent,
+  buildTableOfContents
+};
@@ -0,0 +1,51 @@
+// Spreadsheet apps treat cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Escape one value for a CSV cell
+ * @param {*} value - Cell value; objects are written as JSON
+ * @returns {String} Escaped cell
+ */
+const escapeCell = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text;
+  if (value instanceof Date) {
+    text = value.toISOString();
+  } else if (typeof value === 'object' && typeof value.toHexString !== 'function') {
+    text = JSON.stringify(value);
+  } else {
+    text = String(value);
+  }
+
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+
+  if (/[",\n\r]/.test(text)) {
+    text = `"${text.replace(/"/g, '""')}"`;
+  }
+
+  return text;
+};
+
+/**
+ * Build a CSV document
+ * @param {Array} rows - Objects to write
+ * @param {Array} columns - [{ header, value: row => cell }]
+ * @returns {String} CSV text with a header row and CRLF line endings
+ */
+const toCsv = (rows, columns) => {
+  const lines = [columns.map(column => escapeCell(column.header)).join(',')];
+  rows.forEach(row => {
+    lines.push(columns.map(column => escapeCell(column.value(row))).join(','));
+  });
+  return lines.join('\r\n') + '\r\n';
+};
+
+module.exports = {
+  escapeCell,
+  toCsv
+};
@@ -0,0 +1,249 @@
+// Work allowed for one diff, counted in diagonal steps. A rewrite that needs
+// more is shown as removed then added instead of being aligned, so one diff
+// can't hog the CPU.
+const MAX_DIFF_STEPS = 2000000;
+
+/**
+ * Find the middle snake of an optimal path through a[aLo..aHi) and
+ * b[bLo..bHi) with Myers' bidirectional search. Only two diagonal arrays are
+ * kept, so memory is linear and time grows with the number of differences.
+ * @param {Object} budget - { steps } left to spend, shared across the whole diff
+ * @returns {Array|null} [x, y] offsets to split at, or null when nothing aligns
+ *   or the budget ran out
+ */
+const findMiddleSnake = (a, aLo, aHi, b, bLo, bHi, budget) => {
+  const n = aHi - aLo;
+  const m = bHi - bLo;
+  const maxD = Math.ceil((n + m) / 2);
+  const offset = maxD;
+  const size = 2 * maxD + 2;
+  const forward = new Int32Array(size).fill(-1);
+  const backward = new Int32Array(size).fill(-1);
+  forward[offset + 1] = 0;
+  backward[offset + 1] = 0;
+
+  const delta = n - m;
+  // With an odd delta the forward search meets the backward one, and vice versa
+  const checkForward = delta % 2 !== 0;
+  let forwardStart = 0;
+  let forwardEnd = 0;
+  let backwardStart = 0;
+  let backwardEnd = 0;
+
+  for (let d = 0; d < maxD; d++) {
+    budget.steps -= 2 * d + 1;
+    if (budget.steps < 0) return null;
+
+    for (let k = -d + forwardStart; k <= d - forwardEnd; k += 2) {
+      const index = offset + k;
+      let x = (k === -d || (k !== d && forward[index - 1] < forward[index + 1]))
+        ? forward[index + 1]
+        : forward[index - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[aLo + x] === b[bLo + y]) {
+        x++;
+        y++;
+      }
+      forward[index] = x;
+
+      if (x > n) {
+        forwardEnd += 2;
+      } else if (y > m) {
+        forwardStart += 2;
+      } else if (checkForward) {
+        const other = offset + delta - k;
+        if (other >= 0 && other < size && backward[other] !== -1 && x >= n - backward[other]) {
+          return [x, y];
+        }
+      }
+    }
+
+    for (let k = -d + backwardStart; k <= d - backwardEnd; k += 2) {
+      const index = offset + k;
+      let x = (k === -d || (k !== d && backward[index - 1] < backward[index + 1]))
+        ? backward[index + 1]
+        : backward[index - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[aHi - 1 - x] === b[bHi - 1 - y]) {
+        x++;
+        y++;
+      }
+      backward[index] = x;
+
+      if (x > n) {
+        backwardEnd += 2;
+      } else if (y > m) {
+        backwardStart += 2;
+      } else if (!checkForward) {
+        const other = offset + delta - k;
+        if (other >= 0 && other < size && forward[other] !== -1) {
+          const forwardX = forward[other];
+          if (forwardX >= n - x) {
+            return [forwardX, forwardX - (other - offset)];
+          }
+        }
+      }
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Diff a[aLo..aHi) against b[bLo..bHi), pushing { type, index } operations
+ */
+const diffRange = (a, aLo, aHi, b, bLo, bHi, budget, operations) => {
+  // Shared ends need no search
+  let prefix = 0;
+  while (aLo + prefix < aHi && bLo + prefix < bHi && a[aLo + prefix] === b[bLo + prefix]) {
+    prefix++;
+  }
+  let suffix = 0;
+  while (aLo + prefix < aHi - suffix && bLo + prefix < bHi - suffix &&
+         a[aHi - 1 - suffix] === b[bHi - 1 - suffix]) {
+    suffix++;
+  }
+
+  for (let i = 0; i < prefix; i++) operations.push({ type: 'unchanged', index: aLo + i });
+
+  const aStart = aLo + prefix;
+  const aEnd = aHi - suffix;
+  const bStart = bLo + prefix;
+  const bEnd = bHi - suffix;
+  const split = aStart < aEnd && bStart < bEnd
+    ? findMiddleSnake(a, aStart, aEnd, b, bStart, bEnd, budget)
+    : null;
+
+  if (split) {
+    const [x, y] = split;
+    diffRange(a, aStart, aStart + x, b, bStart, bStart + y, budget, operations);
+    diffRange(a, aStart + x, aEnd, b, bStart + y, bEnd, budget, operations);
+  } else {
+    for (let i = aStart; i < aEnd; i++) operations.push({ type: 'removed', index: i });
+    for (let j = bStart; j < bEnd; j++) operations.push({ type: 'added', index: j });
+  }
+
+  for (let i = aEnd; i < aHi; i++) operations.push({ type: 'unchanged', index: i });
+};
+
+/**
+ * Compute a line-level diff between two strings with Myers' algorithm.
+ * Memory is linear in the number of lines, and rewrites too large to align
+ * within MAX_DIFF_STEPS fall back to a plain removed/added listing.
+ * @param {String} before - Original text
+ * @param {String} after - Updated text
+ * @returns {Array} Operations of the form { type: 'unchanged'|'added'|'removed', value }
+ */
+const diffLines = (before = '', after = '') => {
+  const a = (before || '').split('\n');
+  const b = (after || '').split('\n');
+
+  const ranges = [];
+  diffRange(a, 0, a.length, b, 0, b.length, { steps: MAX_DIFF_STEPS }, ranges);
+
+  // Within each run of changes, list removed lines before added ones
+  const operations = [];
+  let removed = [];
+  let added = [];
+  const flush = () => {
+    operations.push(...removed, ...added);
+    removed = [];
+    added = [];
+  };
+  ranges.forEach(({ type, index }) => {
+    if (type === 'removed') {
+      removed.push({ type, value: a[index] });
+    } else if (type === 'added') {
+      added.push({ type, value: b[index] });
+    } else {
+      flush();
+      operations.push({ type, value: a[index] });
+    }
+  });
+  flush();
+
+  return operations;
+};
+
+/**
+ * Read a dotted path such as 'seo.metaTitle' from an object
+ * @param {Object} object - Source object
+ * @param {String} path - Dotted path
+ * @returns {*} Value at the path or undefined
+ */
+const getPath = (object, path) => {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), object);
+};
+
+/**
+ * Normalize a value for comparison (ObjectIds and dates to strings, null for empty)
+ * @param {*} value - Value to normalize
+ * @returns {*} Comparable value
+ */
+const normalize = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  if (Array.isArray(value)) {
+    return value.map(normalize);
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (typeof value === 'object' && value._id) {
+    return value._id.toString();
+  }
+  if (typeof value === 'object' && typeof value.toHexString === 'function') {
+    return value.toHexString();
+  }
+  return value;
+};
+
+/**
+ * Compare two snapshots field by field
+ * @param {Object} before - Older snapshot
+ * @param {Object} after - Newer snapshot
+ * @param {Array} fields - Dotted field paths to compare
+ * @returns {Object} { changed, fields: [{ field, before, after, lines? }] }
+ */
+const diffFields = (before, after, fields) => {
+  const changes = [];
+
+  fields.forEach((field) => {
+    const oldValue = normalize(getPath(before, field));
+    const newValue = normalize(getPath(after, field));
+
+    if (JSON.stringify(oldValue) === JSON.stringify(newValue)) {
+      return;
+    }
+
+    const change = { field, before: oldValue, after: newValue };
+
+    // Multi-line text gets a line diff so reviewers can see what moved
+    if (typeof oldValue === 'string' && typeof newValue === 'string' &&
+        (oldValue.includes('\n') || newValue.includes('\n'))) {
+      change.lines = diffLines(oldValue, newValue);
+    }
+
+    if (Array.isArray(oldValue) || Array.isArray(newValue)) {
+      const oldItems = oldValue || [];
+      const newItems = newValue || [];
+      change.added = newItems.filter(item => !oldItems.includes(item));
+      change.removed = oldItems.filter(item => !newItems.includes(item));
+    }
+
+    changes.push(change);
+  });
+
+  return {
+    changed: changes.length > 0,
+    fields: changes
+  };
+};
+
+module.exports = {
+  MAX_DIFF_STEPS,
+  diffLines,
+  diffFields,
+  getPath
+};
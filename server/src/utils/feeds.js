@@ -0,0 +1,202 @@
+const crypto = require('crypto');
+
+/**
+ * A feed is a plain object built by the caller:
+ *   { id, title, description, siteUrl, feedUrl, updated, items }
+ * and each item:
+ *   { id, url, title, summary, contentHtml, published, updated, author, categories, image }
+ * where published/updated are Dates, author is a display name and categories
+ * is a list of strings. The builders below only format; they do no lookups.
+ */
+
+// Characters XML 1.0 does not allow, even escaped
+// eslint-disable-next-line no-control-regex
+const INVALID_XML_CHARS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g;
+
+/**
+ * Escape text for use in XML element content or attribute values
+ * @param {String} value - Raw text
+ * @returns {String} Escaped text
+ */
+const escapeXml = (value = '') => String(value)
+  .replace(INVALID_XML_CHARS, '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+/**
+ * Render an XML element with escaped text content, or nothing for empty values
+ * @param {String} name - Element name
+ * @param {String} value - Text content
+ * @param {String} attributes - Pre-escaped attribute string
+ * @returns {String} XML
+ */
+const element = (name, value, attributes = '') => {
+  if (value === null || value === undefined || value === '') {
+    return '';
+  }
+  return `<${name}${attributes}>${escapeXml(value)}</${name}>`;
+};
+
+const IMAGE_EXTENSIONS = {
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  gif: 'image/gif',
+  webp: 'image/webp'
+};
+
+/**
+ * Guess an image's media type from its URL, for RSS enclosures
+ * @param {String} url - Image URL
+ * @returns {String} Media type
+ */
+const imageType = (url) => {
+  const extension = url.split(/[?#]/)[0].split('.').pop().toLowerCase();
+  return IMAGE_EXTENSIONS[extension] || 'image/jpeg';
+};
+
+/**
+ * Build an RSS 2.0 document
+ * @param {Object} feed - Feed description
+ * @returns {String} XML
+ */
+const buildRss = (feed) => {
+  const items = feed.items.map(item => [
+    '<item>',
+    element('title', item.title),
+    element('link', item.url),
+    element('guid', item.id, ' isPermaLink="true"'),
+    element('pubDate', item.published.toUTCString()),
+    // RSS's own <author> must be an email address, so the name goes in dc:creator
+    element('dc:creator', item.author),
+    ...item.categories.map(category => element('category', category)),
+    element('description', item.summary),
+    element('content:encoded', item.contentHtml),
+    item.image ? `<enclosure url="${escapeXml(item.image)}" length="0" type="${escapeXml(imageType(item.image))}"/>` : '',
+    '</item>'
+  ].join(''));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:dc="http://purl.org/dc/elements/1.1/">',
+    '<channel>',
+    element('title', feed.title),
+    element('link', feed.siteUrl),
+    element('description', feed.description),
+    `<atom:link href="${escapeXml(feed.feedUrl)}" rel="self" type="application/rss+xml"/>`,
+    element('lastBuildDate', feed.updated.toUTCString()),
+    ...items,
+    '</channel>',
+    '</rss>'
+  ].join('\n');
+};
+
+/**
+ * Build an Atom 1.0 document
+ * @param {Object} feed - Feed description
+ * @returns {String} XML
+ */
+const buildAtom = (feed) => {
+  const entries = feed.items.map(item => [
+    '<entry>',
+    element('id', item.id),
+    element('title', item.title),
+    `<link rel="alternate" type="text/html" href="${escapeXml(item.url)}"/>`,
+    element('published', item.published.toISOString()),
+    element('updated', item.updated.toISOString()),
+    `<author>${element('name', item.author)}</author>`,
+    ...item.categories.map(category => `<category term="${escapeXml(category)}"/>`),
+    element('summary', item.summary, ' type="text"'),
+    element('content', item.contentHtml, ' type="html"'),
+    '</entry>'
+  ].join(''));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    element('id', feed.id),
+    element('title', feed.title),
+    element('subtitle', feed.description),
+    `<link rel="self" type="application/atom+xml" href="${escapeXml(feed.feedUrl)}"/>`,
+    `<link rel="alternate" type="text/html" href="${escapeXml(feed.siteUrl)}"/>`,
+    element('updated', feed.updated.toISOString()),
+    ...entries,
+    '</feed>'
+  ].join('\n');
+};
+
+/**
+ * Build a JSON Feed 1.1 document
+ * @param {Object} feed - Feed description
+ * @returns {String} JSON
+ */
+const buildJsonFeed = (feed) => JSON.stringify({
+  version: 'https://jsonfeed.org/version/1.1',
+  title: feed.title,
+  description: feed.description,
+  home_page_url: feed.siteUrl,
+  feed_url: feed.feedUrl,
+  items: feed.items.map(item => ({
+    id: item.id,
+    url: item.url,
+    title: item.title,
+    summary: item.summary || undefined,
+    content_html: item.contentHtml || undefined,
+    image: item.image || undefined,
+    date_published: item.published.toISOString(),
+    date_modified: item.updated.toISOString(),
+    authors: item.author ? [{ name: item.author }] : undefined,
+    tags: item.categories.length > 0 ? item.categories : undefined
+  }))
+});
+
+const FEED_FORMATS = {
+  rss: { contentType: 'application/rss+xml; charset=utf-8', build: buildRss },
+  atom: { contentType: 'application/atom+xml; charset=utf-8', build: buildAtom },
+  json: { contentType: 'application/feed+json; charset=utf-8', build: buildJsonFeed }
+};
+
+/**
+ * Compute cache validators for a feed without rendering it. The ETag hashes
+ * what readers see of each item, so adding, editing or removing a post gives
+ * a new one; counters such as views, which also move updatedAt, do not.
+ * Last-Modified is the newest item edit, or the last time a post left the
+ * feeds if that is later, since a removal leaves no date on the items that
+ * remain.
+ * @param {String} key - Identifies the feed and format, e.g. 'rss:tag:react'
+ * @param {Array} items - Feed items
+ * @param {Date} [lastRemoval] - When a published post last left the feeds
+ * @returns {Object} { etag, lastModified } where lastModified is null for an
+ *   empty feed nothing was ever removed from
+ */
+const getFeedValidators = (key, items, lastRemoval = null) => {
+  const hash = crypto.createHash('sha1').update(key);
+  let lastModified = lastRemoval;
+
+  items.forEach(item => {
+    hash.update(JSON.stringify([
+      item.id, item.url, item.title, item.summary, item.contentHtml,
+      item.author, item.categories, item.image, item.updated.getTime()
+    ]));
+    if (!lastModified || item.updated > lastModified) {
+      lastModified = item.updated;
+    }
+  });
+
+  return {
+    etag: `W/"${hash.digest('base64url')}"`,
+    lastModified
+  };
+};
+
+module.exports = {
+  FEED_FORMATS,
+  escapeXml,
+  buildRss,
+  buildAtom,
+  buildJsonFeed,
+  getFeedValidators
+};
@@ -0,0 +1,110 @@
+const { parseMarkdown, tokensToText } = require('./markdown');
+
+/**
+ * Split a search string into the terms worth highlighting. Quotes and the
+ * negation prefix used by MongoDB text search are stripped; negated terms are dropped.
+ * @param {String} query - Raw search string
+ * @returns {Array} Unique lowercase terms
+ */
+const extractTerms = (query = '') => {
+  const terms = (query || '')
+    .split(/\s+/)
+    .filter(term => term && !term.startsWith('-'))
+    .map(term => term.replace(/^["']+|["']+$/g, '').toLowerCase())
+    .filter(term => term.length >= 2);
+  return [...new Set(terms)];
+};
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Build a regular expression matching any term at the start of a word. Text search
+ * matches on word stems, so "react" should also light up "reactive".
+ * @param {Array} terms - Terms from extractTerms
+ * @returns {RegExp|null}
+ */
+const buildTermPattern = (terms) => {
+  if (!terms.length) {
+    return null;
+  }
+  return new RegExp(`\\b(?:${terms.map(escapeRegExp).join('|')})\\w*`, 'gi');
+};
+
+/**
+ * Split text into plain and highlighted segments
+ * @param {String} text - Text to mark up
+ * @param {RegExp} pattern - Pattern from buildTermPattern
+ * @returns {Array} Segments of the form { text, highlight }
+ */
+const toSegments = (text, pattern) => {
+  const segments = [];
+  let last = 0;
+  pattern.lastIndex = 0;
+
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    if (match.index > last) {
+      segments.push({ text: text.slice(last, match.index), highlight: false });
+    }
+    segments.push({ text: match[0], highlight: true });
+    last = match.index + match[0].length;
+  }
+  if (last < text.length) {
+    segments.push({ text: text.slice(last), highlight: false });
+  }
+
+  return segments;
+};
+
+/**
+ * Highlight the search terms in a post's title and cut a snippet of its content
+ * around the first match. The snippet comes from the rendered text, so Markdown
+ * syntax never shows. Segments are returned instead of HTML so clients never
+ * need to inject markup.
+ * @param {Object} post - Post with title and Markdown content
+ * @param {String} query - Raw search string
+ * @param {Object} options - { radius: characters of context either side of the match }
+ * @returns {Object} { title: segments, snippet: segments }
+ */
+const highlightPost = (post, query, { radius = 80 } = {}) => {
+  const title = post.title || '';
+  const content = tokensToText(parseMarkdown(post.content || '')).replace(/\s+/g, ' ').trim();
+  const pattern = buildTermPattern(extractTerms(query));
+
+  if (!pattern) {
+    const snippet = content.length > radius * 2 ? `${content.slice(0, radius * 2).trim()}...` : content;
+    return {
+      title: [{ text: title, highlight: false }],
+      snippet: [{ text: snippet, highlight: false }]
+    };
+  }
+
+  pattern.lastIndex = 0;
+  const first = pattern.exec(content);
+  const center = first ? first.index : 0;
+
+  // Widen the window to whole words
+  let start = Math.max(0, center - radius);
+  let end = Math.min(content.length, center + radius);
+  if (start > 0) {
+    const space = content.indexOf(' ', start);
+    start = space === -1 || space >= center ? start : space + 1;
+  }
+  if (end < content.length) {
+    const space = content.lastIndexOf(' ', end);
+    end = space > center ? space : end;
+  }
+
+  const excerpt = `${start > 0 ? '...' : ''}${content.slice(start, end)}${end < content.length ? '...' : ''}`;
+
+  return {
+    title: toSegments(title, pattern),
+    snippet: toSegments(excerpt, pattern)
+  };
+};
+
+module.exports = {
+  extractTerms,
+  buildTermPattern,
+  highlightPost
+};
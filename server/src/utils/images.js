@@ -0,0 +1,132 @@
+const sharp = require('sharp');
+
+// Refuse decompression bombs: anything larger than this many pixels is rejected before decoding
+const MAX_INPUT_PIXELS = 8000 * 8000;
+
+// Originals are stored re-encoded, which also strips EXIF data such as GPS
+// coordinates, and are capped to this size on their longest side
+const MAX_ORIGINAL_DIMENSION = 2400;
+
+const IMAGE_TYPES = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/gif': 'gif',
+  'image/webp': 'webp'
+};
+
+// Resized copies generated for each purpose, always written as WebP
+const IMAGE_VARIANTS = {
+  post: {
+    thumbnail: { width: 400, height: 225, fit: 'cover' },
+    medium: { width: 1200, height: 1200, fit: 'inside' }
+  },
+  avatar: {
+    thumbnail: { width: 64, height: 64, fit: 'cover' },
+    medium: { width: 256, height: 256, fit: 'cover' }
+  }
+};
+
+/**
+ * Build the error thrown for content that cannot be processed
+ * @param {String} message - Error message
+ * @returns {Error} Error with code INVALID_IMAGE
+ */
+const invalidImage = (message) => {
+  const error = new Error(message);
+  error.code = 'INVALID_IMAGE';
+  return error;
+};
+
+/**
+ * Detect an image type from the file's leading bytes. The client's declared
+ * Content-Type is never trusted on its own.
+ * @param {Buffer} buffer - File contents
+ * @returns {Object|null} { mimeType, ext } or null for unsupported content
+ */
+const sniffImageType = (buffer) => {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 12) {
+    return null;
+  }
+
+  let mimeType = null;
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    mimeType = 'image/jpeg';
+  } else if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) {
+    mimeType = 'image/png';
+  } else if (['GIF87a', 'GIF89a'].includes(buffer.toString('ascii', 0, 6))) {
+    mimeType = 'image/gif';
+  } else if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+    mimeType = 'image/webp';
+  }
+
+  return mimeType ? { mimeType, ext: IMAGE_TYPES[mimeType] } : null;
+};
+
+/**
+ * Decode, auto-rotate and re-encode an image, and render its resized variants
+ * @param {Buffer} buffer - Image contents
+ * @param {String} purpose - Key of IMAGE_VARIANTS
+ * @returns {Promise<Object>} { original, variants } where each entry has
+ *                            { buffer, width, height, size, mimeType, ext } and variants also a name
+ * @throws {Error} With code INVALID_IMAGE when the content is not a supported, decodable image
+ */
+const processImage = async (buffer, purpose) => {
+  const type = sniffImageType(buffer);
+  if (!type) {
+    throw invalidImage('Unsupported image type');
+  }
+
+  // Decode once up front so corrupt, truncated and oversized files fail here,
+  // rather than part way through writing variants
+  try {
+    await sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS }).stats();
+  } catch (error) {
+    throw invalidImage(`The file could not be read as an image: ${error.message}`);
+  }
+
+  // GIFs keep their animation; sharp only reads the first frame otherwise
+  const input = () => sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS, animated: type.mimeType === 'image/gif' });
+
+  const render = async (pipeline, mimeType, ext) => {
+    const { data, info } = await pipeline.toBuffer({ resolveWithObject: true });
+    return {
+      buffer: data,
+      width: info.width,
+      height: info.pageHeight || info.height,
+      size: data.length,
+      mimeType,
+      ext
+    };
+  };
+
+  const original = await render(
+    input()
+      .rotate()
+      .resize({ width: MAX_ORIGINAL_DIMENSION, height: MAX_ORIGINAL_DIMENSION, fit: 'inside', withoutEnlargement: true })
+      .toFormat(type.ext === 'jpg' ? 'jpeg' : type.ext),
+    type.mimeType,
+    type.ext
+  );
+
+  const variants = [];
+  for (const [name, size] of Object.entries(IMAGE_VARIANTS[purpose] || {})) {
+    const variant = await render(
+      input()
+        .rotate()
+        .resize({ ...size, withoutEnlargement: size.fit === 'inside' })
+        .webp(),
+      'image/webp',
+      'webp'
+    );
+    variants.push({ name, ...variant });
+  }
+
+  return { original, variants };
+};
+
+module.exports = {
+  IMAGE_TYPES,
+  IMAGE_VARIANTS,
+  sniffImageType,
+  processImage
+};
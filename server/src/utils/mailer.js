@@ -0,0 +1,193 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+const MAIL_FROM = process.env.MAIL_FROM || 'BlogHub <no-reply@bloghub.local>';
+const CLIENT_URL = process.env.CLIENT_URL || 'http://localhost:3000';
+
+/**
+ * A transport is any object with a name and an async send(message) method.
+ * message: { from, to, subject, text, html }
+ */
+
+/**
+ * Create an SMTP transport backed by nodemailer
+ * @param {Object} options - nodemailer SMTP options
+ * @returns {Object} Mail transport
+ */
+const createSmtpTransport = (options = {}) => {
+  // Loaded lazily so file/console setups do not need nodemailer
+  const nodemailer = require('nodemailer');
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT || '587', 10),
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER ? {
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS
+    } : undefined,
+    ...options
+  });
+
+  return {
+    name: 'smtp',
+    send: (message) => transporter.sendMail(message)
+  };
+};
+
+/**
+ * Create a transport that writes each message as a JSON file
+ * @param {Object} options - Transport options
+ * @param {String} options.directory - Directory to write messages to
+ * @returns {Object} Mail transport
+ */
+const createFileTransport = (options = {}) => {
+  const directory = options.directory || process.env.MAIL_FILE_DIR || path.join(__dirname, '../../logs/mail');
+
+  return {
+    name: 'file',
+    directory,
+    send: async (message) => {
+      await fs.promises.mkdir(directory, { recursive: true });
+      const filename = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}.json`;
+      await fs.promises.writeFile(
+        path.join(directory, filename),
+        JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2)
+      );
+      return { filename };
+    }
+  };
+};
+
+/**
+ * Create a transport that keeps messages in memory, so tests can read what
+ * would have been sent. Only the recipient and subject are logged; bodies
+ * carry reset and verification links.
+ * @returns {Object} Mail transport
+ */
+const createConsoleTransport = () => {
+  const sent = [];
+
+  return {
+    name: 'console',
+    sent,
+    send: async (message) => {
+      sent.push(message);
+      logger.info(`Mail to ${message.to}: ${message.subject}`);
+      return { queued: sent.length };
+    }
+  };
+};
+
+const transportFactories = {
+  smtp: createSmtpTransport,
+  file: createFileTransport,
+  console: createConsoleTransport
+};
+
+/**
+ * Create a transport by name
+ * @param {String} name - smtp, file or console
+ * @param {Object} options - Transport options
+ * @returns {Object} Mail transport
+ */
+const createTransport = (name, options) => {
+  const factory = transportFactories[name];
+  if (!factory) {
+    throw new Error(`Unknown mail transport: ${name}`);
+  }
+  return factory(options);
+};
+
+// Without SMTP, mail is written to files rather than kept in memory, except
+// in tests, which read the console transport's outbox
+const defaultTransportName = () => {
+  if (process.env.MAIL_TRANSPORT) {
+    return process.env.MAIL_TRANSPORT;
+  }
+  if (process.env.SMTP_HOST) {
+    return 'smtp';
+  }
+  return process.env.NODE_ENV === 'test' ? 'console' : 'file';
+};
+
+let transport = null;
+
+/**
+ * Get the active transport, creating it from the environment on first use
+ * @returns {Object} Mail transport
+ */
+const getTransport = () => {
+  if (!transport) {
+    transport = createTransport(defaultTransportName());
+  }
+  return transport;
+};
+
+/**
+ * Replace the active transport (e.g. with a console transport in tests)
+ * @param {Object} nextTransport - Mail transport
+ */
+const setTransport = (nextTransport) => {
+  transport = nextTransport;
+};
+
+/**
+ * Send a message through the active transport
+ * @param {Object} message - { to, subject, text, html }
+ * @returns {Object} Transport result
+ */
+const sendMail = async (message) => {
+  const active = getTransport();
+  try {
+    const result = await active.send({ from: MAIL_FROM, ...message });
+    logger.debug(`Mail sent via ${active.name} to ${message.to}`);
+    return result;
+  } catch (error) {
+    logger.error(`Failed to send mail via ${active.name}:`, error);
+    throw new Error('Failed to send email');
+  }
+};
+
+/**
+ * Send a password reset link
+ * @param {Object} user - User object
+ * @param {String} token - Raw reset token
+ */
+const sendPasswordResetEmail = (user, token) => {
+  const link = `${CLIENT_URL}/reset-password?token=${token}`;
+  return sendMail({
+    to: user.email,
+    subject: 'Reset your BlogHub password',
+    text: `Hi ${user.username},\n\nUse the link below to choose a new password. It expires in one hour.\n\n${link}\n\nIf you did not ask for this, you can ignore this email.`,
+    html: `<p>Hi ${user.username},</p><p>Use the link below to choose a new password. It expires in one hour.</p><p><a href="${link}">Reset password</a></p><p>If you did not ask for this, you can ignore this email.</p>`
+  });
+};
+
+/**
+ * Send an email verification link
+ * @param {Object} user - User object
+ * @param {String} token - Raw verification token
+ */
+const sendVerificationEmail = (user, token) => {
+  const link = `${CLIENT_URL}/verify-email?token=${token}`;
+  return sendMail({
+    to: user.email,
+    subject: 'Verify your BlogHub email address',
+    text: `Hi ${user.username},\n\nPlease confirm your email address by opening the link below. It expires in 24 hours.\n\n${link}`,
+    html: `<p>Hi ${user.username},</p><p>Please confirm your email address. The link expires in 24 hours.</p><p><a href="${link}">Verify email</a></p>`
+  });
+};
+
+module.exports = {
+  createTransport,
+  createSmtpTransport,
+  createFileTransport,
+  createConsoleTransport,
+  defaultTransportName,
+  getTransport,
+  setTransport,
+  sendMail,
+  sendPasswordResetEmail,
+  sendVerificationEmail
+};
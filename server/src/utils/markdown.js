@@ -0,0 +1,167 @@
+const MarkdownIt = require('markdown-it');
+const sanitizeHtml = require('sanitize-html');
+
+// Bump when the renderer or sanitizer settings change, so cached HTML
+// rendered by an older version is refreshed the next time it is read
+const RENDER_VERSION = 2;
+
+const EXCERPT_LENGTH = 150;
+
+// Raw HTML in the source is escaped rather than passed through; the sanitizer
+// below is a second line of defence for anything markdown-it itself emits
+const md = new MarkdownIt({
+  html: false,
+  linkify: true,
+  breaks: false
+});
+
+/**
+ * Turn heading text into an anchor ID
+ * @param {String} text - Heading text
+ * @returns {String} Lowercase, hyphenated ID
+ */
+const slugifyHeading = (text) => {
+  const slug = text
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s-]/gu, '')
+    .trim()
+    .replace(/[\s-]+/g, '-');
+  return slug || 'section';
+};
+
+// Give every heading an ID so the table of contents can link to it.
+// Repeated headings get -1, -2... suffixes, like GitHub does.
+md.core.ruler.push('heading_ids', (state) => {
+  const seen = new Map();
+  state.tokens.forEach((token, index) => {
+    if (token.type !== 'heading_open') return;
+
+    const base = slugifyHeading(state.tokens[index + 1].children
+      .filter(child => child.type === 'text' || child.type === 'code_inline')
+      .map(child => child.content)
+      .join(''));
+    const count = seen.get(base) || 0;
+    seen.set(base, count + 1);
+    token.attrSet('id', count === 0 ? base : `${base}-${count}`);
+  });
+});
+
+const HEADING_ATTRIBUTES = ['id'];
+
+const SANITIZE_OPTIONS = {
+  allowedTags: [
+    'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'p', 'br', 'hr', 'blockquote',
+    'ul', 'ol', 'li', 'pre', 'code', 'em', 'strong', 's', 'del',
+    'a', 'img', 'table', 'thead', 'tbody', 'tr', 'th', 'td'
+  ],
+  allowedAttributes: {
+    h1: HEADING_ATTRIBUTES,
+    h2: HEADING_ATTRIBUTES,
+    h3: HEADING_ATTRIBUTES,
+    h4: HEADING_ATTRIBUTES,
+    h5: HEADING_ATTRIBUTES,
+    h6: HEADING_ATTRIBUTES,
+    a: ['href', 'title', 'rel'],
+    img: ['src', 'alt', 'title'],
+    ol: ['start'],
+    code: ['class'],
+    th: ['style'],
+    td: ['style']
+  },
+  allowedClasses: {
+    code: ['language-*']
+  },
+  // Table column alignment is the only inline style markdown-it produces
+  allowedStyles: {
+    th: { 'text-align': [/^(left|right|center)$/] },
+    td: { 'text-align': [/^(left|right|center)$/] }
+  },
+  allowedSchemes: ['http', 'https', 'mailto'],
+  allowedSchemesByTag: {
+    img: ['http', 'https']
+  },
+  allowProtocolRelative: false,
+  transformTags: {
+    // Links are written by authors, so search engines shouldn't treat them as endorsed
+    a: (tagName, attribs) => ({
+      tagName,
+      attribs: { ...attribs, rel: 'nofollow noopener noreferrer ugc' }
+    })
+  }
+};
+
+/**
+ * Collect the visible text of parsed Markdown, one block per line
+ * @param {Array} tokens - markdown-it tokens
+ * @returns {String} Plain text
+ */
+const tokensToText = (tokens) => {
+  const blocks = [];
+
+  tokens.forEach(token => {
+    if (token.type === 'inline') {
+      const text = token.children
+        .map(child => {
+          if (child.type === 'text' || child.type === 'code_inline') return child.content;
+          if (child.type === 'softbreak' || child.type === 'hardbreak') return ' ';
+          return '';
+        })
+        .join('');
+      blocks.push(text);
+    } else if (token.type === 'fence' || token.type === 'code_block') {
+      blocks.push(token.content);
+    }
+  });
+
+  return blocks.map(block => block.trim()).filter(Boolean).join('\n');
+};
+
+/**
+ * Parse Markdown into markdown-it tokens, with heading IDs assigned
+ * @param {String} source - Markdown source
+ * @returns {Array} Tokens
+ */
+const parseMarkdown = (source = '') => md.parse(source, {});
+
+/**
+ * Render Markdown to sanitized HTML
+ * @param {String} source - Markdown source
+ * @returns {Object} { html, text, tokens } where text is the rendered content without markup
+ */
+const renderMarkdown = (source = '') => {
+  const tokens = parseMarkdown(source);
+  const html = sanitizeHtml(md.renderer.render(tokens, md.options, {}), SANITIZE_OPTIONS);
+
+  return {
+    html,
+    text: tokensToText(tokens),
+    tokens
+  };
+};
+
+/**
+ * Build a short plain-text summary, cut at a word boundary
+ * @param {String} text - Plain text
+ * @param {Number} maxLength - Longest excerpt before the ellipsis
+ * @returns {String} Excerpt
+ */
+const buildExcerpt = (text, maxLength = EXCERPT_LENGTH) => {
+  const flat = text.replace(/\s+/g, ' ').trim();
+  if (flat.length <= maxLength) {
+    return flat;
+  }
+
+  const cut = flat.slice(0, maxLength + 1);
+  const lastSpace = cut.lastIndexOf(' ');
+  return `${(lastSpace > 0 ? cut.slice(0, lastSpace) : flat.slice(0, maxLength)).replace(/[\s.,;:!?-]+$/, '')}...`;
+};
+
+module.exports = {
+  RENDER_VERSION,
+  EXCERPT_LENGTH,
+  slugifyHeading,
+  parseMarkdown,
+  tokensToText,
+  renderMarkdown,
+  buildExcerpt
+};
@@ -0,0 +1,231 @@
+const mongoose = require('mongoose');
+
+/**
+ * Serialize a sort value so it survives the round trip through JSON
+ * @param {*} value - Value of the sort field on a document
+ * @returns {Object} Tagged value
+ */
+const serializeValue = (value) => {
+  if (value === null || value === undefined) {
+    return { t: 'null', v: null };
+  }
+  if (value instanceof Date) {
+    return { t: 'date', v: value.toISOString() };
+  }
+  if (value instanceof mongoose.Types.ObjectId) {
+    return { t: 'oid', v: value.toString() };
+  }
+  return { t: typeof value, v: value };
+};
+
+/**
+ * Restore a value written by serializeValue
+ * @param {Object} tagged - Tagged value
+ * @returns {*} Original value, or undefined when the tag is not recognised
+ */
+const deserializeValue = ({ t, v } = {}) => {
+  switch (t) {
+    case 'null':
+      return null;
+    case 'date': {
+      const date = new Date(v);
+      return isNaN(date.getTime()) ? undefined : date;
+    }
+    case 'oid':
+      return mongoose.Types.ObjectId.isValid(v) ? new mongoose.Types.ObjectId(v) : undefined;
+    case 'number':
+      return typeof v === 'number' ? v : undefined;
+    case 'string':
+      return typeof v === 'string' ? v : undefined;
+    case 'boolean':
+      return typeof v === 'boolean' ? v : undefined;
+    default:
+      return undefined;
+  }
+};
+
+/**
+ * Encode a document's position in a (sortField, _id) ordering as an opaque cursor
+ * @param {Object} doc - Document the cursor points at
+ * @param {Object} sort - { field, order } where order is 1 or -1
+ * @param {String} direction - 'next' to continue after doc, 'prev' to go back before it
+ * @returns {String} URL-safe cursor
+ */
+const encodeCursor = (doc, sort, direction) => {
+  const value = typeof doc.get === 'function' ? doc.get(sort.field) : doc[sort.field];
+  const payload = {
+    f: sort.field,
+    o: sort.order,
+    d: direction,
+    k: serializeValue(value),
+    id: doc._id.toString()
+  };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+/**
+ * Decode a cursor produced by encodeCursor
+ * @param {String} cursor - Cursor from the client
+ * @returns {Object|null} { sort, direction, value, id }, or null when the cursor is malformed
+ */
+const decodeCursor = (cursor) => {
+  if (typeof cursor !== 'string' || !cursor) {
+    return null;
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (error) {
+    return null;
+  }
+
+  if (!payload || typeof payload !== 'object') {
+    return null;
+  }
+
+  const { f, o, d, k, id } = payload;
+  const value = deserializeValue(k);
+  if (
+    typeof f !== 'string' || !f ||
+    (o !== 1 && o !== -1) ||
+    (d !== 'next' && d !== 'prev') ||
+    value === undefined ||
+    !mongoose.Types.ObjectId.isValid(id)
+  ) {
+    return null;
+  }
+
+  return {
+    sort: { field: f, order: o },
+    direction: d,
+    value,
+    id: new mongoose.Types.ObjectId(id)
+  };
+};
+
+/**
+ * Build the filter matching documents that come after the cursor in the order it
+ * is being walked. Missing and null values sort lowest, as they do in MongoDB.
+ * @param {Object} cursor - Decoded cursor
+ * @returns {Object} Mongo filter
+ */
+const cursorFilter = ({ sort, direction, value, id }) => {
+  const order = direction === 'prev' ? -sort.order : sort.order;
+  const idOp = order === 1 ? '$gt' : '$lt';
+
+  if (value === null) {
+    const sameValue = { [sort.field]: null, _id: { [idOp]: id } };
+    return order === 1
+      ? { $or: [sameValue, { [sort.field]: { $ne: null } }] }
+      : sameValue;
+  }
+
+  const clauses = [
+    { [sort.field]: { [order === 1 ? '$gt' : '$lt']: value } },
+    { [sort.field]: value, _id: { [idOp]: id } }
+  ];
+  if (order === -1) {
+    clauses.push({ [sort.field]: null });
+  }
+  return { $or: clauses };
+};
+
+/**
+ * Run a list query either by cursor or by page number.
+ *
+ * Cursor mode is used when the request carries a cursor or paginate=cursor. It
+ * skips the count and fetches one extra document to tell whether there is more.
+ * Page mode keeps the original skip/limit behaviour and totals. Both modes return
+ * nextCursor/prevCursor so a client can switch to cursors from any page.
+ *
+ * @param {Query} baseQuery - Mongoose find query with filters, populate and select applied
+ * @param {Object} options
+ * @param {String} options.sortBy - Field to sort by
+ * @param {String} options.sortOrder - 'asc' or 'desc'
+ * @param {Number|String} options.page - Page number for page mode
+ * @param {Number|String} options.limit - Items per page
+ * @param {String} [options.cursor] - Cursor from a previous response
+ * @param {String} [options.paginate] - 'cursor' to start in cursor mode without a cursor
+ * @returns {Promise<Object>} { items, pagination }
+ */
+const paginateQuery = async (baseQuery, { sortBy, sortOrder, page, limit, cursor, paginate }) => {
+  const limitNum = parseInt(limit);
+  const decoded = cursor ? decodeCursor(cursor) : null;
+
+  // A cursor carries the sort it was issued for, so later pages stay consistent
+  const sort = decoded
+    ? decoded.sort
+    : { field: sortBy, order: sortOrder === 'desc' ? -1 : 1 };
+
+  if (decoded || paginate === 'cursor') {
+    const direction = decoded ? decoded.direction : 'next';
+    const order = direction === 'prev' ? -sort.order : sort.order;
+
+    if (decoded) {
+      baseQuery.where({ $and: [cursorFilter(decoded)] });
+    }
+
+    const docs = await baseQuery
+      .sort({ [sort.field]: order, _id: order }, { override: true })
+      .limit(limitNum + 1);
+
+    const hasMore = docs.length > limitNum;
+    const items = docs.slice(0, limitNum);
+    if (direction === 'prev') {
+      items.reverse();
+    }
+
+    // Walking backwards, "more" means earlier pages; walking forwards it means later ones
+    const hasNextPage = direction === 'prev' ? items.length > 0 : hasMore;
+    const hasPrevPage = direction === 'prev' ? hasMore : Boolean(decoded) && items.length > 0;
+
+    return {
+      items,
+      pagination: {
+        itemsPerPage: limitNum,
+        hasNextPage,
+        hasPrevPage,
+        nextCursor: hasNextPage ? encodeCursor(items[items.length - 1], sort, 'next') : null,
+        prevCursor: hasPrevPage ? encodeCursor(items[0], sort, 'prev') : null
+      }
+    };
+  }
+
+  const pageNum = parseInt(page);
+  const skip = (pageNum - 1) * limitNum;
+  const filter = baseQuery.getFilter();
+
+  const items = await baseQuery
+    .sort({ [sort.field]: sort.order, _id: sort.order })
+    .skip(skip)
+    .limit(limitNum);
+
+  // Get total count for pagination
+  const total = await baseQuery.model.countDocuments(filter);
+
+  const totalPages = Math.ceil(total / limitNum);
+  const hasNextPage = pageNum < totalPages;
+  const hasPrevPage = pageNum > 1;
+
+  return {
+    items,
+    pagination: {
+      currentPage: pageNum,
+      totalPages,
+      totalItems: total,
+      itemsPerPage: limitNum,
+      hasNextPage,
+      hasPrevPage,
+      nextCursor: hasNextPage && items.length > 0 ? encodeCursor(items[items.length - 1], sort, 'next') : null,
+      prevCursor: hasPrevPage && items.length > 0 ? encodeCursor(items[0], sort, 'prev') : null
+    }
+  };
+};
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+  cursorFilter,
+  paginateQuery
+};
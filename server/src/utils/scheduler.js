@@ -0,0 +1,163 @@
+const Post = require('../models/Post');
+const logger = require('./logger');
+
+// Never sleep longer than this, so posts scheduled by another instance are picked up
+const DEFAULT_POLL_INTERVAL_MS = parseInt(process.env.SCHEDULER_POLL_INTERVAL_MS, 10) || 60 * 1000;
+
+// setTimeout cannot wait longer than ~24.8 days
+const MAX_TIMEOUT_MS = 2147483647;
+
+/**
+ * Real clock used outside of tests
+ */
+const systemClock = {
+  now: () => new Date(),
+  setTimeout: (fn, ms) => setTimeout(fn, ms),
+  clearTimeout: (handle) => clearTimeout(handle)
+};
+
+/**
+ * Create a scheduler that publishes scheduled posts when their time comes.
+ * All state lives in the database, so a restart simply catches up on posts
+ * that fell due while the server was down.
+ * @param {Object} options - Scheduler options
+ * @param {Object} options.clock - Clock with now(), setTimeout() and clearTimeout()
+ * @param {Number} options.pollInterval - Longest wait between checks in ms
+ * @param {Function} options.onPublish - Called with each post that goes live
+ * @returns {Object} Scheduler with start(), stop(), runDue() and isRunning()
+ */
+const createScheduler = ({
+  clock = systemClock,
+  pollInterval = DEFAULT_POLL_INTERVAL_MS,
+  onPublish = null
+} = {}) => {
+  let timer = null;
+  let running = false;
+  let inFlight = null;
+
+  /**
+   * Publish every post that is due at the clock's current time
+   * @returns {Promise<Array>} Posts that were published
+   */
+  const runDue = async () => {
+    const published = await Post.publishDue(clock.now());
+
+    for (const post of published) {
+      logger.info('Scheduled post published', { postId: post._id, publishedAt: post.publishedAt });
+      if (onPublish) {
+        await onPublish(post);
+      }
+    }
+
+    return published;
+  };
+
+  /**
+   * Sleep until the next scheduled post or the poll interval, whichever is sooner
+   */
+  const scheduleNext = async () => {
+    if (!running) return;
+
+    const next = await Post.findNextScheduledTime();
+    let delay = pollInterval;
+    if (next) {
+      delay = Math.min(delay, Math.max(next.getTime() - clock.now().getTime(), 0));
+    }
+
+    if (running) {
+      if (timer) {
+        clock.clearTimeout(timer);
+      }
+      timer = clock.setTimeout(tick, Math.min(delay, MAX_TIMEOUT_MS));
+    }
+  };
+
+  /**
+   * Schedule the next run, falling back to the poll interval if the next
+   * scheduled time can't be read, so publishing never stops for good
+   */
+  const rearm = async () => {
+    try {
+      await scheduleNext();
+    } catch (error) {
+      logger.error('Could not schedule next publishing run', { error: error.message });
+      if (running && !timer) {
+        timer = clock.setTimeout(tick, pollInterval);
+      }
+    }
+  };
+
+  const tick = async () => {
+    timer = null;
+    inFlight = (async () => {
+      try {
+        await runDue();
+      } catch (error) {
+        logger.error('Scheduled publishing failed', { error: error.message });
+      }
+      await rearm();
+    })();
+    return inFlight;
+  };
+
+  return {
+    runDue,
+
+    /**
+     * Start the scheduler, publishing anything already due straight away
+     */
+    start() {
+      if (running) return inFlight;
+      running = true;
+      return tick();
+    },
+
+    /**
+     * Stop the scheduler and wait for any run in progress
+     */
+    async stop() {
+      running = false;
+      if (timer) {
+        clock.clearTimeout(timer);
+        timer = null;
+      }
+      if (inFlight) {
+        await inFlight;
+      }
+    },
+
+    /**
+     * Wake the scheduler early, e.g. after a post is scheduled sooner than the
+     * next check. Never rejects; errors are logged and the poll timer re-armed.
+     */
+    async reschedule() {
+      if (!running) return;
+      if (timer) {
+        clock.clearTimeout(timer);
+        timer = null;
+      }
+      await rearm();
+    },
+
+    isRunning: () => running
+  };
+};
+
+let defaultScheduler = null;
+
+/**
+ * Get the scheduler used by the running server
+ * @returns {Object} Shared scheduler
+ */
+const getScheduler = () => {
+  if (!defaultScheduler) {
+    defaultScheduler = createScheduler();
+  }
+  return defaultScheduler;
+};
+
+module.exports = {
+  createScheduler,
+  getScheduler,
+  systemClock
+};
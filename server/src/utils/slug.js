@@ -0,0 +1,46 @@
+// Longest generated slug, leaving room under the 100 character limit for a -N suffix
+const MAX_SLUG_LENGTH = 80;
+
+const SLUG_PATTERN = /^[a-z0-9-]+$/;
+
+/**
+ * Turn a title into a URL slug of lowercase ASCII letters, digits and hyphens.
+ * Accents are stripped, so "Café déjà vu" becomes "cafe-deja-vu".
+ * @param {String} text - Title or other text
+ * @param {String} fallback - Slug used when nothing usable is left
+ * @returns {String} Slug
+ */
+const slugify = (text = '', fallback = 'post') => {
+  const slug = text
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .slice(0, MAX_SLUG_LENGTH)
+    .replace(/(^-+|-+$)/g, '');
+  return slug || fallback;
+};
+
+/**
+ * Pick the first of base, base-2, base-3... that is not taken
+ * @param {String} base - Slug to start from
+ * @param {Set<String>} taken - Slugs already in use
+ * @returns {String} Free slug
+ */
+const nextFreeSlug = (base, taken) => {
+  if (!taken.has(base)) {
+    return base;
+  }
+  let suffix = 2;
+  while (taken.has(`${base}-${suffix}`)) {
+    suffix += 1;
+  }
+  return `${base}-${suffix}`;
+};
+
+module.exports = {
+  MAX_SLUG_LENGTH,
+  SLUG_PATTERN,
+  slugify,
+  nextFreeSlug
+};
@@ -0,0 +1,134 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+/**
+ * A storage backend is any object with a name and:
+ *   put(key, buffer, contentType) - store a file, replacing any file with the same key
+ *   remove(key)                   - delete a file; missing files are not an error
+ *   url(key)                      - public URL the file is served from
+ * Keys are relative paths made of lowercase letters, digits, '-', '.' and '/'.
+ */
+
+const KEY_PATTERN = /^[a-z0-9][a-z0-9\-./]*$/;
+
+/**
+ * Reject keys that could escape the storage root
+ * @param {String} key - Storage key
+ */
+const assertValidKey = (key) => {
+  if (typeof key !== 'string' || !KEY_PATTERN.test(key) || key.split('/').includes('..')) {
+    throw new Error(`Invalid storage key: ${key}`);
+  }
+};
+
+/**
+ * Create a backend that writes files under a local directory. The app serves
+ * that directory at /uploads, so publicUrl should point there.
+ * @param {Object} options - Backend options
+ * @param {String} options.directory - Root directory for stored files
+ * @param {String} options.publicUrl - URL prefix the directory is served from
+ * @returns {Object} Storage backend
+ */
+const createLocalStorage = (options = {}) => {
+  const directory = path.resolve(options.directory || process.env.UPLOAD_DIR || path.join(__dirname, '../../uploads'));
+  const publicUrl = (options.publicUrl || process.env.UPLOAD_PUBLIC_URL || `http://localhost:${process.env.PORT || 5000}/uploads`).replace(/\/+$/, '');
+
+  const resolve = (key) => {
+    assertValidKey(key);
+    const filePath = path.resolve(directory, key);
+    if (!filePath.startsWith(directory + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  return {
+    name: 'local',
+    directory,
+    put: async (key, buffer) => {
+      const filePath = resolve(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, buffer);
+    },
+    remove: async (key) => {
+      try {
+        await fs.promises.unlink(resolve(key));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    },
+    url: (key) => `${publicUrl}/${key}`
+  };
+};
+
+/**
+ * Create a backend that keeps files in memory, so tests can inspect what was stored
+ * @returns {Object} Storage backend
+ */
+const createMemoryStorage = () => {
+  const files = new Map();
+
+  return {
+    name: 'memory',
+    files,
+    put: async (key, buffer, contentType) => {
+      assertValidKey(key);
+      files.set(key, { buffer, contentType });
+    },
+    remove: async (key) => {
+      assertValidKey(key);
+      files.delete(key);
+    },
+    url: (key) => `/uploads/${key}`
+  };
+};
+
+const storageFactories = {
+  local: createLocalStorage,
+  memory: createMemoryStorage
+};
+
+/**
+ * Create a storage backend by name
+ * @param {String} name - local or memory
+ * @param {Object} options - Backend options
+ * @returns {Object} Storage backend
+ */
+const createStorage = (name, options) => {
+  const factory = storageFactories[name];
+  if (!factory) {
+    throw new Error(`Unknown storage backend: ${name}`);
+  }
+  return factory(options);
+};
+
+let storage = null;
+
+/**
+ * Get the active backend, creating it from the environment on first use
+ * @returns {Object} Storage backend
+ */
+const getStorage = () => {
+  if (!storage) {
+    storage = createStorage(process.env.UPLOAD_STORAGE || 'local');
+    logger.debug(`Upload storage: ${storage.name}`);
+  }
+  return storage;
+};
+
+/**
+ * Replace the active backend (e.g. with a memory backend in tests)
+ * @param {Object} nextStorage - Storage backend
+ */
+const setStorage = (nextStorage) => {
+  storage = nextStorage;
+};
+
+module.exports = {
+  createStorage,
+  createLocalStorage,
+  createMemoryStorage,
+  getStorage,
+  setStorage
+};
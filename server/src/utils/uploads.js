@@ -0,0 +1,185 @@
+const crypto = require('crypto');
+const Upload = require('../models/Upload');
+const { processImage } = require('./images');
+const { getStorage } = require('./storage');
+const { systemClock } = require('./scheduler');
+const logger = require('./logger');
+
+// Uploads nothing points at are kept this long, so an author can upload an
+// image and save the post or profile that uses it later
+const ORPHAN_GRACE_PERIOD_MS = parseInt(process.env.UPLOAD_ORPHAN_GRACE_MS, 10) || 24 * 60 * 60 * 1000;
+
+const CLEANUP_INTERVAL_MS = parseInt(process.env.UPLOAD_CLEANUP_INTERVAL_MS, 10) || 60 * 60 * 1000;
+
+/**
+ * Process an image and store the original and its variants
+ * @param {Object} options
+ * @param {Buffer} options.buffer - Uploaded file contents
+ * @param {String} options.purpose - post or avatar
+ * @param {String} options.owner - Uploading user's ID
+ * @param {String} options.originalName - File name the client sent
+ * @returns {Promise<Object>} Saved Upload document
+ */
+const saveImage = async ({ buffer, purpose, owner, originalName }) => {
+  const { original, variants } = await processImage(buffer, purpose);
+  const storage = getStorage();
+  const base = `${purpose}s/${owner}/${crypto.randomBytes(12).toString('hex')}`;
+  const written = [];
+
+  try {
+    const originalKey = `${base}.${original.ext}`;
+    await storage.put(originalKey, original.buffer, original.mimeType);
+    written.push(originalKey);
+
+    const storedVariants = [];
+    for (const variant of variants) {
+      const key = `${base}-${variant.name}.${variant.ext}`;
+      await storage.put(key, variant.buffer, variant.mimeType);
+      written.push(key);
+      storedVariants.push({
+        name: variant.name,
+        key,
+        url: storage.url(key),
+        width: variant.width,
+        height: variant.height,
+        size: variant.size,
+        mimeType: variant.mimeType
+      });
+    }
+
+    return await Upload.create({
+      owner,
+      purpose,
+      originalName,
+      mimeType: original.mimeType,
+      size: original.size,
+      width: original.width,
+      height: original.height,
+      storage: storage.name,
+      key: originalKey,
+      url: storage.url(originalKey),
+      variants: storedVariants
+    });
+  } catch (error) {
+    // Don't leave files behind that no Upload record points at
+    await Promise.all(written.map(key => storage.remove(key).catch(() => {})));
+    throw error;
+  }
+};
+
+/**
+ * Delete an upload's files and its record
+ * @param {Object} upload - Upload document
+ */
+const deleteUpload = async (upload) => {
+  const storage = getStorage();
+  if (storage.name !== upload.storage) {
+    throw new Error(`Upload ${upload._id} is stored in ${upload.storage}, not ${storage.name}`);
+  }
+
+  await Promise.all(upload.getKeys().map(key => storage.remove(key)));
+  await Upload.deleteOne({ _id: upload._id });
+};
+
+/**
+ * Delete uploads that nothing references once their grace period is over
+ * @param {Object} options
+ * @param {Date} options.now - Current time
+ * @param {Number} options.gracePeriod - How long unreferenced uploads are kept, in ms
+ * @returns {Promise<Number>} Number of uploads removed
+ */
+const cleanupOrphanedUploads = async ({ now = new Date(), gracePeriod = ORPHAN_GRACE_PERIOD_MS } = {}) => {
+  const orphans = await Upload.findOrphans(new Date(now.getTime() - gracePeriod));
+  let removed = 0;
+
+  for (const upload of orphans) {
+    try {
+      await deleteUpload(upload);
+      removed += 1;
+    } catch (error) {
+      logger.error('Could not remove orphaned upload', { uploadId: upload._id, error: error.message });
+    }
+  }
+
+  if (removed > 0) {
+    logger.info('Orphaned uploads removed', { count: removed });
+  }
+  return removed;
+};
+
+/**
+ * Create a cleaner that periodically removes orphaned uploads
+ * @param {Object} options
+ * @param {Object} options.clock - Clock with now(), setTimeout() and clearTimeout()
+ * @param {Number} options.interval - Time between runs in ms
+ * @param {Number} options.gracePeriod - Passed to cleanupOrphanedUploads
+ * @returns {Object} Cleaner with start(), stop() and runOnce()
+ */
+const createUploadCleaner = ({
+  clock = systemClock,
+  interval = CLEANUP_INTERVAL_MS,
+  gracePeriod = ORPHAN_GRACE_PERIOD_MS
+} = {}) => {
+  let timer = null;
+  let running = false;
+  let inFlight = null;
+
+  const runOnce = () => cleanupOrphanedUploads({ now: clock.now(), gracePeriod });
+
+  const tick = () => {
+    timer = null;
+    inFlight = runOnce()
+      .catch(error => logger.error('Upload cleanup failed', { error: error.message }))
+      .then(() => {
+        inFlight = null;
+        if (running) {
+          timer = clock.setTimeout(tick, interval);
+        }
+      });
+  };
+
+  return {
+    runOnce,
+
+    start() {
+      if (running) return;
+      running = true;
+      timer = clock.setTimeout(tick, interval);
+    },
+
+    async stop() {
+      running = false;
+      if (timer) {
+        clock.clearTimeout(timer);
+        timer = null;
+      }
+      if (inFlight) {
+        await inFlight;
+      }
+    },
+
+    isRunning: () => running
+  };
+};
+
+let defaultCleaner = null;
+
+/**
+ * Get the upload cleaner used by the running server
+ * @returns {Object} Shared cleaner
+ */
+const getUploadCleaner = () => {
+  if (!defaultCleaner) {
+    defaultCleaner = createUploadCleaner();
+  }
+  return defaultCleaner;
+};
+
+module.exports = {
+  ORPHAN_GRACE_PERIOD_MS,
+  saveImage,
+  deleteUpload,
+  cleanupOrphanedUploads,
+  createUploadCleaner,
+  getUploadCleaner
+};
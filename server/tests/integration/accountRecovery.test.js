@@ -0,0 +1,183 @@
+// accountRecovery.test.js - Integration tests for password reset and email verification
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../src/app');
+const Post = require('../../src/models/Post');
+const User = require('../../src/models/User');
+const AccountToken = require('../../src/models/AccountToken');
+const { generateToken } = require('../../src/utils/auth');
+const { createConsoleTransport, setTransport } = require('../../src/utils/mailer');
+
+let mongoServer;
+let mailbox;
+
+// Password reset mail goes out after the response, so wait for it to land
+const waitForMail = async (count = 1) => {
+  for (let attempt = 0; attempt < 50 && mailbox.sent.length < count; attempt++) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+};
+
+// Pull the token out of the most recent email's link
+const tokenFromLastMail = () => {
+  const { text } = mailbox.sent[mailbox.sent.length - 1];
+  return text.match(/token=([a-f0-9]+)/)[1];
+};
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+beforeEach(() => {
+  mailbox = createConsoleTransport();
+  setTransport(mailbox);
+});
+
+afterEach(async () => {
+  await User.deleteMany({});
+  await Post.deleteMany({});
+  await AccountToken.deleteMany({});
+});
+
+describe('Password reset', () => {
+  beforeEach(async () => {
+    await User.create({
+      username: 'forgetful',
+      email: 'forgetful@example.com',
+      password: 'OldPass123!',
+    });
+  });
+
+  it('should email a reset link and accept the new password once', async () => {
+    const forgot = await request(app)
+      .post('/api/auth/forgot-password')
+      .send({ email: 'forgetful@example.com' });
+    expect(forgot.status).toBe(200);
+
+    await waitForMail();
+    const token = tokenFromLastMail();
+
+    const reset = await request(app)
+      .post('/api/auth/reset-password')
+      .send({ token, password: 'NewPass123!' });
+    expect(reset.status).toBe(200);
+
+    const login = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'forgetful@example.com', password: 'NewPass123!' });
+    expect(login.status).toBe(200);
+
+    const replay = await request(app)
+      .post('/api/auth/reset-password')
+      .send({ token, password: 'Another123!' });
+    expect(replay.status).toBe(400);
+  });
+
+  it('should not reveal whether an account exists', async () => {
+    const res = await request(app)
+      .post('/api/auth/forgot-password')
+      .send({ email: 'nobody@example.com' });
+
+    expect(res.status).toBe(200);
+    await waitForMail();
+    expect(mailbox.sent).toHaveLength(0);
+  });
+
+  it('should answer the same when sending the email fails', async () => {
+    setTransport({ name: 'broken', send: jest.fn().mockRejectedValue(new Error('SMTP down')) });
+
+    const res = await request(app)
+      .post('/api/auth/forgot-password')
+      .send({ email: 'forgetful@example.com' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.message).toBe('If an account exists for that email, a reset link has been sent');
+  });
+
+  it('should reject expired tokens', async () => {
+    const user = await User.findOne({ email: 'forgetful@example.com' });
+    const token = await AccountToken.issue(user._id, 'password_reset', -1000);
+
+    const res = await request(app)
+      .post('/api/auth/reset-password')
+      .send({ token, password: 'NewPass123!' });
+
+    expect(res.status).toBe(400);
+  });
+});
+
+describe('Email verification', () => {
+  it('should verify the address from the registration email', async () => {
+    const register = await request(app)
+      .post('/api/auth/register')
+      .send({ username: 'newbie', email: 'newbie@example.com', password: 'Newbie123!' });
+    expect(register.status).toBe(201);
+    expect(register.body.data.user.isEmailVerified).toBe(false);
+
+    const res = await request(app)
+      .post('/api/auth/verify-email')
+      .send({ token: tokenFromLastMail() });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.user.isEmailVerified).toBe(true);
+  });
+
+  it('should block unverified accounts from submitting posts for approval', async () => {
+    const user = await User.create({
+      username: 'unverified',
+      email: 'unverified@example.com',
+      password: 'password123',
+    });
+    const post = await Post.create({
+      title: 'Draft Post',
+      content: 'Waiting to be submitted',
+      author: user._id,
+      category: new mongoose.Types.ObjectId(),
+      slug: 'draft-post',
+    });
+
+    const res = await request(app)
+      .post(`/api/posts/${post._id}/submit`)
+      .set('Authorization', `Bearer ${generateToken(user)}`);
+
+    expect(res.status).toBe(403);
+  });
+
+  it('should treat accounts from before verification existed as verified', async () => {
+    const legacy = await User.create({
+      username: 'oldtimer',
+      email: 'oldtimer@example.com',
+      password: 'password123',
+    });
+    const fresh = await User.create({
+      username: 'freshface',
+      email: 'freshface@example.com',
+      password: 'password123',
+    });
+    await User.collection.updateOne({ _id: legacy._id }, { $unset: { isEmailVerified: '', emailVerifiedAt: '' } });
+
+    expect(await User.verifyLegacyAccounts()).toBe(1);
+    expect(await User.verifyLegacyAccounts()).toBe(0);
+
+    const post = await Post.create({
+      title: 'Legacy Draft',
+      content: 'Written before verification existed',
+      author: legacy._id,
+      category: new mongoose.Types.ObjectId(),
+      slug: 'legacy-draft',
+    });
+    await request(app)
+      .post(`/api/posts/${post._id}/submit`)
+      .set('Authorization', `Bearer ${generateToken(legacy)}`)
+      .expect(200);
+    expect((await User.findById(fresh._id)).isEmailVerified).toBe(false);
+  });
+});
@@ -0,0 +1,165 @@
+// adminStats.test.js - Integration tests for GET /api/admin/stats
+
+// Every request computes a fresh report; caching is covered by the unit tests
+process.env.ADMIN_STATS_CACHE_SECONDS = '0';
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../src/app');
+const Post = require('../../src/models/Post');
+const User = require('../../src/models/User');
+const Category = require('../../src/models/Category');
+const { generateToken } = require('../../src/utils/auth');
+const { DAY_MS, HOUR_MS, startOfDay } = require('../../src/utils/analytics');
+
+let mongoServer;
+let admin;
+let author;
+let adminToken;
+let authorToken;
+let tech;
+let travel;
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+
+  admin = await User.create({
+    username: 'statsadmin',
+    email: 'statsadmin@example.com',
+    password: 'password123',
+    role: 'admin',
+  });
+  adminToken = generateToken(admin);
+
+  author = await User.create({
+    username: 'contentauthor',
+    email: 'contentauthor@example.com',
+    password: 'password123',
+  });
+  authorToken = generateToken(author);
+
+  tech = await Category.create({ name: 'Tech' });
+  travel = await Category.create({ name: 'Travel' });
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+afterEach(async () => {
+  await Post.deleteMany({});
+});
+
+const makePost = (slug, fields = {}) => Post.create({
+  title: `Post ${slug}`,
+  content: `Content for ${slug}`,
+  author: author._id,
+  category: tech._id,
+  slug,
+  status: 'published',
+  ...fields,
+});
+
+const getStats = (query = '', token = adminToken) => request(app)
+  .get(`/api/admin/stats${query}`)
+  .set('Authorization', `Bearer ${token}`);
+
+describe('GET /api/admin/stats', () => {
+  it('should require the stats permission', async () => {
+    await request(app).get('/api/admin/stats').expect(401);
+    await getStats('', authorToken).expect(403);
+  });
+
+  it('should reject invalid ranges', async () => {
+    await getStats('?from=not-a-date').expect(400);
+  });
+
+  it('should count posts in every status', async () => {
+    await makePost('live');
+    await makePost('draft', { status: 'draft' });
+    await makePost('archived', { status: 'archived' });
+
+    const res = await getStats().expect(200);
+
+    expect(res.body.data.postsByStatus).toEqual({
+      draft: 1,
+      pending: 0,
+      scheduled: 0,
+      published: 1,
+      rejected: 0,
+      archived: 1
+    });
+    expect(res.body.data.generatedAt).toBeDefined();
+  });
+
+  it('should measure the approval queue', async () => {
+    const now = Date.now();
+    await makePost('new', { status: 'pending', submittedForApproval: true, submittedAt: new Date(now - 2 * HOUR_MS) });
+    await makePost('waiting', { status: 'pending', submittedForApproval: true, submittedAt: new Date(now - 2 * DAY_MS) });
+    await makePost('stale', { status: 'pending', submittedForApproval: true, submittedAt: new Date(now - 10 * DAY_MS) });
+
+    const { queue } = (await getStats().expect(200)).body.data;
+
+    expect(queue.depth).toBe(3);
+    expect(queue.medianAgeHours).toBeCloseTo(48, 0);
+    expect(queue.oldestAgeHours).toBeCloseTo(240, 0);
+    expect(queue.byAge.map(group => group.count)).toEqual([1, 1, 0, 1]);
+    expect(queue.byAge[3]).toMatchObject({ minHours: 168, maxHours: null });
+  });
+
+  it('should report an empty queue', async () => {
+    const { queue } = (await getStats().expect(200)).body.data;
+
+    expect(queue).toMatchObject({ depth: 0, averageAgeHours: null, medianAgeHours: null, oldestAgeHours: null });
+    expect(queue.byAge.every(group => group.count === 0)).toBe(true);
+  });
+
+  it('should report time to approve and rejection rate per category', async () => {
+    const now = Date.now();
+    const decided = (hoursWaited, isApproved, category = tech._id) => ({
+      category,
+      status: isApproved ? 'published' : 'rejected',
+      isApproved,
+      submittedAt: new Date(now - (hoursWaited + 1) * HOUR_MS),
+      approvedAt: new Date(now - HOUR_MS)
+    });
+
+    await makePost('a', decided(2, true));
+    await makePost('b', decided(4, true));
+    await makePost('c', decided(12, true));
+    await makePost('d', decided(1, false));
+    await makePost('e', decided(3, false, travel._id));
+    await makePost('f', { ...decided(5, true), approvedAt: new Date(now - 60 * DAY_MS) });
+
+    const { timeToApprove, rejectionRateByCategory } = (await getStats().expect(200)).body.data;
+
+    expect(timeToApprove).toEqual({ approved: 3, averageHours: 6, medianHours: 4 });
+    expect(rejectionRateByCategory).toEqual([
+      expect.objectContaining({ name: 'Travel', approved: 0, rejected: 1, reviewed: 1, rejectionRate: 1 }),
+      expect.objectContaining({ name: 'Tech', approved: 3, rejected: 1, reviewed: 4, rejectionRate: 0.25 })
+    ]);
+  });
+
+  it('should chart daily publish volume', async () => {
+    const today = startOfDay(new Date());
+    const yesterday = new Date(today.getTime() - DAY_MS);
+    await makePost('one', { publishedAt: new Date(yesterday.getTime() + HOUR_MS) });
+    await makePost('two', { publishedAt: new Date(yesterday.getTime() + 2 * HOUR_MS) });
+    await makePost('three', { publishedAt: today });
+    await makePost('earlier', { publishedAt: new Date(yesterday.getTime() - DAY_MS) });
+
+    const res = await getStats(`?from=${yesterday.toISOString().slice(0, 10)}`).expect(200);
+    const dayKey = date => date.toISOString().slice(0, 10);
+
+    expect(res.body.data.publishVolume).toEqual({
+      total: 3,
+      series: [
+        { date: dayKey(yesterday), published: 2 },
+        { date: dayKey(today), published: 1 }
+      ]
+    });
+  });
+});
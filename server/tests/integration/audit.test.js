@@ -0,0 +1,205 @@
+// audit.test.js - Integration tests for the audit log
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../src/app');
+const AuditLog = require('../../src/models/AuditLog');
+const Post = require('../../src/models/Post');
+const User = require('../../src/models/User');
+const { generateToken } = require('../../src/utils/auth');
+
+let mongoServer;
+let admin;
+let adminToken;
+let author;
+let authorToken;
+let postId;
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+
+  admin = await User.create({
+    username: 'auditadmin',
+    email: 'auditadmin@example.com',
+    password: 'password123',
+    role: 'admin',
+  });
+  adminToken = generateToken(admin);
+
+  author = await User.create({
+    username: 'auditauthor',
+    email: 'auditauthor@example.com',
+    password: 'password123',
+  });
+  authorToken = generateToken(author);
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+beforeEach(async () => {
+  const post = await Post.create({
+    title: 'Audited Post',
+    content: 'Waiting for review',
+    author: author._id,
+    category: new mongoose.Types.ObjectId(),
+    slug: 'audited-post',
+    status: 'pending',
+  });
+  postId = post._id;
+});
+
+afterEach(async () => {
+  await Post.deleteMany({});
+  await AuditLog.collection.deleteMany({});
+  await User.updateOne({ _id: author._id }, { isActive: true, role: 'user' });
+});
+
+describe('Audit log recording', () => {
+  it('should record post approvals with before and after status', async () => {
+    await request(app)
+      .post(`/api/posts/${postId}/approve`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .set('User-Agent', 'audit-test')
+      .expect(200);
+
+    const entries = await AuditLog.find({ targetId: postId });
+    expect(entries).toHaveLength(1);
+    expect(entries[0].action).toBe('post.approve');
+    expect(entries[0].actor.toString()).toBe(admin._id.toString());
+    expect(entries[0].actorUsername).toBe('auditadmin');
+    expect(entries[0].before).toEqual({ status: 'pending' });
+    expect(entries[0].after.status).toBe('published');
+    expect(entries[0].userAgent).toBe('audit-test');
+    expect(entries[0].ip).toBeDefined();
+  });
+
+  it('should record post rejections with the reason', async () => {
+    await request(app)
+      .post(`/api/posts/${postId}/reject`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ reason: 'Needs sources' })
+      .expect(200);
+
+    const entry = await AuditLog.findOne({ action: 'post.reject' });
+    expect(entry.after).toEqual({ status: 'rejected', rejectionReason: 'Needs sources' });
+  });
+
+  it('should record user deactivation and activation', async () => {
+    await request(app)
+      .post(`/api/users/${author._id}/deactivate`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+    await request(app)
+      .post(`/api/users/${author._id}/activate`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+
+    const entries = await AuditLog.find({ targetId: author._id }).sort({ createdAt: 1, _id: 1 });
+    expect(entries.map(entry => entry.action)).toEqual(['user.deactivate', 'user.activate']);
+    expect(entries[0].before).toEqual({ isActive: true });
+    expect(entries[0].after).toEqual({ isActive: false });
+  });
+
+  it('should record role changes', async () => {
+    await request(app)
+      .put(`/api/users/${author._id}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ role: 'moderator' })
+      .expect(200);
+
+    const entry = await AuditLog.findOne({ action: 'user.role_change' });
+    expect(entry.before).toEqual({ role: 'user' });
+    expect(entry.after).toEqual({ role: 'moderator' });
+  });
+});
+
+describe('GET /api/audit-logs', () => {
+  beforeEach(async () => {
+    await request(app)
+      .post(`/api/posts/${postId}/approve`)
+      .set('Authorization', `Bearer ${adminToken}`);
+    await request(app)
+      .post(`/api/users/${author._id}/deactivate`)
+      .set('Authorization', `Bearer ${adminToken}`);
+  });
+
+  it('should list entries newest first', async () => {
+    const res = await request(app)
+      .get('/api/audit-logs')
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.entries.map(entry => entry.action)).toEqual(['user.deactivate', 'post.approve']);
+    expect(res.body.data.pagination.totalItems).toBe(2);
+  });
+
+  it('should filter by action and actor', async () => {
+    const byAction = await request(app)
+      .get('/api/audit-logs?action=post.approve')
+      .set('Authorization', `Bearer ${adminToken}`);
+    expect(byAction.body.data.entries).toHaveLength(1);
+
+    const byActor = await request(app)
+      .get('/api/audit-logs?actor=auditadmin')
+      .set('Authorization', `Bearer ${adminToken}`);
+    expect(byActor.body.data.entries).toHaveLength(2);
+
+    const byOtherActor = await request(app)
+      .get(`/api/audit-logs?actor=${author._id}`)
+      .set('Authorization', `Bearer ${adminToken}`);
+    expect(byOtherActor.body.data.entries).toHaveLength(0);
+  });
+
+  it('should filter by date range', async () => {
+    const res = await request(app)
+      .get('/api/audit-logs?to=2000-01-01')
+      .set('Authorization', `Bearer ${adminToken}`);
+    expect(res.body.data.entries).toHaveLength(0);
+  });
+
+  it('should reject unknown actions', async () => {
+    const res = await request(app)
+      .get('/api/audit-logs?action=post.publish')
+      .set('Authorization', `Bearer ${adminToken}`);
+    expect(res.status).toBe(400);
+  });
+
+  it('should deny non-admins', async () => {
+    const res = await request(app)
+      .get('/api/audit-logs')
+      .set('Authorization', `Bearer ${authorToken}`);
+    expect(res.status).toBe(403);
+  });
+
+  it('should export entries as CSV', async () => {
+    const res = await request(app)
+      .get('/api/audit-logs/export')
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toMatch(/text\/csv/);
+    expect(res.headers['content-disposition']).toMatch(/attachment; filename="audit-log-/);
+    const lines = res.text.trim().split('\r\n');
+    expect(lines[0]).toMatch(/^timestamp,actor_id,actor,/);
+    expect(lines).toHaveLength(3);
+  });
+
+  it('should not expose any way to change entries', async () => {
+    const entry = await AuditLog.findOne();
+
+    const del = await request(app)
+      .delete(`/api/audit-logs/${entry._id}`)
+      .set('Authorization', `Bearer ${adminToken}`);
+    expect(del.status).toBe(404);
+
+    await expect(AuditLog.deleteOne({ _id: entry._id })).rejects.toThrow(/cannot be modified or deleted/);
+    await expect(AuditLog.updateOne({ _id: entry._id }, { action: 'post.reject' })).rejects.toThrow(/cannot be modified or deleted/);
+    entry.action = 'post.reject';
+    await expect(entry.save()).rejects.toThrow(/cannot be modified or deleted/);
+  });
+});
@@ -0,0 +1,161 @@
+// authorStats.test.js - Integration tests for GET /api/users/me/stats
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../src/app');
+const Post = require('../../src/models/Post');
+const User = require('../../src/models/User');
+const Like = require('../../src/models/Like');
+const Comment = require('../../src/models/Comment');
+const PostViewDaily = require('../../src/models/PostViewDaily');
+const { generateToken } = require('../../src/utils/auth');
+const { DAY_MS, startOfDay } = require('../../src/utils/analytics');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+let mongoServer;
+let author;
+let reader;
+let authorToken;
+let readerToken;
+const categoryId = new mongoose.Types.ObjectId();
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+
+  author = await User.create({
+    username: 'statsauthor',
+    email: 'statsauthor@example.com',
+    password: 'password123',
+  });
+  authorToken = generateToken(author);
+
+  reader = await User.create({
+    username: 'statsreader',
+    email: 'statsreader@example.com',
+    password: 'password123',
+  });
+  readerToken = generateToken(reader);
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+afterEach(async () => {
+  await Post.deleteMany({});
+  await Like.deleteMany({});
+  await Comment.deleteMany({});
+  await PostViewDaily.deleteMany({});
+});
+
+const makePost = (slug, fields = {}) => Post.create({
+  title: `Post ${slug}`,
+  content: `Content for ${slug}`,
+  author: author._id,
+  category: categoryId,
+  slug,
+  status: 'published',
+  ...fields,
+});
+
+const getStats = (query = '', token = authorToken) => request(app)
+  .get(`/api/users/me/stats${query}`)
+  .set('Authorization', `Bearer ${token}`);
+
+describe('GET /api/users/me/stats', () => {
+  it('should require authentication', async () => {
+    await request(app).get('/api/users/me/stats').expect(401);
+  });
+
+  it('should count posts by status and total their counters', async () => {
+    await makePost('one', { viewCount: 10, likeCount: 2, commentCount: 1 });
+    await makePost('two', { viewCount: 5, likeCount: 1 });
+    await makePost('draft', { status: 'draft' });
+    await makePost('pending', { status: 'pending' });
+
+    const res = await getStats().expect(200);
+
+    expect(res.body.data.postsByStatus).toEqual({
+      draft: 1,
+      pending: 1,
+      scheduled: 0,
+      published: 2,
+      rejected: 0,
+      archived: 0
+    });
+    expect(res.body.data.totals).toEqual({ posts: 4, views: 15, likes: 3, comments: 1 });
+  });
+
+  it('should chart views, likes, comments and publications per day', async () => {
+    const today = startOfDay(new Date());
+    const yesterday = new Date(today.getTime() - DAY_MS);
+    const post = await makePost('charted', { publishedAt: new Date(yesterday.getTime() + HOUR_MS) });
+
+    await PostViewDaily.create([
+      { post: post._id, author: author._id, date: yesterday, views: 7 },
+      { post: post._id, author: author._id, date: today, views: 3 }
+    ]);
+    await Like.create({ user: reader._id, post: post._id });
+    await Comment.create({ post: post._id, author: reader._id, content: 'Nice post' });
+    await Comment.create({ post: post._id, author: reader._id, content: 'Removed', isDeleted: true });
+
+    const res = await getStats(`?from=${yesterday.toISOString().slice(0, 10)}`).expect(200);
+    const dayKey = date => date.toISOString().slice(0, 10);
+
+    expect(res.body.data.series).toEqual([
+      { date: dayKey(yesterday), views: 7, likes: 0, comments: 0, published: 1 },
+      { date: dayKey(today), views: 3, likes: 1, comments: 1, published: 0 }
+    ]);
+    expect(res.body.data.period).toEqual({ views: 10, likes: 1, comments: 1, published: 1 });
+    expect(res.body.data.topPosts[0]).toMatchObject({ slug: 'charted', views: 10 });
+  });
+
+  it('should summarise approval turnaround for decisions in the range', async () => {
+    const now = Date.now();
+    await makePost('fast', {
+      submittedAt: new Date(now - 5 * HOUR_MS),
+      approvedAt: new Date(now - 3 * HOUR_MS),
+      isApproved: true
+    });
+    await makePost('slow', {
+      status: 'rejected',
+      submittedAt: new Date(now - 30 * HOUR_MS),
+      approvedAt: new Date(now - 20 * HOUR_MS),
+      isApproved: false
+    });
+    await makePost('old', {
+      submittedAt: new Date(now - 100 * DAY_MS),
+      approvedAt: new Date(now - 99 * DAY_MS),
+      isApproved: true
+    });
+
+    const res = await getStats().expect(200);
+
+    expect(res.body.data.approvalTurnaround).toEqual({
+      reviewed: 2,
+      approved: 1,
+      rejected: 1,
+      averageHours: 6,
+      medianHours: 6,
+      slowestHours: 10
+    });
+  });
+
+  it('should only include the caller\'s own posts', async () => {
+    await makePost('not-yours', { viewCount: 50 });
+
+    const res = await getStats('', readerToken).expect(200);
+
+    expect(res.body.data.totals).toEqual({ posts: 0, views: 0, likes: 0, comments: 0 });
+    expect(res.body.data.approvalTurnaround.medianHours).toBeNull();
+  });
+
+  it('should validate the date range', async () => {
+    await getStats('?from=2024-05-01&to=2024-01-01').expect(400);
+    await getStats('?from=2020-01-01&to=2024-01-01').expect(400);
+  });
+});
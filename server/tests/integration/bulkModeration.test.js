@@ -0,0 +1,236 @@
+// bulkModeration.test.js - Integration tests for bulk approve/reject and queue filters
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../src/app');
+const Post = require('../../src/models/Post');
+const User = require('../../src/models/User');
+const Category = require('../../src/models/Category');
+const AuditLog = require('../../src/models/AuditLog');
+const PostRevision = require('../../src/models/PostRevision');
+const { generateToken } = require('../../src/utils/auth');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+let mongoServer;
+let author;
+let otherAuthor;
+let moderatorToken;
+let authorToken;
+let tech;
+let web;
+let travel;
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+
+  author = await User.create({
+    username: 'bulkauthor',
+    email: 'bulkauthor@example.com',
+    password: 'password123',
+  });
+  authorToken = generateToken(author);
+
+  otherAuthor = await User.create({
+    username: 'otherauthor',
+    email: 'otherauthor@example.com',
+    password: 'password123',
+  });
+
+  const moderator = await User.create({
+    username: 'bulkmoderator',
+    email: 'bulkmoderator@example.com',
+    password: 'password123',
+    role: 'moderator',
+  });
+  moderatorToken = generateToken(moderator);
+
+  tech = await Category.create({ name: 'Tech' });
+  web = await Category.create({ name: 'Web', parent: tech._id });
+  travel = await Category.create({ name: 'Travel' });
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+afterEach(async () => {
+  await Post.deleteMany({});
+  await AuditLog.deleteMany({});
+});
+
+const makePending = (slug, fields = {}) => Post.create({
+  title: `Pending ${slug}`,
+  content: `Content for ${slug}`,
+  author: author._id,
+  category: tech._id,
+  slug,
+  status: 'pending',
+  submittedForApproval: true,
+  submittedAt: new Date(),
+  ...fields,
+});
+
+const moderate = (body, token = moderatorToken) => request(app)
+  .post('/api/posts/bulk/moderate')
+  .set('Authorization', `Bearer ${token}`)
+  .send(body);
+
+describe('POST /api/posts/bulk/moderate', () => {
+  it('should require moderation permissions', async () => {
+    const post = await makePending('mine');
+
+    await request(app).post('/api/posts/bulk/moderate').send({ action: 'approve', ids: [post._id] }).expect(401);
+    await moderate({ action: 'approve', ids: [post._id] }, authorToken).expect(403);
+  });
+
+  it('should approve several posts and report each one', async () => {
+    const first = await makePending('first');
+    const second = await makePending('second');
+    const published = await makePending('published', { status: 'published' });
+    const missing = new mongoose.Types.ObjectId();
+
+    const res = await moderate({
+      action: 'approve',
+      ids: [first._id, second._id, published._id, missing]
+    }).expect(200);
+
+    expect(res.body.data.summary).toEqual({ requested: 4, succeeded: 2, failed: 2 });
+    expect(res.body.data.results).toEqual([
+      expect.objectContaining({ id: first._id.toString(), success: true, status: 'published' }),
+      expect.objectContaining({ id: second._id.toString(), success: true, status: 'published' }),
+      expect.objectContaining({ id: published._id.toString(), success: false, error: expect.objectContaining({ statusCode: 400 }) }),
+      expect.objectContaining({ id: missing.toString(), success: false, error: expect.objectContaining({ statusCode: 404 }) })
+    ]);
+
+    expect((await Post.findById(first._id)).status).toBe('published');
+    expect(await AuditLog.countDocuments({ action: 'post.approve' })).toBe(2);
+  });
+
+  it('should schedule approved posts for a shared publish time', async () => {
+    const post = await makePending('later');
+    const publishAt = new Date(Date.now() + 24 * HOUR_MS).toISOString();
+
+    const res = await moderate({ action: 'approve', ids: [post._id], publishAt }).expect(200);
+
+    expect(res.body.data.results[0]).toMatchObject({ success: true, status: 'scheduled', scheduledFor: publishAt });
+  });
+
+  it('should report a scheduled post as approved when recording the review fails', async () => {
+    const post = await makePending('unrecorded');
+    const publishAt = new Date(Date.now() + 24 * HOUR_MS).toISOString();
+    const spy = jest.spyOn(PostRevision, 'markReviewed').mockRejectedValueOnce(new Error('write failed'));
+
+    try {
+      const res = await moderate({ action: 'approve', ids: [post._id], publishAt }).expect(200);
+
+      expect(res.body.data.summary.succeeded).toBe(1);
+      expect(res.body.data.results[0]).toMatchObject({
+        success: true,
+        status: 'scheduled',
+        warning: expect.any(String)
+      });
+      expect((await Post.findById(post._id)).status).toBe('scheduled');
+    } finally {
+      spy.mockRestore();
+    }
+  });
+
+  it('should reject with per-post reasons falling back to the shared one', async () => {
+    const first = await makePending('first');
+    const second = await makePending('second');
+
+    await moderate({
+      action: 'reject',
+      ids: [first._id, second._id],
+      reason: 'Please add sources for the claims made.',
+      reasons: { [second._id]: 'This duplicates an existing post.' }
+    }).expect(200);
+
+    expect((await Post.findById(first._id)).rejectionReason).toBe('Please add sources for the claims made.');
+    expect((await Post.findById(second._id)).rejectionReason).toBe('This duplicates an existing post.');
+    expect(await AuditLog.countDocuments({ action: 'post.reject' })).toBe(2);
+  });
+
+  it('should require a reason for every rejected post', async () => {
+    const first = await makePending('first');
+    const second = await makePending('second');
+
+    await moderate({
+      action: 'reject',
+      ids: [first._id, second._id],
+      reasons: { [first._id]: 'This duplicates an existing post.' }
+    }).expect(400);
+
+    expect((await Post.findById(first._id)).status).toBe('pending');
+  });
+
+  it('should validate the request', async () => {
+    const post = await makePending('valid');
+
+    await moderate({ action: 'publish', ids: [post._id] }).expect(400);
+    await moderate({ action: 'approve', ids: [] }).expect(400);
+    await moderate({ action: 'approve', ids: ['not-an-id'] }).expect(400);
+    await moderate({
+      action: 'reject',
+      ids: [post._id],
+      reasons: { [new mongoose.Types.ObjectId()]: 'Reason for a post not in the list.' },
+      reason: 'Shared reason for everything.'
+    }).expect(400);
+    await moderate({
+      action: 'reject',
+      ids: [post._id],
+      reasons: { [post._id]: { text: 'An object is not a rejection reason.' } }
+    }).expect(400);
+
+    expect((await Post.findById(post._id)).status).toBe('pending');
+  });
+});
+
+describe('GET /api/posts/pending/approval filters', () => {
+  const getQueue = (query) => request(app)
+    .get(`/api/posts/pending/approval${query}`)
+    .set('Authorization', `Bearer ${moderatorToken}`);
+
+  it('should filter by author ID or username', async () => {
+    await makePending('mine');
+    await makePending('theirs', { author: otherAuthor._id });
+
+    const byName = await getQueue('?author=otherauthor').expect(200);
+    expect(byName.body.data.posts.map(post => post.slug)).toEqual(['theirs']);
+    expect(byName.body.data.pagination.totalItems).toBe(1);
+
+    const byId = await getQueue(`?author=${author._id}`).expect(200);
+    expect(byId.body.data.posts.map(post => post.slug)).toEqual(['mine']);
+
+    const unknown = await getQueue('?author=nobody').expect(200);
+    expect(unknown.body.data.posts).toHaveLength(0);
+  });
+
+  it('should filter by category including subcategories', async () => {
+    await makePending('tech');
+    await makePending('web', { category: web._id });
+    await makePending('travel', { category: travel._id });
+
+    const res = await getQueue(`?category=${tech._id}`).expect(200);
+    expect(res.body.data.posts.map(post => post.slug).sort()).toEqual(['tech', 'web']);
+  });
+
+  it('should filter by submission age', async () => {
+    const now = Date.now();
+    await makePending('fresh', { submittedAt: new Date(now - HOUR_MS) });
+    await makePending('day-old', { submittedAt: new Date(now - 30 * HOUR_MS) });
+    await makePending('week-old', { submittedAt: new Date(now - 200 * HOUR_MS) });
+
+    const older = await getQueue('?minAgeHours=24').expect(200);
+    expect(older.body.data.posts.map(post => post.slug).sort()).toEqual(['day-old', 'week-old']);
+
+    const window = await getQueue('?minAgeHours=24&maxAgeHours=72').expect(200);
+    expect(window.body.data.posts.map(post => post.slug)).toEqual(['day-old']);
+
+    await getQueue('?minAgeHours=-1').expect(400);
+  });
+});
@@ -0,0 +1,139 @@
+// categories.test.js - Integration tests for category management
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../src/app');
+const Category = require('../../src/models/Category');
+const Post = require('../../src/models/Post');
+const User = require('../../src/models/User');
+const { generateToken } = require('../../src/utils/auth');
+
+let mongoServer;
+let adminToken;
+let userToken;
+let author;
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+
+  const admin = await User.create({
+    username: 'categoryadmin',
+    email: 'categoryadmin@example.com',
+    password: 'password123',
+    role: 'admin',
+  });
+  author = await User.create({
+    username: 'categoryuser',
+    email: 'categoryuser@example.com',
+    password: 'password123',
+  });
+  adminToken = generateToken(admin);
+  userToken = generateToken(author);
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+afterEach(async () => {
+  await Category.deleteMany({});
+  await Post.deleteMany({});
+});
+
+const createCategory = (data, token = adminToken) => request(app)
+  .post('/api/categories')
+  .set('Authorization', `Bearer ${token}`)
+  .send(data);
+
+const createPost = (category, slug) => Post.create({
+  title: 'Categorised Post',
+  content: 'A post that belongs to a category',
+  author: author._id,
+  category,
+  slug,
+  status: 'published',
+});
+
+describe('Category management', () => {
+  it('should let admins create categories with a generated slug', async () => {
+    const res = await createCategory({ name: 'Web Development' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.category.slug).toBe('web-development');
+  });
+
+  it('should not let regular users create categories', async () => {
+    const res = await createCategory({ name: 'Sneaky' }, userToken);
+
+    expect(res.status).toBe(403);
+  });
+
+  it('should reject a parent change that creates a cycle', async () => {
+    const parent = await Category.create({ name: 'Parent' });
+    const child = await Category.create({ name: 'Child', parent: parent._id });
+    const grandchild = await Category.create({ name: 'Grandchild', parent: child._id });
+
+    const res = await request(app)
+      .put(`/api/categories/${parent._id}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ parent: grandchild._id });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error.message).toMatch(/ancestor/);
+  });
+
+  it('should return a nested tree with rolled-up post counts', async () => {
+    const tech = await Category.create({ name: 'Tech' });
+    const web = await Category.create({ name: 'Web', parent: tech._id });
+    await createPost(tech._id, 'tech-post');
+    await createPost(web._id, 'web-post');
+
+    const res = await request(app).get('/api/categories/tree');
+
+    expect(res.status).toBe(200);
+    const [root] = res.body.data.categories;
+    expect(root.name).toBe('Tech');
+    expect(root.postsCount).toBe(1);
+    expect(root.totalPostsCount).toBe(2);
+    expect(root.children[0].name).toBe('Web');
+  });
+
+  it('should hide deactivated categories from the public tree', async () => {
+    const hidden = await Category.create({ name: 'Hidden' });
+
+    await request(app)
+      .post(`/api/categories/${hidden._id}/deactivate`)
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    const res = await request(app).get('/api/categories/tree');
+    expect(res.body.data.categories).toHaveLength(0);
+  });
+
+  it('should require reassignTo when deleting a category with posts', async () => {
+    const old = await Category.create({ name: 'Old' });
+    const replacement = await Category.create({ name: 'Replacement' });
+    const child = await Category.create({ name: 'Old Child', parent: old._id });
+    await createPost(old._id, 'old-post');
+
+    const blocked = await request(app)
+      .delete(`/api/categories/${old._id}`)
+      .set('Authorization', `Bearer ${adminToken}`);
+    expect(blocked.status).toBe(400);
+
+    const res = await request(app)
+      .delete(`/api/categories/${old._id}?reassignTo=${replacement._id}`)
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.postsReassigned).toBe(1);
+
+    const post = await Post.findOne({ slug: 'old-post' });
+    expect(post.category.toString()).toBe(replacement._id.toString());
+
+    const movedChild = await Category.findById(child._id);
+    expect(movedChild.parent).toBeNull();
+  });
+});
@@ -0,0 +1,242 @@
+// comments.test.js - Integration tests for threaded post comments
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../src/app');
+const Post = require('../../src/models/Post');
+const User = require('../../src/models/User');
+const Comment = require('../../src/models/Comment');
+const { generateToken } = require('../../src/utils/auth');
+
+let mongoServer;
+let authorToken;
+let commenterToken;
+let otherToken;
+let adminToken;
+let authorId;
+let postId;
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+
+  const author = await User.create({
+    username: 'postauthor',
+    email: 'author@example.com',
+    password: 'password123',
+  });
+  const commenter = await User.create({
+    username: 'commenter',
+    email: 'commenter@example.com',
+    password: 'password123',
+  });
+  const other = await User.create({
+    username: 'bystander',
+    email: 'bystander@example.com',
+    password: 'password123',
+  });
+  const admin = await User.create({
+    username: 'commentadmin',
+    email: 'commentadmin@example.com',
+    password: 'password123',
+    role: 'admin',
+  });
+  authorId = author._id;
+  authorToken = generateToken(author);
+  adminToken = generateToken(admin);
+  commenterToken = generateToken(commenter);
+  otherToken = generateToken(other);
+
+  const post = await Post.create({
+    title: 'Discussed Post',
+    content: 'This post exists to be discussed',
+    author: author._id,
+    category: new mongoose.Types.ObjectId(),
+    slug: 'discussed-post',
+    status: 'published',
+  });
+  postId = post._id;
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+afterEach(async () => {
+  await Comment.deleteMany({});
+  await Post.updateOne({ _id: postId }, { commentCount: 0 });
+});
+
+const addComment = (token, data) => request(app)
+  .post(`/api/posts/${postId}/comments`)
+  .set('Authorization', `Bearer ${token}`)
+  .send(data);
+
+describe('POST /api/posts/:id/comments', () => {
+  it('should add a top-level comment and bump commentCount', async () => {
+    const res = await addComment(commenterToken, { content: 'First!' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.comment.depth).toBe(0);
+
+    const post = await Post.findById(postId);
+    expect(post.commentCount).toBe(1);
+  });
+
+  it('should nest replies under their parent', async () => {
+    const parent = await addComment(commenterToken, { content: 'Parent' });
+    await addComment(authorToken, { content: 'Reply', parent: parent.body.data.comment._id });
+
+    const res = await request(app).get(`/api/posts/${postId}/comments`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.comments).toHaveLength(1);
+    expect(res.body.data.comments[0].replies).toHaveLength(1);
+    expect(res.body.data.comments[0].replies[0].content).toBe('Reply');
+  });
+
+  it('should return 401 if not authenticated', async () => {
+    const res = await request(app)
+      .post(`/api/posts/${postId}/comments`)
+      .send({ content: 'Anonymous' });
+
+    expect(res.status).toBe(401);
+  });
+});
+
+describe('GET /api/posts/:id/comments', () => {
+  it('should hide comments on posts the caller may not see', async () => {
+    const draft = await Post.create({
+      title: 'Draft Post',
+      content: 'Not out yet',
+      author: authorId,
+      category: new mongoose.Types.ObjectId(),
+      slug: 'draft-post',
+      status: 'draft',
+    });
+
+    try {
+      await request(app).get(`/api/posts/${draft._id}/comments`).expect(404);
+      await request(app)
+        .get(`/api/posts/${draft._id}/comments`)
+        .set('Authorization', `Bearer ${otherToken}`)
+        .expect(404);
+      await request(app)
+        .get(`/api/posts/${draft._id}/comments`)
+        .set('Authorization', `Bearer ${authorToken}`)
+        .expect(200);
+    } finally {
+      await Post.deleteOne({ _id: draft._id });
+    }
+  });
+
+  it('should count concurrent comments without losing any', async () => {
+    await Promise.all([1, 2, 3, 4, 5].map(n => addComment(commenterToken, { content: `Comment ${n}` }).expect(201)));
+
+    const post = await Post.findById(postId);
+    expect(post.commentCount).toBe(5);
+  });
+});
+
+describe('PUT /api/posts/:id/comments/:commentId', () => {
+  it('should keep the previous content in the edit history', async () => {
+    const created = await addComment(commenterToken, { content: 'Original' });
+    const commentId = created.body.data.comment._id;
+
+    const res = await request(app)
+      .put(`/api/posts/${postId}/comments/${commentId}`)
+      .set('Authorization', `Bearer ${commenterToken}`)
+      .send({ content: 'Edited' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.comment.isEdited).toBe(true);
+
+    const history = await request(app).get(`/api/posts/${postId}/comments/${commentId}/history`);
+    expect(history.body.data.current).toBe('Edited');
+    expect(history.body.data.history[0].content).toBe('Original');
+  });
+
+  it('should hide the history of comments on posts the caller may not see', async () => {
+    const created = await addComment(commenterToken, { content: 'Said before archiving' });
+    const commentId = created.body.data.comment._id;
+    await Post.updateOne({ _id: postId }, { status: 'archived' });
+
+    try {
+      await request(app).get(`/api/posts/${postId}/comments/${commentId}/history`).expect(404);
+      await request(app)
+        .get(`/api/posts/${postId}/comments/${commentId}/history`)
+        .set('Authorization', `Bearer ${authorToken}`)
+        .expect(200);
+    } finally {
+      await Post.updateOne({ _id: postId }, { status: 'published' });
+    }
+  });
+
+  it('should return 403 for other users', async () => {
+    const created = await addComment(commenterToken, { content: 'Mine' });
+
+    const res = await request(app)
+      .put(`/api/posts/${postId}/comments/${created.body.data.comment._id}`)
+      .set('Authorization', `Bearer ${otherToken}`)
+      .send({ content: 'Hijacked' });
+
+    expect(res.status).toBe(403);
+  });
+});
+
+describe('DELETE /api/posts/:id/comments/:commentId', () => {
+  it('should let the post author soft delete a comment', async () => {
+    const created = await addComment(commenterToken, { content: 'Off topic' });
+    const commentId = created.body.data.comment._id;
+
+    const res = await request(app)
+      .delete(`/api/posts/${postId}/comments/${commentId}`)
+      .set('Authorization', `Bearer ${authorToken}`);
+
+    expect(res.status).toBe(200);
+
+    const comment = await Comment.findById(commentId);
+    expect(comment.isDeleted).toBe(true);
+
+    const list = await request(app).get(`/api/posts/${postId}/comments`);
+    expect(list.body.data.comments[0].content).toBeNull();
+  });
+
+  it('should return 403 for users who are neither comment nor post author', async () => {
+    const created = await addComment(commenterToken, { content: 'Keep me' });
+
+    const res = await request(app)
+      .delete(`/api/posts/${postId}/comments/${created.body.data.comment._id}`)
+      .set('Authorization', `Bearer ${otherToken}`);
+
+    expect(res.status).toBe(403);
+  });
+});
+
+describe('Deleting a commenter', () => {
+  it('should soft delete their comments and correct commentCount', async () => {
+    const leaver = await User.create({
+      username: 'leaver',
+      email: 'leaver@example.com',
+      password: 'password123',
+    });
+    const leaverToken = generateToken(leaver);
+
+    await addComment(leaverToken, { content: 'First' }).expect(201);
+    await addComment(leaverToken, { content: 'Second' }).expect(201);
+    await addComment(commenterToken, { content: 'Staying' }).expect(201);
+
+    await request(app)
+      .delete(`/api/users/${leaver._id}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+
+    expect((await Post.findById(postId)).commentCount).toBe(1);
+    expect(await Comment.countDocuments({ author: leaver._id, isDeleted: false })).toBe(0);
+
+    const list = await request(app).get(`/api/posts/${postId}/comments`);
+    expect(list.body.data.comments.filter(comment => comment.content === null)).toHaveLength(2);
+  });
+});
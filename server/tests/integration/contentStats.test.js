@@ -0,0 +1,121 @@
+// contentStats.test.js - Integration tests for post content statistics
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../src/app');
+const Post = require('../../src/models/Post');
+const User = require('../../src/models/User');
+const { generateToken } = require('../../src/utils/auth');
+
+let mongoServer;
+let author;
+let authorToken;
+const categoryId = new mongoose.Types.ObjectId();
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+
+  author = await User.create({
+    username: 'statsauthor',
+    email: 'statsauthor@example.com',
+    password: 'password123',
+  });
+  authorToken = generateToken(author);
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+afterEach(async () => {
+  await Post.deleteMany({});
+});
+
+const publish = (slug, content) => Post.create({
+  title: `Post ${slug}`,
+  content,
+  author: author._id,
+  category: categoryId,
+  slug,
+  status: 'published',
+});
+
+describe('Content statistics', () => {
+  it('should store statistics on save and refresh them on update', async () => {
+    const post = await publish('stats-post', '# Title\n\none\ntwo\nthree [link](https://example.com)');
+
+    expect(post.wordCount).toBe(5);
+    expect(post.readingTime).toBe(1);
+    expect(post.outline).toHaveLength(1);
+    expect(post.links[0].href).toBe('https://example.com');
+
+    await request(app)
+      .put(`/api/posts/${post._id}`)
+      .set('Authorization', `Bearer ${authorToken}`)
+      .send({ content: 'word '.repeat(450) })
+      .expect(200);
+
+    const updated = await Post.findById(post._id);
+    expect(updated.wordCount).toBe(450);
+    expect(updated.readingTime).toBe(3);
+    expect(updated.outline).toHaveLength(0);
+  });
+
+  it('should return a nested table of contents with a single post', async () => {
+    const post = await publish('toc-post', '# Guide\n\n## Setup\n\n### Linux\n\n## Usage\n\nSome text here.');
+
+    const res = await request(app)
+      .get(`/api/posts/${post._id}`)
+      .expect(200);
+
+    const { toc } = res.body.data.post;
+    expect(toc).toHaveLength(1);
+    expect(toc[0]).toMatchObject({ text: 'Guide', id: 'guide' });
+    expect(toc[0].children.map(entry => entry.id)).toEqual(['setup', 'usage']);
+    expect(toc[0].children[0].children[0].id).toBe('linux');
+  });
+
+  it('should sort and filter listings by length', async () => {
+    await publish('short-post', 'A short post body.');
+    await publish('long-post', 'word '.repeat(700));
+    await publish('medium-post', 'word '.repeat(300));
+
+    const sorted = await request(app)
+      .get('/api/posts?sortBy=wordCount&sortOrder=asc')
+      .expect(200);
+    expect(sorted.body.data.posts.map(post => post.slug)).toEqual(['short-post', 'medium-post', 'long-post']);
+
+    const filtered = await request(app)
+      .get('/api/posts?minReadingTime=2&maxReadingTime=3')
+      .expect(200);
+    expect(filtered.body.data.posts.map(post => post.slug)).toEqual(['medium-post']);
+
+    const searched = await request(app)
+      .get('/api/posts/search?maxWords=10')
+      .expect(200);
+    expect(searched.body.data.posts.map(post => post.slug)).toEqual(['short-post']);
+  });
+
+  it('should reject malformed statistic filters', async () => {
+    await request(app)
+      .get('/api/posts?minWords=lots')
+      .expect(400);
+  });
+
+  it('should fill in statistics for posts saved before they existed', async () => {
+    const post = await publish('legacy-post', 'Old content with five words.');
+    await Post.collection.updateOne(
+      { _id: post._id },
+      { $unset: { wordCount: '', readingTime: '', renderVersion: '', contentHtml: '' } }
+    );
+
+    expect(await Post.renderStale()).toBe(1);
+
+    const stored = await Post.collection.findOne({ _id: post._id });
+    expect(stored.wordCount).toBe(5);
+    expect(stored.readingTime).toBe(1);
+  });
+});
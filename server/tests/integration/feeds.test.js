@@ -0,0 +1,252 @@
+// feeds.test.js - Integration tests for RSS, Atom and JSON Feed output
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../src/app');
+const Post = require('../../src/models/Post');
+const User = require('../../src/models/User');
+const Category = require('../../src/models/Category');
+const FeedState = require('../../src/models/FeedState');
+const { generateToken } = require('../../src/utils/auth');
+
+let mongoServer;
+let author;
+let otherAuthor;
+let tech;
+let web;
+let cooking;
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+
+  author = await User.create({
+    username: 'feedauthor',
+    email: 'feedauthor@example.com',
+    password: 'password123',
+    profile: { firstName: 'Ada', lastName: 'Lovelace' },
+  });
+  otherAuthor = await User.create({
+    username: 'feedother',
+    email: 'feedother@example.com',
+    password: 'password123',
+  });
+
+  tech = await Category.create({ name: 'Tech' });
+  web = await Category.create({ name: 'Web', parent: tech._id });
+  cooking = await Category.create({ name: 'Cooking' });
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+afterEach(async () => {
+  await Post.deleteMany({});
+  await FeedState.deleteMany({});
+});
+
+const makePost = (slug, fields = {}) => Post.create({
+  title: `Post ${slug}`,
+  content: `# Heading\n\nContent for **${slug}**`,
+  author: author._id,
+  category: tech._id,
+  slug,
+  status: 'published',
+  ...fields,
+});
+
+// Move a post's last edit into the past, as saving sets it to now
+const backdate = (post, date) => Post.updateOne({ _id: post._id }, { contentUpdatedAt: date }, { timestamps: false });
+
+// supertest only buffers text and JSON bodies by default
+const getText = (url) => request(app)
+  .get(url)
+  .buffer(true)
+  .parse((res, callback) => {
+    res.setEncoding('utf8');
+    let data = '';
+    res.on('data', chunk => { data += chunk; });
+    res.on('end', () => callback(null, data));
+  });
+
+describe('GET /api/feeds/:format', () => {
+  it('should serve published posts as RSS, newest first', async () => {
+    await makePost('older', { publishedAt: new Date('2024-01-01') });
+    await makePost('newer', { publishedAt: new Date('2024-02-01') });
+    await makePost('a-draft', { status: 'draft' });
+
+    const res = await getText('/api/feeds/rss').expect(200);
+
+    expect(res.headers['content-type']).toBe('application/rss+xml; charset=utf-8');
+    expect(res.body).toContain('<rss version="2.0"');
+    expect(res.body).toContain('<dc:creator>Ada Lovelace</dc:creator>');
+    expect(res.body).toContain('&lt;h1 id=&quot;heading&quot;&gt;');
+    expect(res.body).not.toContain('a-draft');
+    expect(res.body.indexOf('/p/newer')).toBeLessThan(res.body.indexOf('/p/older'));
+  });
+
+  it('should serve Atom and JSON Feed', async () => {
+    await makePost('only-post', { tags: ['react'] });
+
+    const atom = await getText('/api/feeds/atom').expect(200);
+    expect(atom.headers['content-type']).toBe('application/atom+xml; charset=utf-8');
+    expect(atom.body).toContain('<category term="react"/>');
+
+    const json = await getText('/api/feeds/json').expect(200);
+    expect(json.headers['content-type']).toBe('application/feed+json; charset=utf-8');
+    const parsed = JSON.parse(json.body);
+    expect(parsed.items).toHaveLength(1);
+    expect(parsed.items[0].url).toMatch(/\/p\/only-post$/);
+    expect(parsed.items[0].tags).toEqual(['Tech', 'react']);
+  });
+
+  it('should 404 for unknown formats', async () => {
+    await request(app).get('/api/feeds/xml').expect(404);
+  });
+});
+
+describe('Feed variants', () => {
+  it('should filter by category, including subcategories', async () => {
+    await makePost('in-tech');
+    await makePost('in-web', { category: web._id });
+    await makePost('in-cooking', { category: cooking._id });
+
+    const res = await getText(`/api/feeds/categories/${tech.slug}/json`).expect(200);
+    const slugs = JSON.parse(res.body).items.map(item => item.url.split('/').pop());
+
+    expect(slugs.sort()).toEqual(['in-tech', 'in-web']);
+    await request(app).get('/api/feeds/categories/no-such-category/rss').expect(404);
+  });
+
+  it('should filter by tag', async () => {
+    await makePost('tagged', { tags: ['react'] });
+    await makePost('untagged', { tags: ['vue'] });
+
+    const res = await getText('/api/feeds/tags/react/json').expect(200);
+    const items = JSON.parse(res.body).items;
+
+    expect(items).toHaveLength(1);
+    expect(items[0].url).toMatch(/\/p\/tagged$/);
+  });
+
+  it('should filter by author', async () => {
+    await makePost('mine');
+    await makePost('theirs', { author: otherAuthor._id });
+
+    const res = await getText('/api/feeds/authors/feedother/atom').expect(200);
+
+    expect(res.body).toContain('/p/theirs');
+    expect(res.body).not.toContain('/p/mine');
+    await request(app).get('/api/feeds/authors/nobody/atom').expect(404);
+  });
+});
+
+describe('Conditional requests', () => {
+  it('should send validators and answer 304 when nothing changed', async () => {
+    const post = await makePost('cached', { publishedAt: new Date('2024-01-01T00:00:00Z') });
+    await backdate(post, new Date('2024-01-02T00:00:00Z'));
+
+    const first = await getText('/api/feeds/rss').expect(200);
+    const { etag } = first.headers;
+
+    expect(etag).toMatch(/^W\//);
+    expect(first.headers['last-modified']).toBe(new Date('2024-01-02T00:00:00Z').toUTCString());
+    expect(first.headers['cache-control']).toBe('public, max-age=300');
+
+    const byEtag = await request(app)
+      .get('/api/feeds/rss')
+      .set('If-None-Match', etag)
+      .expect(304);
+    expect(byEtag.text).toBeFalsy();
+
+    await request(app)
+      .get('/api/feeds/rss')
+      .set('If-Modified-Since', first.headers['last-modified'])
+      .expect(304);
+  });
+
+  it('should move Last-Modified and the item date when an older post is edited', async () => {
+    const older = await makePost('older', { publishedAt: new Date('2024-01-01T00:00:00Z') });
+    const newer = await makePost('newer', { publishedAt: new Date('2024-02-01T00:00:00Z') });
+    await backdate(older, new Date('2024-01-01T00:00:00Z'));
+    await backdate(newer, new Date('2024-02-01T00:00:00Z'));
+    const first = await getText('/api/feeds/json').expect(200);
+
+    const edited = await Post.findById(older._id);
+    edited.content = 'Rewritten content for the older post';
+    await edited.save();
+
+    const res = await getText('/api/feeds/json')
+      .set('If-Modified-Since', first.headers['last-modified'])
+      .expect(200);
+    const item = JSON.parse(res.body).items.find(entry => entry.url.endsWith('/p/older'));
+
+    expect(new Date(res.headers['last-modified']).getTime()).toBeGreaterThan(new Date(first.headers['last-modified']).getTime());
+    expect(item.date_published).toBe('2024-01-01T00:00:00.000Z');
+    expect(item.date_modified).toBe(edited.contentUpdatedAt.toISOString());
+  });
+
+  it('should send the feed again after a post is edited, but not after it is viewed', async () => {
+    const post = await makePost('changing');
+    const { etag } = (await getText('/api/feeds/atom').expect(200)).headers;
+
+    await request(app).get(`/api/posts/${post._id}`).expect(200);
+    await request(app)
+      .get('/api/feeds/atom')
+      .set('If-None-Match', etag)
+      .expect(304);
+
+    post.title = 'A new title';
+    await post.save();
+    await getText('/api/feeds/atom')
+      .set('If-None-Match', etag)
+      .expect(200);
+  });
+
+  it('should send the feed again when an older post is unpublished', async () => {
+    const older = await makePost('older', { publishedAt: new Date('2024-01-01T00:00:00Z') });
+    const newer = await makePost('newer', { publishedAt: new Date('2024-02-01T00:00:00Z') });
+    await backdate(older, new Date('2024-01-01T00:00:00Z'));
+    await backdate(newer, new Date('2024-02-01T00:00:00Z'));
+    const first = await getText('/api/feeds/rss').expect(200);
+
+    const archived = await Post.findById(older._id);
+    archived.status = 'archived';
+    await archived.save();
+    const res = await getText('/api/feeds/rss')
+      .set('If-Modified-Since', first.headers['last-modified'])
+      .expect(200);
+
+    expect(res.body).not.toContain('/p/older');
+  });
+
+  it('should send the feed again when a published post is deleted', async () => {
+    const token = generateToken(author);
+    const older = await makePost('older', { publishedAt: new Date('2024-01-01T00:00:00Z') });
+    const newer = await makePost('newer', { publishedAt: new Date('2024-02-01T00:00:00Z') });
+    await backdate(older, new Date('2024-01-01T00:00:00Z'));
+    await backdate(newer, new Date('2024-02-01T00:00:00Z'));
+    const first = await getText('/api/feeds/rss').expect(200);
+
+    await request(app)
+      .delete(`/api/posts/${older._id}`)
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+
+    await getText('/api/feeds/rss')
+      .set('If-Modified-Since', first.headers['last-modified'])
+      .expect(200);
+  });
+
+  it('should use a different ETag for each format', async () => {
+    await makePost('formats');
+
+    const rss = await getText('/api/feeds/rss').expect(200);
+    const json = await getText('/api/feeds/json').expect(200);
+
+    expect(rss.headers.etag).not.toBe(json.headers.etag);
+  });
+});
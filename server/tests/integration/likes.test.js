@@ -0,0 +1,129 @@
+// likes.test.js - Integration tests for post like tracking
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../src/app');
+const Post = require('../../src/models/Post');
+const User = require('../../src/models/User');
+const Like = require('../../src/models/Like');
+const { generateToken } = require('../../src/utils/auth');
+
+let mongoServer;
+let token;
+let userId;
+let postId;
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+  await Like.init();
+
+  const user = await User.create({
+    username: 'likeuser',
+    email: 'like@example.com',
+    password: 'password123',
+  });
+  userId = user._id;
+  token = generateToken(user);
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+beforeEach(async () => {
+  await Like.deleteMany({});
+  await Post.deleteMany({});
+
+  const post = await Post.create({
+    title: 'Likeable Post',
+    content: 'This post exists to be liked',
+    author: userId,
+    category: new mongoose.Types.ObjectId(),
+    slug: 'likeable-post',
+    status: 'published',
+  });
+  postId = post._id;
+});
+
+describe('POST /api/posts/:id/like', () => {
+  it('should like a post on the first call', async () => {
+    const res = await request(app)
+      .post(`/api/posts/${postId}/like`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.hasLiked).toBe(true);
+    expect(res.body.data.likeCount).toBe(1);
+    expect(await Like.countDocuments({ post: postId })).toBe(1);
+  });
+
+  it('should unlike the post on the second call', async () => {
+    await request(app)
+      .post(`/api/posts/${postId}/like`)
+      .set('Authorization', `Bearer ${token}`);
+
+    const res = await request(app)
+      .post(`/api/posts/${postId}/like`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.hasLiked).toBe(false);
+    expect(res.body.data.likeCount).toBe(0);
+    expect(await Like.countDocuments({ post: postId })).toBe(0);
+  });
+
+  it('should keep likeCount in step with the collection under concurrent requests', async () => {
+    await Promise.all(
+      Array.from({ length: 5 }, () => request(app)
+        .post(`/api/posts/${postId}/like`)
+        .set('Authorization', `Bearer ${token}`))
+    );
+
+    const post = await Post.findById(postId);
+    const likes = await Like.countDocuments({ post: postId });
+    expect(post.likeCount).toBe(likes);
+  });
+
+  it('should return 401 if not authenticated', async () => {
+    const res = await request(app).post(`/api/posts/${postId}/like`);
+
+    expect(res.status).toBe(401);
+  });
+});
+
+describe('hasLiked in post responses', () => {
+  it('should report hasLiked for the logged-in user on GET /api/posts/:id', async () => {
+    await Like.toggle(userId, postId);
+
+    const res = await request(app)
+      .get(`/api/posts/${postId}`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.post.hasLiked).toBe(true);
+  });
+
+  it('should report hasLiked as false for anonymous callers', async () => {
+    await Like.toggle(userId, postId);
+
+    const res = await request(app).get(`/api/posts/${postId}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.post.hasLiked).toBe(false);
+  });
+
+  it('should report hasLiked for each post in list responses', async () => {
+    await Like.toggle(userId, postId);
+
+    const res = await request(app)
+      .get('/api/posts')
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    const listed = res.body.data.posts.find(p => p._id === postId.toString());
+    expect(listed.hasLiked).toBe(true);
+  });
+});
@@ -0,0 +1,150 @@
+// listQuery.test.js - Integration tests for list route query validation and status visibility
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../src/app');
+const Post = require('../../src/models/Post');
+const User = require('../../src/models/User');
+const { generateToken } = require('../../src/utils/auth');
+
+let mongoServer;
+let author;
+let authorToken;
+let otherToken;
+let moderatorToken;
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+
+  author = await User.create({ username: 'lister', email: 'lister@example.com', password: 'password123' });
+  const other = await User.create({ username: 'snooper', email: 'snooper@example.com', password: 'password123' });
+  const moderator = await User.create({
+    username: 'listmod',
+    email: 'listmod@example.com',
+    password: 'password123',
+    role: 'moderator',
+  });
+  authorToken = generateToken(author);
+  otherToken = generateToken(other);
+  moderatorToken = generateToken(moderator);
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+beforeEach(async () => {
+  const base = { content: 'Listing content', author: author._id, category: new mongoose.Types.ObjectId() };
+  await Post.create([
+    { ...base, title: 'Published', slug: 'published', status: 'published' },
+    { ...base, title: 'Draft', slug: 'draft', status: 'draft' },
+    { ...base, title: 'Pending', slug: 'pending', status: 'pending' },
+  ]);
+});
+
+afterEach(async () => {
+  await Post.deleteMany({});
+});
+
+describe('Status visibility on list routes', () => {
+  it('should refuse drafts to anonymous callers', async () => {
+    const res = await request(app).get('/api/posts?status=draft');
+
+    expect(res.status).toBe(400);
+    expect(res.body.error.details[0]).toMatchObject({ path: 'status', msg: 'You are not allowed to list draft posts' });
+  });
+
+  it('should refuse another author\'s drafts to signed-in users', async () => {
+    const res = await request(app)
+      .get(`/api/users/${author._id}/posts?status=draft`)
+      .set('Authorization', `Bearer ${otherToken}`);
+
+    expect(res.status).toBe(400);
+  });
+
+  it('should let authors list their own drafts', async () => {
+    const res = await request(app)
+      .get(`/api/posts?author=${author._id}&status=draft`)
+      .set('Authorization', `Bearer ${authorToken}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.posts.map(post => post.title)).toEqual(['Draft']);
+
+    const mine = await request(app)
+      .get('/api/posts/my-posts')
+      .set('Authorization', `Bearer ${authorToken}`);
+    expect(mine.body.data.posts).toHaveLength(3);
+  });
+
+  it('should let moderators list pending posts', async () => {
+    const res = await request(app)
+      .get('/api/posts?status=pending')
+      .set('Authorization', `Bearer ${moderatorToken}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.posts.map(post => post.title)).toEqual(['Pending']);
+  });
+
+  it('should treat an empty status as published rather than every status', async () => {
+    const res = await request(app).get('/api/posts?status=');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.posts.map(post => post.title)).toEqual(['Published']);
+  });
+});
+
+describe('Sort and paging parameters', () => {
+  it('should reject sort fields outside the whitelist', async () => {
+    const res = await request(app).get('/api/posts?sortBy=author.password');
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatchObject({ message: 'Validation failed', statusCode: 400 });
+    expect(res.body.error.details[0].path).toBe('sortBy');
+  });
+
+  it('should reject malformed IDs and paging values', async () => {
+    const res = await request(app).get('/api/posts?category=abc&page=first');
+
+    expect(res.status).toBe(400);
+    expect(res.body.error.details.map(detail => detail.path).sort()).toEqual(['category', 'page']);
+  });
+
+  it('should clamp oversized limits', async () => {
+    const res = await request(app).get('/api/posts?limit=10000&page=0');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.pagination.itemsPerPage).toBe(50);
+    expect(res.body.data.pagination.currentPage).toBe(1);
+  });
+});
+
+describe('GET /api/posts/pending/approval parameters', () => {
+  const listPending = query => request(app)
+    .get(`/api/posts/pending/approval${query}`)
+    .set('Authorization', `Bearer ${moderatorToken}`);
+
+  it('should reject sort fields outside the whitelist', async () => {
+    const res = await listPending('?sortBy=author.password');
+
+    expect(res.status).toBe(400);
+    expect(res.body.error.details.map(detail => detail.path)).toEqual(['sortBy']);
+  });
+
+  it('should report filter and paging errors together', async () => {
+    const res = await listPending('?category=abc&limit=many');
+
+    expect(res.status).toBe(400);
+    expect(res.body.error.details.map(detail => detail.path).sort()).toEqual(['category', 'limit']);
+  });
+
+  it('should clamp oversized limits', async () => {
+    const res = await listPending('?limit=10000&page=0');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.pagination.itemsPerPage).toBe(50);
+    expect(res.body.data.pagination.currentPage).toBe(1);
+  });
+});
@@ -0,0 +1,138 @@
+// markdown.test.js - Integration tests for Markdown rendering of posts
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../src/app');
+const Post = require('../../src/models/Post');
+const User = require('../../src/models/User');
+const { generateToken } = require('../../src/utils/auth');
+
+let mongoServer;
+let author;
+let authorToken;
+const categoryId = new mongoose.Types.ObjectId().toString();
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+
+  author = await User.create({
+    username: 'mdauthor',
+    email: 'mdauthor@example.com',
+    password: 'password123',
+  });
+  authorToken = generateToken(author);
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+afterEach(async () => {
+  await Post.deleteMany({});
+});
+
+const createPost = (fields = {}) => request(app)
+  .post('/api/posts')
+  .set('Authorization', `Bearer ${authorToken}`)
+  .send({
+    title: 'Markdown Post',
+    content: '# Intro\n\nThis is **important** <script>alert(1)</script>',
+    category: categoryId,
+    slug: `markdown-post-${Date.now()}`,
+    ...fields,
+  });
+
+describe('Rendering posts', () => {
+  it('should store sanitized HTML and a text excerpt on create', async () => {
+    const res = await createPost().expect(201);
+
+    const { post } = res.body.data;
+    expect(post.contentHtml).toContain('<h1>Intro</h1>');
+    expect(post.contentHtml).toContain('<strong>important</strong>');
+    expect(post.contentHtml).not.toContain('<script>');
+    expect(post.excerpt).toBe('Intro This is important <script>alert(1)</script>');
+    expect(post.excerptSource).toBe('auto');
+  });
+
+  it('should re-render and refresh a generated excerpt when content changes', async () => {
+    const created = (await createPost().expect(201)).body.data.post;
+
+    const res = await request(app)
+      .put(`/api/posts/${created._id}`)
+      .set('Authorization', `Bearer ${authorToken}`)
+      .send({ content: 'Now with a [link](https://example.com) instead' })
+      .expect(200);
+
+    expect(res.body.data.post.contentHtml).toContain('href="https://example.com"');
+    expect(res.body.data.post.excerpt).toBe('Now with a link instead');
+  });
+
+  it('should keep an excerpt the author wrote', async () => {
+    const created = (await createPost({ excerpt: 'Hand written summary' }).expect(201)).body.data.post;
+    expect(created.excerptSource).toBe('custom');
+
+    const res = await request(app)
+      .put(`/api/posts/${created._id}`)
+      .set('Authorization', `Bearer ${authorToken}`)
+      .send({ content: 'Completely different content now' })
+      .expect(200);
+
+    expect(res.body.data.post.excerpt).toBe('Hand written summary');
+  });
+
+  it('should not let PUT change fields outside the editable set', async () => {
+    const created = (await createPost().expect(201)).body.data.post;
+
+    await request(app)
+      .put(`/api/posts/${created._id}`)
+      .set('Authorization', `Bearer ${authorToken}`)
+      .send({ title: 'Renamed Post', viewCount: 9999, contentHtml: '<script>alert(1)</script>' })
+      .expect(200);
+
+    const post = await Post.findById(created._id);
+    expect(post.title).toBe('Renamed Post');
+    expect(post.viewCount).toBe(0);
+    expect(post.contentHtml).not.toContain('<script>');
+  });
+
+  it('should render posts saved before rendering existed when they are read', async () => {
+    const created = (await createPost().expect(201)).body.data.post;
+    await Post.collection.updateOne(
+      { _id: new mongoose.Types.ObjectId(created._id) },
+      { $unset: { contentHtml: '', renderVersion: '' } }
+    );
+
+    const res = await request(app)
+      .get(`/api/posts/${created._id}`)
+      .set('Authorization', `Bearer ${authorToken}`)
+      .expect(200);
+
+    expect(res.body.data.post.contentHtml).toContain('<h1>Intro</h1>');
+    const stored = await Post.collection.findOne({ _id: new mongoose.Types.ObjectId(created._id) });
+    expect(stored.contentHtml).toContain('<h1>Intro</h1>');
+  });
+});
+
+describe('POST /api/posts/preview', () => {
+  it('should render Markdown without saving anything', async () => {
+    const res = await request(app)
+      .post('/api/posts/preview')
+      .set('Authorization', `Bearer ${authorToken}`)
+      .send({ content: '*draft* <b>raw</b>' })
+      .expect(200);
+
+    expect(res.body.data.html).toBe('<p><em>draft</em> &lt;b&gt;raw&lt;/b&gt;</p>\n');
+    expect(res.body.data.excerpt).toBe('draft <b>raw</b>');
+    expect(await Post.countDocuments()).toBe(0);
+  });
+
+  it('should require authentication', async () => {
+    await request(app)
+      .post('/api/posts/preview')
+      .send({ content: 'hello' })
+      .expect(401);
+  });
+});
@@ -0,0 +1,152 @@
+// moderation.test.js - Integration tests for the moderator role
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../src/app');
+const Post = require('../../src/models/Post');
+const User = require('../../src/models/User');
+const { generateToken } = require('../../src/utils/auth');
+
+let mongoServer;
+let author;
+let moderatorToken;
+let postId;
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+
+  author = await User.create({
+    username: 'queuedauthor',
+    email: 'queuedauthor@example.com',
+    password: 'password123',
+  });
+  const moderator = await User.create({
+    username: 'moderator',
+    email: 'moderator@example.com',
+    password: 'password123',
+    role: 'moderator',
+  });
+  moderatorToken = generateToken(moderator);
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+beforeEach(async () => {
+  const post = await Post.create({
+    title: 'Queued Post',
+    content: 'Waiting for a moderator',
+    author: author._id,
+    category: new mongoose.Types.ObjectId(),
+    slug: 'queued-post',
+    status: 'pending',
+  });
+  postId = post._id;
+});
+
+afterEach(async () => {
+  await Post.deleteMany({});
+});
+
+describe('Moderator permissions', () => {
+  it('should let moderators see the approval queue', async () => {
+    const res = await request(app)
+      .get('/api/posts/pending/approval')
+      .set('Authorization', `Bearer ${moderatorToken}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.posts).toHaveLength(1);
+  });
+
+  it('should let moderators approve and reject posts', async () => {
+    const approve = await request(app)
+      .post(`/api/posts/${postId}/approve`)
+      .set('Authorization', `Bearer ${moderatorToken}`);
+    expect(approve.status).toBe(200);
+
+    const other = await Post.create({
+      title: 'Another Queued Post',
+      content: 'Also waiting for a moderator',
+      author: author._id,
+      category: new mongoose.Types.ObjectId(),
+      slug: 'another-queued-post',
+      status: 'pending',
+    });
+    const reject = await request(app)
+      .post(`/api/posts/${other._id}/reject`)
+      .set('Authorization', `Bearer ${moderatorToken}`)
+      .send({ reason: 'Needs a clearer introduction.' });
+    expect(reject.status).toBe(200);
+  });
+
+  it('should not give moderators admin powers', async () => {
+    const deactivate = await request(app)
+      .post(`/api/users/${author._id}/deactivate`)
+      .set('Authorization', `Bearer ${moderatorToken}`);
+    expect(deactivate.status).toBe(403);
+
+    const deletePost = await request(app)
+      .delete(`/api/posts/${postId}`)
+      .set('Authorization', `Bearer ${moderatorToken}`);
+    expect(deletePost.status).toBe(403);
+  });
+
+  it('should list permissions on the current user', async () => {
+    const res = await request(app)
+      .get('/api/auth/me')
+      .set('Authorization', `Bearer ${moderatorToken}`);
+
+    expect(res.body.data.user.permissions).toEqual(
+      expect.arrayContaining(['posts:review', 'posts:approve', 'posts:reject'])
+    );
+  });
+});
+
+describe('Resubmitting rejected posts', () => {
+  let authorToken;
+
+  beforeAll(async () => {
+    await User.updateOne({ _id: author._id }, { isEmailVerified: true });
+    authorToken = generateToken(author);
+  });
+
+  afterAll(async () => {
+    await User.updateOne({ _id: author._id }, { isEmailVerified: false });
+  });
+
+  it('should put a revised rejected post back in the queue', async () => {
+    await request(app)
+      .post(`/api/posts/${postId}/reject`)
+      .set('Authorization', `Bearer ${moderatorToken}`)
+      .send({ reason: 'Please add sources' })
+      .expect(200);
+
+    await request(app)
+      .put(`/api/posts/${postId}`)
+      .set('Authorization', `Bearer ${authorToken}`)
+      .send({ content: 'Waiting for a moderator, now with sources' })
+      .expect(200);
+
+    const res = await request(app)
+      .post(`/api/posts/${postId}/submit`)
+      .set('Authorization', `Bearer ${authorToken}`)
+      .expect(200);
+
+    expect(res.body.data.post.status).toBe('pending');
+    // Kept so the reviewer can see what was asked for last time
+    expect(res.body.data.post.rejectionReason).toBe('Please add sources');
+  });
+
+  it('should not resubmit posts that are already in the queue', async () => {
+    const res = await request(app)
+      .post(`/api/posts/${postId}/submit`)
+      .set('Authorization', `Bearer ${authorToken}`)
+      .expect(400);
+
+    expect(res.body.error.message).toBe('Only draft or rejected posts can be submitted for approval');
+  });
+});
@@ -0,0 +1,153 @@
+// pagination.test.js - Integration tests for cursor pagination on post listings
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../src/app');
+const Post = require('../../src/models/Post');
+const User = require('../../src/models/User');
+const { generateToken } = require('../../src/utils/auth');
+
+let mongoServer;
+let author;
+let authorToken;
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+
+  author = await User.create({
+    username: 'pager',
+    email: 'pager@example.com',
+    password: 'password123',
+  });
+  authorToken = generateToken(author);
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+beforeEach(async () => {
+  const category = new mongoose.Types.ObjectId();
+  // Two posts share a timestamp so the _id tie-breaker is exercised
+  const timestamps = [1, 2, 2, 3, 4].map(day => new Date(Date.UTC(2024, 0, day)));
+
+  await Post.collection.insertMany(timestamps.map((createdAt, index) => ({
+    title: `Paged Post ${index + 1}`,
+    content: 'Content for pagination testing',
+    slug: `paged-post-${index + 1}`,
+    author: author._id,
+    category,
+    status: 'published',
+    isPublished: true,
+    isApproved: true,
+    publishedAt: createdAt,
+    tags: [],
+    createdAt,
+    updatedAt: createdAt
+  })));
+});
+
+afterEach(async () => {
+  await Post.deleteMany({});
+});
+
+const walkForward = async (url, token) => {
+  const titles = [];
+  let cursor = null;
+  let pages = 0;
+  do {
+    const req = request(app)
+      .get(url)
+      .query(cursor ? { cursor, limit: 2 } : { paginate: 'cursor', limit: 2 });
+    if (token) req.set('Authorization', `Bearer ${token}`);
+    const res = await req;
+    expect(res.status).toBe(200);
+    titles.push(...res.body.data.posts.map(post => post.title));
+    cursor = res.body.data.pagination.nextCursor;
+    pages++;
+  } while (cursor && pages < 10);
+  return { titles, pages };
+};
+
+describe('Cursor pagination', () => {
+  it('should walk GET /api/posts without repeating or skipping posts', async () => {
+    const { titles, pages } = await walkForward('/api/posts');
+
+    expect(pages).toBe(3);
+    expect(titles).toHaveLength(5);
+    expect(new Set(titles).size).toBe(5);
+    expect(titles[0]).toBe('Paged Post 5');
+    expect(titles[4]).toBe('Paged Post 1');
+  });
+
+  it('should not count documents in cursor mode', async () => {
+    const res = await request(app).get('/api/posts?paginate=cursor&limit=2');
+
+    expect(res.body.data.pagination.totalItems).toBeUndefined();
+    expect(res.body.data.pagination.hasNextPage).toBe(true);
+    expect(res.body.data.pagination.hasPrevPage).toBe(false);
+    expect(res.body.data.pagination.prevCursor).toBeNull();
+  });
+
+  it('should go back to the previous page with prevCursor', async () => {
+    const first = await request(app).get('/api/posts?paginate=cursor&limit=2');
+    const second = await request(app)
+      .get('/api/posts')
+      .query({ cursor: first.body.data.pagination.nextCursor, limit: 2 });
+    const back = await request(app)
+      .get('/api/posts')
+      .query({ cursor: second.body.data.pagination.prevCursor, limit: 2 });
+
+    expect(back.status).toBe(200);
+    expect(back.body.data.posts.map(post => post.title))
+      .toEqual(first.body.data.posts.map(post => post.title));
+    expect(back.body.data.pagination.hasPrevPage).toBe(false);
+    expect(back.body.data.pagination.hasNextPage).toBe(true);
+  });
+
+  it('should keep the sort the cursor was issued for', async () => {
+    const first = await request(app).get('/api/posts?paginate=cursor&limit=2&sortBy=createdAt&sortOrder=asc');
+    const second = await request(app)
+      .get('/api/posts')
+      .query({ cursor: first.body.data.pagination.nextCursor, limit: 2 });
+
+    expect(first.body.data.posts.map(post => post.title)).toEqual(['Paged Post 1', expect.any(String)]);
+    expect(second.body.data.posts[1].title).toBe('Paged Post 4');
+  });
+
+  it('should page through /my-posts and /users/:id/posts', async () => {
+    expect((await walkForward('/api/posts/my-posts', authorToken)).titles).toHaveLength(5);
+    expect((await walkForward(`/api/users/${author._id}/posts`)).titles).toHaveLength(5);
+  });
+
+  it('should reject malformed cursors', async () => {
+    const res = await request(app).get('/api/posts?cursor=garbage');
+
+    expect(res.status).toBe(400);
+    expect(res.body.error.details[0].msg).toBe('Invalid cursor');
+  });
+});
+
+describe('Page-number pagination', () => {
+  it('should still return totals and a cursor to continue from', async () => {
+    const res = await request(app).get('/api/posts?page=2&limit=2');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.pagination).toMatchObject({
+      currentPage: 2,
+      totalPages: 3,
+      totalItems: 5,
+      itemsPerPage: 2,
+      hasNextPage: true,
+      hasPrevPage: true
+    });
+
+    const next = await request(app)
+      .get('/api/posts')
+      .query({ cursor: res.body.data.pagination.nextCursor, limit: 2 });
+    expect(next.body.data.posts.map(post => post.title)).toEqual(['Paged Post 1']);
+  });
+});
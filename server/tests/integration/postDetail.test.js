@@ -0,0 +1,157 @@
+// postDetail.test.js - Integration tests for single post lookup and related posts
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../src/app');
+const Post = require('../../src/models/Post');
+const User = require('../../src/models/User');
+const { generateToken } = require('../../src/utils/auth');
+
+let mongoServer;
+let author;
+let authorToken;
+let otherToken;
+let moderatorToken;
+const categoryA = new mongoose.Types.ObjectId();
+const categoryB = new mongoose.Types.ObjectId();
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+
+  author = await User.create({
+    username: 'detailauthor',
+    email: 'detailauthor@example.com',
+    password: 'password123',
+  });
+  authorToken = generateToken(author);
+
+  const other = await User.create({
+    username: 'detailother',
+    email: 'detailother@example.com',
+    password: 'password123',
+  });
+  otherToken = generateToken(other);
+
+  const moderator = await User.create({
+    username: 'detailmoderator',
+    email: 'detailmoderator@example.com',
+    password: 'password123',
+    role: 'moderator',
+  });
+  moderatorToken = generateToken(moderator);
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+afterEach(async () => {
+  await Post.deleteMany({});
+});
+
+const makePost = (slug, fields = {}) => Post.create({
+  title: `Post ${slug}`,
+  content: `Content for ${slug}`,
+  author: author._id,
+  category: categoryA,
+  slug,
+  status: 'published',
+  ...fields,
+});
+
+describe('GET /api/posts/:id', () => {
+  it('should find a post by slug as well as by ID', async () => {
+    const post = await makePost('find-me');
+
+    const bySlug = await request(app).get('/api/posts/find-me').expect(200);
+    expect(bySlug.body.data.post._id).toBe(post._id.toString());
+
+    await request(app).get(`/api/posts/${post._id}`).expect(200);
+    await request(app).get('/api/posts/no-such-post').expect(404);
+  });
+
+  it('should hide unpublished posts from everyone but the author and reviewers', async () => {
+    const draft = await makePost('secret-draft', { status: 'draft' });
+    const pending = await makePost('in-review', { status: 'pending' });
+
+    await request(app).get(`/api/posts/${draft._id}`).expect(404);
+    await request(app)
+      .get(`/api/posts/${draft._id}`)
+      .set('Authorization', `Bearer ${otherToken}`)
+      .expect(404);
+    await request(app)
+      .get(`/api/posts/${draft._id}`)
+      .set('Authorization', `Bearer ${authorToken}`)
+      .expect(200);
+
+    // Reviewers see the queue, but not drafts that were never submitted
+    await request(app)
+      .get(`/api/posts/${pending._id}`)
+      .set('Authorization', `Bearer ${moderatorToken}`)
+      .expect(200);
+    await request(app)
+      .get(`/api/posts/${draft._id}`)
+      .set('Authorization', `Bearer ${moderatorToken}`)
+      .expect(404);
+  });
+
+  it('should not let users like posts they cannot see', async () => {
+    const draft = await makePost('unlikeable', { status: 'draft' });
+
+    await request(app)
+      .post(`/api/posts/${draft._id}/like`)
+      .set('Authorization', `Bearer ${otherToken}`)
+      .expect(404);
+  });
+});
+
+describe('GET /api/posts/:id/related', () => {
+  it('should rank by shared tags, then category, and leave out unpublished posts', async () => {
+    const post = await makePost('origin', { tags: ['react', 'node', 'testing'] });
+    await makePost('two-tags', { tags: ['react', 'node'], category: categoryB });
+    await makePost('one-tag-same-category', { tags: ['react'] });
+    await makePost('one-tag', { tags: ['testing'], category: categoryB });
+    await makePost('same-category-only', { tags: ['cooking'] });
+    await makePost('unrelated', { tags: ['cooking'], category: categoryB });
+    await makePost('draft-match', { tags: ['react', 'node', 'testing'], status: 'draft' });
+
+    const res = await request(app)
+      .get(`/api/posts/${post._id}/related`)
+      .expect(200);
+
+    expect(res.body.data.posts.map(related => related.slug)).toEqual([
+      'two-tags',
+      'one-tag-same-category',
+      'one-tag',
+      'same-category-only'
+    ]);
+    expect(res.body.data.posts[0].sharedTags).toBe(2);
+    expect(res.body.data.posts[0].content).toBeUndefined();
+  });
+
+  it('should respect the limit and validate it', async () => {
+    const post = await makePost('origin', { tags: ['a'] });
+    await makePost('first', { tags: ['a'] });
+    await makePost('second', { tags: ['a'] });
+
+    const res = await request(app)
+      .get(`/api/posts/${post._id}/related?limit=1`)
+      .expect(200);
+    expect(res.body.data.posts).toHaveLength(1);
+
+    await request(app)
+      .get(`/api/posts/${post._id}/related?limit=100`)
+      .expect(400);
+  });
+
+  it('should 404 for posts the caller cannot see', async () => {
+    const draft = await makePost('hidden-origin', { status: 'draft' });
+
+    await request(app)
+      .get(`/api/posts/${draft._id}/related`)
+      .expect(404);
+  });
+});
@@ -0,0 +1,234 @@
+// rejectionTemplates.test.js - Integration tests for rejection templates and reason reports
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../src/app');
+const Post = require('../../src/models/Post');
+const User = require('../../src/models/User');
+const RejectionTemplate = require('../../src/models/RejectionTemplate');
+const PostRejection = require('../../src/models/PostRejection');
+const { generateToken } = require('../../src/utils/auth');
+
+let mongoServer;
+let author;
+let adminToken;
+let moderatorToken;
+let authorToken;
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+
+  author = await User.create({
+    username: 'templateauthor',
+    email: 'templateauthor@example.com',
+    password: 'password123',
+  });
+  authorToken = generateToken(author);
+
+  const moderator = await User.create({
+    username: 'templatemoderator',
+    email: 'templatemoderator@example.com',
+    password: 'password123',
+    role: 'moderator',
+  });
+  moderatorToken = generateToken(moderator);
+
+  const admin = await User.create({
+    username: 'templateadmin',
+    email: 'templateadmin@example.com',
+    password: 'password123',
+    role: 'admin',
+  });
+  adminToken = generateToken(admin);
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+afterEach(async () => {
+  await Post.deleteMany({});
+  await RejectionTemplate.deleteMany({});
+  await PostRejection.deleteMany({});
+});
+
+const makeTemplate = (fields = {}) => RejectionTemplate.create({
+  title: 'Needs sources',
+  body: 'Please cite sources for the claims in this post.',
+  category: 'sources',
+  ...fields,
+});
+
+const makePending = (slug) => Post.create({
+  title: `Pending ${slug}`,
+  content: `Content for ${slug}`,
+  author: author._id,
+  category: new mongoose.Types.ObjectId(),
+  slug,
+  status: 'pending',
+});
+
+describe('Rejection template CRUD', () => {
+  it('should let admins create, update and delete templates', async () => {
+    const created = await request(app)
+      .post('/api/rejection-templates')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ title: 'Too short', body: 'The post needs more depth before it can run.', category: 'quality' })
+      .expect(201);
+    const id = created.body.data.template._id;
+
+    const updated = await request(app)
+      .put(`/api/rejection-templates/${id}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ title: 'Needs more depth' })
+      .expect(200);
+    expect(updated.body.data.template).toMatchObject({ title: 'Needs more depth', category: 'quality' });
+
+    await request(app)
+      .delete(`/api/rejection-templates/${id}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+    expect(await RejectionTemplate.countDocuments()).toBe(0);
+  });
+
+  it('should let moderators list templates but not manage them', async () => {
+    await makeTemplate();
+    await makeTemplate({ title: 'Duplicate', body: 'This covers the same ground as an existing post.', category: 'duplicate' });
+
+    const res = await request(app)
+      .get('/api/rejection-templates?category=duplicate')
+      .set('Authorization', `Bearer ${moderatorToken}`)
+      .expect(200);
+    expect(res.body.data.templates.map(template => template.title)).toEqual(['Duplicate']);
+
+    await request(app)
+      .post('/api/rejection-templates')
+      .set('Authorization', `Bearer ${moderatorToken}`)
+      .send({ title: 'Nope', body: 'Moderators cannot add templates.' })
+      .expect(403);
+
+    await request(app)
+      .get('/api/rejection-templates')
+      .set('Authorization', `Bearer ${authorToken}`)
+      .expect(403);
+  });
+
+  it('should validate templates', async () => {
+    await makeTemplate();
+
+    const send = body => request(app)
+      .post('/api/rejection-templates')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send(body);
+
+    await send({ title: 'Short body', body: 'Too short' }).expect(400);
+    await send({ title: 'Bad category', body: 'A perfectly long enough body.', category: 'mood' }).expect(400);
+    await send({ title: 'Needs sources', body: 'A second template with a taken title.' }).expect(400);
+  });
+});
+
+describe('Rejecting with a template', () => {
+  it('should send the template body with notes and record the use', async () => {
+    const template = await makeTemplate();
+    const post = await makePending('with-template');
+
+    await request(app)
+      .post(`/api/posts/${post._id}/reject`)
+      .set('Authorization', `Bearer ${moderatorToken}`)
+      .send({ templateId: template._id, notes: 'The benchmark figures in particular.' })
+      .expect(200);
+
+    const rejected = await Post.findById(post._id);
+    expect(rejected.status).toBe('rejected');
+    expect(rejected.rejectionReason).toBe('Please cite sources for the claims in this post.\n\nThe benchmark figures in particular.');
+
+    const refreshed = await RejectionTemplate.findById(template._id);
+    expect(refreshed.usageCount).toBe(1);
+    expect(refreshed.lastUsedAt).not.toBeNull();
+    expect(await PostRejection.countDocuments({ template: template._id })).toBe(1);
+  });
+
+  it('should reject unknown templates, over-long notes and mixed reasons', async () => {
+    const template = await makeTemplate();
+    const post = await makePending('invalid');
+    const reject = body => request(app)
+      .post(`/api/posts/${post._id}/reject`)
+      .set('Authorization', `Bearer ${moderatorToken}`)
+      .send(body);
+
+    await reject({ templateId: new mongoose.Types.ObjectId() }).expect(400);
+    await reject({ templateId: template._id, notes: 'x'.repeat(480) }).expect(400);
+    await reject({ templateId: template._id, reason: 'A typed reason as well as a template.' }).expect(400);
+    await reject({ reason: 'A typed reason with notes.', notes: 'Notes need a template.' }).expect(400);
+
+    expect((await Post.findById(post._id)).status).toBe('pending');
+  });
+
+  it('should use a shared template in bulk rejections', async () => {
+    const template = await makeTemplate();
+    const first = await makePending('first');
+    const second = await makePending('second');
+
+    await request(app)
+      .post('/api/posts/bulk/moderate')
+      .set('Authorization', `Bearer ${moderatorToken}`)
+      .send({
+        action: 'reject',
+        ids: [first._id, second._id],
+        templateId: template._id,
+        reasons: { [second._id]: 'This duplicates an existing post.' }
+      })
+      .expect(200);
+
+    expect((await Post.findById(first._id)).rejectionReason).toBe(template.body);
+    expect((await Post.findById(second._id)).rejectionReason).toBe('This duplicates an existing post.');
+    expect((await RejectionTemplate.findById(template._id)).usageCount).toBe(1);
+  });
+});
+
+describe('GET /api/rejection-templates/reports/usage', () => {
+  it('should rank templates by use and group hand-typed reasons', async () => {
+    const sources = await makeTemplate();
+    const duplicate = await makeTemplate({ title: 'Duplicate', body: 'This covers the same ground as an existing post.', category: 'duplicate' });
+
+    const reject = async (slug, body) => {
+      const post = await makePending(slug);
+      await request(app)
+        .post(`/api/posts/${post._id}/reject`)
+        .set('Authorization', `Bearer ${moderatorToken}`)
+        .send(body)
+        .expect(200);
+    };
+
+    await reject('one', { templateId: sources._id });
+    await reject('two', { templateId: sources._id, notes: 'Especially the quotes.' });
+    await reject('three', { templateId: duplicate._id });
+    await reject('four', { reason: 'A reason typed out by hand.' });
+
+    // Renaming afterwards does not rewrite history
+    await RejectionTemplate.updateOne({ _id: duplicate._id }, { title: 'Already covered' });
+
+    const res = await request(app)
+      .get('/api/rejection-templates/reports/usage')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+
+    expect(res.body.data.total).toBe(4);
+    expect(res.body.data.byTemplate[0]).toMatchObject({ template: sources._id.toString(), title: 'Needs sources', count: 2 });
+    expect(res.body.data.byTemplate).toEqual(expect.arrayContaining([
+      expect.objectContaining({ template: duplicate._id.toString(), title: 'Duplicate', count: 1 }),
+      expect.objectContaining({ template: null, title: null, count: 1 })
+    ]));
+    expect(res.body.data.byCategory[0]).toEqual({ category: 'sources', count: 2 });
+  });
+
+  it('should require the stats permission', async () => {
+    await request(app)
+      .get('/api/rejection-templates/reports/usage')
+      .set('Authorization', `Bearer ${moderatorToken}`)
+      .expect(403);
+  });
+});
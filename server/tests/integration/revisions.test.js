@@ -0,0 +1,136 @@
+// revisions.test.js - Integration tests for post revision history
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../src/app');
+const Post = require('../../src/models/Post');
+const User = require('../../src/models/User');
+const PostRevision = require('../../src/models/PostRevision');
+const { generateToken } = require('../../src/utils/auth');
+
+let mongoServer;
+let author;
+let authorToken;
+let adminToken;
+let otherToken;
+let postId;
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+
+  author = await User.create({
+    username: 'reviser',
+    email: 'reviser@example.com',
+    password: 'password123',
+    isEmailVerified: true,
+  });
+  const admin = await User.create({
+    username: 'revisionadmin',
+    email: 'revisionadmin@example.com',
+    password: 'password123',
+    role: 'admin',
+  });
+  const other = await User.create({
+    username: 'snoop',
+    email: 'snoop@example.com',
+    password: 'password123',
+  });
+  authorToken = generateToken(author);
+  adminToken = generateToken(admin);
+  otherToken = generateToken(other);
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+beforeEach(async () => {
+  const post = await Post.create({
+    title: 'First Draft',
+    content: 'Line one\nLine two',
+    author: author._id,
+    category: new mongoose.Types.ObjectId(),
+    slug: 'first-draft',
+  });
+  postId = post._id;
+});
+
+afterEach(async () => {
+  await Post.deleteMany({});
+  await PostRevision.deleteMany({});
+});
+
+const updatePost = (data, token = authorToken) => request(app)
+  .put(`/api/posts/${postId}`)
+  .set('Authorization', `Bearer ${token}`)
+  .send(data);
+
+describe('Post revisions', () => {
+  it('should record a revision on every update', async () => {
+    await updatePost({ title: 'Second Draft' });
+    await updatePost({ content: 'Line one\nLine 2' });
+
+    const res = await request(app)
+      .get(`/api/posts/${postId}/revisions`)
+      .set('Authorization', `Bearer ${authorToken}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.revisions.map(revision => revision.revision)).toEqual([3, 2, 1]);
+  });
+
+  it('should diff two revisions field by field', async () => {
+    await updatePost({ title: 'Second Draft', content: 'Line one\nLine 2' });
+
+    const res = await request(app)
+      .get(`/api/posts/${postId}/revisions/diff?from=1&to=2`)
+      .set('Authorization', `Bearer ${authorToken}`);
+
+    expect(res.status).toBe(200);
+    const fields = res.body.data.diff.fields.map(change => change.field);
+    expect(fields).toEqual(expect.arrayContaining(['title', 'content']));
+
+    const content = res.body.data.diff.fields.find(change => change.field === 'content');
+    expect(content.lines).toContainEqual({ type: 'added', value: 'Line 2' });
+  });
+
+  it('should diff against the last rejected revision', async () => {
+    await request(app).post(`/api/posts/${postId}/submit`).set('Authorization', `Bearer ${authorToken}`);
+    await request(app)
+      .post(`/api/posts/${postId}/reject`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ reason: 'Please expand the second line.' });
+
+    await updatePost({ content: 'Line one\nA much longer second line' });
+
+    const res = await request(app)
+      .get(`/api/posts/${postId}/revisions/diff?from=reviewed`)
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.review.decision).toBe('rejected');
+    expect(res.body.data.diff.fields.map(change => change.field)).toContain('content');
+  });
+
+  it('should restore an earlier revision as a new revision', async () => {
+    await updatePost({ title: 'Second Draft' });
+
+    const res = await request(app)
+      .post(`/api/posts/${postId}/revisions/1/restore`)
+      .set('Authorization', `Bearer ${authorToken}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.post.title).toBe('First Draft');
+    expect(res.body.data.revision).toBe(3);
+  });
+
+  it('should hide revisions from other users', async () => {
+    const res = await request(app)
+      .get(`/api/posts/${postId}/revisions`)
+      .set('Authorization', `Bearer ${otherToken}`);
+
+    expect(res.status).toBe(403);
+  });
+});
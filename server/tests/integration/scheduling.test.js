@@ -0,0 +1,128 @@
+// scheduling.test.js - Integration tests for scheduled publishing
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../src/app');
+const Post = require('../../src/models/Post');
+const User = require('../../src/models/User');
+const { generateToken } = require('../../src/utils/auth');
+const { createScheduler } = require('../../src/utils/scheduler');
+
+let mongoServer;
+let author;
+let authorToken;
+let adminToken;
+let postId;
+
+const HOUR = 60 * 60 * 1000;
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+
+  author = await User.create({
+    username: 'scheduler',
+    email: 'scheduler@example.com',
+    password: 'password123',
+    isEmailVerified: true,
+  });
+  const admin = await User.create({
+    username: 'scheduleadmin',
+    email: 'scheduleadmin@example.com',
+    password: 'password123',
+    role: 'admin',
+  });
+  authorToken = generateToken(author);
+  adminToken = generateToken(admin);
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+beforeEach(async () => {
+  const post = await Post.create({
+    title: 'Timed Post',
+    content: 'This post should go live later',
+    author: author._id,
+    category: new mongoose.Types.ObjectId(),
+    slug: 'timed-post',
+  });
+  postId = post._id;
+});
+
+afterEach(async () => {
+  await Post.deleteMany({});
+});
+
+const submit = (data = {}) => request(app)
+  .post(`/api/posts/${postId}/submit`)
+  .set('Authorization', `Bearer ${authorToken}`)
+  .send(data);
+
+const approve = (data = {}) => request(app)
+  .post(`/api/posts/${postId}/approve`)
+  .set('Authorization', `Bearer ${adminToken}`)
+  .send(data);
+
+describe('Scheduled publishing', () => {
+  it('should keep the author\'s requested publish time on approve', async () => {
+    const publishAt = new Date(Date.now() + HOUR).toISOString();
+    await submit({ publishAt });
+
+    const res = await approve();
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.post.status).toBe('scheduled');
+    expect(res.body.data.post.scheduledFor).toBe(publishAt);
+
+    const published = await Post.findPublished();
+    expect(published).toHaveLength(0);
+  });
+
+  it('should let the admin override the requested time', async () => {
+    await submit({ publishAt: new Date(Date.now() + HOUR).toISOString() });
+    const override = new Date(Date.now() + 2 * HOUR).toISOString();
+
+    const res = await approve({ publishAt: override });
+
+    expect(res.body.data.post.scheduledFor).toBe(override);
+  });
+
+  it('should publish immediately when the admin clears the time', async () => {
+    await submit({ publishAt: new Date(Date.now() + HOUR).toISOString() });
+
+    const res = await approve({ publishAt: null });
+
+    expect(res.body.data.post.status).toBe('published');
+  });
+
+  it('should reject publish times in the past', async () => {
+    const res = await submit({ publishAt: new Date(Date.now() - HOUR).toISOString() });
+
+    expect(res.status).toBe(400);
+  });
+
+  it('should flip scheduled posts live once the clock passes their time', async () => {
+    await submit({ publishAt: new Date(Date.now() + HOUR).toISOString() });
+    await approve();
+
+    let now = new Date();
+    const scheduler = createScheduler({ clock: { now: () => now } });
+
+    expect(await scheduler.runDue()).toHaveLength(0);
+
+    now = new Date(Date.now() + 2 * HOUR);
+    const published = await scheduler.runDue();
+
+    expect(published).toHaveLength(1);
+    const post = await Post.findById(postId);
+    expect(post.status).toBe('published');
+    expect(post.isPublished).toBe(true);
+
+    // A second run finds nothing left to do
+    expect(await scheduler.runDue()).toHaveLength(0);
+  });
+});
@@ -0,0 +1,162 @@
+// search.test.js - Integration tests for faceted post search
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../src/app');
+const Category = require('../../src/models/Category');
+const Post = require('../../src/models/Post');
+const User = require('../../src/models/User');
+
+let mongoServer;
+let alice;
+let bob;
+let frontend;
+let react;
+let backend;
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+  await Post.syncIndexes();
+
+  alice = await User.create({ username: 'alice', email: 'alice@example.com', password: 'password123' });
+  bob = await User.create({ username: 'bob', email: 'bob@example.com', password: 'password123' });
+
+  frontend = await Category.create({ name: 'Frontend' });
+  react = await Category.create({ name: 'React', parent: frontend._id });
+  backend = await Category.create({ name: 'Backend' });
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+beforeEach(async () => {
+  const published = { status: 'published', isPublished: true, isApproved: true };
+
+  await Post.create([
+    {
+      ...published,
+      title: 'Getting started with hooks',
+      content: 'Hooks let function components hold state. This guide covers useState and useEffect.',
+      slug: 'getting-started-with-hooks',
+      author: alice._id,
+      category: react._id,
+      tags: ['react', 'hooks'],
+      likeCount: 10,
+      viewCount: 200,
+      publishedAt: new Date('2024-02-01')
+    },
+    {
+      ...published,
+      title: 'CSS layout basics',
+      content: 'Flexbox and grid cover most layouts. No hooks here.',
+      slug: 'css-layout-basics',
+      author: bob._id,
+      category: frontend._id,
+      tags: ['css'],
+      likeCount: 2,
+      viewCount: 50,
+      publishedAt: new Date('2024-01-01')
+    },
+    {
+      ...published,
+      title: 'Webhooks in Express',
+      content: 'Receiving hooks from third parties with an Express server.',
+      slug: 'webhooks-in-express',
+      author: alice._id,
+      category: backend._id,
+      tags: ['express', 'hooks'],
+      likeCount: 5,
+      viewCount: 20,
+      publishedAt: new Date('2024-03-01')
+    },
+    {
+      status: 'published',
+      isPublished: true,
+      isApproved: false,
+      title: 'Unapproved hooks post',
+      content: 'This one has not been approved and must not be counted.',
+      slug: 'unapproved-hooks-post',
+      author: bob._id,
+      category: react._id,
+      tags: ['hooks']
+    }
+  ]);
+});
+
+afterEach(async () => {
+  await Post.deleteMany({});
+});
+
+describe('GET /api/posts/search', () => {
+  it('should return text matches with highlights, facets and totals', async () => {
+    const res = await request(app).get('/api/posts/search?q=hooks');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.pagination.totalItems).toBe(3);
+    expect(res.body.data.posts).toHaveLength(3);
+
+    const post = res.body.data.posts.find(p => p.slug === 'getting-started-with-hooks');
+    expect(post.highlights.title).toContainEqual({ text: 'hooks', highlight: true });
+    expect(post.highlights.snippet.some(segment => segment.highlight)).toBe(true);
+    expect(post.author.username).toBe('alice');
+
+    const tagFacet = res.body.data.facets.tags.find(tag => tag.name === 'hooks');
+    expect(tagFacet.count).toBe(2);
+    const authorFacet = res.body.data.facets.authors.find(a => a.username === 'alice');
+    expect(authorFacet.count).toBe(2);
+    expect(res.body.data.facets.categories.map(c => c.name).sort()).toEqual(['Backend', 'Frontend', 'React']);
+  });
+
+  it('should include subcategories when filtering by category', async () => {
+    const res = await request(app).get(`/api/posts/search?category=${frontend._id}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.posts.map(p => p.slug).sort()).toEqual(['css-layout-basics', 'getting-started-with-hooks']);
+  });
+
+  it('should require every requested tag', async () => {
+    const res = await request(app).get('/api/posts/search?tags=hooks,express');
+
+    expect(res.body.data.posts.map(p => p.slug)).toEqual(['webhooks-in-express']);
+  });
+
+  it('should filter by author username, date range and minimum counts', async () => {
+    const byAuthor = await request(app).get('/api/posts/search?author=bob');
+    expect(byAuthor.body.data.posts.map(p => p.slug)).toEqual(['css-layout-basics']);
+
+    const unknown = await request(app).get('/api/posts/search?author=nobody');
+    expect(unknown.body.data.posts).toHaveLength(0);
+
+    const byDate = await request(app).get('/api/posts/search?from=2024-01-15&to=2024-02-15');
+    expect(byDate.body.data.posts.map(p => p.slug)).toEqual(['getting-started-with-hooks']);
+
+    const popular = await request(app).get('/api/posts/search?minLikes=5&minViews=100');
+    expect(popular.body.data.posts.map(p => p.slug)).toEqual(['getting-started-with-hooks']);
+  });
+
+  it('should sort by the requested field', async () => {
+    const res = await request(app).get('/api/posts/search?sortBy=viewCount&sortOrder=asc');
+
+    expect(res.body.data.posts.map(p => p.viewCount)).toEqual([20, 50, 200]);
+  });
+
+  it('should reject invalid filters', async () => {
+    const res = await request(app).get('/api/posts/search?category=not-an-id&minLikes=-1&sortBy=title');
+
+    expect(res.status).toBe(400);
+    expect(res.body.error.details.map(detail => detail.path).sort()).toEqual(['category', 'minLikes', 'sortBy']);
+  });
+});
+
+describe('GET /api/posts/search/:query', () => {
+  it('should count only approved posts', async () => {
+    const res = await request(app).get('/api/posts/search/hooks');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.pagination.totalItems).toBe(res.body.data.posts.length);
+  });
+});
@@ -0,0 +1,122 @@
+// sessions.test.js - Integration tests for refresh-token sessions
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../src/app');
+const User = require('../../src/models/User');
+const RefreshToken = require('../../src/models/RefreshToken');
+
+let mongoServer;
+
+const credentials = {
+  email: 'session@example.com',
+  password: 'Session123!',
+};
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+
+  await User.create({
+    username: 'sessionuser',
+    email: credentials.email,
+    password: credentials.password,
+  });
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+afterEach(async () => {
+  await RefreshToken.deleteMany({});
+});
+
+const login = () => request(app).post('/api/auth/login').send(credentials);
+
+describe('POST /api/auth/refresh', () => {
+  it('should rotate the refresh token on every call', async () => {
+    const { body } = await login();
+
+    const res = await request(app)
+      .post('/api/auth/refresh')
+      .send({ refreshToken: body.data.refreshToken });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.token).toBeDefined();
+    expect(res.body.data.refreshToken).not.toBe(body.data.refreshToken);
+  });
+
+  it('should revoke the whole family when an old token is reused', async () => {
+    const { body } = await login();
+    const first = body.data.refreshToken;
+
+    const rotated = await request(app).post('/api/auth/refresh').send({ refreshToken: first });
+    const reuse = await request(app).post('/api/auth/refresh').send({ refreshToken: first });
+    expect(reuse.status).toBe(401);
+
+    // The legitimately rotated token is now dead as well
+    const afterReuse = await request(app)
+      .post('/api/auth/refresh')
+      .send({ refreshToken: rotated.body.data.refreshToken });
+    expect(afterReuse.status).toBe(401);
+
+    const me = await request(app)
+      .get('/api/auth/me')
+      .set('Authorization', `Bearer ${rotated.body.data.token}`);
+    expect(me.status).toBe(401);
+  });
+});
+
+describe('POST /api/auth/logout', () => {
+  it('should invalidate the session and its access token', async () => {
+    const { body } = await login();
+
+    await request(app)
+      .post('/api/auth/logout')
+      .set('Authorization', `Bearer ${body.data.token}`);
+
+    const me = await request(app)
+      .get('/api/auth/me')
+      .set('Authorization', `Bearer ${body.data.token}`);
+    expect(me.status).toBe(401);
+
+    const refresh = await request(app)
+      .post('/api/auth/refresh')
+      .send({ refreshToken: body.data.refreshToken });
+    expect(refresh.status).toBe(401);
+  });
+});
+
+describe('Session management', () => {
+  it('should list active sessions and mark the current one', async () => {
+    const first = await login();
+    await login();
+
+    const res = await request(app)
+      .get('/api/auth/sessions')
+      .set('Authorization', `Bearer ${first.body.data.token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.sessions).toHaveLength(2);
+    expect(res.body.data.sessions.filter(s => s.current)).toHaveLength(1);
+  });
+
+  it('should revoke every session on logout-all', async () => {
+    const first = await login();
+    const second = await login();
+
+    const res = await request(app)
+      .post('/api/auth/logout-all')
+      .set('Authorization', `Bearer ${first.body.data.token}`);
+
+    expect(res.status).toBe(200);
+
+    const me = await request(app)
+      .get('/api/auth/me')
+      .set('Authorization', `Bearer ${second.body.data.token}`);
+    expect(me.status).toBe(401);
+  });
+});
@@ -0,0 +1,174 @@
+// slugs.test.js - Integration tests for generated slugs and old-slug redirects
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../src/app');
+const Post = require('../../src/models/Post');
+const User = require('../../src/models/User');
+const SlugRedirect = require('../../src/models/SlugRedirect');
+const { generateToken } = require('../../src/utils/auth');
+
+let mongoServer;
+let author;
+let token;
+const categoryId = new mongoose.Types.ObjectId().toString();
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+
+  author = await User.create({
+    username: 'slugauthor',
+    email: 'slugauthor@example.com',
+    password: 'password123',
+  });
+  token = generateToken(author);
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+afterEach(async () => {
+  await Post.deleteMany({});
+  await SlugRedirect.deleteMany({});
+});
+
+const createPost = (fields = {}) => request(app)
+  .post('/api/posts')
+  .set('Authorization', `Bearer ${token}`)
+  .send({
+    title: 'My First Post',
+    content: 'Some content for the post.',
+    category: categoryId,
+    ...fields
+  });
+
+const updatePost = (id, fields) => request(app)
+  .put(`/api/posts/${id}`)
+  .set('Authorization', `Bearer ${token}`)
+  .send(fields);
+
+describe('Slug generation', () => {
+  it('should generate slugs from titles and de-duplicate them', async () => {
+    const first = await createPost().expect(201);
+    const second = await createPost().expect(201);
+    const third = await createPost({ title: 'My first post!' }).expect(201);
+
+    expect(first.body.data.post.slug).toBe('my-first-post');
+    expect(second.body.data.post.slug).toBe('my-first-post-2');
+    expect(third.body.data.post.slug).toBe('my-first-post-3');
+  });
+
+  it('should give posts created at the same moment distinct slugs', async () => {
+    // The unique index is what catches the clash, so make sure it exists
+    await Post.init();
+
+    const results = await Promise.all([1, 2, 3, 4].map(() => Post.saveWithFreeSlug(new Post({
+      title: 'Breaking News',
+      content: 'Everyone is writing about this.',
+      author: author._id,
+      category: categoryId,
+    }))));
+
+    expect(new Set(results.map(post => post.slug)).size).toBe(4);
+    expect(results.every(post => /^breaking-news(-\d+)?$/.test(post.slug))).toBe(true);
+  });
+
+  it('should still report a clash on a custom slug', async () => {
+    await Post.init();
+    await Post.create({ title: 'Taken', content: 'Holds the slug already.', author: author._id, category: categoryId, slug: 'taken' });
+
+    const clashing = new Post({ title: 'Another', content: 'Wants the same slug.', author: author._id, category: categoryId, slug: 'taken' });
+    await expect(Post.saveWithFreeSlug(clashing)).rejects.toMatchObject({ code: 11000 });
+  });
+
+  it('should keep an explicit slug and reject one already in use', async () => {
+    const res = await createPost({ slug: 'hand-picked' }).expect(201);
+    expect(res.body.data.post.slug).toBe('hand-picked');
+    expect(res.body.data.post.slugSource).toBe('custom');
+
+    const duplicate = await createPost({ slug: 'hand-picked' }).expect(400);
+    expect(duplicate.body.error.message).toBe('Slug already exists');
+  });
+
+  it('should follow title changes but leave custom slugs alone', async () => {
+    const generated = await createPost().expect(201);
+    const custom = await createPost({ title: 'Another Post', slug: 'keep-me' }).expect(201);
+
+    const renamed = await updatePost(generated.body.data.post._id, { title: 'A Better Title' }).expect(200);
+    expect(renamed.body.data.post.slug).toBe('a-better-title');
+
+    const kept = await updatePost(custom.body.data.post._id, { title: 'Renamed Post' }).expect(200);
+    expect(kept.body.data.post.slug).toBe('keep-me');
+  });
+
+  it('should not hand out slugs reserved by another post\'s redirect', async () => {
+    const moved = await createPost({ title: 'Original Name' }).expect(201);
+    await updatePost(moved.body.data.post._id, { title: 'New Name' }).expect(200);
+
+    const newcomer = await createPost({ title: 'Original Name' }).expect(201);
+    expect(newcomer.body.data.post.slug).toBe('original-name-2');
+
+    await createPost({ slug: 'original-name' }).expect(400);
+  });
+});
+
+describe('GET /api/posts/slug/:slug', () => {
+  it('should return a published post by slug', async () => {
+    const created = await createPost({ status: 'published' }).expect(201);
+
+    const res = await request(app).get('/api/posts/slug/my-first-post').expect(200);
+    expect(res.body.data.post._id).toBe(created.body.data.post._id);
+  });
+
+  it('should answer old slugs with a 301 to the current one', async () => {
+    const created = await createPost({ status: 'published' }).expect(201);
+    const id = created.body.data.post._id;
+    await updatePost(id, { title: 'Second Title' }).expect(200);
+    await updatePost(id, { title: 'Third Title' }).expect(200);
+
+    for (const oldSlug of ['my-first-post', 'second-title']) {
+      const res = await request(app).get(`/api/posts/slug/${oldSlug}`).expect(301);
+      expect(res.headers.location).toBe('/api/posts/slug/third-title');
+      expect(res.body.data.slug).toBe('third-title');
+    }
+  });
+
+  it('should release the redirect when a post takes an old slug back', async () => {
+    const created = await createPost({ status: 'published' }).expect(201);
+    const id = created.body.data.post._id;
+    await updatePost(id, { title: 'Temporary Title' }).expect(200);
+    const back = await updatePost(id, { title: 'My First Post' }).expect(200);
+
+    expect(back.body.data.post.slug).toBe('my-first-post');
+    await request(app).get('/api/posts/slug/my-first-post').expect(200);
+    await request(app).get('/api/posts/slug/temporary-title').expect(301);
+  });
+
+  it('should 404 for unknown slugs and for posts the caller cannot see', async () => {
+    await createPost({ title: 'Secret Draft' }).expect(201);
+
+    await request(app).get('/api/posts/slug/nothing-here').expect(404);
+    await request(app).get('/api/posts/slug/secret-draft').expect(404);
+    await request(app)
+      .get('/api/posts/slug/secret-draft')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+  });
+
+  it('should drop redirects when the post is deleted', async () => {
+    const created = await createPost({ status: 'published' }).expect(201);
+    const id = created.body.data.post._id;
+    await updatePost(id, { title: 'Renamed Before Delete' }).expect(200);
+
+    await request(app)
+      .delete(`/api/posts/${id}`)
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+
+    await request(app).get('/api/posts/slug/my-first-post').expect(404);
+  });
+});
@@ -0,0 +1,129 @@
+// tags.test.js - Integration tests for the tag index and admin tag tools
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../src/app');
+const Post = require('../../src/models/Post');
+const User = require('../../src/models/User');
+const { generateToken } = require('../../src/utils/auth');
+
+let mongoServer;
+let author;
+let adminToken;
+let userToken;
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+
+  author = await User.create({
+    username: 'tagger',
+    email: 'tagger@example.com',
+    password: 'password123',
+  });
+  const admin = await User.create({
+    username: 'tagadmin',
+    email: 'tagadmin@example.com',
+    password: 'password123',
+    role: 'admin',
+  });
+  userToken = generateToken(author);
+  adminToken = generateToken(admin);
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+beforeEach(async () => {
+  const category = new mongoose.Types.ObjectId();
+  const base = { content: 'Tagged content for testing', author: author._id, category, status: 'published' };
+
+  await Post.create([
+    { ...base, title: 'React One', slug: 'react-one', tags: ['react', 'javascript'] },
+    { ...base, title: 'React Two', slug: 'react-two', tags: ['react', 'reactjs'] },
+    { ...base, title: 'Redux', slug: 'redux', tags: ['redux', 'javascript'] },
+    { ...base, title: 'Draft', slug: 'draft', tags: ['react'], status: 'draft' },
+  ]);
+});
+
+afterEach(async () => {
+  await Post.deleteMany({});
+});
+
+describe('GET /api/tags', () => {
+  it('should list tags by published post count', async () => {
+    const res = await request(app).get('/api/tags');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.tags[0]).toEqual({ name: 'javascript', count: 2 });
+    expect(res.body.data.tags).toContainEqual({ name: 'react', count: 2 });
+  });
+});
+
+describe('GET /api/tags/autocomplete', () => {
+  it('should suggest tags by case-insensitive prefix', async () => {
+    const res = await request(app).get('/api/tags/autocomplete?q=RE');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.tags.map(tag => tag.name)).toEqual(['react', 'reactjs', 'redux']);
+  });
+
+  it('should treat the prefix literally', async () => {
+    const res = await request(app).get('/api/tags/autocomplete?q=.*');
+
+    expect(res.body.data.tags).toHaveLength(0);
+  });
+
+  it('should require a query', async () => {
+    const res = await request(app).get('/api/tags/autocomplete');
+
+    expect(res.status).toBe(400);
+  });
+});
+
+describe('GET /api/tags/:tag/posts', () => {
+  it('should page through published posts with the tag', async () => {
+    const res = await request(app).get('/api/tags/react/posts?limit=1');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.posts).toHaveLength(1);
+    expect(res.body.data.pagination.totalItems).toBe(2);
+  });
+});
+
+describe('Admin tag tools', () => {
+  it('should merge tags without duplicating them on a post', async () => {
+    const res = await request(app)
+      .post('/api/tags/merge')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ sources: ['reactjs'], target: 'react' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.postsUpdated).toBe(1);
+
+    const post = await Post.findOne({ slug: 'react-two' });
+    expect(post.tags).toEqual(['react']);
+  });
+
+  it('should rename a tag everywhere it is used', async () => {
+    const res = await request(app)
+      .put('/api/tags/javascript')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ name: 'js' });
+
+    expect(res.body.data.postsUpdated).toBe(2);
+    expect(await Post.countDocuments({ tags: 'javascript' })).toBe(0);
+  });
+
+  it('should not let regular users rename tags', async () => {
+    const res = await request(app)
+      .put('/api/tags/react')
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ name: 'hijacked' });
+
+    expect(res.status).toBe(403);
+  });
+});
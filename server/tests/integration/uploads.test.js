@@ -0,0 +1,249 @@
+// uploads.test.js - Integration tests for image uploads
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const sharp = require('sharp');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../src/app');
+const Post = require('../../src/models/Post');
+const Upload = require('../../src/models/Upload');
+const User = require('../../src/models/User');
+const { generateToken } = require('../../src/utils/auth');
+const { createMemoryStorage, setStorage } = require('../../src/utils/storage');
+const { cleanupOrphanedUploads } = require('../../src/utils/uploads');
+
+let mongoServer;
+let storage;
+let admin;
+let adminToken;
+let author;
+let authorToken;
+let otherToken;
+let png;
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+
+  admin = await User.create({
+    username: 'uploadadmin',
+    email: 'uploadadmin@example.com',
+    password: 'password123',
+    role: 'admin',
+  });
+  adminToken = generateToken(admin);
+
+  author = await User.create({
+    username: 'uploadauthor',
+    email: 'uploadauthor@example.com',
+    password: 'password123',
+  });
+  authorToken = generateToken(author);
+
+  const other = await User.create({
+    username: 'uploadother',
+    email: 'uploadother@example.com',
+    password: 'password123',
+  });
+  otherToken = generateToken(other);
+
+  png = await sharp({
+    create: { width: 640, height: 480, channels: 3, background: { r: 10, g: 120, b: 200 } }
+  }).png().toBuffer();
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+beforeEach(() => {
+  storage = createMemoryStorage();
+  setStorage(storage);
+});
+
+afterEach(async () => {
+  await Upload.deleteMany({});
+  await Post.deleteMany({});
+  await User.updateOne({ _id: author._id }, { 'profile.avatar': null });
+});
+
+const upload = (token, purpose, buffer = png, filename = 'photo.png') => request(app)
+  .post('/api/uploads')
+  .set('Authorization', `Bearer ${token}`)
+  .field('purpose', purpose)
+  .attach('file', buffer, filename);
+
+describe('POST /api/uploads', () => {
+  it('should store the image with its thumbnails', async () => {
+    const res = await upload(authorToken, 'post').expect(201);
+
+    const saved = res.body.data.upload;
+    expect(saved.mimeType).toBe('image/png');
+    expect(saved.width).toBe(640);
+    expect(saved.originalName).toBe('photo.png');
+    expect(saved.variants.map(variant => variant.name)).toEqual(['thumbnail', 'medium']);
+    expect(saved.thumbnailUrl).toBe(saved.variants[0].url);
+    expect(storage.files.size).toBe(3);
+    expect(storage.files.get(saved.key).contentType).toBe('image/png');
+  });
+
+  it('should make square avatar variants', async () => {
+    const res = await upload(authorToken, 'avatar').expect(201);
+
+    const thumbnail = res.body.data.upload.variants.find(variant => variant.name === 'thumbnail');
+    expect(thumbnail.width).toBe(64);
+    expect(thumbnail.height).toBe(64);
+  });
+
+  it('should require authentication', async () => {
+    await request(app)
+      .post('/api/uploads')
+      .field('purpose', 'post')
+      .attach('file', png, 'photo.png')
+      .expect(401);
+  });
+
+  it('should reject files that are not images, whatever their name says', async () => {
+    const res = await upload(authorToken, 'post', Buffer.from('<script>alert(1)</script>'), 'evil.png').expect(400);
+
+    expect(res.body.error.message).toMatch(/Unsupported file type/);
+    expect(storage.files.size).toBe(0);
+  });
+
+  it('should reject corrupt images', async () => {
+    const res = await upload(authorToken, 'post', png.subarray(0, 60)).expect(400);
+
+    expect(res.body.error.message).toBe('The file could not be read as an image');
+    expect(await Upload.countDocuments()).toBe(0);
+  });
+
+  it('should reject an unknown purpose or a missing file', async () => {
+    await upload(authorToken, 'banner').expect(400);
+
+    const res = await request(app)
+      .post('/api/uploads')
+      .set('Authorization', `Bearer ${authorToken}`)
+      .field('purpose', 'post')
+      .expect(400);
+    expect(res.body.error.message).toBe('No file uploaded');
+  });
+});
+
+describe('GET /api/uploads', () => {
+  it('should list only the caller\'s uploads', async () => {
+    await upload(authorToken, 'post').expect(201);
+    await upload(authorToken, 'avatar').expect(201);
+    await upload(otherToken, 'post').expect(201);
+
+    const res = await request(app)
+      .get('/api/uploads?purpose=post')
+      .set('Authorization', `Bearer ${authorToken}`)
+      .expect(200);
+
+    expect(res.body.data.uploads).toHaveLength(1);
+    expect(res.body.data.pagination.totalItems).toBe(1);
+  });
+});
+
+describe('DELETE /api/uploads/:id', () => {
+  it('should delete an unused upload and its files', async () => {
+    const res = await upload(authorToken, 'post').expect(201);
+
+    await request(app)
+      .delete(`/api/uploads/${res.body.data.upload._id}`)
+      .set('Authorization', `Bearer ${authorToken}`)
+      .expect(200);
+
+    expect(storage.files.size).toBe(0);
+    expect(await Upload.countDocuments()).toBe(0);
+  });
+
+  it('should refuse to delete an upload a profile still uses', async () => {
+    const res = await upload(authorToken, 'avatar').expect(201);
+    await User.updateOne({ _id: author._id }, { 'profile.avatar': res.body.data.upload.variants[1].url });
+
+    await request(app)
+      .delete(`/api/uploads/${res.body.data.upload._id}`)
+      .set('Authorization', `Bearer ${authorToken}`)
+      .expect(409);
+  });
+
+  it('should not let other users delete an upload', async () => {
+    const res = await upload(authorToken, 'post').expect(201);
+
+    await request(app)
+      .delete(`/api/uploads/${res.body.data.upload._id}`)
+      .set('Authorization', `Bearer ${otherToken}`)
+      .expect(403);
+  });
+});
+
+describe('Orphan cleanup', () => {
+  it('should remove old unreferenced uploads and keep used or recent ones', async () => {
+    const orphan = (await upload(authorToken, 'post').expect(201)).body.data.upload;
+    const used = (await upload(authorToken, 'post').expect(201)).body.data.upload;
+    await Post.create({
+      title: 'Post With Image',
+      content: 'Has a featured image',
+      author: author._id,
+      category: new mongoose.Types.ObjectId(),
+      slug: 'post-with-image',
+      featuredImage: used.url,
+    });
+
+    const later = new Date(Date.now() + 2 * 60 * 60 * 1000);
+    expect(await cleanupOrphanedUploads({ now: new Date(), gracePeriod: 60 * 60 * 1000 })).toBe(0);
+    expect(await cleanupOrphanedUploads({ now: later, gracePeriod: 60 * 60 * 1000 })).toBe(1);
+
+    expect(await Upload.findById(orphan._id)).toBeNull();
+    expect(await Upload.findById(used._id)).not.toBeNull();
+    expect([...storage.files.keys()].every(key => !key.startsWith(orphan.key.replace(/\.png$/, '')))).toBe(true);
+  });
+
+  it('should keep images embedded in post Markdown', async () => {
+    const embedded = (await upload(authorToken, 'post').expect(201)).body.data.upload;
+    await Post.create({
+      title: 'Post With Inline Image',
+      content: `Look at this:\n\n![Diagram](${embedded.variants[0].url})`,
+      author: author._id,
+      category: new mongoose.Types.ObjectId(),
+      slug: 'post-with-inline-image',
+    });
+
+    const later = new Date(Date.now() + 2 * 60 * 60 * 1000);
+    expect(await cleanupOrphanedUploads({ now: later, gracePeriod: 60 * 60 * 1000 })).toBe(0);
+    expect(await Upload.findById(embedded._id)).not.toBeNull();
+  });
+
+  it('should look past old uploads that are still in use', async () => {
+    const used = [];
+    for (let i = 0; i < 3; i++) {
+      used.push((await upload(authorToken, 'post').expect(201)).body.data.upload);
+    }
+    const orphan = (await upload(authorToken, 'post').expect(201)).body.data.upload;
+    await Post.create({
+      title: 'Post With Gallery',
+      content: used.map(image => `![](${image.url})`).join('\n\n'),
+      author: author._id,
+      category: new mongoose.Types.ObjectId(),
+      slug: 'post-with-gallery',
+    });
+
+    const orphans = await Upload.findOrphans(new Date(Date.now() + 60 * 1000), 2);
+    expect(orphans.map(found => found._id.toString())).toEqual([orphan._id]);
+  });
+
+  it('should let admins trigger a cleanup run', async () => {
+    await request(app)
+      .post('/api/uploads/cleanup')
+      .set('Authorization', `Bearer ${authorToken}`)
+      .expect(403);
+
+    const res = await request(app)
+      .post('/api/uploads/cleanup')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+    expect(res.body.data.removed).toBe(0);
+  });
+});
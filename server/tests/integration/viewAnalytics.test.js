@@ -0,0 +1,166 @@
+// viewAnalytics.test.js - Integration tests for de-duplicated view counting and view reports
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../src/app');
+const Post = require('../../src/models/Post');
+const User = require('../../src/models/User');
+const PostView = require('../../src/models/PostView');
+const PostViewDaily = require('../../src/models/PostViewDaily');
+const { generateToken } = require('../../src/utils/auth');
+const { DAY_MS, startOfDay } = require('../../src/utils/analytics');
+
+const BROWSER = 'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0 Safari/537.36';
+
+let mongoServer;
+let author;
+let authorToken;
+let readerToken;
+let adminToken;
+const categoryId = new mongoose.Types.ObjectId();
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+
+  author = await User.create({
+    username: 'viewsauthor',
+    email: 'viewsauthor@example.com',
+    password: 'password123',
+  });
+  authorToken = generateToken(author);
+
+  const reader = await User.create({
+    username: 'viewsreader',
+    email: 'viewsreader@example.com',
+    password: 'password123',
+  });
+  readerToken = generateToken(reader);
+
+  const admin = await User.create({
+    username: 'viewsadmin',
+    email: 'viewsadmin@example.com',
+    password: 'password123',
+    role: 'admin',
+  });
+  adminToken = generateToken(admin);
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+afterEach(async () => {
+  await Post.deleteMany({});
+  await PostView.deleteMany({});
+  await PostViewDaily.deleteMany({});
+});
+
+const makePost = (slug, fields = {}) => Post.create({
+  title: `Post ${slug}`,
+  content: `Content for ${slug}`,
+  author: author._id,
+  category: categoryId,
+  slug,
+  status: 'published',
+  ...fields,
+});
+
+const view = (post, { userAgent = BROWSER, token = null } = {}) => {
+  const req = request(app).get(`/api/posts/${post._id}`).set('User-Agent', userAgent);
+  return token ? req.set('Authorization', `Bearer ${token}`) : req;
+};
+
+describe('View counting', () => {
+  it('should count a visitor once per window', async () => {
+    const post = await makePost('refreshed');
+
+    await view(post).expect(200);
+    await view(post).expect(200);
+    await view(post, { token: readerToken }).expect(200);
+    await view(post, { token: readerToken }).expect(200);
+
+    const updated = await Post.findById(post._id);
+    expect(updated.viewCount).toBe(2);
+    expect(await PostView.countDocuments({ post: post._id })).toBe(2);
+
+    const [rollup] = await PostViewDaily.find({ post: post._id });
+    expect(rollup.views).toBe(2);
+    expect(rollup.date).toEqual(startOfDay(new Date()));
+  });
+
+  it('should not count bots or authors reading their own posts', async () => {
+    const post = await makePost('uncounted');
+
+    await view(post, { userAgent: 'Googlebot/2.1 (+http://www.google.com/bot.html)' }).expect(200);
+    await view(post, { token: authorToken }).expect(200);
+
+    const updated = await Post.findById(post._id);
+    expect(updated.viewCount).toBe(0);
+  });
+
+  it('should not touch updatedAt when counting', async () => {
+    const post = await makePost('untouched');
+    const { updatedAt } = post;
+
+    await view(post).expect(200);
+
+    const updated = await Post.findById(post._id);
+    expect(updated.viewCount).toBe(1);
+    expect(updated.updatedAt).toEqual(updatedAt);
+  });
+
+  it('should count concurrent first views once', async () => {
+    const post = await makePost('concurrent');
+
+    await Promise.all([view(post), view(post), view(post)]);
+
+    const updated = await Post.findById(post._id);
+    expect(updated.viewCount).toBe(1);
+  });
+
+  it('should count the next window again', async () => {
+    const post = await makePost('windows');
+    const visitor = { id: 'anon:test', userId: null };
+    const now = new Date('2024-03-01T10:00:00Z');
+
+    expect(await PostView.record(post, visitor, now)).toBe(true);
+    expect(await PostView.record(post, visitor, new Date(now.getTime() + 60 * 1000))).toBe(false);
+    expect(await PostView.record(post, visitor, new Date(now.getTime() + 60 * 60 * 1000))).toBe(true);
+
+    const updated = await Post.findById(post._id);
+    expect(updated.viewCount).toBe(2);
+  });
+
+  it('should retry only the counter that failed', async () => {
+    const post = await makePost('retried');
+    const spy = jest.spyOn(PostViewDaily, 'increment').mockRejectedValueOnce(new Error('write failed'));
+
+    try {
+      await view(post).expect(200);
+    } finally {
+      spy.mockRestore();
+    }
+
+    const [rollup] = await PostViewDaily.find({ post: post._id });
+    expect((await Post.findById(post._id)).viewCount).toBe(1);
+    expect(rollup.views).toBe(1);
+  });
+
+  it('should still serve the post when counting fails, without counting the view twice', async () => {
+    const post = await makePost('failing');
+    const spy = jest.spyOn(PostViewDaily, 'increment').mockRejectedValue(new Error('write failed'));
+
+    try {
+      await view(post).expect(200);
+    } finally {
+      spy.mockRestore();
+    }
+    await view(post).expect(200);
+
+    expect(await PostView.countDocuments({ post: post._id })).toBe(1);
+    expect((await Post.findById(post._id)).viewCount).toBe(1);
+  });
+});
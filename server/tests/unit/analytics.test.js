@@ -0,0 +1,103 @@
+const {
+  DAY_MS,
+  isBot,
+  getVisitor,
+  startOfWindow,
+  startOfDay,
+  buildDailySeries,
+  fillDailySeries,
+  median
+} = require('../../src/utils/analytics');
+
+const BROWSER = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0 Safari/537.36';
+
+const fakeRequest = ({ userAgent = BROWSER, ip = '203.0.113.7', user = null } = {}) => ({
+  ip,
+  user,
+  get: (header) => (header.toLowerCase() === 'user-agent' ? userAgent : undefined)
+});
+
+describe('Analytics utilities', () => {
+  describe('isBot', () => {
+    it('should flag crawlers, scripts and missing user agents', () => {
+      expect(isBot('Googlebot/2.1 (+http://www.google.com/bot.html)')).toBe(true);
+      expect(isBot('curl/8.4.0')).toBe(true);
+      expect(isBot('')).toBe(true);
+      expect(isBot(undefined)).toBe(true);
+    });
+
+    it('should let browsers through', () => {
+      expect(isBot(BROWSER)).toBe(false);
+    });
+  });
+
+  describe('getVisitor', () => {
+    it('should identify signed-in users by account', () => {
+      const visitor = getVisitor(fakeRequest({ user: { _id: 'abc123' } }));
+      expect(visitor).toEqual({ id: 'user:abc123', userId: 'abc123' });
+    });
+
+    it('should hash anonymous visitors by IP and user agent', () => {
+      const visitor = getVisitor(fakeRequest());
+
+      expect(visitor.id).toMatch(/^anon:[a-f0-9]{64}$/);
+      expect(visitor.id).not.toContain('203.0.113.7');
+      expect(getVisitor(fakeRequest()).id).toBe(visitor.id);
+      expect(getVisitor(fakeRequest({ ip: '203.0.113.8' })).id).not.toBe(visitor.id);
+    });
+
+    it('should return null for bots', () => {
+      expect(getVisitor(fakeRequest({ userAgent: 'bingbot/2.0' }))).toBeNull();
+    });
+  });
+
+  describe('startOfWindow and startOfDay', () => {
+    it('should round down to the window and to midnight UTC', () => {
+      const moment = new Date('2024-03-01T10:47:12Z');
+
+      expect(startOfWindow(moment, 30 * 60 * 1000)).toEqual(new Date('2024-03-01T10:30:00Z'));
+      expect(startOfDay(moment)).toEqual(new Date('2024-03-01T00:00:00Z'));
+    });
+  });
+
+  describe('fillDailySeries', () => {
+    it('should return every day of the range with zeros for missing days', () => {
+      const from = new Date('2024-03-01T00:00:00Z');
+      const to = new Date(from.getTime() + 3 * DAY_MS);
+      const series = fillDailySeries([
+        { date: new Date('2024-03-02T00:00:00Z'), views: 5 },
+        { date: new Date('2024-03-04T00:00:00Z'), views: 2 }
+      ], from, to);
+
+      expect(series).toEqual([
+        { date: '2024-03-01', views: 0 },
+        { date: '2024-03-02', views: 5 },
+        { date: '2024-03-03', views: 0 },
+        { date: '2024-03-04', views: 2 }
+      ]);
+    });
+  });
+
+  describe('buildDailySeries', () => {
+    it('should merge several metrics, accepting Dates or day keys', () => {
+      const from = new Date('2024-03-01T00:00:00Z');
+      const to = new Date('2024-03-02T00:00:00Z');
+
+      expect(buildDailySeries(from, to, {
+        likes: [{ date: '2024-03-02', count: 3 }],
+        comments: [{ date: new Date('2024-03-01T00:00:00Z'), count: 1 }]
+      })).toEqual([
+        { date: '2024-03-01', likes: 0, comments: 1 },
+        { date: '2024-03-02', likes: 3, comments: 0 }
+      ]);
+    });
+  });
+
+  describe('median', () => {
+    it('should handle odd, even and empty lists', () => {
+      expect(median([5, 1, 3])).toBe(3);
+      expect(median([4, 1, 3, 2])).toBe(2.5);
+      expect(median([])).toBeNull();
+    });
+  });
+});
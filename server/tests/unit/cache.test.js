@@ -0,0 +1,57 @@
+const { createTtlCache } = require('../../src/utils/cache');
+
+describe('TTL cache', () => {
+  it('should return stored values until they expire', () => {
+    const cache = createTtlCache({ ttlMs: 1000 });
+    cache.set('a', 1, 0);
+
+    expect(cache.get('a', 999)).toBe(1);
+    expect(cache.get('a', 1000)).toBeUndefined();
+    expect(cache.get('missing', 0)).toBeUndefined();
+  });
+
+  it('should drop the oldest entries beyond maxEntries', () => {
+    const cache = createTtlCache({ ttlMs: 1000, maxEntries: 2 });
+    cache.set('a', 1, 0);
+    cache.set('b', 2, 0);
+    cache.set('a', 3, 0);
+    cache.set('c', 4, 0);
+
+    expect(cache.get('b', 0)).toBeUndefined();
+    expect(cache.get('a', 0)).toBe(3);
+    expect(cache.get('c', 0)).toBe(4);
+  });
+
+  describe('wrap', () => {
+    it('should compute once and share the result', async () => {
+      const cache = createTtlCache({ ttlMs: 60000 });
+      const compute = jest.fn().mockResolvedValue('report');
+
+      const results = await Promise.all([cache.wrap('k', compute), cache.wrap('k', compute)]);
+      expect(results).toEqual(['report', 'report']);
+      expect(await cache.wrap('k', compute)).toBe('report');
+      expect(compute).toHaveBeenCalledTimes(1);
+    });
+
+    it('should not cache failures', async () => {
+      const cache = createTtlCache({ ttlMs: 60000 });
+      const compute = jest.fn()
+        .mockRejectedValueOnce(new Error('boom'))
+        .mockResolvedValue('report');
+
+      await expect(cache.wrap('k', compute)).rejects.toThrow('boom');
+      expect(await cache.wrap('k', compute)).toBe('report');
+      expect(compute).toHaveBeenCalledTimes(2);
+    });
+
+    it('should compute again after clear', async () => {
+      const cache = createTtlCache({ ttlMs: 60000 });
+      const compute = jest.fn().mockResolvedValue('report');
+
+      await cache.wrap('k', compute);
+      cache.clear();
+      await cache.wrap('k', compute);
+      expect(compute).toHaveBeenCalledTimes(2);
+    });
+  });
+});
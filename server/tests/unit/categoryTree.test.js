@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+const Category = require('../../src/models/Category');
+
+describe('Category.buildTree', () => {
+  const id = () => new mongoose.Types.ObjectId();
+  const tech = { _id: id(), name: 'Tech', slug: 'tech', isActive: true, parent: null };
+  const web = { _id: id(), name: 'Web', slug: 'web', isActive: true, parent: tech._id };
+  const ai = { _id: id(), name: 'AI', slug: 'ai', isActive: true, parent: tech._id };
+  const react = { _id: id(), name: 'React', slug: 'react', isActive: true, parent: web._id };
+  const life = { _id: id(), name: 'Life', slug: 'life', isActive: true, parent: null };
+
+  it('should nest categories under their parents in name order', () => {
+    const tree = Category.buildTree([react, life, web, tech, ai]);
+
+    expect(tree.map(node => node.name)).toEqual(['Life', 'Tech']);
+    expect(tree[1].children.map(node => node.name)).toEqual(['AI', 'Web']);
+    expect(tree[1].children[1].children[0].name).toBe('React');
+  });
+
+  it('should roll post counts up to ancestors', () => {
+    const tree = Category.buildTree([tech, web, react], {
+      [tech._id.toString()]: 1,
+      [web._id.toString()]: 2,
+      [react._id.toString()]: 4
+    });
+
+    expect(tree[0].postsCount).toBe(1);
+    expect(tree[0].totalPostsCount).toBe(7);
+    expect(tree[0].children[0].totalPostsCount).toBe(6);
+  });
+
+  it('should drop inactive categories and their subtrees when activeOnly is set', () => {
+    const inactiveWeb = { ...web, isActive: false };
+    const tree = Category.buildTree([tech, inactiveWeb, react, ai], {}, { activeOnly: true });
+
+    expect(tree).toHaveLength(1);
+    expect(tree[0].children.map(node => node.name)).toEqual(['AI']);
+  });
+
+  it('should place categories with a missing parent at the top level', () => {
+    const tree = Category.buildTree([web]);
+
+    expect(tree.map(node => node.name)).toEqual(['Web']);
+  });
+});
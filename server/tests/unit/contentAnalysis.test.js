@@ -0,0 +1,104 @@
+const {
+  countWords,
+  estimateReadingTime,
+  analyzeContent,
+  buildTableOfContents
+} = require('../../src/utils/contentAnalysis');
+
+describe('Content analysis', () => {
+  describe('countWords', () => {
+    it('should split on any whitespace, not just spaces', () => {
+      expect(countWords('one\ntwo\tthree  four')).toBe(4);
+    });
+
+    it('should ignore stray punctuation', () => {
+      expect(countWords('one - two | three')).toBe(3);
+    });
+
+    it('should count words in other scripts', () => {
+      expect(countWords('naïve café Ελληνικά')).toBe(3);
+    });
+  });
+
+  describe('estimateReadingTime', () => {
+    it('should round up to whole minutes and never be zero', () => {
+      expect(estimateReadingTime(0)).toBe(1);
+      expect(estimateReadingTime(200)).toBe(1);
+      expect(estimateReadingTime(201)).toBe(2);
+    });
+  });
+
+  describe('analyzeContent', () => {
+    const source = [
+      '# Getting Started',
+      '',
+      'Read the **[docs](https://example.com/docs)** first.',
+      '',
+      '## Install',
+      '',
+      '![Terminal screenshot](https://example.com/shot.png)',
+      '',
+      '```',
+      'npm install',
+      '```',
+      '',
+      '## Install',
+      '',
+      '- step one',
+      '- step two'
+    ].join('\n');
+
+    it('should count the rendered words rather than the Markdown source', () => {
+      const stats = analyzeContent(source);
+
+      // Getting Started / Read the docs first. / Install / npm install / Install / step one / step two
+      expect(stats.wordCount).toBe(14);
+      expect(stats.readingTime).toBe(1);
+      expect(stats.characterCount).toBe('Getting Started Read the docs first. Install npm install Install step one step two'.length);
+    });
+
+    it('should list headings with their anchor IDs', () => {
+      expect(analyzeContent(source).outline).toEqual([
+        { level: 1, text: 'Getting Started', id: 'getting-started' },
+        { level: 2, text: 'Install', id: 'install' },
+        { level: 2, text: 'Install', id: 'install-1' }
+      ]);
+    });
+
+    it('should collect links and images', () => {
+      const { links, images } = analyzeContent(source);
+
+      expect(links).toEqual([{ href: 'https://example.com/docs', text: 'docs' }]);
+      expect(images).toEqual([{ src: 'https://example.com/shot.png', alt: 'Terminal screenshot' }]);
+    });
+
+    it('should grow reading time with long content', () => {
+      expect(analyzeContent('word\n'.repeat(1000)).readingTime).toBe(5);
+    });
+  });
+
+  describe('buildTableOfContents', () => {
+    it('should nest headings under the previous higher-level heading', () => {
+      const toc = buildTableOfContents([
+        { level: 1, text: 'A', id: 'a' },
+        { level: 2, text: 'B', id: 'b' },
+        { level: 3, text: 'C', id: 'c' },
+        { level: 2, text: 'D', id: 'd' },
+        { level: 1, text: 'E', id: 'e' }
+      ]);
+
+      expect(toc.map(entry => entry.id)).toEqual(['a', 'e']);
+      expect(toc[0].children.map(entry => entry.id)).toEqual(['b', 'd']);
+      expect(toc[0].children[0].children.map(entry => entry.id)).toEqual(['c']);
+    });
+
+    it('should keep headings that skip levels at the top', () => {
+      const toc = buildTableOfContents([
+        { level: 3, text: 'Deep', id: 'deep' },
+        { level: 2, text: 'Shallow', id: 'shallow' }
+      ]);
+
+      expect(toc.map(entry => entry.id)).toEqual(['deep', 'shallow']);
+    });
+  });
+});
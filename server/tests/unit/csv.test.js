@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+const { escapeCell, toCsv } = require('../../src/utils/csv');
+
+describe('CSV utilities', () => {
+  describe('escapeCell', () => {
+    it('should quote cells containing commas, quotes or newlines', () => {
+      expect(escapeCell('a,b')).toBe('"a,b"');
+      expect(escapeCell('say "hi"')).toBe('"say ""hi"""');
+      expect(escapeCell('line\nbreak')).toBe('"line\nbreak"');
+    });
+
+    it('should neutralise values that spreadsheets would run as formulas', () => {
+      expect(escapeCell('=HYPERLINK("x")')).toBe('"\'=HYPERLINK(""x"")"');
+      expect(escapeCell('-1')).toBe("'-1");
+      expect(escapeCell(-1)).toBe('-1');
+    });
+
+    it('should format dates, ids, objects and empty values', () => {
+      const id = new mongoose.Types.ObjectId();
+
+      expect(escapeCell(new Date('2024-01-02T03:04:05Z'))).toBe('2024-01-02T03:04:05.000Z');
+      expect(escapeCell(id)).toBe(id.toString());
+      expect(escapeCell({ role: 'admin' })).toBe('"{""role"":""admin""}"');
+      expect(escapeCell(null)).toBe('');
+    });
+  });
+
+  describe('toCsv', () => {
+    it('should write a header row and one line per row', () => {
+      const csv = toCsv(
+        [{ name: 'Ada', count: 2 }, { name: 'Grace', count: 3 }],
+        [
+          { header: 'Name', value: row => row.name },
+          { header: 'Count', value: row => row.count }
+        ]
+      );
+
+      expect(csv).toBe('Name,Count\r\nAda,2\r\nGrace,3\r\n');
+    });
+  });
+});
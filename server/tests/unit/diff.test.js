@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+const { MAX_DIFF_STEPS, diffLines, diffFields, getPath } = require('../../src/utils/diff');
+
+describe('Diff utilities', () => {
+  describe('diffLines', () => {
+    it('should mark unchanged, removed and added lines', () => {
+      const operations = diffLines('one\ntwo\nthree', 'one\n2\nthree');
+
+      expect(operations).toEqual([
+        { type: 'unchanged', value: 'one' },
+        { type: 'removed', value: 'two' },
+        { type: 'added', value: '2' },
+        { type: 'unchanged', value: 'three' }
+      ]);
+    });
+
+    it('should handle empty input', () => {
+      expect(diffLines('', 'new line')).toEqual([
+        { type: 'removed', value: '' },
+        { type: 'added', value: 'new line' }
+      ]);
+    });
+
+    it('should keep the shortest diff when lines move', () => {
+      const operations = diffLines('a\nb\nc\nd', 'b\nc\na\nd');
+
+      expect(operations.filter(op => op.type === 'unchanged').map(op => op.value)).toEqual(['b', 'c', 'd']);
+      expect(operations.filter(op => op.type !== 'unchanged')).toEqual([
+        { type: 'removed', value: 'a' },
+        { type: 'added', value: 'a' }
+      ]);
+    });
+
+    it('should diff large revisions without a full comparison table', () => {
+      const lines = Array.from({ length: 5000 }, (_, i) => `line ${i}`);
+      const edited = [...lines];
+      edited[10] = 'changed near the start';
+      edited[4990] = 'changed near the end';
+
+      const operations = diffLines(lines.join('\n'), edited.join('\n'));
+
+      expect(operations.filter(op => op.type === 'unchanged')).toHaveLength(4998);
+      expect(operations.filter(op => op.type === 'removed').map(op => op.value)).toEqual(['line 10', 'line 4990']);
+    });
+
+    it('should list a rewrite too large to align as removed then added', () => {
+      const rewrite = (count, prefix) => Array.from({ length: count }, (_, i) => (i % 2 ? `${prefix} ${i}` : 'shared')).join('\n');
+
+      const small = diffLines(rewrite(400, 'old'), rewrite(400, 'new'));
+      expect(small.filter(op => op.type === 'unchanged')).toHaveLength(200);
+
+      const count = 2 * Math.ceil(Math.sqrt(MAX_DIFF_STEPS));
+      const large = diffLines(rewrite(count, 'old'), rewrite(count, 'new'));
+      // Only the shared first line survives, trimmed before any search
+      expect(large.filter(op => op.type === 'unchanged')).toHaveLength(1);
+      expect(large[1]).toEqual({ type: 'removed', value: 'old 1' });
+      expect(large[count]).toEqual({ type: 'added', value: 'new 1' });
+    });
+  });
+
+  describe('getPath', () => {
+    it('should read nested values and tolerate missing parents', () => {
+      expect(getPath({ seo: { metaTitle: 'Title' } }, 'seo.metaTitle')).toBe('Title');
+      expect(getPath({}, 'seo.metaTitle')).toBeUndefined();
+    });
+  });
+
+  describe('diffFields', () => {
+    const fields = ['title', 'content', 'category', 'tags', 'seo.metaTitle'];
+
+    it('should report only the fields that changed', () => {
+      const category = new mongoose.Types.ObjectId();
+      const before = { title: 'Old', content: 'Same', category, tags: ['a', 'b'] };
+      const after = { title: 'New', content: 'Same', category, tags: ['b', 'c'] };
+
+      const result = diffFields(before, after, fields);
+
+      expect(result.changed).toBe(true);
+      expect(result.fields.map(change => change.field)).toEqual(['title', 'tags']);
+      expect(result.fields[1].added).toEqual(['c']);
+      expect(result.fields[1].removed).toEqual(['a']);
+    });
+
+    it('should treat missing and empty values as equal', () => {
+      const result = diffFields({ title: 'T', seo: {} }, { title: 'T', seo: { metaTitle: '' } }, fields);
+
+      expect(result.changed).toBe(false);
+      expect(result.fields).toHaveLength(0);
+    });
+
+    it('should include a line diff for multi-line text', () => {
+      const result = diffFields({ content: 'a\nb' }, { content: 'a\nc' }, fields);
+
+      expect(result.fields[0].lines).toEqual([
+        { type: 'unchanged', value: 'a' },
+        { type: 'removed', value: 'b' },
+        { type: 'added', value: 'c' }
+      ]);
+    });
+  });
+});
@@ -0,0 +1,136 @@
+const {
+  FEED_FORMATS,
+  escapeXml,
+  buildRss,
+  buildAtom,
+  buildJsonFeed,
+  getFeedValidators
+} = require('../../src/utils/feeds');
+
+const published = new Date('2024-03-01T12:00:00Z');
+
+const item = (overrides = {}) => ({
+  id: 'http://localhost:3000/posts/1',
+  url: 'http://localhost:3000/p/first-post',
+  title: 'First & <best> post',
+  summary: 'A short summary',
+  contentHtml: '<p>Hello <strong>world</strong></p>',
+  published,
+  updated: published,
+  author: 'Ada Lovelace',
+  categories: ['Tech', 'react'],
+  image: 'http://localhost:5000/uploads/cover.png',
+  ...overrides
+});
+
+const feed = (items = [item()]) => ({
+  id: 'http://localhost:5000/api/feeds/atom',
+  title: 'BlogHub',
+  description: 'The latest posts',
+  siteUrl: 'http://localhost:3000',
+  feedUrl: 'http://localhost:5000/api/feeds/rss',
+  updated: published,
+  items
+});
+
+describe('Feed utilities', () => {
+  describe('escapeXml', () => {
+    it('should escape markup and drop characters XML cannot hold', () => {
+      expect(escapeXml('a & b <c> "d" \'e\'')).toBe('a &amp; b &lt;c&gt; &quot;d&quot; &apos;e&apos;');
+      expect(escapeXml('bell\u0007 ok')).toBe('bell ok');
+    });
+  });
+
+  describe('buildRss', () => {
+    it('should build an RSS 2.0 channel with escaped items', () => {
+      const xml = buildRss(feed());
+
+      expect(xml).toMatch(/^<\?xml version="1.0" encoding="UTF-8"\?>/);
+      expect(xml).toContain('<rss version="2.0"');
+      expect(xml).toContain('<title>First &amp; &lt;best&gt; post</title>');
+      expect(xml).toContain('<guid isPermaLink="true">http://localhost:3000/posts/1</guid>');
+      expect(xml).toContain(`<pubDate>${published.toUTCString()}</pubDate>`);
+      expect(xml).toContain('<dc:creator>Ada Lovelace</dc:creator>');
+      expect(xml).toContain('<category>react</category>');
+      expect(xml).toContain('<content:encoded>&lt;p&gt;Hello');
+      expect(xml).toContain('<enclosure url="http://localhost:5000/uploads/cover.png" length="0" type="image/png"/>');
+    });
+
+    it('should leave out empty optional fields', () => {
+      const xml = buildRss(feed([item({ image: '', author: '' })]));
+
+      expect(xml).not.toContain('<enclosure');
+      expect(xml).not.toContain('<dc:creator>');
+    });
+  });
+
+  describe('buildAtom', () => {
+    it('should build an Atom feed with ISO dates and HTML content', () => {
+      const xml = buildAtom(feed());
+
+      expect(xml).toContain('<feed xmlns="http://www.w3.org/2005/Atom">');
+      expect(xml).toContain('<updated>2024-03-01T12:00:00.000Z</updated>');
+      expect(xml).toContain('<link rel="alternate" type="text/html" href="http://localhost:3000/p/first-post"/>');
+      expect(xml).toContain('<author><name>Ada Lovelace</name></author>');
+      expect(xml).toContain('<category term="Tech"/>');
+      expect(xml).toContain('<content type="html">&lt;p&gt;Hello');
+    });
+  });
+
+  describe('buildJsonFeed', () => {
+    it('should build a JSON Feed 1.1 document', () => {
+      const json = JSON.parse(buildJsonFeed(feed()));
+
+      expect(json.version).toBe('https://jsonfeed.org/version/1.1');
+      expect(json.feed_url).toBe('http://localhost:5000/api/feeds/rss');
+      expect(json.items[0]).toEqual({
+        id: 'http://localhost:3000/posts/1',
+        url: 'http://localhost:3000/p/first-post',
+        title: 'First & <best> post',
+        summary: 'A short summary',
+        content_html: '<p>Hello <strong>world</strong></p>',
+        image: 'http://localhost:5000/uploads/cover.png',
+        date_published: '2024-03-01T12:00:00.000Z',
+        date_modified: '2024-03-01T12:00:00.000Z',
+        authors: [{ name: 'Ada Lovelace' }],
+        tags: ['Tech', 'react']
+      });
+    });
+  });
+
+  describe('FEED_FORMATS', () => {
+    it('should pair each format with its media type', () => {
+      expect(Object.keys(FEED_FORMATS)).toEqual(['rss', 'atom', 'json']);
+      expect(FEED_FORMATS.atom.contentType).toBe('application/atom+xml; charset=utf-8');
+    });
+  });
+
+  describe('getFeedValidators', () => {
+    it('should return the newest edit as lastModified', () => {
+      const edited = new Date('2024-04-01T00:00:00Z');
+      const { lastModified } = getFeedValidators('rss:all', [item({ id: '2' }), item({ updated: edited })]);
+
+      expect(lastModified).toEqual(edited);
+      expect(getFeedValidators('rss:all', []).lastModified).toBeNull();
+    });
+
+    it('should move lastModified to a later removal', () => {
+      const removed = new Date('2024-05-01T00:00:00Z');
+
+      expect(getFeedValidators('rss:all', [item()], removed).lastModified).toEqual(removed);
+      expect(getFeedValidators('rss:all', [], removed).lastModified).toEqual(removed);
+      expect(getFeedValidators('rss:all', [item()], new Date('2024-01-01T00:00:00Z')).lastModified).toEqual(published);
+    });
+
+    it('should change the ETag when an item, the feed or the format changes', () => {
+      const base = getFeedValidators('rss:all', [item()]).etag;
+
+      expect(getFeedValidators('rss:all', [item()]).etag).toBe(base);
+      expect(getFeedValidators('rss:all', [item({ title: 'Edited' })]).etag).not.toBe(base);
+      expect(getFeedValidators('rss:all', [item({ updated: new Date() })]).etag).not.toBe(base);
+      expect(getFeedValidators('rss:all', []).etag).not.toBe(base);
+      expect(getFeedValidators('atom:all', [item()]).etag).not.toBe(base);
+      expect(base).toMatch(/^W\/".+"$/);
+    });
+  });
+});
@@ -0,0 +1,69 @@
+const { extractTerms, buildTermPattern, highlightPost } = require('../../src/utils/highlight');
+
+describe('Search highlighting', () => {
+  describe('extractTerms', () => {
+    it('should split, lowercase and dedupe terms', () => {
+      expect(extractTerms('React  HOOKS react')).toEqual(['react', 'hooks']);
+    });
+
+    it('should drop quotes, negated terms and single characters', () => {
+      expect(extractTerms('"state management" -redux a')).toEqual(['state', 'management']);
+    });
+
+    it('should handle empty input', () => {
+      expect(extractTerms('')).toEqual([]);
+      expect(extractTerms(undefined)).toEqual([]);
+      expect(buildTermPattern([])).toBeNull();
+    });
+  });
+
+  describe('buildTermPattern', () => {
+    it('should match word prefixes and escape regex characters', () => {
+      const pattern = buildTermPattern(['react', 'c++']);
+
+      expect('Reactive programming'.match(pattern)).toEqual(['Reactive']);
+      expect('Learning c++ today'.match(pattern)).toEqual(['c++']);
+      expect('unreactive'.match(pattern)).toBeNull();
+    });
+  });
+
+  describe('highlightPost', () => {
+    it('should mark matches in the title', () => {
+      const { title } = highlightPost({ title: 'Intro to React hooks', content: '' }, 'react');
+
+      expect(title).toEqual([
+        { text: 'Intro to ', highlight: false },
+        { text: 'React', highlight: true },
+        { text: ' hooks', highlight: false }
+      ]);
+    });
+
+    it('should cut the snippet around the first match in the content', () => {
+      const content = `${'filler '.repeat(50)}the useEffect hook runs after render ${'tail '.repeat(50)}`;
+      const { snippet } = highlightPost({ title: 'Hooks', content }, 'useEffect', { radius: 30 });
+      const text = snippet.map(segment => segment.text).join('');
+
+      expect(text.startsWith('...')).toBe(true);
+      expect(text.endsWith('...')).toBe(true);
+      expect(text.length).toBeLessThan(80);
+      expect(snippet.filter(segment => segment.highlight).map(segment => segment.text)).toEqual(['useEffect']);
+    });
+
+    it('should cut the snippet from the rendered text, not the Markdown', () => {
+      const content = '# Hooks guide\n\nThe **useEffect** hook, see [the docs](https://react.dev).';
+      const { snippet } = highlightPost({ title: 'Hooks', content }, 'useEffect');
+      const text = snippet.map(segment => segment.text).join('');
+
+      expect(text).toBe('Hooks guide The useEffect hook, see the docs.');
+      expect(snippet.filter(segment => segment.highlight).map(segment => segment.text)).toEqual(['useEffect']);
+    });
+
+    it('should fall back to the start of the content without a query', () => {
+      const { title, snippet } = highlightPost({ title: 'Plain', content: 'word '.repeat(100) }, '', { radius: 10 });
+
+      expect(title).toEqual([{ text: 'Plain', highlight: false }]);
+      expect(snippet).toHaveLength(1);
+      expect(snippet[0].text.endsWith('...')).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,72 @@
+const sharp = require('sharp');
+const { sniffImageType, processImage } = require('../../src/utils/images');
+
+const makeImage = (format, width = 800, height = 600) => sharp({
+  create: { width, height, channels: 3, background: { r: 200, g: 80, b: 40 } }
+})[format]().toBuffer();
+
+describe('Images', () => {
+  describe('sniffImageType', () => {
+    it('should detect each supported format from its contents', async () => {
+      expect(sniffImageType(await makeImage('jpeg'))).toEqual({ mimeType: 'image/jpeg', ext: 'jpg' });
+      expect(sniffImageType(await makeImage('png'))).toEqual({ mimeType: 'image/png', ext: 'png' });
+      expect(sniffImageType(await makeImage('gif'))).toEqual({ mimeType: 'image/gif', ext: 'gif' });
+      expect(sniffImageType(await makeImage('webp'))).toEqual({ mimeType: 'image/webp', ext: 'webp' });
+    });
+
+    it('should reject content that is not an image', () => {
+      expect(sniffImageType(Buffer.from('<svg xmlns="http://www.w3.org/2000/svg"></svg>'))).toBeNull();
+      expect(sniffImageType(Buffer.from('%PDF-1.7 not an image'))).toBeNull();
+      expect(sniffImageType(Buffer.alloc(4))).toBeNull();
+      expect(sniffImageType('not a buffer')).toBeNull();
+    });
+  });
+
+  describe('processImage', () => {
+    it('should keep the original format and render WebP variants for posts', async () => {
+      const { original, variants } = await processImage(await makeImage('png'), 'post');
+
+      expect(original).toMatchObject({ mimeType: 'image/png', ext: 'png', width: 800, height: 600 });
+      expect(variants.map(variant => variant.name)).toEqual(['thumbnail', 'medium']);
+      expect(variants[0]).toMatchObject({ mimeType: 'image/webp', width: 400, height: 225 });
+      // Smaller than the medium box, so it is not enlarged
+      expect(variants[1]).toMatchObject({ width: 800, height: 600 });
+      expect(sniffImageType(variants[0].buffer).mimeType).toBe('image/webp');
+    });
+
+    it('should crop avatars to squares', async () => {
+      const { variants } = await processImage(await makeImage('jpeg', 500, 300), 'avatar');
+
+      expect(variants.map(({ name, width, height }) => ({ name, width, height }))).toEqual([
+        { name: 'thumbnail', width: 64, height: 64 },
+        { name: 'medium', width: 256, height: 256 }
+      ]);
+    });
+
+    it('should cap the size of large originals', async () => {
+      const { original } = await processImage(await makeImage('jpeg', 3000, 1500), 'post');
+
+      expect(original.width).toBe(2400);
+      expect(original.height).toBe(1200);
+    });
+
+    it('should strip metadata from the stored original', async () => {
+      const withExif = await sharp(await makeImage('jpeg'))
+        .withMetadata({ exif: { IFD0: { Copyright: 'secret location' } } })
+        .jpeg()
+        .toBuffer();
+      expect((await sharp(withExif).metadata()).exif).toBeDefined();
+
+      const { original } = await processImage(withExif, 'post');
+
+      expect((await sharp(original.buffer).metadata()).exif).toBeUndefined();
+    });
+
+    it('should reject unsupported and corrupt files', async () => {
+      await expect(processImage(Buffer.from('definitely not an image'), 'post')).rejects.toThrow('Unsupported image type');
+
+      const truncated = (await makeImage('png')).subarray(0, 40);
+      await expect(processImage(truncated, 'post')).rejects.toMatchObject({ code: 'INVALID_IMAGE' });
+    });
+  });
+});
@@ -0,0 +1,153 @@
+const mongoose = require('mongoose');
+const { getVisibleStatuses, parseListQuery, statusCondition, POST_STATUSES } = require('../../src/middleware/listQuery');
+const { encodeCursor } = require('../../src/utils/pagination');
+
+// Run a middleware chain against a fake request, stopping when a response is sent
+const runChain = async (chain, req) => {
+  const res = {
+    statusCode: 200,
+    body: null,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    }
+  };
+
+  for (const middleware of chain) {
+    let calledNext = false;
+    await middleware(req, res, () => {
+      calledNext = true;
+    });
+    if (!calledNext) break;
+  }
+  return res;
+};
+
+describe('List query parsing', () => {
+  const owner = { _id: new mongoose.Types.ObjectId(), role: 'user' };
+  const moderator = { _id: new mongoose.Types.ObjectId(), role: 'moderator' };
+  const admin = { _id: new mongoose.Types.ObjectId(), role: 'admin' };
+
+  describe('getVisibleStatuses', () => {
+    it('should only show published posts to anonymous callers and plain users', () => {
+      expect(getVisibleStatuses(null)).toEqual(['published']);
+      expect(getVisibleStatuses(owner)).toEqual(['published']);
+    });
+
+    it('should show the review statuses to moderators', () => {
+      expect(getVisibleStatuses(moderator)).toEqual(['pending', 'scheduled', 'published', 'rejected']);
+    });
+
+    it('should show everything to admins and owners', () => {
+      expect(getVisibleStatuses(admin)).toEqual(POST_STATUSES);
+      expect(getVisibleStatuses(owner, { isOwner: true })).toEqual(POST_STATUSES);
+    });
+  });
+
+  describe('statusCondition', () => {
+    it('should build an equality, $in or no condition', () => {
+      expect(statusCondition(null)).toBeUndefined();
+      expect(statusCondition(['published'])).toBe('published');
+      expect(statusCondition(['draft', 'pending'])).toEqual({ $in: ['draft', 'pending'] });
+    });
+  });
+
+  describe('parseListQuery', () => {
+    const postChain = () => parseListQuery({
+      sortFields: ['createdAt', 'title'],
+      cursor: true,
+      status: {
+        defaultStatus: 'published',
+        isOwner: req => Boolean(req.user && req.query.author === req.user._id.toString())
+      }
+    });
+
+    it('should apply defaults', async () => {
+      const req = { query: {} };
+      const res = await runChain(postChain(), req);
+
+      expect(res.statusCode).toBe(200);
+      expect(req.listQuery).toEqual({
+        page: 1,
+        limit: 10,
+        sortBy: 'createdAt',
+        sortOrder: 'desc',
+        cursor: undefined,
+        paginate: undefined,
+        statuses: ['published']
+      });
+    });
+
+    it('should clamp page and limit', async () => {
+      const req = { query: { page: '-3', limit: '5000' } };
+      await runChain(postChain(), req);
+
+      expect(req.listQuery.page).toBe(1);
+      expect(req.listQuery.limit).toBe(50);
+    });
+
+    it('should reject non-numeric paging and unknown sort fields', async () => {
+      const req = { query: { page: 'two', sortBy: 'password', sortOrder: 'sideways' } };
+      const res = await runChain(postChain(), req);
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.error.message).toBe('Validation failed');
+      expect(res.body.error.details.map(detail => detail.path)).toEqual(['page', 'sortBy', 'sortOrder']);
+      expect(req.listQuery).toBeUndefined();
+    });
+
+    it('should reject cursors that sort on a field outside the whitelist', async () => {
+      const cursor = encodeCursor({ _id: new mongoose.Types.ObjectId(), password: 'x' }, { field: 'password', order: 1 }, 'next');
+      const res = await runChain(postChain(), { query: { cursor } });
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.error.details[0].msg).toBe('Invalid cursor');
+    });
+
+    it('should refuse unpublished statuses to anonymous callers', async () => {
+      const res = await runChain(postChain(), { query: { status: 'draft' } });
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.error.details[0].msg).toBe('You are not allowed to list draft posts');
+    });
+
+    it('should let owners list their own drafts', async () => {
+      const req = { user: owner, query: { author: owner._id.toString(), status: 'draft,pending' } };
+      const res = await runChain(postChain(), req);
+
+      expect(res.statusCode).toBe(200);
+      expect(req.listQuery.statuses).toEqual(['draft', 'pending']);
+    });
+
+    it('should let moderators list pending posts but not drafts', async () => {
+      const pending = { user: moderator, query: { status: 'pending' } };
+      expect((await runChain(postChain(), pending)).statusCode).toBe(200);
+
+      const drafts = await runChain(postChain(), { user: moderator, query: { status: 'draft' } });
+      expect(drafts.statusCode).toBe(400);
+    });
+
+    it('should reject unknown statuses', async () => {
+      const res = await runChain(postChain(), { user: admin, query: { status: 'deleted' } });
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.error.details[0].msg).toMatch(/^Status must be one of/);
+    });
+
+    it('should default to every visible status when there is no default', async () => {
+      const chain = parseListQuery({ status: { defaultStatus: null, isOwner: () => false } });
+
+      const asModerator = { user: moderator, query: {} };
+      await runChain(chain, asModerator);
+      expect(asModerator.listQuery.statuses).toEqual(['pending', 'scheduled', 'published', 'rejected']);
+
+      const asAdmin = { user: admin, query: {} };
+      await runChain(chain, asAdmin);
+      expect(asAdmin.listQuery.statuses).toBeNull();
+    });
+  });
+});
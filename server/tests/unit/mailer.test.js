@@ -0,0 +1,104 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  createTransport,
+  createConsoleTransport,
+  createFileTransport,
+  defaultTransportName,
+  setTransport,
+  sendMail,
+  sendPasswordResetEmail,
+  sendVerificationEmail
+} = require('../../src/utils/mailer');
+
+describe('Mailer', () => {
+  let transport;
+  const user = { username: 'mailuser', email: 'mail@example.com' };
+
+  beforeEach(() => {
+    transport = createConsoleTransport();
+    setTransport(transport);
+  });
+
+  describe('createTransport', () => {
+    it('should create a transport by name', () => {
+      expect(createTransport('console').name).toBe('console');
+    });
+
+    it('should throw for an unknown transport', () => {
+      expect(() => createTransport('pigeon')).toThrow('Unknown mail transport: pigeon');
+    });
+  });
+
+  describe('defaultTransportName', () => {
+    const saved = { ...process.env };
+
+    afterEach(() => {
+      process.env = { ...saved };
+    });
+
+    it('should use SMTP when a host is configured', () => {
+      delete process.env.MAIL_TRANSPORT;
+      process.env.SMTP_HOST = 'smtp.example.com';
+      expect(defaultTransportName()).toBe('smtp');
+    });
+
+    it('should fall back to files outside tests so links never reach the logs', () => {
+      delete process.env.MAIL_TRANSPORT;
+      delete process.env.SMTP_HOST;
+      process.env.NODE_ENV = 'production';
+      expect(defaultTransportName()).toBe('file');
+
+      process.env.NODE_ENV = 'test';
+      expect(defaultTransportName()).toBe('console');
+    });
+  });
+
+  describe('sendMail', () => {
+    it('should send through the active transport with a default sender', async () => {
+      await sendMail({ to: 'someone@example.com', subject: 'Hello', text: 'Hi' });
+
+      expect(transport.sent).toHaveLength(1);
+      expect(transport.sent[0].to).toBe('someone@example.com');
+      expect(transport.sent[0].from).toBeDefined();
+    });
+
+    it('should wrap transport failures', async () => {
+      setTransport({ name: 'broken', send: jest.fn().mockRejectedValue(new Error('boom')) });
+
+      await expect(sendMail({ to: 'someone@example.com', subject: 'Hello' }))
+        .rejects.toThrow('Failed to send email');
+    });
+  });
+
+  describe('templates', () => {
+    it('should include the reset token in the password reset link', async () => {
+      await sendPasswordResetEmail(user, 'reset-token-123');
+
+      expect(transport.sent[0].to).toBe(user.email);
+      expect(transport.sent[0].text).toContain('/reset-password?token=reset-token-123');
+    });
+
+    it('should include the verification token in the verification link', async () => {
+      await sendVerificationEmail(user, 'verify-token-456');
+
+      expect(transport.sent[0].text).toContain('/verify-email?token=verify-token-456');
+    });
+  });
+
+  describe('createFileTransport', () => {
+    it('should write each message as a JSON file', async () => {
+      const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'mailer-'));
+      const fileTransport = createFileTransport({ directory });
+
+      const { filename } = await fileTransport.send({ to: 'file@example.com', subject: 'Stored' });
+      const stored = JSON.parse(fs.readFileSync(path.join(directory, filename), 'utf8'));
+
+      expect(stored.to).toBe('file@example.com');
+      expect(stored.sentAt).toBeDefined();
+
+      fs.rmSync(directory, { recursive: true, force: true });
+    });
+  });
+});
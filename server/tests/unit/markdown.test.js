@@ -0,0 +1,73 @@
+const { renderMarkdown, buildExcerpt } = require('../../src/utils/markdown');
+
+describe('Markdown', () => {
+  describe('renderMarkdown', () => {
+    it('should render common Markdown', () => {
+      const { html } = renderMarkdown('## Heading\n\nSome **bold** and `code`.\n\n- one\n- two');
+
+      expect(html).toContain('<h2 id="heading">Heading</h2>');
+      expect(html).toContain('<strong>bold</strong>');
+      expect(html).toContain('<code>code</code>');
+      expect(html).toContain('<li>one</li>');
+    });
+
+    it('should escape raw HTML instead of rendering it', () => {
+      const { html } = renderMarkdown('Hello <script>alert(1)</script> <img src=x onerror="alert(1)">');
+
+      expect(html).not.toContain('<script>');
+      expect(html).not.toContain('<img');
+      expect(html).toContain('&lt;script&gt;');
+    });
+
+    it('should drop dangerous link and image URLs', () => {
+      const { html } = renderMarkdown('[click](javascript:alert(1)) ![pic](data:image/png;base64,AAAA)');
+
+      expect(html).not.toMatch(/href="javascript:/);
+      expect(html).not.toMatch(/src="data:/);
+    });
+
+    it('should mark author links as untrusted', () => {
+      const { html } = renderMarkdown('[site](https://example.com)');
+
+      expect(html).toContain('href="https://example.com"');
+      expect(html).toContain('rel="nofollow noopener noreferrer ugc"');
+    });
+
+    it('should keep code block languages and table alignment', () => {
+      const { html } = renderMarkdown('```js\nconst a = 1;\n```\n\n| a | b |\n|:-|-:|\n| 1 | 2 |');
+
+      expect(html).toContain('<code class="language-js">');
+      expect(html).toContain('style="text-align:right"');
+    });
+
+    it('should give headings unique anchor IDs', () => {
+      const { html } = renderMarkdown('# Set Up!\n\n## Set up\n\n## `npm` scripts');
+
+      expect(html).toContain('<h1 id="set-up">');
+      expect(html).toContain('<h2 id="set-up-1">');
+      expect(html).toContain('<h2 id="npm-scripts">');
+    });
+
+    it('should return the text without markup', () => {
+      const { text } = renderMarkdown('# Title\n\nSome **bold** [link](https://example.com) text');
+
+      expect(text).toBe('Title\nSome bold link text');
+    });
+  });
+
+  describe('buildExcerpt', () => {
+    it('should return short text unchanged', () => {
+      expect(buildExcerpt('Short  text\nhere')).toBe('Short text here');
+    });
+
+    it('should cut long text at a word boundary', () => {
+      const excerpt = buildExcerpt('alpha beta gamma delta epsilon', 20);
+
+      expect(excerpt).toBe('alpha beta gamma...');
+    });
+
+    it('should not end with trailing punctuation before the ellipsis', () => {
+      expect(buildExcerpt('alpha beta, gamma delta', 11)).toBe('alpha beta...');
+    });
+  });
+});
@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+const { encodeCursor, decodeCursor, cursorFilter } = require('../../src/utils/pagination');
+
+describe('Pagination utilities', () => {
+  const id = new mongoose.Types.ObjectId();
+  const createdAt = new Date('2024-03-01T10:00:00.000Z');
+
+  describe('encodeCursor / decodeCursor', () => {
+    it('should round-trip dates, numbers and ids', () => {
+      const sort = { field: 'createdAt', order: -1 };
+      const decoded = decodeCursor(encodeCursor({ _id: id, createdAt }, sort, 'next'));
+
+      expect(decoded.sort).toEqual(sort);
+      expect(decoded.direction).toBe('next');
+      expect(decoded.value).toEqual(createdAt);
+      expect(decoded.id.toString()).toBe(id.toString());
+
+      const byViews = decodeCursor(encodeCursor({ _id: id, viewCount: 42 }, { field: 'viewCount', order: 1 }, 'prev'));
+      expect(byViews.value).toBe(42);
+      expect(byViews.direction).toBe('prev');
+    });
+
+    it('should keep missing sort values as null', () => {
+      const decoded = decodeCursor(encodeCursor({ _id: id }, { field: 'publishedAt', order: -1 }, 'next'));
+      expect(decoded.value).toBeNull();
+    });
+
+    it('should read values through get() on documents', () => {
+      const doc = { _id: id, get: field => (field === 'createdAt' ? createdAt : undefined) };
+      const decoded = decodeCursor(encodeCursor(doc, { field: 'createdAt', order: -1 }, 'next'));
+      expect(decoded.value).toEqual(createdAt);
+    });
+
+    it('should produce URL-safe cursors', () => {
+      const cursor = encodeCursor({ _id: id, title: '??>>~~' }, { field: 'title', order: 1 }, 'next');
+      expect(cursor).toMatch(/^[A-Za-z0-9_-]+$/);
+    });
+
+    it('should reject malformed cursors', () => {
+      const encode = payload => Buffer.from(JSON.stringify(payload)).toString('base64url');
+
+      expect(decodeCursor('')).toBeNull();
+      expect(decodeCursor('not-a-cursor')).toBeNull();
+      expect(decodeCursor(encode({ f: 'createdAt', o: 2, d: 'next', k: { t: 'null', v: null }, id: id.toString() }))).toBeNull();
+      expect(decodeCursor(encode({ f: 'createdAt', o: -1, d: 'sideways', k: { t: 'null', v: null }, id: id.toString() }))).toBeNull();
+      expect(decodeCursor(encode({ f: 'createdAt', o: -1, d: 'next', k: { t: 'date', v: 'yesterday' }, id: id.toString() }))).toBeNull();
+      expect(decodeCursor(encode({ f: 'createdAt', o: -1, d: 'next', k: { t: 'null', v: null }, id: 'abc' }))).toBeNull();
+    });
+  });
+
+  describe('cursorFilter', () => {
+    it('should continue after the cursor in descending order', () => {
+      const filter = cursorFilter({ sort: { field: 'createdAt', order: -1 }, direction: 'next', value: createdAt, id });
+
+      expect(filter).toEqual({
+        $or: [
+          { createdAt: { $lt: createdAt } },
+          { createdAt, _id: { $lt: id } },
+          { createdAt: null }
+        ]
+      });
+    });
+
+    it('should reverse the comparison when walking backwards', () => {
+      const filter = cursorFilter({ sort: { field: 'createdAt', order: -1 }, direction: 'prev', value: createdAt, id });
+
+      expect(filter).toEqual({
+        $or: [
+          { createdAt: { $gt: createdAt } },
+          { createdAt, _id: { $gt: id } }
+        ]
+      });
+    });
+
+    it('should place null values first in ascending order', () => {
+      const filter = cursorFilter({ sort: { field: 'publishedAt', order: 1 }, direction: 'next', value: null, id });
+
+      expect(filter).toEqual({
+        $or: [
+          { publishedAt: null, _id: { $gt: id } },
+          { publishedAt: { $ne: null } }
+        ]
+      });
+    });
+
+    it('should only break ties on _id after a null in descending order', () => {
+      const filter = cursorFilter({ sort: { field: 'publishedAt', order: -1 }, direction: 'next', value: null, id });
+      expect(filter).toEqual({ publishedAt: null, _id: { $lt: id } });
+    });
+  });
+});
@@ -0,0 +1,67 @@
+const { PERMISSIONS, getPermissions, hasPermission } = require('../../src/config/permissions');
+const { requirePermission } = require('../../src/middleware/auth');
+
+describe('Permissions', () => {
+  describe('hasPermission', () => {
+    it('should let moderators work the approval queue', () => {
+      const moderator = { role: 'moderator' };
+
+      expect(hasPermission(moderator, PERMISSIONS.POSTS_REVIEW)).toBe(true);
+      expect(hasPermission(moderator, PERMISSIONS.POSTS_APPROVE)).toBe(true);
+      expect(hasPermission(moderator, PERMISSIONS.POSTS_REJECT)).toBe(true);
+    });
+
+    it('should keep admin powers from moderators', () => {
+      const moderator = { role: 'moderator' };
+
+      expect(hasPermission(moderator, PERMISSIONS.USERS_MANAGE)).toBe(false);
+      expect(hasPermission(moderator, PERMISSIONS.CATEGORIES_MANAGE)).toBe(false);
+      expect(hasPermission(moderator, PERMISSIONS.REJECTION_TEMPLATES_MANAGE)).toBe(false);
+    });
+
+    it('should grant admins every permission', () => {
+      Object.values(PERMISSIONS).forEach(permission => {
+        expect(hasPermission({ role: 'admin' }, permission)).toBe(true);
+      });
+    });
+
+    it('should deny users without a known role', () => {
+      expect(hasPermission(null, PERMISSIONS.POSTS_REVIEW)).toBe(false);
+      expect(hasPermission({ role: 'ghost' }, PERMISSIONS.POSTS_REVIEW)).toBe(false);
+      expect(getPermissions('user')).toEqual([]);
+    });
+  });
+
+  describe('requirePermission', () => {
+    const run = (user, ...permissions) => {
+      const req = { user };
+      const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+      const next = jest.fn();
+      requirePermission(...permissions)(req, res, next);
+      return { res, next };
+    };
+
+    it('should call next when the role grants every permission', () => {
+      const { next } = run({ role: 'moderator', username: 'mod' }, PERMISSIONS.POSTS_APPROVE);
+
+      expect(next).toHaveBeenCalled();
+    });
+
+    it('should respond 403 when any permission is missing', () => {
+      const { res, next } = run(
+        { role: 'moderator', username: 'mod' },
+        PERMISSIONS.POSTS_APPROVE,
+        PERMISSIONS.USERS_MANAGE
+      );
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(403);
+    });
+
+    it('should respond 401 without a user', () => {
+      const { res } = run(undefined, PERMISSIONS.POSTS_REVIEW);
+
+      expect(res.status).toHaveBeenCalledWith(401);
+    });
+  });
+});
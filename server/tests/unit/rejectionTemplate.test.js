@@ -0,0 +1,28 @@
+const RejectionTemplate = require('../../src/models/RejectionTemplate');
+
+describe('RejectionTemplate', () => {
+  const template = new RejectionTemplate({
+    title: 'Needs sources',
+    body: 'Please cite sources for the claims in this post.',
+    category: 'sources'
+  });
+
+  describe('compose', () => {
+    it('should use the body alone without notes', () => {
+      expect(template.compose()).toBe('Please cite sources for the claims in this post.');
+      expect(template.compose('   ')).toBe('Please cite sources for the claims in this post.');
+    });
+
+    it('should add trimmed notes after the body', () => {
+      expect(template.compose('  The benchmark figures in particular.  '))
+        .toBe('Please cite sources for the claims in this post.\n\nThe benchmark figures in particular.');
+    });
+  });
+
+  it('should reject unknown categories', () => {
+    const invalid = new RejectionTemplate({ title: 'Odd', body: 'Some body text here', category: 'mood' });
+
+    expect(invalid.validateSync().errors.category).toBeDefined();
+    expect(RejectionTemplate.getCategories()).toContain('other');
+  });
+});
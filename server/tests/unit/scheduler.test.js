@@ -0,0 +1,123 @@
+const { createScheduler } = require('../../src/utils/scheduler');
+const Post = require('../../src/models/Post');
+
+// Mock Post model
+jest.mock('../../src/models/Post');
+
+/**
+ * Manually driven clock: timers only fire when advance() moves past them
+ */
+const createFakeClock = (start) => {
+  let current = new Date(start).getTime();
+  let timers = [];
+  let nextId = 1;
+
+  return {
+    now: () => new Date(current),
+    setTimeout: (fn, ms) => {
+      const id = nextId++;
+      timers.push({ id, fn, at: current + ms });
+      return id;
+    },
+    clearTimeout: (id) => {
+      timers = timers.filter(timer => timer.id !== id);
+    },
+    pending: () => timers.length,
+    async advance(ms) {
+      current += ms;
+      const due = timers.filter(timer => timer.at <= current);
+      timers = timers.filter(timer => timer.at > current);
+      for (const timer of due) {
+        await timer.fn();
+      }
+    }
+  };
+};
+
+describe('Scheduler', () => {
+  let clock;
+  let scheduledAt;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    clock = createFakeClock('2024-01-01T12:00:00Z');
+    scheduledAt = new Date('2024-01-01T12:05:00Z');
+
+    // A single post scheduled five minutes from now
+    Post.publishDue.mockImplementation(async (now) => (
+      now >= scheduledAt ? [{ _id: 'post-1', publishedAt: scheduledAt }] : []
+    ));
+    Post.findNextScheduledTime.mockResolvedValue(scheduledAt);
+  });
+
+  it('should catch up on posts that fell due while stopped', async () => {
+    clock = createFakeClock('2024-01-01T13:00:00Z');
+    const onPublish = jest.fn();
+    const scheduler = createScheduler({ clock, onPublish });
+
+    await scheduler.start();
+
+    expect(Post.publishDue).toHaveBeenCalledWith(clock.now());
+    expect(onPublish).toHaveBeenCalledWith(expect.objectContaining({ _id: 'post-1' }));
+    await scheduler.stop();
+  });
+
+  it('should wake up when the next post is due rather than waiting a full poll', async () => {
+    const onPublish = jest.fn();
+    const scheduler = createScheduler({ clock, onPublish, pollInterval: 60 * 60 * 1000 });
+
+    await scheduler.start();
+    expect(onPublish).not.toHaveBeenCalled();
+
+    await clock.advance(5 * 60 * 1000);
+
+    expect(onPublish).toHaveBeenCalledTimes(1);
+    await scheduler.stop();
+  });
+
+  it('should poll at the interval when nothing is scheduled', async () => {
+    Post.findNextScheduledTime.mockResolvedValue(null);
+    const scheduler = createScheduler({ clock, pollInterval: 1000 });
+
+    await scheduler.start();
+    await clock.advance(1000);
+    await clock.advance(1000);
+
+    expect(Post.publishDue).toHaveBeenCalledTimes(3);
+    await scheduler.stop();
+  });
+
+  it('should keep running after a failed run', async () => {
+    Post.publishDue.mockRejectedValueOnce(new Error('database unavailable'));
+    const scheduler = createScheduler({ clock, pollInterval: 1000 });
+
+    await scheduler.start();
+
+    expect(scheduler.isRunning()).toBe(true);
+    expect(clock.pending()).toBe(1);
+    await scheduler.stop();
+  });
+
+  it('should fall back to polling when rescheduling fails', async () => {
+    const scheduler = createScheduler({ clock, pollInterval: 1000 });
+    await scheduler.start();
+
+    Post.findNextScheduledTime.mockRejectedValueOnce(new Error('database unavailable'));
+    await expect(scheduler.reschedule()).resolves.toBeUndefined();
+    expect(clock.pending()).toBe(1);
+
+    await clock.advance(1000);
+    expect(Post.publishDue).toHaveBeenCalledTimes(2);
+    await scheduler.stop();
+  });
+
+  it('should clear its timer when stopped', async () => {
+    const scheduler = createScheduler({ clock });
+
+    await scheduler.start();
+    await scheduler.stop();
+
+    expect(scheduler.isRunning()).toBe(false);
+    expect(clock.pending()).toBe(0);
+  });
+});
@@ -0,0 +1,35 @@
+const { MAX_SLUG_LENGTH, slugify, nextFreeSlug } = require('../../src/utils/slug');
+
+describe('Slug utilities', () => {
+  describe('slugify', () => {
+    it('should lowercase and hyphenate titles', () => {
+      expect(slugify('Hello, World: A  Tale!')).toBe('hello-world-a-tale');
+    });
+
+    it('should strip accents', () => {
+      expect(slugify('Café déjà vu')).toBe('cafe-deja-vu');
+    });
+
+    it('should trim hyphens and cap the length', () => {
+      expect(slugify('--Edge case--')).toBe('edge-case');
+      expect(slugify('word '.repeat(40)).length).toBeLessThanOrEqual(MAX_SLUG_LENGTH);
+      expect(slugify('word '.repeat(40))).not.toMatch(/-$/);
+    });
+
+    it('should fall back when nothing usable is left', () => {
+      expect(slugify('日本語')).toBe('post');
+      expect(slugify('!!!', 'untitled')).toBe('untitled');
+    });
+  });
+
+  describe('nextFreeSlug', () => {
+    it('should return the base when it is free', () => {
+      expect(nextFreeSlug('hello', new Set(['other']))).toBe('hello');
+    });
+
+    it('should add the first free numeric suffix', () => {
+      expect(nextFreeSlug('hello', new Set(['hello']))).toBe('hello-2');
+      expect(nextFreeSlug('hello', new Set(['hello', 'hello-2', 'hello-3']))).toBe('hello-4');
+    });
+  });
+});
@@ -0,0 +1,70 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  createStorage,
+  createLocalStorage,
+  createMemoryStorage
+} = require('../../src/utils/storage');
+
+describe('Storage', () => {
+  describe('createStorage', () => {
+    it('should create a backend by name', () => {
+      expect(createStorage('memory').name).toBe('memory');
+    });
+
+    it('should throw for an unknown backend', () => {
+      expect(() => createStorage('floppy')).toThrow('Unknown storage backend: floppy');
+    });
+  });
+
+  describe('local backend', () => {
+    let directory;
+    let storage;
+
+    beforeEach(() => {
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), 'uploads-'));
+      storage = createLocalStorage({ directory, publicUrl: 'https://cdn.example.com/uploads/' });
+    });
+
+    afterEach(() => {
+      fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    it('should write files under the directory and build public URLs', async () => {
+      await storage.put('posts/abc/image.png', Buffer.from('data'), 'image/png');
+
+      expect(fs.readFileSync(path.join(directory, 'posts/abc/image.png'), 'utf8')).toBe('data');
+      expect(storage.url('posts/abc/image.png')).toBe('https://cdn.example.com/uploads/posts/abc/image.png');
+    });
+
+    it('should remove files and ignore ones that are already gone', async () => {
+      await storage.put('posts/abc/image.png', Buffer.from('data'), 'image/png');
+
+      await storage.remove('posts/abc/image.png');
+      await storage.remove('posts/abc/image.png');
+
+      expect(fs.existsSync(path.join(directory, 'posts/abc/image.png'))).toBe(false);
+    });
+
+    it('should refuse keys that escape the directory', async () => {
+      await expect(storage.put('../outside.png', Buffer.from('x'))).rejects.toThrow('Invalid storage key');
+      await expect(storage.put('posts/../../outside.png', Buffer.from('x'))).rejects.toThrow('Invalid storage key');
+      await expect(storage.put('/etc/passwd', Buffer.from('x'))).rejects.toThrow('Invalid storage key');
+      await expect(storage.remove('posts/..')).rejects.toThrow('Invalid storage key');
+    });
+  });
+
+  describe('memory backend', () => {
+    it('should keep files so tests can inspect them', async () => {
+      const storage = createMemoryStorage();
+
+      await storage.put('avatars/abc/image.webp', Buffer.from('data'), 'image/webp');
+      expect(storage.files.get('avatars/abc/image.webp').contentType).toBe('image/webp');
+      expect(storage.url('avatars/abc/image.webp')).toBe('/uploads/avatars/abc/image.webp');
+
+      await storage.remove('avatars/abc/image.webp');
+      expect(storage.files.size).toBe(0);
+    });
+  });
+});